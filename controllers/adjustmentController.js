@@ -0,0 +1,385 @@
+// controllers/adjustmentController.js
+const mongoose = require("mongoose");
+const Adjustment = require("../models/Adjustment");
+const Product = require("../models/Product");
+const Stock = require("../models/Stock");
+const CostLayer = require("../models/CostLayer");
+const Location = require("../models/Location");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+const eventBus = require("../utils/eventBus");
+
+const ADJUSTMENT_REASONS = Adjustment.schema.path("reason").enumValues;
+
+// returns an error message when a decrease would take the stock (or the
+// chosen lot) below zero
+const checkStockForDecrease = async (adjustment, session) => {
+  if (adjustment.direction !== "decrease") return null;
+
+  const stock = await Stock.findOne({
+    product: adjustment.product,
+    location: adjustment.location,
+  }).session(session);
+  const currentStock = stock ? stock.currentStock : 0;
+  const product = await Product.findById(adjustment.product, {
+    name: 1,
+    trackBatches: 1,
+  });
+  if (currentStock < adjustment.quantity) {
+    return `Cannot remove ${adjustment.quantity} of ${product.name}. Only ${currentStock} in stock.`;
+  }
+  if (product.trackBatches) {
+    const { error } = Stock.pickBatches(stock, adjustment.quantity, {
+      lotNumber: adjustment.lotNumber,
+      productName: product.name,
+    });
+    return error || null;
+  }
+  return null;
+};
+
+// POST /api/stocks/adjust - Increase or decrease the stock of a product
+// adjustments above the approval value wait as pending
+const createAdjustment = async (req, res, next) => {
+  const {
+    product,
+    location,
+    direction,
+    quantity,
+    reason,
+    notes,
+    lotNumber,
+    expiryDate,
+    requireApproval,
+  } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!product || !mongoose.Types.ObjectId.isValid(product)) {
+    return errorResponse(res, "A valid product is required.", 400);
+  }
+  if (!["increase", "decrease"].includes(direction)) {
+    return errorResponse(
+      res,
+      "Direction must be 'increase' or 'decrease'.",
+      400
+    );
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return errorResponse(res, "Quantity must be a positive whole number.", 400);
+  }
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    return errorResponse(
+      res,
+      `Reason must be one of: ${ADJUSTMENT_REASONS.join(", ")}.`,
+      400
+    );
+  }
+  if (expiryDate && isNaN(new Date(expiryDate))) {
+    return errorResponse(res, "Invalid expiry date provided.", 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const productDoc = await Product.findOne({
+      _id: product,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!productDoc) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Product not found.", 404);
+    }
+
+    const locationDoc = await Location.resolve(
+      authenticatedUserId,
+      location,
+      session
+    );
+    if (!locationDoc) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    const adjustment = new Adjustment({
+      product: productDoc._id,
+      location: locationDoc._id,
+      direction,
+      quantity,
+      reason,
+      notes,
+      lotNumber,
+      expiryDate,
+      unitCost: await CostLayer.getCurrentCost(
+        productDoc._id,
+        quantity,
+        session
+      ),
+      status: "pending",
+      createdBy: authenticatedUserId,
+    });
+
+    const stockError = await checkStockForDecrease(adjustment, session);
+    if (stockError) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, stockError, 400);
+    }
+
+    await adjustment.save({ session });
+
+    const approvalValue = req.user.settings?.adjustmentApprovalValue || 0;
+    const needsApproval =
+      requireApproval === true ||
+      (approvalValue > 0 && adjustment.value > approvalValue);
+
+    if (!needsApproval) {
+      await Adjustment.postAdjustment(adjustment, authenticatedUserId, session);
+    } else {
+      eventBus.publishAfterCommit(session, "adjustment.pending", adjustment);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await adjustment.populate("product", "name sku unit");
+
+    return successResponse(
+      res,
+      needsApproval
+        ? "Stock adjustment is waiting for approval."
+        : "Stock adjusted successfully.",
+      adjustment,
+      201
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error creating stock adjustment:", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/adjustments - Get all stock adjustments
+const getAllAdjustments = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "adjustmentDate",
+    sortOrder = "desc",
+    product,
+    status,
+    reason,
+    direction,
+    location,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const query = { createdBy: authenticatedUserId };
+
+  if (search) {
+    query.adjustmentNumber = { $regex: search, $options: "i" };
+  }
+  if (product) {
+    query.product = product;
+  }
+  if (status) {
+    query.status = status;
+  }
+  if (reason) {
+    query.reason = reason;
+  }
+  if (direction) {
+    query.direction = direction;
+  }
+  if (location) {
+    query.location = location;
+  }
+
+  if (startDate || endDate) {
+    query.adjustmentDate = {};
+    if (startDate) query.adjustmentDate.$gte = new Date(startDate);
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.adjustmentDate.$lte = endOfDay;
+    }
+  }
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  try {
+    const adjustments = await Adjustment.find(query)
+      .populate("product", "name sku unit")
+      .populate("location", "name")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parsedLimit)
+      .lean();
+
+    const total = await Adjustment.countDocuments(query);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    const data = {
+      items: adjustments,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(
+      res,
+      "Stock adjustments retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Error fetching stock adjustments: ", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/adjustments/adjustment/:adjustmentId - Get a single stock adjustment
+const getAdjustmentById = async (req, res, next) => {
+  const { adjustmentId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const adjustment = await Adjustment.findOne({
+      _id: adjustmentId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("product", "name sku unit purchasePrice")
+      .populate("location", "name")
+      .populate("reviewedBy", "firstName lastName")
+      .lean();
+
+    if (!adjustment) {
+      return errorResponse(res, "Stock adjustment not found.", 404);
+    }
+    return successResponse(
+      res,
+      "Stock adjustment retrieved successfully.",
+      adjustment
+    );
+  } catch (err) {
+    console.error("Error fetching stock adjustment:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/stocks/adjustments/approve/:adjustmentId - Approve a pending adjustment and move the stock
+const approveAdjustment = async (req, res, next) => {
+  const { adjustmentId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const adjustment = await Adjustment.findOne({
+      _id: adjustmentId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!adjustment) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Stock adjustment not found.", 404);
+    }
+    if (adjustment.status !== "pending") {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Stock adjustment is already ${adjustment.status}.`,
+        400
+      );
+    }
+
+    // stock may have moved since the adjustment was requested
+    const stockError = await checkStockForDecrease(adjustment, session);
+    if (stockError) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, stockError, 400);
+    }
+
+    adjustment.reviewedBy = authenticatedUserId;
+    adjustment.reviewedAt = new Date();
+    await Adjustment.postAdjustment(adjustment, authenticatedUserId, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await adjustment.populate("product", "name sku unit");
+
+    return successResponse(
+      res,
+      "Stock adjustment approved and posted.",
+      adjustment
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error approving stock adjustment:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/stocks/adjustments/reject/:adjustmentId - Reject a pending adjustment, stock is not touched
+const rejectAdjustment = async (req, res, next) => {
+  const { adjustmentId } = req.params;
+  const { rejectionReason } = req.body || {};
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const adjustment = await Adjustment.findOne({
+      _id: adjustmentId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!adjustment) {
+      return errorResponse(res, "Stock adjustment not found.", 404);
+    }
+    if (adjustment.status !== "pending") {
+      return errorResponse(
+        res,
+        `Stock adjustment is already ${adjustment.status}.`,
+        400
+      );
+    }
+
+    adjustment.status = "rejected";
+    adjustment.reviewedBy = authenticatedUserId;
+    adjustment.reviewedAt = new Date();
+    adjustment.rejectionReason = rejectionReason;
+    await adjustment.save();
+
+    await adjustment.populate("product", "name sku unit");
+
+    return successResponse(res, "Stock adjustment rejected.", adjustment);
+  } catch (err) {
+    console.error("Error rejecting stock adjustment:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createAdjustment,
+  getAllAdjustments,
+  getAdjustmentById,
+  approveAdjustment,
+  rejectAdjustment,
+};
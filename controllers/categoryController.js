@@ -5,7 +5,7 @@ const { successResponse, errorResponse } = require("../utils/responseHandler");
 
 // POST /api/categories/create - Create a new category
 const createCategory = async (req, res, next) => {
-  const { name, description, isActive } = req.body;
+  const { name, description, isActive, taxRate, taxInclusive } = req.body;
   const authenticatedUserId = req.user._id;
 
   try {
@@ -22,6 +22,8 @@ const createCategory = async (req, res, next) => {
       name,
       description,
       isActive,
+      taxRate,
+      taxInclusive,
       createdBy: authenticatedUserId,
     });
 
@@ -118,6 +120,54 @@ const getCategoryById = async (req, res, next) => {
   }
 };
 
+// PATCH /api/categories/category/update/:categoryId - Update category details and tax settings
+const updateCategory = async (req, res, next) => {
+  const { categoryId } = req.params;
+  const { name, description, taxRate, taxInclusive } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const category = await Category.findOne({
+      _id: categoryId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!category) {
+      return errorResponse(res, "Category not found.", 404);
+    }
+
+    if (name && name !== category.name) {
+      const existingCategory = await Category.findOne({
+        name: { $regex: new RegExp(`^${name}$`, "i") },
+        createdBy: authenticatedUserId,
+        _id: { $ne: categoryId },
+      });
+      if (existingCategory) {
+        return errorResponse(
+          res,
+          "Category with this name already exists.",
+          409
+        );
+      }
+      category.name = name;
+    }
+    if (description !== undefined) category.description = description;
+    if (taxRate !== undefined) category.taxRate = taxRate;
+    if (taxInclusive !== undefined) category.taxInclusive = taxInclusive;
+
+    const updatedCategory = await category.save();
+
+    return successResponse(
+      res,
+      "Category updated successfully.",
+      updatedCategory
+    );
+  } catch (err) {
+    console.error("Update category error:", err);
+    next(err);
+  }
+};
+
 // DELETE /api/categories/category/deactivate:categoryId - Soft delete a category by ID
 const deleteCategory = async (req, res, next) => {
   const { categoryId } = req.params;
@@ -190,6 +240,7 @@ module.exports = {
   createCategory,
   getAllCategories,
   getCategoryById, // not using in mobile
+  updateCategory,
   deleteCategory,
   activateCategory,
 };
@@ -0,0 +1,347 @@
+// controllers/customerController.js
+
+const Customer = require("../models/Customer");
+const Sale = require("../models/Sale");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+
+// POST /api/customers/create - Create a new customer
+const createCustomer = async (req, res, next) => {
+  try {
+    const customerData = req.body;
+    const authenticatedUserId = req.user._id;
+    // store credit only comes from returns
+    delete customerData.storeCreditBalance;
+
+    for (const field of ["email", "phone"]) {
+      if (customerData[field] && typeof customerData[field] !== "string") {
+        return errorResponse(res, `Customer ${field} must be a string.`, 400);
+      }
+    }
+
+    if (customerData.email) {
+      const existingEmail = await Customer.findOne({
+        email: customerData.email.toLowerCase(),
+        createdBy: authenticatedUserId,
+      });
+
+      if (existingEmail) {
+        return errorResponse(
+          res,
+          "Customer with this email already exists.",
+          409
+        );
+      }
+    }
+    if (customerData.phone) {
+      const existingPhone = await Customer.findOne({
+        phone: customerData.phone,
+        createdBy: authenticatedUserId,
+      });
+      if (existingPhone) {
+        return errorResponse(
+          res,
+          "Customer with this phone number already exists.",
+          409
+        );
+      }
+    }
+
+    const newCustomer = new Customer({
+      ...customerData,
+      createdBy: authenticatedUserId,
+    });
+
+    const savedCustomer = await newCustomer.save();
+
+    return successResponse(
+      res,
+      "Customer created successfully.",
+      savedCustomer,
+      201
+    );
+  } catch (err) {
+    console.error("Create customer error:", err);
+    next(err);
+  }
+};
+
+// GET /api/customers - Get all customers with pagination and filtering
+const getAllCustomers = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+      search,
+      isActive,
+    } = req.query;
+
+    const parsedPage = parseInt(page);
+    const parsedLimit = parseInt(limit);
+    const skip = (parsedPage - 1) * parsedLimit;
+
+    const filter = { createdBy: authenticatedUserId };
+    if (search) {
+      const searchRegex = new RegExp(search, "i");
+      filter.$or = [
+        { firstName: searchRegex },
+        { lastName: searchRegex },
+        { email: searchRegex },
+        { phone: searchRegex },
+      ];
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === "true";
+    }
+
+    const sort = {};
+    if (sortBy) {
+      sort[sortBy] = sortOrder === "asc" ? 1 : -1;
+    }
+
+    const [customers, totalItems] = await Promise.all([
+      Customer.find(filter).sort(sort).skip(skip).limit(parsedLimit).lean(),
+      Customer.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalItems / parsedLimit);
+
+    const responsePayload = {
+      data: customers,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+
+    return successResponse(
+      res,
+      "Customers retrieved successfully.",
+      responsePayload
+    );
+  } catch (err) {
+    console.error("Get all customers error:", err);
+    next(err);
+  }
+};
+
+// GET /api/customers/customer/:customerId - Get a customer with purchase summary
+const getCustomerById = async (req, res, next) => {
+  const { customerId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const customer = await Customer.findOne({
+      _id: customerId,
+      createdBy: authenticatedUserId,
+    }).lean();
+
+    if (!customer) {
+      return errorResponse(res, "Customer not found.", 404);
+    }
+
+    const [summary, recentSales] = await Promise.all([
+      Sale.aggregate([
+        {
+          $match: {
+            customer: customer._id,
+            createdBy: authenticatedUserId,
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            totalOrders: { $sum: 1 },
+            totalSpent: {
+              $sum: {
+                $subtract: [
+                  "$totalAmount",
+                  { $ifNull: ["$returnedAmount", 0] },
+                ],
+              },
+            },
+            totalItems: { $sum: { $sum: "$items.quantity" } },
+            outstandingBalance: { $sum: { $ifNull: ["$balanceDue", 0] } },
+            firstVisit: { $min: "$saleDate" },
+            lastVisit: { $max: "$saleDate" },
+          },
+        },
+      ]),
+      Sale.find({ customer: customer._id, createdBy: authenticatedUserId })
+        .select("invoiceNumber totalAmount saleDate")
+        .sort({ saleDate: -1 })
+        .limit(5)
+        .lean(),
+    ]);
+
+    const stats = summary[0] || {};
+
+    const data = {
+      ...customer,
+      lifetimePurchases: {
+        totalOrders: stats.totalOrders || 0,
+        totalSpent: stats.totalSpent || 0,
+        totalItems: stats.totalItems || 0,
+        averageOrderValue: stats.totalOrders
+          ? stats.totalSpent / stats.totalOrders
+          : 0,
+      },
+      outstandingBalance: stats.outstandingBalance || 0,
+      firstVisit: stats.firstVisit || null,
+      lastVisit: stats.lastVisit || null,
+      recentSales,
+    };
+
+    return successResponse(res, "Customer retrieved successfully.", data);
+  } catch (err) {
+    console.error("Get customer by ID error:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/customers/customer/update/:customerId - Update a customer
+const updateCustomer = async (req, res, next) => {
+  const { customerId } = req.params;
+  const updateData = req.body;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const existingCustomer = await Customer.findOne({
+      _id: customerId,
+      createdBy: authenticatedUserId,
+    });
+    if (!existingCustomer) {
+      return errorResponse(res, "Customer not found.", 404);
+    }
+
+    for (const field of ["email", "phone"]) {
+      if (updateData[field] && typeof updateData[field] !== "string") {
+        return errorResponse(res, `Customer ${field} must be a string.`, 400);
+      }
+    }
+
+    if (updateData.email) {
+      const duplicateEmail = await Customer.findOne({
+        email: updateData.email.toLowerCase(),
+        createdBy: authenticatedUserId,
+        _id: { $ne: customerId },
+      });
+      if (duplicateEmail) {
+        return errorResponse(
+          res,
+          "You already have a customer with this email.",
+          409
+        );
+      }
+    }
+    if (updateData.phone) {
+      const duplicatePhone = await Customer.findOne({
+        phone: updateData.phone,
+        createdBy: authenticatedUserId,
+        _id: { $ne: customerId },
+      });
+      if (duplicatePhone) {
+        return errorResponse(
+          res,
+          "You already have a customer with this phone number.",
+          409
+        );
+      }
+    }
+
+    // ownership, activation state and store credit are not editable through
+    // this endpoint
+    delete updateData.createdBy;
+    delete updateData.isActive;
+    delete updateData.storeCreditBalance;
+
+    const updatedCustomer = await Customer.findOneAndUpdate(
+      { _id: customerId, createdBy: authenticatedUserId },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    return successResponse(
+      res,
+      "Customer updated successfully.",
+      updatedCustomer
+    );
+  } catch (err) {
+    console.error("Update customer error:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/customers/customer/deactivate/:customerId - Soft delete a customer
+const deactivateCustomer = async (req, res, next) => {
+  const { customerId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const customer = await Customer.findOne({
+      _id: customerId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!customer) {
+      return errorResponse(res, "Customer not found.", 404);
+    }
+
+    if (!customer.isActive) {
+      return errorResponse(res, "Customer is already inactive.", 400);
+    }
+
+    customer.isActive = false;
+    await customer.save();
+
+    return successResponse(res, "Customer deactivated successfully.", customer);
+  } catch (err) {
+    console.error("Deactivate customer error:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/customers/customer/activate/:customerId - Reactivate a customer
+const activateCustomer = async (req, res, next) => {
+  const { customerId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const customer = await Customer.findOne({
+      _id: customerId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!customer) {
+      return errorResponse(res, "Customer not found.", 404);
+    }
+
+    if (customer.isActive) {
+      return errorResponse(res, "Customer is already active.", 400);
+    }
+
+    customer.isActive = true;
+    await customer.save();
+
+    return successResponse(res, "Customer activated successfully.", customer);
+  } catch (err) {
+    console.error("Activate customer error:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  deactivateCustomer,
+  activateCustomer,
+};
@@ -0,0 +1,228 @@
+// controllers/customerPaymentController.js
+const mongoose = require("mongoose");
+const Customer = require("../models/Customer");
+const CustomerPayment = require("../models/CustomerPayment");
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { PAYMENT_METHODS, buildAllocations } = require("../utils/paymentUtils");
+const { roundCurrency } = require("../utils/taxUtils");
+
+// POST /api/customers/customer/payment/:customerId - Record a payment against open invoices
+// without allocations the oldest invoices are settled first
+const recordCustomerPayment = async (req, res, next) => {
+  const { customerId } = req.params;
+  const { amount, method, reference, allocations, paymentDate, notes } =
+    req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (typeof amount !== "number" || amount <= 0) {
+    return errorResponse(res, "Payment amount must be a positive number.", 400);
+  }
+  // store credit cannot settle an account, it is only a tender at the till
+  if (!PAYMENT_METHODS.includes(method) || method === "store_credit") {
+    return errorResponse(res, `Invalid payment method: ${method}.`, 400);
+  }
+  if (allocations && (!Array.isArray(allocations) || !allocations.length)) {
+    return errorResponse(
+      res,
+      "Allocations must be a non-empty array of sale and amount.",
+      400
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const customer = await Customer.findOne({
+      _id: customerId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!customer) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Customer not found.", 404);
+    }
+
+    const openSales = await Sale.find({
+      customer: customer._id,
+      createdBy: authenticatedUserId,
+      balanceDue: { $gt: 0 },
+    })
+      .sort({ saleDate: 1 })
+      .session(session);
+
+    const outstanding = roundCurrency(
+      openSales.reduce((sum, sale) => sum + sale.balanceDue, 0)
+    );
+    if (amount > outstanding) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Payment (${amount}) exceeds the outstanding balance (${outstanding}).`,
+        400
+      );
+    }
+
+    const { allocations: saleAllocations, error } = buildAllocations(
+      openSales,
+      amount,
+      allocations,
+      {
+        key: "sale",
+        numberField: "invoiceNumber",
+        notOpenMessage: (saleId) =>
+          `Sale ${saleId} is not an open invoice of this customer.`,
+      }
+    );
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, error, 400);
+    }
+
+    const payment = await CustomerPayment.recordPayment(
+      {
+        customer: customer._id,
+        method,
+        amount,
+        reference,
+        paymentDate,
+        notes,
+        createdBy: authenticatedUserId,
+      },
+      saleAllocations,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await payment.populate(
+      "allocations.sale",
+      "invoiceNumber totalAmount balanceDue paymentStatus"
+    );
+
+    return successResponse(res, "Payment recorded successfully.", payment, 201);
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Record customer payment error:", err);
+    next(err);
+  }
+};
+
+// GET /api/customers/customer/ledger/:customerId - Receivables ledger with running balance
+const getCustomerLedger = async (req, res, next) => {
+  const { customerId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const customer = await Customer.findOne({
+      _id: customerId,
+      createdBy: authenticatedUserId,
+    })
+      .select("firstName lastName phone email")
+      .lean();
+
+    if (!customer) {
+      return errorResponse(res, "Customer not found.", 404);
+    }
+
+    const scope = { customer: customer._id, createdBy: authenticatedUserId };
+
+    const [sales, payments, saleReturns] = await Promise.all([
+      Sale.find({ ...scope, dueDate: { $exists: true } })
+        .select(
+          "invoiceNumber saleDate dueDate totalAmount payments balanceDue"
+        )
+        .lean(),
+      CustomerPayment.find(scope)
+        .select("receiptNumber paymentDate amount method reference")
+        .lean(),
+      SaleReturn.find({ ...scope, appliedToBalance: { $gt: 0 } })
+        .select("returnNumber returnDate appliedToBalance")
+        .lean(),
+    ]);
+
+    // only what went on account is a receivable, not what was paid at the till
+    const entries = [
+      ...sales.map((sale) => {
+        const paidAtSale = (sale.payments || [])
+          .filter((payment) => !payment.receipt)
+          .reduce((sum, payment) => sum + payment.amount, 0);
+        return {
+          date: sale.saleDate,
+          type: "invoice",
+          reference: sale.invoiceNumber,
+          sale: sale._id,
+          dueDate: sale.dueDate,
+          debit: roundCurrency(sale.totalAmount - paidAtSale),
+          credit: 0,
+        };
+      }),
+      ...payments.map((payment) => ({
+        date: payment.paymentDate,
+        type: "payment",
+        reference: payment.receiptNumber,
+        receipt: payment._id,
+        method: payment.method,
+        debit: 0,
+        credit: payment.amount,
+      })),
+      ...saleReturns.map((saleReturn) => ({
+        date: saleReturn.returnDate,
+        type: "credit_note",
+        reference: saleReturn.returnNumber,
+        saleReturn: saleReturn._id,
+        debit: 0,
+        credit: saleReturn.appliedToBalance,
+      })),
+    ]
+      .filter((entry) => entry.debit > 0 || entry.credit > 0)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+    for (const entry of entries) {
+      balance = roundCurrency(balance + entry.debit - entry.credit);
+      entry.balance = balance;
+    }
+
+    const now = new Date();
+    const openInvoices = sales
+      .filter((sale) => sale.balanceDue > 0)
+      .map((sale) => ({
+        _id: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        saleDate: sale.saleDate,
+        dueDate: sale.dueDate,
+        totalAmount: sale.totalAmount,
+        balanceDue: sale.balanceDue,
+        isOverdue: sale.dueDate < now,
+      }));
+
+    const data = {
+      customer,
+      entries,
+      openInvoices,
+      balance,
+    };
+
+    return successResponse(
+      res,
+      "Customer ledger retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Customer ledger error:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  recordCustomerPayment,
+  getCustomerLedger,
+};
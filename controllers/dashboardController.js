@@ -4,6 +4,22 @@ const Sale = require("../models/Sale");
 const Purchase = require("../models/Purchase");
 const Supplier = require("../models/Supplier");
 const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { roundCurrency } = require("../utils/taxUtils");
+const {
+  isValidTimeZone,
+  isValidDateString,
+  startOfZonedDay,
+  toZonedDateString,
+  toZonedHourString,
+  addDays,
+  daysBetween,
+  toIsoWeekString,
+} = require("../utils/dateUtils");
+const {
+  saleLineProfitStages,
+  profitTotals,
+  formatProfit,
+} = require("../utils/profitUtils");
 
 const getDashboardOverview = async (req, res, next) => {
   try {
@@ -16,123 +32,261 @@ const getDashboardOverview = async (req, res, next) => {
       : new Date(new Date().setDate(new Date().getDate() - 30));
     const end = endDate ? new Date(endDate) : new Date();
 
-    const [stockMetrics, salesOrders, purchaseOrders, activeSuppliers] =
-      await Promise.all([
-        // 1. aggregating core inventory metrics scoped to user
-        Stock.aggregate([
-          {
-            $lookup: {
-              from: "products",
-              localField: "product",
-              foreignField: "_id",
-              as: "productInfo",
-            },
+    const [
+      stockMetrics,
+      salesOrders,
+      purchaseOrders,
+      activeSuppliers,
+      salesByTender,
+      overduePayables,
+      salesProfit,
+    ] = await Promise.all([
+      // 1. aggregating core inventory metrics scoped to user
+      Stock.aggregate([
+        // stock is kept per location, the metrics are per product
+        {
+          $group: { _id: "$product", currentStock: { $sum: "$currentStock" } },
+        },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "productInfo",
           },
-          { $unwind: "$productInfo" },
-          {
-            $match: {
-              "productInfo.createdBy": authenticatedUserId,
-              "productInfo.isActive": true,
-            },
+        },
+        { $unwind: "$productInfo" },
+        {
+          $match: {
+            "productInfo.createdBy": authenticatedUserId,
+            "productInfo.isActive": true,
           },
-          {
-            $group: {
-              _id: null,
-              totalStockItems: { $sum: "$currentStock" },
-              inventoryPurchaseValue: {
-                $sum: {
-                  $multiply: ["$currentStock", "$productInfo.purchasePrice"],
+        },
+        // stock is valued at cost from the open cost layers, stock from before
+        // costing existed has no layer yet and counts at the purchase price
+        {
+          $lookup: {
+            from: "costlayers",
+            let: { productId: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ["$product", "$$productId"] },
+                      { $gt: ["$remainingQuantity", 0] },
+                    ],
+                  },
                 },
               },
-              inventorySellingValue: {
-                $sum: {
-                  $multiply: ["$currentStock", "$productInfo.sellingPrice"],
+              {
+                $group: {
+                  _id: null,
+                  quantity: { $sum: "$remainingQuantity" },
+                  value: {
+                    $sum: { $multiply: ["$remainingQuantity", "$unitCost"] },
+                  },
                 },
               },
-              activeProducts: { $sum: 1 },
-              lowStockCount: {
-                $sum: {
-                  $cond: [
-                    {
-                      $and: [
-                        { $gt: ["$currentStock", 0] },
-                        {
-                          $lte: ["$currentStock", "$productInfo.minStockLevel"],
-                        },
-                      ],
-                    },
-                    1,
-                    0,
-                  ],
-                },
+            ],
+            as: "costInfo",
+          },
+        },
+        { $addFields: { costInfo: { $first: "$costInfo" } } },
+        {
+          $group: {
+            _id: null,
+            totalStockItems: { $sum: "$currentStock" },
+            inventoryPurchaseValue: {
+              $sum: {
+                $add: [
+                  { $ifNull: ["$costInfo.value", 0] },
+                  {
+                    $multiply: [
+                      {
+                        $max: [
+                          {
+                            $subtract: [
+                              "$currentStock",
+                              { $ifNull: ["$costInfo.quantity", 0] },
+                            ],
+                          },
+                          0,
+                        ],
+                      },
+                      "$productInfo.purchasePrice",
+                    ],
+                  },
+                ],
+              },
+            },
+            inventorySellingValue: {
+              $sum: {
+                $multiply: ["$currentStock", "$productInfo.sellingPrice"],
               },
-              outOfStockCount: {
-                $sum: { $cond: [{ $eq: ["$currentStock", 0] }, 1, 0] },
+            },
+            activeProducts: { $sum: 1 },
+            lowStockCount: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $gt: ["$currentStock", 0] },
+                      {
+                        $lte: ["$currentStock", "$productInfo.minStockLevel"],
+                      },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
               },
             },
-          },
-        ]),
-
-        // 2. Aggregate sales data for the period scoped to user
-        Sale.aggregate([
-          {
-            $match: {
-              createdBy: authenticatedUserId,
-              saleDate: { $gte: start, $lte: end },
+            outOfStockCount: {
+              $sum: { $cond: [{ $eq: ["$currentStock", 0] }, 1, 0] },
             },
           },
-          {
-            $group: {
-              _id: null,
-              totalRevenue: { $sum: "$totalAmount" },
-              totalSalesOrders: { $sum: 1 },
-            },
+        },
+      ]),
+
+      // 2. Aggregate sales data for the period scoped to user
+      Sale.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            saleDate: { $gte: start, $lte: end },
           },
-        ]),
-
-        // 3. Aggregate purchase data
-        Purchase.aggregate([
-          {
-            $match: {
-              createdBy: authenticatedUserId,
-              orderDate: { $gte: start, $lte: end },
+        },
+        {
+          $group: {
+            _id: null,
+            // revenue is net of anything returned against the sale
+            totalRevenue: {
+              $sum: {
+                $subtract: [
+                  "$totalAmount",
+                  { $ifNull: ["$returnedAmount", 0] },
+                ],
+              },
             },
+            totalReturns: { $sum: { $ifNull: ["$returnedAmount", 0] } },
+            totalSalesOrders: { $sum: 1 },
+          },
+        },
+      ]),
+
+      // 3. Aggregate purchase data
+      Purchase.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            orderDate: { $gte: start, $lte: end },
           },
-          {
-            $group: {
-              _id: null,
-              totalPurchaseCosts: { $sum: "$totalAmount" },
-              totalPurchaseOrders: { $sum: 1 },
+        },
+        {
+          $group: {
+            _id: null,
+            totalPurchaseCosts: { $sum: "$totalAmount" },
+            totalPurchaseOrders: { $sum: 1 },
+          },
+        },
+      ]),
+
+      // 4. Count active suppliers
+      Supplier.countDocuments({
+        createdBy: authenticatedUserId,
+        isActive: true,
+      }),
+
+      // 5. Amount collected per tender, older sales have a single paymentMethod
+      Sale.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            saleDate: { $gte: start, $lte: end },
+          },
+        },
+        {
+          $project: {
+            payments: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ["$payments", []] } }, 0] },
+                "$payments",
+                [{ method: "$paymentMethod", amount: "$totalAmount" }],
+              ],
             },
           },
-        ]),
+        },
+        { $unwind: "$payments" },
+        {
+          $group: {
+            _id: "$payments.method",
+            amount: { $sum: "$payments.amount" },
+            paymentCount: { $sum: 1 },
+          },
+        },
+        { $sort: { amount: -1 } },
+      ]),
+
+      // 6. Received (or partly received) purchase orders past their due date, oldest first
+      Purchase.find({
+        createdBy: authenticatedUserId,
+        purchaseStatus: { $in: ["partially_received", "received"] },
+        balanceDue: { $gt: 0 },
+        dueDate: { $lt: new Date() },
+      })
+        .select("purchaseNumber supplier totalAmount balanceDue dueDate")
+        .populate("supplier", "name phone")
+        .sort({ dueDate: 1 })
+        .lean(),
 
-        // 4. Count active suppliers
-        Supplier.countDocuments({
+      // 7. Gross profit of the period's sales at the cost they were sold at
+      Sale.aggregate([
+        ...saleLineProfitStages({
           createdBy: authenticatedUserId,
-          isActive: true,
+          saleDate: { $gte: start, $lte: end },
         }),
-      ]);
+        { $group: { _id: null, ...profitTotals } },
+      ]),
+    ]);
 
     // Extract results and provide default values if no data exists
     const stockResults = stockMetrics[0] || {};
     const salesResults = salesOrders[0] || {};
     const purchaseResults = purchaseOrders[0] || {};
+    const profitResults = salesProfit[0]
+      ? formatProfit(salesProfit[0])
+      : { grossProfit: 0, margin: null };
 
     // final response
-    
+
     const overview = {
       totalStockItems: stockResults.totalStockItems || 0,
-      inventoryPurchaseValue: stockResults.inventoryPurchaseValue || 0,
+      inventoryPurchaseValue: roundCurrency(
+        stockResults.inventoryPurchaseValue || 0
+      ),
       inventorySellingValue: stockResults.inventorySellingValue || 0,
       activeProducts: stockResults.activeProducts || 0,
       lowStockCount: stockResults.lowStockCount || 0,
       outOfStockCount: stockResults.outOfStockCount || 0,
       totalSalesOrders: salesResults.totalSalesOrders || 0,
       totalRevenue: salesResults.totalRevenue || 0,
+      totalReturns: salesResults.totalReturns || 0,
+      grossProfit: profitResults.grossProfit,
+      grossMargin: profitResults.margin,
+      revenueByTender: salesByTender.map((row) => ({
+        method: row._id,
+        amount: row.amount,
+        paymentCount: row.paymentCount,
+      })),
       totalPurchaseOrders: purchaseResults.totalPurchaseOrders || 0,
       totalPurchaseCosts: purchaseResults.totalPurchaseCosts || 0,
       activeSuppliers: activeSuppliers || 0,
+      overduePayablesAmount: overduePayables.reduce(
+        (sum, purchase) => sum + purchase.balanceDue,
+        0
+      ),
+      overduePayables,
     };
 
     return successResponse(
@@ -146,6 +300,247 @@ const getDashboardOverview = async (req, res, next) => {
   }
 };
 
+// bucket labels as Mongo's $dateToString writes them
+const INTERVAL_FORMATS = {
+  hour: "%Y-%m-%dT%H:00",
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+const MAX_BUCKETS = 1000;
+
+// every bucket label from the first to the last day, so empty buckets show up
+const listBuckets = (firstDay, lastDay, interval, timeZone) => {
+  if (interval === "hour") {
+    const labels = new Set();
+    const end = startOfZonedDay(addDays(lastDay, 1), timeZone).getTime();
+    for (
+      let time = startOfZonedDay(firstDay, timeZone).getTime();
+      time < end;
+      time += 3600000
+    ) {
+      labels.add(toZonedHourString(new Date(time), timeZone));
+    }
+    return [...labels];
+  }
+
+  const labels = new Set();
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    if (interval === "day") labels.add(day);
+    if (interval === "week") labels.add(toIsoWeekString(day));
+    if (interval === "month") labels.add(day.slice(0, 7));
+  }
+  return [...labels];
+};
+
+const emptyMetrics = () => ({
+  revenue: 0,
+  orderCount: 0,
+  unitsSold: 0,
+  purchaseSpend: 0,
+});
+
+const formatMetrics = (metrics) => ({
+  revenue: roundCurrency(metrics.revenue),
+  orderCount: metrics.orderCount,
+  unitsSold: metrics.unitsSold,
+  averageBasketValue: metrics.orderCount
+    ? roundCurrency(metrics.revenue / metrics.orderCount)
+    : 0,
+  purchaseSpend: roundCurrency(metrics.purchaseSpend),
+});
+
+// change from the previous period in %, null when there is nothing to compare to
+const percentChange = (current, previous) =>
+  previous ? roundCurrency(((current - previous) / previous) * 100) : null;
+
+// GET /api/dashboard/analytics - Sales and purchase metrics per hour, day, week or month
+// Days are counted in the shop's time zone (settings.timeZone, or ?timeZone=).
+// The previous period is the same number of days right before startDate.
+const getSalesAnalytics = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const { interval = "day" } = req.query;
+  const timeZone =
+    req.query.timeZone || req.user.settings?.timeZone || "UTC";
+
+  if (!INTERVAL_FORMATS[interval]) {
+    return errorResponse(
+      res,
+      `Interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(", ")}.`,
+      400
+    );
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return errorResponse(res, "Invalid time zone provided.", 400);
+  }
+
+  // defaults to the last 30 days, today included
+  const today = toZonedDateString(new Date(), timeZone);
+  const lastDay = req.query.endDate || today;
+  const firstDay = req.query.startDate || addDays(lastDay, -29);
+
+  if (!isValidDateString(firstDay) || !isValidDateString(lastDay)) {
+    return errorResponse(
+      res,
+      "Dates must be given as YYYY-MM-DD.",
+      400
+    );
+  }
+  if (firstDay > lastDay) {
+    return errorResponse(res, "startDate must be before endDate.", 400);
+  }
+
+  const dayCount = daysBetween(firstDay, lastDay) + 1;
+  const previousFirstDay = addDays(firstDay, -dayCount);
+  const previousLastDay = addDays(firstDay, -1);
+
+  const buckets = listBuckets(firstDay, lastDay, interval, timeZone);
+  if (buckets.length > MAX_BUCKETS) {
+    return errorResponse(
+      res,
+      "Too many buckets for this date range, choose a longer interval.",
+      400
+    );
+  }
+  const previousBuckets = listBuckets(
+    previousFirstDay,
+    previousLastDay,
+    interval,
+    timeZone
+  );
+
+  const start = startOfZonedDay(firstDay, timeZone);
+  const end = startOfZonedDay(addDays(lastDay, 1), timeZone);
+  const previousStart = startOfZonedDay(previousFirstDay, timeZone);
+
+  const bucketOf = (dateField) => ({
+    $dateToString: {
+      format: INTERVAL_FORMATS[interval],
+      date: dateField,
+      timezone: timeZone,
+    },
+  });
+
+  try {
+    // both periods in one pass, their buckets do not overlap
+    const [salesBuckets, purchaseBuckets] = await Promise.all([
+      Sale.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            saleDate: { $gte: previousStart, $lt: end },
+          },
+        },
+        {
+          $group: {
+            _id: bucketOf("$saleDate"),
+            // net of anything returned against the sale, like the overview
+            revenue: {
+              $sum: {
+                $subtract: [
+                  "$totalAmount",
+                  { $ifNull: ["$returnedAmount", 0] },
+                ],
+              },
+            },
+            orderCount: { $sum: 1 },
+            unitsSold: {
+              $sum: {
+                $reduce: {
+                  input: "$items",
+                  initialValue: 0,
+                  in: {
+                    $add: [
+                      "$$value",
+                      "$$this.quantity",
+                      { $multiply: [-1, { $ifNull: ["$$this.returnedQuantity", 0] }] },
+                    ],
+                  },
+                },
+              },
+            },
+          },
+        },
+      ]),
+      Purchase.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            purchaseStatus: { $nin: ["draft", "cancelled"] },
+            orderDate: { $gte: previousStart, $lt: end },
+          },
+        },
+        {
+          $group: {
+            _id: bucketOf("$orderDate"),
+            purchaseSpend: { $sum: "$totalAmount" },
+          },
+        },
+      ]),
+    ]);
+
+    const metricsByBucket = new Map();
+    const metricsOf = (label) => {
+      if (!metricsByBucket.has(label)) {
+        metricsByBucket.set(label, emptyMetrics());
+      }
+      return metricsByBucket.get(label);
+    };
+    for (const row of salesBuckets) {
+      Object.assign(metricsOf(row._id), {
+        revenue: row.revenue,
+        orderCount: row.orderCount,
+        unitsSold: row.unitsSold,
+      });
+    }
+    for (const row of purchaseBuckets) {
+      metricsOf(row._id).purchaseSpend = row.purchaseSpend;
+    }
+
+    const summarise = (labels) => {
+      const totals = emptyMetrics();
+      const series = labels.map((label) => {
+        const metrics = metricsByBucket.get(label) || emptyMetrics();
+        for (const key of Object.keys(totals)) totals[key] += metrics[key];
+        return { period: label, ...formatMetrics(metrics) };
+      });
+      return { totals: formatMetrics(totals), series };
+    };
+
+    const current = summarise(buckets);
+    const previous = summarise(previousBuckets);
+
+    const analytics = {
+      interval,
+      timeZone,
+      period: { startDate: firstDay, endDate: lastDay },
+      totals: current.totals,
+      series: current.series,
+      previous: {
+        period: { startDate: previousFirstDay, endDate: previousLastDay },
+        totals: previous.totals,
+        series: previous.series,
+      },
+      change: Object.fromEntries(
+        Object.keys(current.totals).map((key) => [
+          key,
+          percentChange(current.totals[key], previous.totals[key]),
+        ])
+      ),
+    };
+
+    return successResponse(
+      res,
+      "Sales analytics retrieved successfully.",
+      analytics
+    );
+  } catch (error) {
+    console.error("Sales analytics error:", error);
+    next(error);
+  }
+};
+
 module.exports = {
   getDashboardOverview,
+  getSalesAnalytics,
 };
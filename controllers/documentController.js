@@ -0,0 +1,103 @@
+// controllers/documentController.js
+const Sale = require("../models/Sale");
+const Purchase = require("../models/Purchase");
+const { errorResponse } = require("../utils/responseHandler");
+const {
+  buildSaleDocument,
+  buildPurchaseDocument,
+  renderHtml,
+  renderPdf,
+} = require("../utils/documentRenderer");
+
+const DOCUMENT_FORMATS = ["html", "pdf"];
+
+const sendDocument = async (res, document, format, download) => {
+  if (format === "pdf") {
+    const pdf = await renderPdf(document);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${
+        download ? "attachment" : "inline"
+      }; filename="${document.number}.pdf"`,
+    });
+    return res.status(200).send(pdf);
+  }
+
+  res.set("Content-Type", "text/html; charset=utf-8");
+  return res.status(200).send(renderHtml(document));
+};
+
+// GET /api/sales/sale/invoice/:saleId - Printable invoice for a sale (?format=html|pdf)
+const getSaleInvoice = async (req, res, next) => {
+  const { saleId } = req.params;
+  const { format = "html", download } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    return errorResponse(res, "Format must be 'html' or 'pdf'.", 400);
+  }
+
+  try {
+    const sale = await Sale.findOne({
+      _id: saleId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("items.product", "name sku unit")
+      .populate("customer", "firstName lastName phone email")
+      .lean();
+
+    if (!sale) {
+      return errorResponse(res, "Sale not found.", 404);
+    }
+
+    return await sendDocument(
+      res,
+      buildSaleDocument(sale, req.user),
+      format,
+      download === "true"
+    );
+  } catch (err) {
+    console.error("Error generating sale invoice:", err);
+    next(err);
+  }
+};
+
+// GET /api/purchases/purchase/order/:purchaseId - Printable purchase order (?format=html|pdf)
+const getPurchaseOrderDocument = async (req, res, next) => {
+  const { purchaseId } = req.params;
+  const { format = "html", download } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    return errorResponse(res, "Format must be 'html' or 'pdf'.", 400);
+  }
+
+  try {
+    const purchase = await Purchase.findOne({
+      _id: purchaseId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("supplier", "name phone email")
+      .populate("items.product", "name sku unit")
+      .lean();
+
+    if (!purchase) {
+      return errorResponse(res, "Purchase not found.", 404);
+    }
+
+    return await sendDocument(
+      res,
+      buildPurchaseDocument(purchase, req.user),
+      format,
+      download === "true"
+    );
+  } catch (err) {
+    console.error("Error generating purchase order:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  getSaleInvoice,
+  getPurchaseOrderDocument,
+};
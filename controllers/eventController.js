@@ -0,0 +1,40 @@
+// controllers/eventController.js
+const { addStream, issueStreamTicket } = require("../utils/realtime");
+const { successResponse } = require("../utils/responseHandler");
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// GET /api/events/stream - Server-sent events of the user's shop
+// stock.changed, sale.created, purchase.received and notification.created,
+// each once it is committed. The connection stays open; a comment is sent
+// every 25 seconds so proxies do not close it while the shop is quiet.
+const streamEvents = (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  // browsers reconnect by themselves, after 5 seconds
+  res.write("retry: 5000\n\n");
+
+  const removeStream = addStream(req.user._id, res);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    removeStream();
+  });
+};
+
+// POST /api/events/ticket - A single-use ticket to open the event stream with
+// from EventSource, valid for 30 seconds
+const createStreamTicket = (req, res) => {
+  const ticket = issueStreamTicket(req.user._id);
+  return successResponse(res, "Stream ticket issued.", ticket, 201);
+};
+
+module.exports = {
+  createStreamTicket,
+  streamEvents,
+};
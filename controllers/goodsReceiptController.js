@@ -0,0 +1,287 @@
+// controllers/goodsReceiptController.js
+const mongoose = require("mongoose");
+const Purchase = require("../models/Purchase");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Product = require("../models/Product");
+const Location = require("../models/Location");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+
+// POST /api/purchases/purchase/receipt/:purchaseId - Receive part of a purchase
+// transactional stock updates, one goods receipt note per delivery
+const createGoodsReceipt = async (req, res, next) => {
+  const { purchaseId } = req.params;
+  const { items, location: locationId, notes } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return errorResponse(
+      res,
+      "A goods receipt must include at least one item.",
+      400
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const purchase = await Purchase.findOne({
+      _id: purchaseId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!purchase) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Purchase not found.", 404);
+    }
+
+    if (purchase.purchaseStatus === "draft") {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Place the draft purchase order before receiving it.",
+        400
+      );
+    }
+    if (!["ordered", "partially_received"].includes(purchase.purchaseStatus)) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Cannot receive a purchase that is already ${purchase.purchaseStatus}.`,
+        400
+      );
+    }
+
+    // the purchase's receiving location unless the delivery went elsewhere
+    const location = await Location.resolve(
+      authenticatedUserId,
+      locationId || purchase.location,
+      session
+    );
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    // quantities requested per purchase line, so repeated lines add up
+    // (a line can arrive in several lots)
+    const requested = new Map();
+    const lines = [];
+
+    for (const item of items) {
+      if (!item.purchaseItem && !item.product) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each received item must reference a purchase item or product.",
+          400
+        );
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each received item must have a positive whole quantity.",
+          400
+        );
+      }
+      if (item.expiryDate && isNaN(new Date(item.expiryDate))) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(res, "Invalid expiry date provided.", 400);
+      }
+
+      const line = item.purchaseItem
+        ? purchase.items.id(item.purchaseItem)
+        : purchase.items.find(
+            (purchaseItem) =>
+              purchaseItem.product.toString() === item.product.toString()
+          );
+
+      if (!line) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Item ${
+            item.purchaseItem || item.product
+          } is not part of this purchase.`,
+          400
+        );
+      }
+
+      const lineId = line._id.toString();
+      const quantity = (requested.get(lineId) || 0) + item.quantity;
+      const outstanding =
+        line.quantity - line.receivedQuantity - line.cancelledQuantity;
+
+      if (quantity > outstanding) {
+        const product = await Product.findById(line.product, { name: 1 });
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Cannot receive ${quantity} of ${product.name}. Only ${outstanding} is outstanding.`,
+          400
+        );
+      }
+      requested.set(lineId, quantity);
+      lines.push({
+        purchaseItem: lineId,
+        quantity: item.quantity,
+        lotNumber: item.lotNumber,
+        expiryDate: item.expiryDate,
+      });
+    }
+
+    const goodsReceipt = await GoodsReceipt.recordReceipt(
+      purchase,
+      lines,
+      { location: location._id, notes },
+      authenticatedUserId,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await goodsReceipt.populate([
+      { path: "items.product", select: "name sku unit" },
+      {
+        path: "purchase",
+        select: "purchaseNumber purchaseStatus items balanceDue",
+      },
+    ]);
+
+    return successResponse(
+      res,
+      "Goods receipt recorded successfully.",
+      goodsReceipt,
+      201
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error creating goods receipt:", err);
+    next(err);
+  }
+};
+
+// GET /api/purchases/receipts - Get all goods receipts
+const getAllGoodsReceipts = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "receivedDate",
+    sortOrder = "desc",
+    purchase,
+    supplier,
+    location,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const query = { createdBy: authenticatedUserId };
+
+  if (search) {
+    query.receiptNumber = { $regex: search, $options: "i" };
+  }
+  if (purchase) {
+    query.purchase = purchase;
+  }
+  if (supplier) {
+    query.supplier = supplier;
+  }
+  if (location) {
+    query.location = location;
+  }
+
+  if (startDate || endDate) {
+    query.receivedDate = {};
+    if (startDate) query.receivedDate.$gte = new Date(startDate);
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.receivedDate.$lte = endOfDay;
+    }
+  }
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  try {
+    const goodsReceipts = await GoodsReceipt.find(query)
+      .populate("items.product", "name sku unit")
+      .populate("purchase", "purchaseNumber")
+      .populate("supplier", "name")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parsedLimit)
+      .lean();
+
+    const total = await GoodsReceipt.countDocuments(query);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    const data = {
+      items: goodsReceipts,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(res, "Goods receipts retrieved successfully.", data);
+  } catch (err) {
+    console.error("Error fetching goods receipts: ", err);
+    next(err);
+  }
+};
+
+// GET /api/purchases/receipts/receipt/:receiptId - Get a single goods receipt
+const getGoodsReceiptById = async (req, res, next) => {
+  const { receiptId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const goodsReceipt = await GoodsReceipt.findOne({
+      _id: receiptId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("items.product", "name sku unit")
+      .populate("purchase", "purchaseNumber orderDate purchaseStatus")
+      .populate("supplier", "name phone email")
+      .populate("location", "name")
+      .lean();
+
+    if (!goodsReceipt) {
+      return errorResponse(res, "Goods receipt not found.", 404);
+    }
+    return successResponse(
+      res,
+      "Goods receipt retrieved successfully.",
+      goodsReceipt
+    );
+  } catch (err) {
+    console.error("Error fetching goods receipt:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createGoodsReceipt,
+  getAllGoodsReceipts,
+  getGoodsReceiptById,
+};
@@ -0,0 +1,357 @@
+// controllers/locationController.js
+const mongoose = require("mongoose");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+
+const LOCATION_TYPES = Location.schema.path("type").enumValues;
+const UPDATABLE_FIELDS = ["name", "type", "address", "notes", "isDefault"];
+
+// units and products in stock per location
+const getStockTotals = async (locationIds) => {
+  const totals = await Stock.aggregate([
+    { $match: { location: { $in: locationIds } } },
+    {
+      $group: {
+        _id: "$location",
+        totalUnits: { $sum: "$currentStock" },
+        productsInStock: {
+          $sum: { $cond: [{ $gt: ["$currentStock", 0] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+  return new Map(totals.map((total) => [total._id.toString(), total]));
+};
+
+// only one location of an owner can be the default (a unique index), so the
+// current default is cleared in the same transaction
+const makeDefault = async (location) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Location.updateMany(
+        {
+          createdBy: location.createdBy,
+          isDefault: true,
+          _id: { $ne: location._id },
+        },
+        { $set: { isDefault: false } },
+        { session }
+      );
+      location.isDefault = true;
+      await location.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// POST /api/locations/create - Create a stock location
+const createLocation = async (req, res, next) => {
+  const { name, type, address, notes, isDefault } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!name || !name.trim()) {
+    return errorResponse(res, "Location name is required.", 400);
+  }
+  if (type && !LOCATION_TYPES.includes(type)) {
+    return errorResponse(
+      res,
+      `Location type must be one of: ${LOCATION_TYPES.join(", ")}.`,
+      400
+    );
+  }
+
+  try {
+    // the default location is created first so existing stock has a home
+    await Location.getDefault(authenticatedUserId);
+
+    const existingLocation = await Location.findOne({
+      name: { $regex: `^${name.trim()}$`, $options: "i" },
+      createdBy: authenticatedUserId,
+    });
+    if (existingLocation) {
+      return errorResponse(res, "Location with this name already exists.", 409);
+    }
+
+    const location = await Location.create({
+      name,
+      type,
+      address,
+      notes,
+      createdBy: authenticatedUserId,
+    });
+    if (isDefault === true) {
+      await makeDefault(location);
+    }
+
+    return successResponse(
+      res,
+      "Location created successfully.",
+      location,
+      201
+    );
+  } catch (err) {
+    console.error("Create location error:", err);
+    next(err);
+  }
+};
+
+// GET /api/locations - Get all locations with the stock they hold
+const getAllLocations = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "createdAt",
+    sortOrder = "asc",
+    search,
+    type,
+    isActive,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  const query = { createdBy: authenticatedUserId };
+  if (search) {
+    query.name = { $regex: search, $options: "i" };
+  }
+  if (type) {
+    query.type = type;
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
+  try {
+    await Location.getDefault(authenticatedUserId);
+
+    const [locations, total] = await Promise.all([
+      Location.find(query)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(parsedLimit)
+        .lean(),
+      Location.countDocuments(query),
+    ]);
+    const totals = await getStockTotals(
+      locations.map((location) => location._id)
+    );
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    const data = {
+      items: locations.map((location) => ({
+        ...location,
+        totalUnits: totals.get(location._id.toString())?.totalUnits || 0,
+        productsInStock:
+          totals.get(location._id.toString())?.productsInStock || 0,
+      })),
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(res, "Locations retrieved successfully.", data);
+  } catch (err) {
+    console.error("Get all locations error:", err);
+    next(err);
+  }
+};
+
+// GET /api/locations/location/:locationId - Get a single location
+const getLocationById = async (req, res, next) => {
+  const { locationId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  if (!mongoose.Types.ObjectId.isValid(locationId)) {
+    return errorResponse(res, "Invalid location ID format.", 400);
+  }
+
+  try {
+    const location = await Location.findOne({
+      _id: locationId,
+      createdBy: authenticatedUserId,
+    }).lean();
+
+    if (!location) {
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    const totals = await getStockTotals([location._id]);
+    return successResponse(res, "Location retrieved successfully.", {
+      ...location,
+      totalUnits: totals.get(location._id.toString())?.totalUnits || 0,
+      productsInStock:
+        totals.get(location._id.toString())?.productsInStock || 0,
+    });
+  } catch (err) {
+    console.error("Get location by ID error:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/locations/location/update/:locationId - Update a location
+// isDefault: true makes it the default location instead of the current one
+const updateLocation = async (req, res, next) => {
+  const { locationId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  const updateData = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  }
+
+  if (updateData.type && !LOCATION_TYPES.includes(updateData.type)) {
+    return errorResponse(
+      res,
+      `Location type must be one of: ${LOCATION_TYPES.join(", ")}.`,
+      400
+    );
+  }
+
+  try {
+    const location = await Location.findOne({
+      _id: locationId,
+      createdBy: authenticatedUserId,
+    });
+    if (!location) {
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    if (updateData.isDefault === false && location.isDefault) {
+      return errorResponse(
+        res,
+        "Make another location the default instead.",
+        400
+      );
+    }
+    if (updateData.isDefault === true && !location.isActive) {
+      return errorResponse(
+        res,
+        "An inactive location cannot be the default.",
+        400
+      );
+    }
+
+    if (updateData.name && updateData.name !== location.name) {
+      const duplicateName = await Location.findOne({
+        name: { $regex: `^${updateData.name.trim()}$`, $options: "i" },
+        createdBy: authenticatedUserId,
+        _id: { $ne: locationId },
+      });
+      if (duplicateName) {
+        return errorResponse(
+          res,
+          "You already have a location with this name.",
+          409
+        );
+      }
+    }
+
+    const becomesDefault = updateData.isDefault === true && !location.isDefault;
+    delete updateData.isDefault;
+
+    Object.assign(location, updateData);
+    await location.save();
+    if (becomesDefault) {
+      await makeDefault(location);
+    }
+
+    return successResponse(res, "Location updated successfully.", location);
+  } catch (err) {
+    console.error("Update location error:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/locations/location/deactivate/:locationId - Deactivate an empty location
+const deactivateLocation = async (req, res, next) => {
+  const { locationId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const location = await Location.findOne({
+      _id: locationId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!location) {
+      return errorResponse(res, "Location not found.", 404);
+    }
+    if (!location.isActive) {
+      return errorResponse(res, "Location is already inactive.", 400);
+    }
+    if (location.isDefault) {
+      return errorResponse(
+        res,
+        "The default location cannot be deactivated.",
+        400
+      );
+    }
+
+    const holdsStock = await Stock.exists({
+      location: location._id,
+      currentStock: { $gt: 0 },
+    });
+    if (holdsStock) {
+      return errorResponse(
+        res,
+        "Transfer the stock out of this location before deactivating it.",
+        400
+      );
+    }
+
+    location.isActive = false;
+    await location.save();
+
+    return successResponse(res, "Location deactivated successfully.", location);
+  } catch (err) {
+    console.error("Deactivate location error:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/locations/location/activate/:locationId - Activate a location
+const activateLocation = async (req, res, next) => {
+  const { locationId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const location = await Location.findOne({
+      _id: locationId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!location) {
+      return errorResponse(res, "Location not found.", 404);
+    }
+    if (location.isActive) {
+      return errorResponse(res, "Location is already active.", 400);
+    }
+
+    location.isActive = true;
+    await location.save();
+
+    return successResponse(res, "Location activated successfully.", location);
+  } catch (err) {
+    console.error("Activate location error:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createLocation,
+  getAllLocations,
+  getLocationById,
+  updateLocation,
+  deactivateLocation,
+  activateLocation,
+};
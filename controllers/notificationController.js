@@ -0,0 +1,127 @@
+// controllers/notificationController.js
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+
+// GET /api/notifications - Get the user's notifications, newest first
+// ?unread=true for the unread ones, ?type= for one kind
+const getNotifications = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const { page = 1, limit = 20, unread, type } = req.query;
+
+  const query = { user: authenticatedUserId };
+  if (unread === "true") query.readAt = null;
+  if (type) query.type = type;
+
+  const parsedPage = parseInt(page, 10) || 1;
+  const parsedLimit = parseInt(limit, 10) || 20;
+
+  try {
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parsedPage - 1) * parsedLimit)
+        .limit(parsedLimit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({
+        user: authenticatedUserId,
+        readAt: null,
+      }),
+    ]);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    return successResponse(res, "Notifications retrieved successfully.", {
+      items: notifications,
+      unreadCount,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    });
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/notifications/notification/read/:notificationId - Mark a notification as read
+const markNotificationRead = async (req, res, next) => {
+  const { notificationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return errorResponse(res, "Invalid notification ID.", 400);
+  }
+
+  try {
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      user: req.user._id,
+    });
+    if (!notification) {
+      return errorResponse(res, "Notification not found.", 404);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return successResponse(res, "Notification marked as read.", notification);
+  } catch (err) {
+    console.error("Error marking notification as read:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/notifications/read-all - Mark all of the user's notifications as read
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    return successResponse(res, "All notifications marked as read.", {
+      updatedCount: result.modifiedCount,
+    });
+  } catch (err) {
+    console.error("Error marking notifications as read:", err);
+    next(err);
+  }
+};
+
+// DELETE /api/notifications/notification/delete/:notificationId - Delete a notification
+const deleteNotification = async (req, res, next) => {
+  const { notificationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return errorResponse(res, "Invalid notification ID.", 400);
+  }
+
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: notificationId,
+      user: req.user._id,
+    });
+    if (!notification) {
+      return errorResponse(res, "Notification not found.", 404);
+    }
+
+    return successResponse(res, "Notification deleted successfully.");
+  } catch (err) {
+    console.error("Error deleting notification:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+};
@@ -2,14 +2,32 @@
 const mongoose = require("mongoose");
 const Product = require("../models/Product");
 const Stock = require("../models/Stock");
+const Location = require("../models/Location");
 const Category = require("../models/Category");
 const Supplier = require("../models/Supplier");
+const Sale = require("../models/Sale");
 
 const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { roundCurrency } = require("../utils/taxUtils");
+const { saleLineProfitStages } = require("../utils/profitUtils");
+const {
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  DEFAULT_THRESHOLDS,
+  classifyProducts,
+  parseClassFilter,
+} = require("../utils/classificationUtils");
+
+const { OPENING_LOT } = Stock;
 
 // POST /api/products/create - Create a product
 const createProduct = async (req, res, next) => {
-  const { initialStock = 0, ...productData } = req.body;
+  const {
+    initialStock = 0,
+    initialExpiryDate,
+    location: locationId,
+    ...productData
+  } = req.body;
   const authenticatedUserId = req.user._id;
 
   const requiredFields = [
@@ -65,29 +83,55 @@ const createProduct = async (req, res, next) => {
       throw new Error("Invalid or inactive supplier provided.");
     }
 
+    // the initial stock is recorded at this location
+    const location = await Location.resolve(
+      authenticatedUserId,
+      locationId,
+      session
+    );
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
+    }
+
     productData.createdBy = authenticatedUserId;
 
     const newProduct = new Product(productData);
     const savedProduct = await newProduct.save({ session });
 
-    const stock = new Stock({
-      product: savedProduct._id,
-      currentStock: initialStock,
-    });
+    let [stock] = await Stock.create(
+      [{ product: savedProduct._id, location: location._id }],
+      { session }
+    );
 
     if (initialStock > 0) {
-      stock.movementHistory.push({
-        movementType: "adjustment",
-        quantity: initialStock,
-        notes: "Initial stock upon product creation",
-        movedBy: authenticatedUserId,
-        sourceDocument: savedProduct._id,
-        sourceModel: "Product",
-      });
+      stock = await Stock.recordMovement(
+        savedProduct._id,
+        "adjustment",
+        initialStock,
+        "Initial stock upon product creation",
+        savedProduct._id,
+        "Product",
+        authenticatedUserId,
+        session,
+        {
+          location: location._id,
+          unitCost: savedProduct.purchasePrice,
+          batches: savedProduct.trackBatches
+            ? [
+                {
+                  lotNumber: OPENING_LOT,
+                  expiryDate: initialExpiryDate,
+                  quantity: initialStock,
+                  unitCost: savedProduct.purchasePrice,
+                },
+              ]
+            : [],
+        }
+      );
     }
 
-    await stock.save({ session });
-
     await session.commitTransaction();
     session.endSession();
 
@@ -126,6 +170,8 @@ const getAllProducts = async (req, res, next) => {
       minSellingPrice,
       maxSellingPrice,
       unit,
+      abcClass,
+      xyzClass,
     } = req.query;
 
     const authenticatedUserId = req.user._id;
@@ -161,6 +207,22 @@ const getAllProducts = async (req, res, next) => {
       matchStage.unit = unit;
     }
 
+    // e.g. abcClass=A or abcClass=A,B
+    if (abcClass) {
+      const abcFilter = parseClassFilter(abcClass, ABC_CLASSES);
+      if (!abcFilter) {
+        return errorResponse(res, "abcClass must be A, B or C.", 400);
+      }
+      matchStage["classification.abc"] = abcFilter;
+    }
+    if (xyzClass) {
+      const xyzFilter = parseClassFilter(xyzClass, XYZ_CLASSES);
+      if (!xyzFilter) {
+        return errorResponse(res, "xyzClass must be X, Y or Z.", 400);
+      }
+      matchStage["classification.xyz"] = xyzFilter;
+    }
+
     if (minPurchasePrice || maxPurchasePrice) {
       matchStage.purchasePrice = {};
       if (minPurchasePrice)
@@ -190,13 +252,10 @@ const getAllProducts = async (req, res, next) => {
       },
     });
 
-    pipeline.push({
-      $unwind: { path: "$stockInfo", preserveNullAndEmptyArrays: true },
-    });
-
+    // one stock record per location
     pipeline.push({
       $addFields: {
-        currentStock: { $ifNull: ["$stockInfo.currentStock", 0] },
+        currentStock: { $sum: "$stockInfo.currentStock" },
         minStockLevel: "$minStockLevel",
       },
     });
@@ -250,6 +309,7 @@ const getAllProducts = async (req, res, next) => {
         updatedAt: 1,
         createdBy: 1,
         currentStock: 1,
+        classification: 1,
       },
     });
 
@@ -307,8 +367,17 @@ const getProductById = async (req, res, next) => {
       return errorResponse(res, "Product not found.", 404);
     }
 
-    const stock = await Stock.findOne({ product: product._id }).lean();
-    product.currentStock = stock ? stock.currentStock : 0;
+    const stocks = await Stock.find({ product: product._id })
+      .populate("location", "name")
+      .lean();
+    product.currentStock = stocks.reduce(
+      (sum, stock) => sum + stock.currentStock,
+      0
+    );
+    product.stockByLocation = stocks.map((stock) => ({
+      location: stock.location,
+      currentStock: stock.currentStock,
+    }));
 
     return successResponse(res, "Product retrieved successfully.", product);
   } catch (err) {
@@ -322,6 +391,8 @@ const updateProduct = async (req, res, next) => {
   const { productId } = req.params;
   const updateData = req.body;
   const authenticatedUserId = req.user._id;
+  // set by the classification recalculation only
+  delete updateData.classification;
 
   try {
     const product = await Product.findOne({
@@ -365,6 +436,32 @@ const updateProduct = async (req, res, next) => {
       }
     }
 
+    // stock already on hand when tracking starts goes into an opening lot
+    // at every location
+    if (updateData.trackBatches === true && !product.trackBatches) {
+      const stocks = await Stock.find({ product: productId });
+      for (const stock of stocks) {
+        const untracked =
+          stock.currentStock -
+          stock.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+        if (untracked <= 0) continue;
+
+        const openingLot = stock.batches.find(
+          (batch) => batch.lotNumber === OPENING_LOT
+        );
+        if (openingLot) {
+          openingLot.quantity += untracked;
+        } else {
+          stock.batches.push({
+            lotNumber: OPENING_LOT,
+            quantity: untracked,
+            unitCost: product.purchasePrice,
+          });
+        }
+        await stock.save();
+      }
+    }
+
     const updatedProduct = await Product.findOneAndUpdate(
       { _id: productId, createdBy: authenticatedUserId },
       updateData,
@@ -479,6 +576,151 @@ const activateProduct = async (req, res, next) => {
   }
 };
 
+// POST /api/products/classification/recalculate - Classify every active product as A/B/C and X/Y/Z
+// ABC from the share of sales value (before tax, net of returns), XYZ from how
+// much weekly units sold vary, both over the last windowDays of sales. Meant to
+// be called periodically, e.g. weekly by a scheduler.
+const recalculateClassification = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const body = req.body || {};
+  const windowDays = parseInt(
+    body.windowDays ?? req.user.settings?.classificationWindowDays ?? 90,
+    10
+  );
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const key of Object.keys(DEFAULT_THRESHOLDS)) {
+    if (body[key] !== undefined) thresholds[key] = body[key];
+  }
+
+  if (isNaN(windowDays) || windowDays < 7 || windowDays > 730) {
+    return errorResponse(res, "Window must be between 7 and 730 days.", 400);
+  }
+  if (
+    Object.values(thresholds).some(
+      (value) => typeof value !== "number" || value < 0
+    ) ||
+    thresholds.aShare > thresholds.bShare ||
+    thresholds.bShare > 100 ||
+    thresholds.xVariation > thresholds.yVariation
+  ) {
+    return errorResponse(
+      res,
+      "Thresholds must be numbers with aShare <= bShare <= 100 and xVariation <= yVariation.",
+      400
+    );
+  }
+
+  try {
+    const calculatedAt = new Date();
+    const start = new Date(calculatedAt.getTime() - windowDays * 86400000);
+    // weeks are counted back from now, the days left over at the start of the
+    // window count towards sales value but not towards weekly demand, a part
+    // week would look like a dip in demand
+    const weekCount = Math.floor(windowDays / 7);
+
+    const products = await Product.find({
+      createdBy: authenticatedUserId,
+      isActive: true,
+    })
+      .select("_id")
+      .lean();
+
+    // units and sales value per product and week of the window, 0 the last
+    const weeklyRows = await Sale.aggregate([
+      ...saleLineProfitStages({
+        createdBy: authenticatedUserId,
+        saleDate: { $gte: start, $lte: calculatedAt },
+      }),
+      {
+        $group: {
+          _id: {
+            product: "$items.product",
+            week: {
+              $floor: {
+                $divide: [
+                  { $subtract: [calculatedAt, "$saleDate"] },
+                  7 * 86400000,
+                ],
+              },
+            },
+          },
+          units: { $sum: "$soldQuantity" },
+          value: { $sum: "$revenue" },
+        },
+      },
+    ]);
+
+    const history = new Map(
+      products.map((product) => [
+        product._id.toString(),
+        {
+          _id: product._id,
+          salesValue: 0,
+          weeklyUnits: new Array(weekCount).fill(0),
+        },
+      ])
+    );
+    for (const row of weeklyRows) {
+      const entry = history.get(row._id.product.toString());
+      if (!entry) continue; // inactive products
+      entry.salesValue += row.value;
+      if (row._id.week < weekCount) {
+        entry.weeklyUnits[row._id.week] += row.units;
+      }
+    }
+
+    const classes = classifyProducts([...history.values()], thresholds);
+
+    if (classes.size) {
+      await Product.bulkWrite(
+        [...classes.entries()].map(([productId, classification]) => ({
+          updateOne: {
+            filter: { _id: productId },
+            update: {
+              $set: {
+                classification: {
+                  ...classification,
+                  windowDays,
+                  calculatedAt,
+                },
+              },
+            },
+          },
+        }))
+      );
+    }
+    await Product.updateMany(
+      { createdBy: authenticatedUserId, isActive: false },
+      { $unset: { classification: "" } }
+    );
+
+    const matrix = {};
+    const byClass = {};
+    for (const { abc, xyz, salesValue } of classes.values()) {
+      matrix[`${abc}${xyz}`] = (matrix[`${abc}${xyz}`] || 0) + 1;
+      byClass[abc] = byClass[abc] || { productCount: 0, salesValue: 0 };
+      byClass[abc].productCount += 1;
+      byClass[abc].salesValue += salesValue;
+    }
+
+    return successResponse(res, "Products classified successfully.", {
+      windowDays,
+      thresholds,
+      calculatedAt,
+      productCount: classes.size,
+      abc: ABC_CLASSES.map((abc) => ({
+        class: abc,
+        productCount: byClass[abc]?.productCount || 0,
+        salesValue: roundCurrency(byClass[abc]?.salesValue || 0),
+      })),
+      matrix,
+    });
+  } catch (err) {
+    console.error("Recalculate classification error:", err);
+    next(err);
+  }
+};
+
 module.exports = {
   createProduct,
   getAllProducts,
@@ -486,4 +728,5 @@ module.exports = {
   updateProduct,
   deleteProduct,
   activateProduct,
+  recalculateClassification,
 };
@@ -2,9 +2,62 @@
 const Purchase = require("../models/Purchase");
 const Product = require("../models/Product");
 const Supplier = require("../models/Supplier");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Location = require("../models/Location");
 const Stock = require("../models/Stock");
+const Sale = require("../models/Sale");
 const { successResponse, errorResponse } = require("../utils/responseHandler");
 const mongoose = require("mongoose");
+const {
+  resolveTaxConfig,
+  calculateLineTax,
+  roundCurrency,
+} = require("../utils/taxUtils");
+const { saleLineProfitStages } = require("../utils/profitUtils");
+const { suggestReorder } = require("../utils/replenishmentUtils");
+
+// input tax follows the product/category settings unless the supplier invoice
+// states its own rate on the line
+const applyPurchaseItemTax = (item, product) => {
+  const config = resolveTaxConfig(product);
+  const taxRate =
+    typeof item.taxRate === "number" ? item.taxRate : config.taxRate;
+  const taxInclusive =
+    typeof item.taxInclusive === "boolean"
+      ? item.taxInclusive
+      : config.taxInclusive;
+
+  const lineTax = calculateLineTax(
+    item.quantity * item.unitCost,
+    taxRate,
+    taxInclusive
+  );
+  item.taxRate = taxRate;
+  item.taxInclusive = taxInclusive;
+  item.taxableAmount = lineTax.taxableAmount;
+  item.taxAmount = lineTax.taxAmount;
+  item.totalCost = lineTax.totalAmount;
+};
+
+// payment state only changes through receiving and supplier payments
+const PAYMENT_FIELDS = [
+  "payments",
+  "amountPaid",
+  "balanceDue",
+  "paymentStatus",
+  "dueDate",
+];
+
+const isValidPaymentTerms = (days) =>
+  Number.isInteger(days) && days >= 0 && days <= 365;
+
+const RECEIVABLE_STATUSES = ["ordered", "partially_received"];
+
+// drafts count as on order so that suggesting again does not order twice
+const OPEN_ORDER_STATUSES = ["draft", ...RECEIVABLE_STATUSES];
+
+const getOutstandingQuantity = (item) =>
+  item.quantity - (item.receivedQuantity || 0) - (item.cancelledQuantity || 0);
 
 // POST /api/purchases - Create a new purchase
 const createPurchase = async (req, res, next) => {
@@ -29,6 +82,32 @@ const createPurchase = async (req, res, next) => {
       return errorResponse(res, "Invalid or inactive supplier provided.", 400);
     }
 
+    // receiving location, deliveries go to the default location without one
+    if (purchaseData.location) {
+      const location = await Location.resolve(
+        authenticatedUserId,
+        purchaseData.location
+      );
+      if (!location) {
+        return errorResponse(
+          res,
+          "Invalid or inactive location provided.",
+          400
+        );
+      }
+    }
+
+    PAYMENT_FIELDS.forEach((field) => delete purchaseData[field]);
+    if (purchaseData.paymentTermsDays === undefined) {
+      purchaseData.paymentTermsDays = supplier.paymentTermsDays ?? 30;
+    } else if (!isValidPaymentTerms(purchaseData.paymentTermsDays)) {
+      return errorResponse(
+        res,
+        "Payment terms must be a whole number of days between 0 and 365.",
+        400
+      );
+    }
+
     if (!items || !Array.isArray(items) || items.length === 0) {
       return errorResponse(
         res,
@@ -63,7 +142,7 @@ const createPurchase = async (req, res, next) => {
       const product = await Product.findOne({
         _id: item.product,
         createdBy: authenticatedUserId,
-      });
+      }).populate("category", "taxRate taxInclusive");
       if (!product || !product.isActive) {
         return errorResponse(
           res,
@@ -71,7 +150,22 @@ const createPurchase = async (req, res, next) => {
           400
         );
       }
-      item.totalCost = item.quantity * item.unitCost;
+      if (
+        item.taxRate !== undefined &&
+        (typeof item.taxRate !== "number" ||
+          item.taxRate < 0 ||
+          item.taxRate > 100)
+      ) {
+        return errorResponse(
+          res,
+          `Invalid tax rate for product ${item.product}.`,
+          400
+        );
+      }
+      applyPurchaseItemTax(item, product);
+      // quantities are only booked through goods receipts
+      delete item.receivedQuantity;
+      delete item.cancelledQuantity;
     }
 
     if (purchaseData.purchaseNumber) {
@@ -214,7 +308,7 @@ const updatePurchase = async (req, res, next) => {
       return errorResponse(res, "Purchase not found.", 404);
     }
 
-    if (["received", "cancelled"].includes(purchase.purchaseStatus)) {
+    if (!["draft", "ordered"].includes(purchase.purchaseStatus)) {
       return errorResponse(
         res,
         `Cannot update a purchase that is already ${purchase.purchaseStatus}.`,
@@ -222,6 +316,20 @@ const updatePurchase = async (req, res, next) => {
       );
     }
 
+    PAYMENT_FIELDS.forEach((field) => delete updateData[field]);
+    // status changes through placing, receiving, closing and cancelling
+    delete updateData.purchaseStatus;
+    if (
+      updateData.paymentTermsDays !== undefined &&
+      !isValidPaymentTerms(updateData.paymentTermsDays)
+    ) {
+      return errorResponse(
+        res,
+        "Payment terms must be a whole number of days between 0 and 365.",
+        400
+      );
+    }
+
     if (
       updateData.purchaseNumber &&
       updateData.purchaseNumber !== purchase.purchaseNumber
@@ -270,7 +378,7 @@ const updatePurchase = async (req, res, next) => {
         const product = await Product.findOne({
           _id: item.product,
           createdBy: authenticatedUserId,
-        });
+        }).populate("category", "taxRate taxInclusive");
         if (!product || !product.isActive) {
           return errorResponse(
             res,
@@ -278,13 +386,22 @@ const updatePurchase = async (req, res, next) => {
             400
           );
         }
-        item.totalCost = item.quantity * item.unitCost;
+        applyPurchaseItemTax(item, product);
       }
 
+      // findByIdAndUpdate skips the pre-save hook, so totals are set here
       updateData.totalAmount = updateData.items.reduce(
         (sum, item) => sum + item.totalCost,
         0
       );
+      updateData.totalTax = updateData.items.reduce(
+        (sum, item) => sum + item.taxAmount,
+        0
+      );
+      updateData.subTotal = updateData.items.reduce(
+        (sum, item) => sum + item.taxableAmount,
+        0
+      );
     }
 
     const updatedPurchase = await Purchase.findByIdAndUpdate(
@@ -330,6 +447,13 @@ const cancelPurchase = async (req, res, next) => {
     if (purchase.purchaseStatus === "received") {
       return errorResponse(res, "Cannot cancel a received purchase.", 400);
     }
+    if (purchase.purchaseStatus === "partially_received") {
+      return errorResponse(
+        res,
+        "Cannot cancel a partially received purchase. Close it instead.",
+        400
+      );
+    }
 
     purchase.purchaseStatus = "cancelled";
     await purchase.save();
@@ -341,7 +465,8 @@ const cancelPurchase = async (req, res, next) => {
   }
 };
 
-// PATCH /api/purchases/purchase/receive:purchaseId - Receive purchase and update stock
+// PATCH /api/purchases/purchase/receive/:purchaseId - Receive everything still outstanding
+// books a single goods receipt note for the remaining quantities
 const receivePurchase = async (req, res, next) => {
   const { purchaseId } = req.params;
   const authenticatedUserId = req.user._id;
@@ -361,7 +486,16 @@ const receivePurchase = async (req, res, next) => {
       return errorResponse(res, "Purchase not found.", 404);
     }
 
-    if (purchase.purchaseStatus !== "ordered") {
+    if (purchase.purchaseStatus === "draft") {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Place the draft purchase order before receiving it.",
+        400
+      );
+    }
+    if (!RECEIVABLE_STATUSES.includes(purchase.purchaseStatus)) {
       await session.abortTransaction();
       session.endSession();
       return errorResponse(
@@ -371,21 +505,63 @@ const receivePurchase = async (req, res, next) => {
       );
     }
 
-    for (const item of purchase.items) {
-      await Stock.recordMovement(
-        item.product,
-        "purchase", // type for receiving stock
-        item.quantity,
-        `Receipt for PO: ${purchase.purchaseNumber}`, // this is the note for the stock movement
-        purchase._id, // sourceDocument is the purchase ID
-        "Purchase", // sourceModel is "Purchase"
-        req.user._id, // movedBy is the user ID
-        session
-      );
+    const location = await Location.resolve(
+      authenticatedUserId,
+      req.body?.location || purchase.location,
+      session
+    );
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
     }
 
-    purchase.purchaseStatus = "received";
-    await purchase.save({ session });
+    // optional lot numbers and expiry dates for batch-tracked products
+    const batchDetails = new Map();
+    for (const item of req.body?.items || []) {
+      const line = item.purchaseItem
+        ? purchase.items.id(item.purchaseItem)
+        : purchase.items.find(
+            (purchaseItem) =>
+              purchaseItem.product.toString() === String(item.product)
+          );
+      if (!line) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Item ${
+            item.purchaseItem || item.product
+          } is not part of this purchase.`,
+          400
+        );
+      }
+      if (item.expiryDate && isNaN(new Date(item.expiryDate))) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(res, "Invalid expiry date provided.", 400);
+      }
+      batchDetails.set(line._id.toString(), {
+        lotNumber: item.lotNumber,
+        expiryDate: item.expiryDate,
+      });
+    }
+
+    const lines = purchase.items
+      .map((item) => ({
+        purchaseItem: item._id,
+        quantity: getOutstandingQuantity(item),
+        ...batchDetails.get(item._id.toString()),
+      }))
+      .filter((line) => line.quantity > 0);
+
+    await GoodsReceipt.recordReceipt(
+      purchase,
+      lines,
+      { location: location._id },
+      authenticatedUserId,
+      session
+    );
 
     await session.commitTransaction();
     session.endSession();
@@ -408,6 +584,399 @@ const receivePurchase = async (req, res, next) => {
   }
 };
 
+// PATCH /api/purchases/purchase/close/:purchaseId - Close a partially received purchase short
+// the quantities still outstanding are cancelled, what was received stays payable
+const closePurchase = async (req, res, next) => {
+  const { purchaseId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const purchase = await Purchase.findOne({
+      _id: purchaseId,
+      createdBy: authenticatedUserId,
+    });
+    if (!purchase) {
+      return errorResponse(res, "Purchase not found.", 404);
+    }
+
+    // an order with nothing received yet is simply cancelled
+    if (purchase.purchaseStatus !== "partially_received") {
+      return errorResponse(
+        res,
+        "Only a partially received purchase can be closed.",
+        400
+      );
+    }
+
+    for (const item of purchase.items) {
+      item.cancelledQuantity += getOutstandingQuantity(item);
+    }
+    purchase.purchaseStatus = "received";
+    if (req.body?.notes) {
+      purchase.notes = req.body.notes;
+    }
+    await purchase.save();
+
+    await purchase.populate([
+      { path: "supplier", select: "name contactPerson phone" },
+      { path: "items.product", select: "name sku unit" },
+    ]);
+
+    return successResponse(
+      res,
+      "Purchase closed and remaining quantities cancelled.",
+      purchase
+    );
+  } catch (err) {
+    console.error("Error closing purchase:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/purchases/purchase/place/:purchaseId - Place a draft purchase order
+const placePurchase = async (req, res, next) => {
+  const { purchaseId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const purchase = await Purchase.findOne({
+      _id: purchaseId,
+      createdBy: authenticatedUserId,
+    });
+    if (!purchase) {
+      return errorResponse(res, "Purchase not found.", 404);
+    }
+
+    if (purchase.purchaseStatus !== "draft") {
+      return errorResponse(res, "Only a draft purchase can be placed.", 400);
+    }
+
+    const supplier = await Supplier.findOne({
+      _id: purchase.supplier,
+      createdBy: authenticatedUserId,
+    });
+    if (!supplier || !supplier.isActive) {
+      return errorResponse(res, "Invalid or inactive supplier provided.", 400);
+    }
+
+    purchase.purchaseStatus = "ordered";
+    purchase.orderDate = new Date();
+    await purchase.save();
+
+    await purchase.populate([
+      { path: "supplier", select: "name contactPerson phone" },
+      { path: "items.product", select: "name sku unit" },
+    ]);
+
+    return successResponse(
+      res,
+      "Purchase order placed successfully.",
+      purchase
+    );
+  } catch (err) {
+    console.error("Error placing purchase:", err);
+    next(err);
+  }
+};
+
+// velocityDays: days of sales the daily sales rate is taken from
+// coverDays: days of sales an order should last once it has arrived
+const parseReplenishmentOptions = (source) => {
+  const velocityDays = Number(source.velocityDays ?? 30);
+  const coverDays = Number(source.coverDays ?? 30);
+  if (
+    !Number.isInteger(velocityDays) ||
+    velocityDays < 1 ||
+    velocityDays > 365
+  ) {
+    return { error: "velocityDays must be a whole number between 1 and 365." };
+  }
+  if (!Number.isInteger(coverDays) || coverDays < 0 || coverDays > 365) {
+    return { error: "coverDays must be a whole number between 0 and 365." };
+  }
+  return { velocityDays, coverDays };
+};
+
+// reorder suggestions for the active products of the owner's active suppliers,
+// one group per supplier that has something to order
+const buildReplenishment = async (
+  ownerId,
+  { supplierIds, velocityDays, coverDays }
+) => {
+  const supplierQuery = { createdBy: ownerId, isActive: true };
+  if (supplierIds) supplierQuery._id = { $in: supplierIds };
+  const suppliers = await Supplier.find(supplierQuery)
+    .select("name contactPerson phone leadTimeDays paymentTermsDays")
+    .lean();
+
+  const products = await Product.find({
+    createdBy: ownerId,
+    isActive: true,
+    supplier: { $in: suppliers.map((supplier) => supplier._id) },
+  })
+    .select(
+      "name sku unit supplier purchasePrice minStockLevel reorderPoint reorderQuantity"
+    )
+    .lean();
+  const productIds = products.map((product) => product._id);
+  const salesSince = new Date(Date.now() - velocityDays * 86400000);
+
+  const [stockRows, onOrderRows, salesRows, lastCostRows] = await Promise.all([
+    Stock.aggregate([
+      { $match: { product: { $in: productIds } } },
+      { $group: { _id: "$product", onHand: { $sum: "$currentStock" } } },
+    ]),
+    Purchase.aggregate([
+      {
+        $match: {
+          createdBy: ownerId,
+          purchaseStatus: { $in: OPEN_ORDER_STATUSES },
+        },
+      },
+      { $unwind: "$items" },
+      { $match: { "items.product": { $in: productIds } } },
+      {
+        $group: {
+          _id: "$items.product",
+          onOrder: {
+            $sum: {
+              $subtract: [
+                "$items.quantity",
+                {
+                  $add: [
+                    { $ifNull: ["$items.receivedQuantity", 0] },
+                    { $ifNull: ["$items.cancelledQuantity", 0] },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+      },
+    ]),
+    Sale.aggregate([
+      ...saleLineProfitStages({
+        createdBy: ownerId,
+        saleDate: { $gte: salesSince },
+        "items.product": { $in: productIds },
+      }),
+      {
+        $group: { _id: "$items.product", unitsSold: { $sum: "$soldQuantity" } },
+      },
+    ]),
+    // what the supplier charged for the product on the latest order
+    Purchase.aggregate([
+      {
+        $match: {
+          createdBy: ownerId,
+          purchaseStatus: { $nin: ["draft", "cancelled"] },
+        },
+      },
+      { $sort: { orderDate: -1 } },
+      { $unwind: "$items" },
+      { $match: { "items.product": { $in: productIds } } },
+      {
+        $group: {
+          _id: { product: "$items.product", supplier: "$supplier" },
+          unitCost: { $first: "$items.unitCost" },
+        },
+      },
+    ]),
+  ]);
+
+  const byId = (rows) => new Map(rows.map((row) => [row._id.toString(), row]));
+  const stockById = byId(stockRows);
+  const onOrderById = byId(onOrderRows);
+  const salesById = byId(salesRows);
+  const lastCosts = new Map(
+    lastCostRows.map((row) => [
+      `${row._id.product}:${row._id.supplier}`,
+      row.unitCost,
+    ])
+  );
+
+  const groups = new Map(
+    suppliers.map((supplier) => [
+      supplier._id.toString(),
+      { supplier, items: [], estimatedCost: 0 },
+    ])
+  );
+
+  for (const product of products) {
+    const id = product._id.toString();
+    const group = groups.get(product.supplier.toString());
+    const onHand = stockById.get(id)?.onHand || 0;
+    const onOrder = onOrderById.get(id)?.onOrder || 0;
+    const averageDailySales =
+      (salesById.get(id)?.unitsSold || 0) / velocityDays;
+    const reorderPoint = product.reorderPoint ?? product.minStockLevel;
+
+    const suggestedQuantity = suggestReorder({
+      onHand,
+      onOrder,
+      reorderPoint,
+      reorderQuantity: product.reorderQuantity,
+      averageDailySales,
+      leadTimeDays: group.supplier.leadTimeDays ?? 7,
+      coverDays,
+    });
+    if (!suggestedQuantity) continue;
+
+    const unitCost =
+      lastCosts.get(`${id}:${product.supplier}`) ?? product.purchasePrice;
+    const estimatedCost = roundCurrency(suggestedQuantity * unitCost);
+    group.items.push({
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        unit: product.unit,
+      },
+      onHand,
+      onOrder,
+      reorderPoint,
+      reorderQuantity: product.reorderQuantity,
+      averageDailySales: Math.round(averageDailySales * 100) / 100,
+      suggestedQuantity,
+      unitCost,
+      estimatedCost,
+    });
+    group.estimatedCost += estimatedCost;
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.items.length)
+    .map((group) => ({
+      ...group,
+      estimatedCost: roundCurrency(group.estimatedCost),
+    }));
+};
+
+// GET /api/purchases/replenishment - Reorder suggestions grouped by supplier
+// ?supplier=&velocityDays=30&coverDays=30
+const getReplenishment = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const { supplier } = req.query;
+
+  const options = parseReplenishmentOptions(req.query);
+  if (options.error) {
+    return errorResponse(res, options.error, 400);
+  }
+  if (supplier && !mongoose.Types.ObjectId.isValid(supplier)) {
+    return errorResponse(res, "Invalid supplier ID.", 400);
+  }
+
+  try {
+    const suppliers = await buildReplenishment(authenticatedUserId, {
+      ...options,
+      supplierIds: supplier ? [supplier] : null,
+    });
+
+    return successResponse(res, "Reorder suggestions retrieved successfully.", {
+      velocityDays: options.velocityDays,
+      coverDays: options.coverDays,
+      productCount: suppliers.reduce(
+        (sum, group) => sum + group.items.length,
+        0
+      ),
+      estimatedCost: roundCurrency(
+        suppliers.reduce((sum, group) => sum + group.estimatedCost, 0)
+      ),
+      suppliers,
+    });
+  } catch (err) {
+    console.error("Error fetching reorder suggestions:", err);
+    next(err);
+  }
+};
+
+// POST /api/purchases/replenishment/drafts - Turn the reorder suggestions into
+// one draft purchase order per supplier
+// body: { suppliers?: [supplierId], velocityDays?, coverDays?, paymentMethod? }
+const createReplenishmentDrafts = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const { suppliers: supplierIds, paymentMethod = "cash" } = req.body || {};
+
+  const options = parseReplenishmentOptions(req.body || {});
+  if (options.error) {
+    return errorResponse(res, options.error, 400);
+  }
+  if (
+    supplierIds !== undefined &&
+    (!Array.isArray(supplierIds) ||
+      !supplierIds.every((id) => mongoose.Types.ObjectId.isValid(id)))
+  ) {
+    return errorResponse(res, "suppliers must be a list of supplier IDs.", 400);
+  }
+  if (!["cash", "online"].includes(paymentMethod)) {
+    return errorResponse(res, "Payment method must be cash or online.", 400);
+  }
+
+  try {
+    const groups = await buildReplenishment(authenticatedUserId, {
+      ...options,
+      supplierIds,
+    });
+    if (!groups.length) {
+      return successResponse(res, "No products are due for reordering.", []);
+    }
+
+    const products = await Product.find({
+      _id: {
+        $in: groups.flatMap((group) =>
+          group.items.map((item) => item.product._id)
+        ),
+      },
+    }).populate("category", "taxRate taxInclusive");
+    const productsById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    // saved one after another, each takes the next purchase number
+    const drafts = [];
+    for (const group of groups) {
+      const items = group.items.map((suggestion) => {
+        const item = {
+          product: suggestion.product._id,
+          quantity: suggestion.suggestedQuantity,
+          unitCost: suggestion.unitCost,
+        };
+        applyPurchaseItemTax(
+          item,
+          productsById.get(suggestion.product._id.toString())
+        );
+        return item;
+      });
+
+      const purchase = new Purchase({
+        supplier: group.supplier._id,
+        items,
+        purchaseStatus: "draft",
+        paymentMethod,
+        paymentTermsDays: group.supplier.paymentTermsDays ?? 30,
+        notes: "Drafted from reorder suggestions.",
+        createdBy: authenticatedUserId,
+      });
+      await purchase.save();
+      await purchase.populate([
+        { path: "supplier", select: "name contactPerson phone" },
+        { path: "items.product", select: "name sku unit" },
+      ]);
+      drafts.push(purchase);
+    }
+
+    return successResponse(
+      res,
+      `${drafts.length} draft purchase order(s) created.`,
+      drafts,
+      201
+    );
+  } catch (err) {
+    console.error("Error creating draft purchases:", err);
+    next(err);
+  }
+};
+
 module.exports = {
   createPurchase,
   getAllPurchases,
@@ -415,4 +984,8 @@ module.exports = {
   updatePurchase,
   cancelPurchase,
   receivePurchase,
+  closePurchase,
+  placePurchase,
+  getReplenishment,
+  createReplenishmentDrafts,
 };
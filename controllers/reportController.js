@@ -0,0 +1,1557 @@
+// controllers/reportController.js
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const Purchase = require("../models/Purchase");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const SupplierReturn = require("../models/SupplierReturn");
+const Adjustment = require("../models/Adjustment");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const StockMovement = require("../models/StockMovement");
+const Stock = require("../models/Stock");
+const CostLayer = require("../models/CostLayer");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { roundCurrency } = require("../utils/taxUtils");
+const {
+  saleLineProfitStages,
+  profitTotals,
+  formatProfit,
+} = require("../utils/profitUtils");
+const {
+  FORECAST_MODELS,
+  forecastDaily,
+  toWeeklyTotals,
+  evaluateModel,
+  findRunOutDay,
+} = require("../utils/forecastUtils");
+const {
+  addDays,
+  daysBetween,
+  isValidDateString,
+  startOfZonedDay,
+  toZonedDateString,
+} = require("../utils/dateUtils");
+
+// Reads startDate and endDate ("YYYY-MM-DD", the last 30 days by default) as
+// whole days in the shop's time zone. start is the first instant of startDate
+// and end the first instant after endDate, so ranges are matched with $lt end.
+// Returns { timeZone, startDate, endDate, start, end } or { error }.
+const parseZonedDateRange = (req) => {
+  const timeZone = req.user.settings?.timeZone || "UTC";
+  const today = toZonedDateString(new Date(), timeZone);
+  const { startDate = addDays(today, -29), endDate = today } = req.query;
+
+  if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
+    return {
+      error: "startDate and endDate must be dates in YYYY-MM-DD format.",
+    };
+  }
+  if (startDate > endDate) {
+    return { error: "startDate must be before endDate." };
+  }
+  return {
+    timeZone,
+    startDate,
+    endDate,
+    start: startOfZonedDay(startDate, timeZone),
+    end: startOfZonedDay(addDays(endDate, 1), timeZone),
+  };
+};
+
+const summariseByRate = (rows) => {
+  const byRate = rows.map((row) => ({
+    taxRate: row._id,
+    taxableAmount: roundCurrency(row.taxableAmount),
+    taxAmount: roundCurrency(row.taxAmount),
+    grossAmount: roundCurrency(row.grossAmount),
+    lineCount: row.lineCount,
+  }));
+
+  return {
+    byRate,
+    taxableAmount: roundCurrency(
+      byRate.reduce((sum, row) => sum + row.taxableAmount, 0)
+    ),
+    taxAmount: roundCurrency(
+      byRate.reduce((sum, row) => sum + row.taxAmount, 0)
+    ),
+    grossAmount: roundCurrency(
+      byRate.reduce((sum, row) => sum + row.grossAmount, 0)
+    ),
+  };
+};
+
+// GET /api/reports/tax-summary - Output and input tax grouped by rate for a date range
+// The range is whole days in the shop's time zone, as in the other reports.
+const getTaxSummary = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const { timeZone, startDate, endDate, start, end, error } =
+      parseZonedDateRange(req);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const [salesTax, returnsTax, purchasesTax, supplierReturnsTax] =
+      await Promise.all([
+        // 1. tax charged on sales (output tax)
+        Sale.aggregate([
+          {
+            $match: {
+              createdBy: authenticatedUserId,
+              saleDate: { $gte: start, $lt: end },
+            },
+          },
+          { $unwind: "$items" },
+          {
+            $group: {
+              _id: { $ifNull: ["$items.taxRate", 0] },
+              taxableAmount: {
+                $sum: {
+                  $ifNull: ["$items.taxableAmount", "$items.totalPrice"],
+                },
+              },
+              taxAmount: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+              grossAmount: { $sum: "$items.totalPrice" },
+              lineCount: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ]),
+
+        // 2. tax refunded through credit notes
+        SaleReturn.aggregate([
+          {
+            $match: {
+              createdBy: authenticatedUserId,
+              returnDate: { $gte: start, $lt: end },
+            },
+          },
+          { $unwind: "$items" },
+          {
+            $group: {
+              _id: { $ifNull: ["$items.taxRate", 0] },
+              taxableAmount: {
+                $sum: {
+                  $subtract: [
+                    "$items.totalPrice",
+                    { $ifNull: ["$items.taxAmount", 0] },
+                  ],
+                },
+              },
+              taxAmount: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+              grossAmount: { $sum: "$items.totalPrice" },
+              lineCount: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ]),
+
+        // 3. tax paid on received goods (input tax), one line per goods receipt
+        GoodsReceipt.aggregate([
+          {
+            $match: {
+              createdBy: authenticatedUserId,
+              receivedDate: { $gte: start, $lt: end },
+            },
+          },
+          { $unwind: "$items" },
+          {
+            $project: {
+              taxRate: "$items.taxRate",
+              taxableAmount: "$items.taxableAmount",
+              taxAmount: "$items.taxAmount",
+              totalCost: "$items.totalCost",
+            },
+          },
+          {
+            // purchases received in one go before goods receipts existed
+            $unionWith: {
+              coll: Purchase.collection.name,
+              pipeline: [
+                {
+                  $match: {
+                    createdBy: authenticatedUserId,
+                    purchaseStatus: "received",
+                    $or: [
+                      { receivedDate: { $gte: start, $lt: end } },
+                      // purchases received before receivedDate was tracked
+                      {
+                        receivedDate: { $exists: false },
+                        updatedAt: { $gte: start, $lt: end },
+                      },
+                    ],
+                  },
+                },
+                {
+                  $lookup: {
+                    from: GoodsReceipt.collection.name,
+                    localField: "_id",
+                    foreignField: "purchase",
+                    as: "goodsReceipts",
+                  },
+                },
+                { $match: { goodsReceipts: { $size: 0 } } },
+                { $unwind: "$items" },
+                {
+                  $project: {
+                    taxRate: "$items.taxRate",
+                    taxableAmount: "$items.taxableAmount",
+                    taxAmount: "$items.taxAmount",
+                    totalCost: "$items.totalCost",
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $group: {
+              _id: { $ifNull: ["$taxRate", 0] },
+              taxableAmount: {
+                $sum: { $ifNull: ["$taxableAmount", "$totalCost"] },
+              },
+              taxAmount: { $sum: { $ifNull: ["$taxAmount", 0] } },
+              grossAmount: { $sum: "$totalCost" },
+              lineCount: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ]),
+
+        // 4. input tax reversed through debit notes to suppliers
+        SupplierReturn.aggregate([
+          {
+            $match: {
+              createdBy: authenticatedUserId,
+              returnDate: { $gte: start, $lt: end },
+            },
+          },
+          { $unwind: "$items" },
+          {
+            $group: {
+              _id: { $ifNull: ["$items.taxRate", 0] },
+              taxableAmount: {
+                $sum: {
+                  $ifNull: ["$items.taxableAmount", "$items.totalCost"],
+                },
+              },
+              taxAmount: { $sum: { $ifNull: ["$items.taxAmount", 0] } },
+              grossAmount: { $sum: "$items.totalCost" },
+              lineCount: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ]),
+      ]);
+
+    const outputTax = summariseByRate(salesTax);
+    const returnedTax = summariseByRate(returnsTax);
+    const inputTax = summariseByRate(purchasesTax);
+    const reversedInputTax = summariseByRate(supplierReturnsTax);
+    const netInputTax = roundCurrency(
+      inputTax.taxAmount - reversedInputTax.taxAmount
+    );
+
+    const summary = {
+      timeZone,
+      period: { startDate, endDate },
+      outputTax,
+      returnedTax,
+      inputTax,
+      reversedInputTax,
+      netOutputTax: roundCurrency(outputTax.taxAmount - returnedTax.taxAmount),
+      netInputTax,
+      netTaxPayable: roundCurrency(
+        outputTax.taxAmount - returnedTax.taxAmount - netInputTax
+      ),
+    };
+
+    return successResponse(res, "Tax summary retrieved successfully.", summary);
+  } catch (err) {
+    console.error("Tax summary error:", err);
+    next(err);
+  }
+};
+
+// GET /api/reports/discounts - Discount given per product, per day and per reason
+// Days are those of the shop's time zone, as in the gross profit report.
+const getDiscountReport = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const { timeZone, startDate, endDate, start, end, error } =
+      parseZonedDateRange(req);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const discountTotals = {
+      quantity: { $sum: "$items.quantity" },
+      listValue: { $sum: "$listValue" },
+      priceOverrideDiscount: { $sum: "$priceOverrideDiscount" },
+      lineDiscount: { $sum: "$lineDiscount" },
+      invoiceDiscount: { $sum: "$invoiceDiscount" },
+      totalDiscount: { $sum: "$totalDiscount" },
+    };
+
+    const aggregation = await Sale.aggregate([
+      {
+        $match: {
+          createdBy: authenticatedUserId,
+          saleDate: { $gte: start, $lt: end },
+        },
+      },
+      { $unwind: "$items" },
+      {
+        $addFields: {
+          listValue: {
+            $multiply: [
+              { $ifNull: ["$items.listPrice", "$items.unitPrice"] },
+              "$items.quantity",
+            ],
+          },
+          // charging less than the list price is a discount as well
+          priceOverrideDiscount: {
+            $max: [
+              0,
+              {
+                $multiply: [
+                  {
+                    $subtract: [
+                      { $ifNull: ["$items.listPrice", "$items.unitPrice"] },
+                      "$items.unitPrice",
+                    ],
+                  },
+                  "$items.quantity",
+                ],
+              },
+            ],
+          },
+          lineDiscount: { $ifNull: ["$items.discountAmount", 0] },
+          invoiceDiscount: { $ifNull: ["$items.invoiceDiscountAmount", 0] },
+        },
+      },
+      {
+        $addFields: {
+          totalDiscount: {
+            $add: [
+              "$priceOverrideDiscount",
+              "$lineDiscount",
+              "$invoiceDiscount",
+            ],
+          },
+        },
+      },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...discountTotals } }],
+          byProduct: [
+            { $group: { _id: "$items.product", ...discountTotals } },
+            { $match: { totalDiscount: { $gt: 0 } } },
+            { $sort: { totalDiscount: -1 } },
+            {
+              $lookup: {
+                from: "products",
+                localField: "_id",
+                foreignField: "_id",
+                as: "product",
+              },
+            },
+            { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+          ],
+          byDay: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: {
+                    format: "%Y-%m-%d",
+                    date: "$saleDate",
+                    timezone: timeZone,
+                  },
+                },
+                ...discountTotals,
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          byReason: [
+            { $match: { totalDiscount: { $gt: 0 } } },
+            {
+              $group: {
+                _id: {
+                  $ifNull: [
+                    "$items.discountReason",
+                    { $ifNull: ["$discountReason", "none"] },
+                  ],
+                },
+                totalDiscount: { $sum: "$totalDiscount" },
+                lineCount: { $sum: 1 },
+              },
+            },
+            { $sort: { totalDiscount: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    const result = aggregation[0];
+
+    const formatRow = (row) => ({
+      quantity: row.quantity,
+      listValue: roundCurrency(row.listValue),
+      priceOverrideDiscount: roundCurrency(row.priceOverrideDiscount),
+      lineDiscount: roundCurrency(row.lineDiscount),
+      invoiceDiscount: roundCurrency(row.invoiceDiscount),
+      totalDiscount: roundCurrency(row.totalDiscount),
+      discountPercent: row.listValue
+        ? roundCurrency((row.totalDiscount / row.listValue) * 100)
+        : 0,
+    });
+
+    const totals = result.totals[0];
+
+    const report = {
+      timeZone,
+      period: { startDate, endDate },
+      totals: totals
+        ? formatRow(totals)
+        : formatRow({
+            quantity: 0,
+            listValue: 0,
+            priceOverrideDiscount: 0,
+            lineDiscount: 0,
+            invoiceDiscount: 0,
+            totalDiscount: 0,
+          }),
+      byProduct: result.byProduct.map((row) => ({
+        product: {
+          _id: row._id,
+          name: row.product?.name || "N/A",
+          sku: row.product?.sku || "N/A",
+        },
+        ...formatRow(row),
+      })),
+      byDay: result.byDay.map((row) => ({ date: row._id, ...formatRow(row) })),
+      byReason: result.byReason.map((row) => ({
+        reason: row._id,
+        totalDiscount: roundCurrency(row.totalDiscount),
+        lineCount: row.lineCount,
+      })),
+    };
+
+    return successResponse(
+      res,
+      "Discount report retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Discount report error:", err);
+    next(err);
+  }
+};
+
+const AGING_BUCKETS = [
+  { key: "0-30", maxDays: 30 },
+  { key: "31-60", maxDays: 60 },
+  { key: "61-90", maxDays: 90 },
+  { key: "90+", maxDays: Infinity },
+];
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+
+// GET /api/reports/receivables-aging - Unpaid credit sales bucketed by invoice age
+const getReceivablesAging = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    if (isNaN(asOf)) {
+      return errorResponse(res, "Invalid asOf date provided.", 400);
+    }
+    if (req.query.asOf) asOf.setHours(23, 59, 59, 999);
+
+    const openSales = await Sale.find({
+      createdBy: authenticatedUserId,
+      balanceDue: { $gt: 0 },
+      saleDate: { $lte: asOf },
+    })
+      .select("invoiceNumber customer saleDate dueDate balanceDue")
+      .populate("customer", "firstName lastName phone")
+      .sort({ saleDate: 1 })
+      .lean();
+
+    const totals = emptyBuckets();
+    const customers = new Map();
+
+    for (const sale of openSales) {
+      const ageDays = Math.floor((asOf - sale.saleDate) / 86400000);
+      const bucket = AGING_BUCKETS.find((entry) => ageDays <= entry.maxDays);
+
+      const key = sale.customer?._id?.toString() || "unknown";
+      if (!customers.has(key)) {
+        customers.set(key, {
+          customer: sale.customer || null,
+          buckets: emptyBuckets(),
+          totalDue: 0,
+          overdueAmount: 0,
+          invoices: [],
+        });
+      }
+      const row = customers.get(key);
+
+      row.buckets[bucket.key] = roundCurrency(
+        row.buckets[bucket.key] + sale.balanceDue
+      );
+      row.totalDue = roundCurrency(row.totalDue + sale.balanceDue);
+      if (sale.dueDate < asOf) {
+        row.overdueAmount = roundCurrency(row.overdueAmount + sale.balanceDue);
+      }
+      row.invoices.push({
+        _id: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        saleDate: sale.saleDate,
+        dueDate: sale.dueDate,
+        balanceDue: sale.balanceDue,
+        ageDays,
+        bucket: bucket.key,
+      });
+      totals[bucket.key] = roundCurrency(totals[bucket.key] + sale.balanceDue);
+    }
+
+    const byCustomer = [...customers.values()].sort(
+      (a, b) => b.totalDue - a.totalDue
+    );
+
+    const report = {
+      asOf,
+      totals: {
+        ...totals,
+        totalDue: roundCurrency(
+          Object.values(totals).reduce((sum, value) => sum + value, 0)
+        ),
+        overdueAmount: roundCurrency(
+          byCustomer.reduce((sum, row) => sum + row.overdueAmount, 0)
+        ),
+      },
+      byCustomer,
+    };
+
+    return successResponse(
+      res,
+      "Receivables aging retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Receivables aging error:", err);
+    next(err);
+  }
+};
+
+// GET /api/reports/adjustments - Posted stock adjustments by reason and by value
+// The range is whole days in the shop's time zone, as in the other reports.
+const getAdjustmentReport = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const { timeZone, startDate, endDate, start, end, error } =
+      parseZonedDateRange(req);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const isIncrease = { $eq: ["$direction", "increase"] };
+    const adjustmentTotals = {
+      increaseQuantity: { $sum: { $cond: [isIncrease, "$quantity", 0] } },
+      decreaseQuantity: { $sum: { $cond: [isIncrease, 0, "$quantity"] } },
+      increaseValue: { $sum: { $cond: [isIncrease, "$value", 0] } },
+      decreaseValue: { $sum: { $cond: [isIncrease, 0, "$value"] } },
+      adjustmentCount: { $sum: 1 },
+    };
+
+    const [aggregation, pendingCount] = await Promise.all([
+      Adjustment.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            status: "posted",
+            adjustmentDate: { $gte: start, $lt: end },
+          },
+        },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, ...adjustmentTotals } }],
+            byReason: [
+              { $group: { _id: "$reason", ...adjustmentTotals } },
+              { $sort: { decreaseValue: -1 } },
+            ],
+            byProduct: [
+              { $group: { _id: "$product", ...adjustmentTotals } },
+              {
+                $addFields: {
+                  grossValue: { $add: ["$increaseValue", "$decreaseValue"] },
+                },
+              },
+              { $sort: { grossValue: -1 } },
+              {
+                $lookup: {
+                  from: "products",
+                  localField: "_id",
+                  foreignField: "_id",
+                  as: "product",
+                },
+              },
+              {
+                $unwind: { path: "$product", preserveNullAndEmptyArrays: true },
+              },
+            ],
+          },
+        },
+      ]),
+      Adjustment.countDocuments({
+        createdBy: authenticatedUserId,
+        status: "pending",
+      }),
+    ]);
+
+    const result = aggregation[0];
+
+    const formatRow = (row) => ({
+      increaseQuantity: row.increaseQuantity,
+      decreaseQuantity: row.decreaseQuantity,
+      increaseValue: roundCurrency(row.increaseValue),
+      decreaseValue: roundCurrency(row.decreaseValue),
+      // negative when more stock value was written off than added
+      netValue: roundCurrency(row.increaseValue - row.decreaseValue),
+      adjustmentCount: row.adjustmentCount,
+    });
+
+    const totals = result.totals[0];
+
+    const report = {
+      timeZone,
+      period: { startDate, endDate },
+      totals: formatRow(
+        totals || {
+          increaseQuantity: 0,
+          decreaseQuantity: 0,
+          increaseValue: 0,
+          decreaseValue: 0,
+          adjustmentCount: 0,
+        }
+      ),
+      byReason: result.byReason.map((row) => ({
+        reason: row._id,
+        ...formatRow(row),
+      })),
+      byProduct: result.byProduct.map((row) => ({
+        product: {
+          _id: row._id,
+          name: row.product?.name || "N/A",
+          sku: row.product?.sku || "N/A",
+        },
+        ...formatRow(row),
+      })),
+      pendingCount,
+    };
+
+    return successResponse(
+      res,
+      "Adjustment report retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Adjustment report error:", err);
+    next(err);
+  }
+};
+
+const PROFIT_GROUPINGS = [
+  "product",
+  "category",
+  "invoice",
+  "day",
+  "week",
+  "month",
+];
+const PROFIT_SORT_FIELDS = [
+  "revenue",
+  "cost",
+  "grossProfit",
+  "margin",
+  "quantity",
+];
+const PERIOD_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+
+// GET /api/reports/gross-profit - Gross profit and margin per product, category, invoice or period
+// Revenue is before tax and net of returns, cost is what the stock cost when it
+// was sold. sortBy=margin&sortOrder=asc lists the least profitable lines first.
+// Days, weeks and months are those of the shop's time zone, as in the
+// dashboard analytics.
+const getGrossProfitReport = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const {
+      groupBy = "product",
+      sortBy,
+      sortOrder,
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    const { timeZone, startDate, endDate, start, end, error } =
+      parseZonedDateRange(req);
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+    if (!PROFIT_GROUPINGS.includes(groupBy)) {
+      return errorResponse(
+        res,
+        `groupBy must be one of: ${PROFIT_GROUPINGS.join(", ")}.`,
+        400
+      );
+    }
+    if (sortBy && !PROFIT_SORT_FIELDS.includes(sortBy)) {
+      return errorResponse(
+        res,
+        `sortBy must be one of: ${PROFIT_SORT_FIELDS.join(", ")}.`,
+        400
+      );
+    }
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 10;
+    const isPeriod = Boolean(PERIOD_FORMATS[groupBy]);
+
+    // periods read in date order unless sorted otherwise, the rest by profit
+    const sortOptions = sortBy
+      ? { [sortBy]: sortOrder === "asc" ? 1 : -1, _id: 1 }
+      : isPeriod
+      ? { _id: sortOrder === "desc" ? -1 : 1 }
+      : { grossProfit: sortOrder === "asc" ? 1 : -1, _id: 1 };
+
+    const groupKeys = {
+      product: "$items.product",
+      category: "$product.category",
+      invoice: "$_id",
+    };
+    const groupId = isPeriod
+      ? {
+          $dateToString: {
+            format: PERIOD_FORMATS[groupBy],
+            date: "$saleDate",
+            timezone: timeZone,
+          },
+        }
+      : groupKeys[groupBy];
+    const invoiceFields =
+      groupBy === "invoice"
+        ? {
+            invoiceNumber: { $first: "$invoiceNumber" },
+            saleDate: { $first: "$saleDate" },
+          }
+        : {};
+
+    const [aggregation] = await Sale.aggregate([
+      ...saleLineProfitStages({
+        createdBy: authenticatedUserId,
+        saleDate: { $gte: start, $lt: end },
+      }),
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...profitTotals } }],
+          items: [
+            { $group: { _id: groupId, ...profitTotals, ...invoiceFields } },
+            {
+              $addFields: {
+                grossProfit: { $subtract: ["$revenue", "$cost"] },
+                margin: {
+                  $cond: [
+                    { $gt: ["$revenue", 0] },
+                    {
+                      $divide: [
+                        { $subtract: ["$revenue", "$cost"] },
+                        "$revenue",
+                      ],
+                    },
+                    null,
+                  ],
+                },
+              },
+            },
+            { $sort: sortOptions },
+            { $skip: (parsedPage - 1) * parsedLimit },
+            { $limit: parsedLimit },
+          ],
+          count: [{ $group: { _id: groupId } }, { $count: "total" }],
+        },
+      },
+    ]);
+
+    // names of the products or categories on this page
+    const ids = aggregation.items.map((row) => row._id).filter(Boolean);
+    let names = new Map();
+    if (groupBy === "product" || groupBy === "category") {
+      const Model = groupBy === "product" ? Product : Category;
+      const documents = await Model.find({ _id: { $in: ids } })
+        .select(groupBy === "product" ? "name sku" : "name")
+        .lean();
+      names = new Map(documents.map((doc) => [doc._id.toString(), doc]));
+    }
+
+    const describeRow = (row) => {
+      if (isPeriod) return { period: row._id };
+      if (groupBy === "invoice") {
+        return {
+          sale: {
+            _id: row._id,
+            invoiceNumber: row.invoiceNumber,
+            saleDate: row.saleDate,
+          },
+        };
+      }
+      const doc = row._id ? names.get(row._id.toString()) : null;
+      if (groupBy === "product") {
+        return {
+          product: {
+            _id: row._id,
+            name: doc?.name || "N/A",
+            sku: doc?.sku || "N/A",
+          },
+        };
+      }
+      return {
+        category: { _id: row._id, name: doc?.name || "Uncategorised" },
+      };
+    };
+
+    const totalItems = aggregation.count[0]?.total || 0;
+    const totalPages = Math.ceil(totalItems / parsedLimit);
+
+    const report = {
+      timeZone,
+      period: { startDate, endDate },
+      groupBy,
+      totals: formatProfit(
+        aggregation.totals[0] || {
+          quantity: 0,
+          revenue: 0,
+          cost: 0,
+          lineCount: 0,
+          uncostedLineCount: 0,
+        }
+      ),
+      items: aggregation.items.map((row) => ({
+        ...describeRow(row),
+        ...formatProfit(row),
+      })),
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+
+    return successResponse(
+      res,
+      "Gross profit report retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Gross profit report error:", err);
+    next(err);
+  }
+};
+
+const PERFORMANCE_SORT_FIELDS = [
+  "unitsSold",
+  "revenue",
+  "grossProfit",
+  "daysOfCover",
+  "stockValue",
+];
+const PERFORMANCE_STATUSES = [
+  "selling",
+  "slow_mover",
+  "dead_stock",
+  "out_of_stock",
+];
+
+// GET /api/reports/product-performance - Units, revenue and profit per product with stock health
+// daysOfCover is the current stock divided by the average daily units sold in
+// the range. Products with stock are slow movers when their cover exceeds
+// slowMoverDays and dead stock when nothing sold in the last deadStockDays.
+const getProductPerformance = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const {
+      category,
+      status,
+      sortBy = "unitsSold",
+      sortOrder = "desc",
+      page = 1,
+      limit = 10,
+    } = req.query;
+    const { timeZone, startDate, endDate, start, end, error } =
+      parseZonedDateRange(req);
+    const deadStockDays = parseInt(req.query.deadStockDays ?? 90, 10);
+    const slowMoverDays = parseInt(req.query.slowMoverDays ?? 60, 10);
+
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+    if (
+      isNaN(deadStockDays) ||
+      deadStockDays < 1 ||
+      isNaN(slowMoverDays) ||
+      slowMoverDays < 1
+    ) {
+      return errorResponse(
+        res,
+        "deadStockDays and slowMoverDays must be at least 1.",
+        400
+      );
+    }
+    if (!PERFORMANCE_SORT_FIELDS.includes(sortBy)) {
+      return errorResponse(
+        res,
+        `sortBy must be one of: ${PERFORMANCE_SORT_FIELDS.join(", ")}.`,
+        400
+      );
+    }
+    if (status && !PERFORMANCE_STATUSES.includes(status)) {
+      return errorResponse(
+        res,
+        `Status must be one of: ${PERFORMANCE_STATUSES.join(", ")}.`,
+        400
+      );
+    }
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 10;
+    const rangeDays = daysBetween(startDate, endDate) + 1;
+    const deadStockSince = new Date(Date.now() - deadStockDays * 86400000);
+
+    const productQuery = { createdBy: authenticatedUserId, isActive: true };
+    if (category) productQuery.category = category;
+    const products = await Product.find(productQuery)
+      .select("name sku unit purchasePrice")
+      .lean();
+    const productIds = products.map((product) => product._id);
+
+    const [salesRows, lastSoldRows, stockRows, openValues] = await Promise.all([
+      Sale.aggregate([
+        ...saleLineProfitStages({
+          createdBy: authenticatedUserId,
+          saleDate: { $gte: start, $lt: end },
+          "items.product": { $in: productIds },
+        }),
+        { $group: { _id: "$items.product", ...profitTotals } },
+      ]),
+      // last sale of each product, whenever it was
+      Sale.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            "items.product": { $in: productIds },
+          },
+        },
+        { $unwind: "$items" },
+        {
+          $group: { _id: "$items.product", lastSoldAt: { $max: "$saleDate" } },
+        },
+      ]),
+      Stock.aggregate([
+        { $match: { product: { $in: productIds } } },
+        {
+          $group: { _id: "$product", currentStock: { $sum: "$currentStock" } },
+        },
+      ]),
+      CostLayer.getOpenValues(productIds),
+    ]);
+
+    const byId = (rows) =>
+      new Map(rows.map((row) => [row._id.toString(), row]));
+    const salesById = byId(salesRows);
+    const lastSoldById = byId(lastSoldRows);
+    const stockById = byId(stockRows);
+
+    const rows = products.map((product) => {
+      const id = product._id.toString();
+      const sales = salesById.get(id);
+      const profit = sales ? formatProfit(sales) : null;
+      const currentStock = stockById.get(id)?.currentStock || 0;
+      const lastSoldAt = lastSoldById.get(id)?.lastSoldAt || null;
+      const unitsSold = profit?.quantity || 0;
+
+      // stock without a cost layer yet counts at the purchase price
+      const layers = openValues.get(id);
+      const stockValue =
+        (layers?.value || 0) +
+        Math.max(currentStock - (layers?.quantity || 0), 0) *
+          (product.purchasePrice || 0);
+
+      const averageDailySales = unitsSold / rangeDays;
+      const daysOfCover =
+        currentStock === 0
+          ? 0
+          : averageDailySales
+          ? Math.round((currentStock / averageDailySales) * 10) / 10
+          : null;
+
+      let productStatus = "selling";
+      if (currentStock === 0) productStatus = "out_of_stock";
+      else if (!lastSoldAt || lastSoldAt < deadStockSince)
+        productStatus = "dead_stock";
+      else if (daysOfCover === null || daysOfCover > slowMoverDays)
+        productStatus = "slow_mover";
+
+      return {
+        product: {
+          _id: product._id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+        },
+        unitsSold,
+        revenue: profit?.revenue || 0,
+        grossProfit: profit?.grossProfit || 0,
+        margin: profit?.margin ?? null,
+        currentStock,
+        stockValue: roundCurrency(stockValue),
+        averageDailySales: Math.round(averageDailySales * 100) / 100,
+        daysOfCover,
+        lastSoldAt,
+        status: productStatus,
+      };
+    });
+
+    // ranks over all products, before the status filter and paging
+    for (const field of ["unitsSold", "revenue", "grossProfit"]) {
+      const rankKey = `${field}Rank`;
+      [...rows]
+        .sort((a, b) => b[field] - a[field])
+        .forEach((row, index) => {
+          row[rankKey] = row[field] > 0 ? index + 1 : null;
+        });
+    }
+
+    const countBy = (value) =>
+      rows.filter((row) => row.status === value).length;
+    const summary = {
+      productCount: rows.length,
+      productsSold: rows.filter((row) => row.unitsSold > 0).length,
+      slowMoverCount: countBy("slow_mover"),
+      deadStockCount: countBy("dead_stock"),
+      deadStockValue: roundCurrency(
+        rows
+          .filter((row) => row.status === "dead_stock")
+          .reduce((sum, row) => sum + row.stockValue, 0)
+      ),
+      outOfStockCount: countBy("out_of_stock"),
+    };
+
+    // no cover (nothing sold) sorts as the longest cover
+    const sortValue = (row) =>
+      sortBy === "daysOfCover" && row.daysOfCover === null
+        ? Infinity
+        : row[sortBy];
+    const direction = sortOrder === "asc" ? 1 : -1;
+    const filtered = rows
+      .filter((row) => !status || row.status === status)
+      .sort(
+        (a, b) =>
+          direction * (sortValue(a) - sortValue(b) || 0) ||
+          a.product.name.localeCompare(b.product.name)
+      );
+
+    const totalItems = filtered.length;
+    const totalPages = Math.ceil(totalItems / parsedLimit);
+
+    const report = {
+      timeZone,
+      period: { startDate, endDate },
+      thresholds: { deadStockDays, slowMoverDays },
+      summary,
+      items: filtered.slice(
+        (parsedPage - 1) * parsedLimit,
+        parsedPage * parsedLimit
+      ),
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+
+    return successResponse(
+      res,
+      "Product performance report retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Product performance report error:", err);
+    next(err);
+  }
+};
+
+// movement types that take value out of stock, transfers are left out of the
+// valuation as they only move stock between locations
+const VALUATION_OUTBOUND_TYPES = ["sale", "supplier_return", "adjustment_out"];
+
+// GET /api/reports/inventory-valuation - Quantity and cost of the stock on hand as of a date
+// With startDate the opening value is rolled forward to the closing value by
+// movement type, so the report reconciles with the purchase and sales ledgers.
+const getInventoryValuation = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const timeZone = req.user.settings?.timeZone || "UTC";
+    const today = toZonedDateString(new Date(), timeZone);
+    const { asOf = today, startDate, category } = req.query;
+
+    if (
+      !isValidDateString(asOf) ||
+      (startDate && !isValidDateString(startDate))
+    ) {
+      return errorResponse(
+        res,
+        "asOf and startDate must be dates in YYYY-MM-DD format.",
+        400
+      );
+    }
+    if (startDate && startDate > asOf) {
+      return errorResponse(res, "startDate must be before asOf.", 400);
+    }
+    // asOf and startDate are whole days in the shop's time zone
+    const end = startOfZonedDay(addDays(asOf, 1), timeZone);
+    const start = startDate ? startOfZonedDay(startDate, timeZone) : null;
+
+    const productQuery = { createdBy: authenticatedUserId };
+    if (category) productQuery.category = category;
+    const products = await Product.find(productQuery)
+      .select("name sku unit purchasePrice")
+      .lean();
+    const productById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    const rows = await StockMovement.aggregate([
+      {
+        $match: {
+          product: { $in: products.map((product) => product._id) },
+          movementType: { $nin: ["transfer_in", "transfer_out"] },
+          date: { $lt: end },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            product: "$product",
+            movementType: "$movementType",
+            beforeStart: start ? { $lt: ["$date", start] } : false,
+          },
+          quantity: { $sum: "$quantity" },
+          costedValue: {
+            $sum: { $multiply: ["$quantity", { $ifNull: ["$unitCost", 0] }] },
+          },
+          // movements recorded before costing existed have no unit cost
+          uncostedQuantity: {
+            $sum: {
+              $cond: [
+                { $in: [{ $type: "$unitCost" }, ["missing", "null"]] },
+                "$quantity",
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    const byProduct = new Map();
+    const periodByType = new Map();
+    let openingValue = 0;
+
+    for (const row of rows) {
+      const product = productById.get(row._id.product.toString());
+      const sign = VALUATION_OUTBOUND_TYPES.includes(row._id.movementType)
+        ? -1
+        : 1;
+      const value =
+        row.costedValue + row.uncostedQuantity * (product.purchasePrice || 0);
+
+      const productTotals = byProduct.get(row._id.product.toString()) || {
+        product,
+        quantity: 0,
+        value: 0,
+      };
+      productTotals.quantity += sign * row.quantity;
+      productTotals.value += sign * value;
+      byProduct.set(row._id.product.toString(), productTotals);
+
+      if (row._id.beforeStart) {
+        openingValue += sign * value;
+      } else {
+        const typeTotals = periodByType.get(row._id.movementType) || {
+          movementType: row._id.movementType,
+          quantity: 0,
+          value: 0,
+        };
+        typeTotals.quantity += sign * row.quantity;
+        typeTotals.value += sign * value;
+        periodByType.set(row._id.movementType, typeTotals);
+      }
+    }
+
+    const items = [...byProduct.values()]
+      .filter((row) => row.quantity !== 0)
+      .map((row) => ({
+        product: {
+          _id: row.product._id,
+          name: row.product.name,
+          sku: row.product.sku,
+          unit: row.product.unit,
+        },
+        quantity: row.quantity,
+        value: roundCurrency(row.value),
+        unitCost: roundCurrency(row.value / row.quantity),
+      }))
+      .sort((a, b) => b.value - a.value);
+
+    const closingValue = roundCurrency(
+      [...byProduct.values()].reduce((sum, row) => sum + row.value, 0)
+    );
+
+    const report = {
+      asOf,
+      timeZone,
+      costingMethod: req.user.settings?.costingMethod || "fifo",
+      totals: {
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        value: closingValue,
+      },
+      items,
+    };
+
+    if (start) {
+      report.reconciliation = {
+        startDate,
+        openingValue: roundCurrency(openingValue),
+        // signed: stock coming in is positive, stock going out negative
+        movements: [...periodByType.values()].map((row) => ({
+          movementType: row.movementType,
+          quantity: row.quantity,
+          value: roundCurrency(row.value),
+        })),
+        closingValue,
+      };
+    }
+
+    return successResponse(
+      res,
+      "Inventory valuation retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Inventory valuation error:", err);
+    next(err);
+  }
+};
+
+const FORECAST_MODEL_OPTIONS = ["auto", ...FORECAST_MODELS];
+
+// GET /api/reports/demand-forecast - Unit demand per product for the coming weeks
+// The daily units sold (net of returns) over the last historyWeeks of complete
+// days in the shop's time zone are forecast with a moving average or with
+// exponential smoothing and a day-of-week pattern. "auto" takes the model with
+// the lower error on the last holdoutWeeks of history. The run-out date follows
+// the forecast from the current stock, adding placed orders once the supplier's
+// lead time after the order date has passed.
+const getDemandForecast = async (req, res, next) => {
+  try {
+    const authenticatedUserId = req.user._id;
+    const {
+      category,
+      product,
+      model = "auto",
+      page = 1,
+      limit = 10,
+    } = req.query;
+    const weeks = Number(req.query.weeks ?? 4);
+    const historyWeeks = Number(req.query.historyWeeks ?? 12);
+    const holdoutWeeks = Number(req.query.holdoutWeeks ?? 2);
+    const timeZone = req.user.settings?.timeZone || "UTC";
+
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > 26) {
+      return errorResponse(
+        res,
+        "weeks must be a whole number between 1 and 26.",
+        400
+      );
+    }
+    if (
+      !Number.isInteger(historyWeeks) ||
+      historyWeeks < 4 ||
+      historyWeeks > 104
+    ) {
+      return errorResponse(
+        res,
+        "historyWeeks must be a whole number between 4 and 104.",
+        400
+      );
+    }
+    if (
+      !Number.isInteger(holdoutWeeks) ||
+      holdoutWeeks < 1 ||
+      holdoutWeeks > historyWeeks / 2
+    ) {
+      return errorResponse(
+        res,
+        "holdoutWeeks must be at least 1 and at most half of historyWeeks.",
+        400
+      );
+    }
+    if (!FORECAST_MODEL_OPTIONS.includes(model)) {
+      return errorResponse(
+        res,
+        `Model must be one of: ${FORECAST_MODEL_OPTIONS.join(", ")}.`,
+        400
+      );
+    }
+
+    const parsedPage = parseInt(page, 10) || 1;
+    const parsedLimit = parseInt(limit, 10) || 10;
+    const historyDays = historyWeeks * 7;
+    const horizonDays = weeks * 7;
+    const today = toZonedDateString(new Date(), timeZone);
+    const firstDay = addDays(today, -historyDays);
+
+    const productQuery = { createdBy: authenticatedUserId, isActive: true };
+    if (category) productQuery.category = category;
+    if (product) productQuery._id = product;
+    const products = await Product.find(productQuery)
+      .select("name sku unit")
+      .lean();
+    const productIds = products.map((row) => row._id);
+
+    const [salesRows, stockRows, openOrderRows] = await Promise.all([
+      Sale.aggregate([
+        ...saleLineProfitStages({
+          createdBy: authenticatedUserId,
+          saleDate: {
+            $gte: startOfZonedDay(firstDay, timeZone),
+            $lt: startOfZonedDay(today, timeZone),
+          },
+          "items.product": { $in: productIds },
+        }),
+        {
+          $group: {
+            _id: {
+              product: "$items.product",
+              day: {
+                $dateToString: {
+                  format: "%Y-%m-%d",
+                  date: "$saleDate",
+                  timezone: timeZone,
+                },
+              },
+            },
+            units: { $sum: "$soldQuantity" },
+          },
+        },
+      ]),
+      Stock.aggregate([
+        { $match: { product: { $in: productIds } } },
+        {
+          $group: { _id: "$product", currentStock: { $sum: "$currentStock" } },
+        },
+      ]),
+      // what is still outstanding on placed orders
+      Purchase.aggregate([
+        {
+          $match: {
+            createdBy: authenticatedUserId,
+            purchaseStatus: { $in: ["ordered", "partially_received"] },
+          },
+        },
+        {
+          $lookup: {
+            from: "suppliers",
+            localField: "supplier",
+            foreignField: "_id",
+            as: "supplier",
+          },
+        },
+        { $unwind: "$items" },
+        { $match: { "items.product": { $in: productIds } } },
+        {
+          $project: {
+            product: "$items.product",
+            orderDate: 1,
+            leadTimeDays: {
+              $ifNull: [{ $arrayElemAt: ["$supplier.leadTimeDays", 0] }, 7],
+            },
+            quantity: {
+              $subtract: [
+                "$items.quantity",
+                {
+                  $add: [
+                    { $ifNull: ["$items.receivedQuantity", 0] },
+                    { $ifNull: ["$items.cancelledQuantity", 0] },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        { $match: { quantity: { $gt: 0 } } },
+      ]),
+    ]);
+
+    const historyById = new Map(
+      productIds.map((id) => [id.toString(), Array(historyDays).fill(0)])
+    );
+    for (const row of salesRows) {
+      const history = historyById.get(row._id.product.toString());
+      const day = daysBetween(firstDay, row._id.day);
+      if (history && day >= 0 && day < historyDays) history[day] += row.units;
+    }
+    const stockById = new Map(
+      stockRows.map((row) => [row._id.toString(), row.currentStock])
+    );
+
+    // arrivals per product: Map(days from today -> units), late orders today
+    const arrivalsById = new Map();
+    for (const row of openOrderRows) {
+      const id = row.product.toString();
+      if (!arrivalsById.has(id)) arrivalsById.set(id, new Map());
+      const arrivals = arrivalsById.get(id);
+      const expectedDate = toZonedDateString(
+        new Date(row.orderDate.getTime() + row.leadTimeDays * 86400000),
+        timeZone
+      );
+      const day = Math.max(daysBetween(today, expectedDate), 0);
+      arrivals.set(day, (arrivals.get(day) || 0) + row.quantity);
+    }
+
+    const roundUnits = (units) => Math.round(units * 10) / 10;
+
+    const rows = products.map((productDoc) => {
+      const id = productDoc._id.toString();
+      const history = historyById.get(id);
+      const arrivals = arrivalsById.get(id) || new Map();
+      const currentStock = stockById.get(id) || 0;
+      const unitsSold = history.reduce((sum, units) => sum + units, 0);
+
+      const error = Object.fromEntries(
+        FORECAST_MODELS.map((name) => [
+          name,
+          evaluateModel(name, history, holdoutWeeks * 7),
+        ])
+      );
+      // the moving average wins a tie
+      const chosenModel =
+        model !== "auto"
+          ? model
+          : FORECAST_MODELS.reduce((best, name) =>
+              error[name].mae < error[best].mae ? name : best
+            );
+
+      const daily = forecastDaily(chosenModel, history, horizonDays);
+      const forecast = toWeeklyTotals(daily).map((units, week) => ({
+        week: week + 1,
+        startDate: addDays(today, week * 7),
+        endDate: addDays(today, week * 7 + 6),
+        units: roundUnits(units),
+      }));
+      const runOutDay = findRunOutDay(currentStock, daily, arrivals);
+
+      return {
+        product: {
+          _id: productDoc._id,
+          name: productDoc.name,
+          sku: productDoc.sku,
+          unit: productDoc.unit,
+        },
+        model: chosenModel,
+        unitsSold,
+        averageDailySales: Math.round((unitsSold / historyDays) * 100) / 100,
+        forecast,
+        forecastUnits: roundUnits(daily.reduce((sum, units) => sum + units, 0)),
+        error,
+        currentStock,
+        onOrder: [...arrivals.values()].reduce((sum, units) => sum + units, 0),
+        runOutDate: runOutDay === null ? null : addDays(today, runOutDay),
+        daysUntilRunOut: runOutDay,
+      };
+    });
+
+    // soonest to run out first, stock that lasts through the forecast last
+    const runOutOrder = (row) =>
+      row.daysUntilRunOut === null ? Infinity : row.daysUntilRunOut;
+    rows.sort(
+      (a, b) =>
+        runOutOrder(a) - runOutOrder(b) ||
+        b.forecastUnits - a.forecastUnits ||
+        a.product.name.localeCompare(b.product.name)
+    );
+
+    const totalItems = rows.length;
+    const totalPages = Math.ceil(totalItems / parsedLimit);
+
+    const report = {
+      timeZone,
+      model,
+      historyPeriod: { startDate: firstDay, endDate: addDays(today, -1) },
+      forecastPeriod: {
+        startDate: today,
+        endDate: addDays(today, horizonDays - 1),
+      },
+      holdoutWeeks,
+      summary: {
+        productCount: totalItems,
+        runningOutCount: rows.filter((row) => row.daysUntilRunOut !== null)
+          .length,
+        forecastUnits: roundUnits(
+          rows.reduce((sum, row) => sum + row.forecastUnits, 0)
+        ),
+      },
+      items: rows.slice(
+        (parsedPage - 1) * parsedLimit,
+        parsedPage * parsedLimit
+      ),
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+
+    return successResponse(
+      res,
+      "Demand forecast retrieved successfully.",
+      report
+    );
+  } catch (err) {
+    console.error("Demand forecast error:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  getTaxSummary,
+  getDiscountReport,
+  getReceivablesAging,
+  getAdjustmentReport,
+  getGrossProfitReport,
+  getProductPerformance,
+  getInventoryValuation,
+  getDemandForecast,
+};
@@ -2,9 +2,40 @@
 const Sale = require("../models/Sale");
 const Product = require("../models/Product");
 const Stock = require("../models/Stock");
+const Location = require("../models/Location");
+const Customer = require("../models/Customer");
+const SaleReturn = require("../models/SaleReturn");
+const {
+  resolveTaxConfig,
+  calculateLineTax,
+  roundCurrency,
+} = require("../utils/taxUtils");
+const {
+  DISCOUNT_REASON_CODES,
+  validateDiscount,
+  calculateDiscount,
+  allocateDiscount,
+} = require("../utils/discountUtils");
+const {
+  PAYMENT_METHODS,
+  validatePayments,
+  settlePayments,
+} = require("../utils/paymentUtils");
+const eventBus = require("../utils/eventBus");
 const mongoose = require("mongoose");
 const { successResponse, errorResponse } = require("../utils/responseHandler");
 
+// returned quantities only change through returns
+const RETURN_FIELDS = ["returnedAmount", "returnStatus"];
+// worked out from the payments, later ones only come in through receipts
+const PAYMENT_FIELDS = [
+  "amountTendered",
+  "changeDue",
+  "amountPaid",
+  "balanceDue",
+  "paymentStatus",
+];
+
 // POST /api/sales/create - Create a new sale
 // transactional stock updates
 const createSale = async (req, res, next) => {
@@ -19,19 +50,118 @@ const createSale = async (req, res, next) => {
       ...req.body,
       createdBy: authenticatedUserId,
     };
+    RETURN_FIELDS.forEach((field) => delete saleData[field]);
+    PAYMENT_FIELDS.forEach((field) => delete saleData[field]);
+
+    const {
+      items,
+      paymentMethod,
+      payments,
+      onCredit,
+      customer: customerId,
+    } = saleData;
+
+    // a single paymentMethod is still accepted and paid in full with that tender
+    if (!payments && !paymentMethod && !onCredit) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Payment method is required.", 400);
+    }
+    if (payments) {
+      const paymentError = validatePayments(payments);
+      if (paymentError) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(res, paymentError, 400);
+      }
+    } else if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Invalid payment method: ${paymentMethod}.`,
+        400
+      );
+    }
+    delete saleData.paymentMethod;
 
-    const { items, paymentMethod } = saleData;
+    const paysWithStoreCredit = payments
+      ? payments.some((payment) => payment.method === "store_credit")
+      : paymentMethod === "store_credit";
+    if (paysWithStoreCredit && !customerId) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Store credit payments require a customer.",
+        400
+      );
+    }
 
-    if (!paymentMethod) {
+    // whatever is not paid now goes on the customer's account
+    if (onCredit && !customerId) {
       await session.abortTransaction();
-      return errorResponse(res, "Payment method is required.", 400);
+      session.endSession();
+      return errorResponse(res, "Credit sales require a customer.", 400);
+    }
+    if (saleData.dueDate && isNaN(new Date(saleData.dueDate))) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Invalid due date provided.", 400);
     }
 
+    // walk-in sales stay anonymous, a customer is only linked when provided
+    if (customerId) {
+      const customer = await Customer.findOne({
+        _id: customerId,
+        createdBy: authenticatedUserId,
+      }).session(session);
+
+      if (!customer || !customer.isActive) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Invalid or inactive customer provided.",
+          400
+        );
+      }
+    } else {
+      delete saleData.customer;
+    }
+
+    // stock is taken from the chosen location, the default one otherwise
+    const location = await Location.resolve(
+      authenticatedUserId,
+      saleData.location,
+      session
+    );
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
+    }
+    saleData.location = location._id;
+
     if (!items || !Array.isArray(items) || items.length === 0) {
       await session.abortTransaction();
       return errorResponse(res, "A sale must include at least one item.", 400);
     }
 
+    if (
+      saleData.discountReason &&
+      !DISCOUNT_REASON_CODES.includes(saleData.discountReason)
+    ) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Invalid discount reason code.", 400);
+    }
+
+    const lineProducts = [];
+    // stock of batch-tracked products, lots picked for earlier lines are
+    // taken off so a product repeated on the sale is not sold twice
+    const trackedStocks = new Map();
+
     // first validating all items and check stock
     for (const item of items) {
       if (
@@ -67,7 +197,9 @@ const createSale = async (req, res, next) => {
       const product = await Product.findOne({
         _id: item.product,
         createdBy: authenticatedUserId,
-      }).session(session);
+      })
+        .populate("category", "taxRate taxInclusive")
+        .session(session);
 
       if (!product || !product.isActive) {
         await session.abortTransaction();
@@ -80,9 +212,10 @@ const createSale = async (req, res, next) => {
       }
 
       // checking ownership after stock is confirmed
-      const stock = await Stock.findOne({ product: item.product }).session(
-        session
-      );
+      const stock = await Stock.findOne({
+        product: item.product,
+        location: location._id,
+      }).session(session);
 
       if (!stock || stock.currentStock < item.quantity) {
         await session.abortTransaction();
@@ -93,16 +226,203 @@ const createSale = async (req, res, next) => {
           400
         );
       }
-      item.totalPrice = item.quantity * item.unitPrice;
+
+      // earliest expiring lot first, unless a lot was chosen; expired lots are never sold
+      if (product.trackBatches) {
+        const productKey = product._id.toString();
+        if (!trackedStocks.has(productKey)) {
+          trackedStocks.set(productKey, stock);
+        }
+        const trackedStock = trackedStocks.get(productKey);
+        const { batches, error } = Stock.pickBatches(
+          trackedStock,
+          item.quantity,
+          {
+            lotNumber: item.lotNumber,
+            excludeExpired: true,
+            productName: product.name,
+          }
+        );
+        if (error) {
+          await session.abortTransaction();
+          session.endSession();
+          return errorResponse(res, error, 400);
+        }
+        for (const picked of batches) {
+          trackedStock.batches.find(
+            (batch) => batch.lotNumber === picked.lotNumber
+          ).quantity -= picked.quantity;
+        }
+        item.batches = batches;
+      } else {
+        delete item.batches;
+      }
+
+      delete item.returnedQuantity;
+
+      // list price is kept so any change to the charged price stays visible
+      item.listPrice = product.sellingPrice;
+      item.discountAmount = 0;
+
+      if (item.discount) {
+        const grossAmount = item.quantity * item.unitPrice;
+        const discountError = validateDiscount(item.discount, grossAmount);
+        if (discountError) {
+          await session.abortTransaction();
+          session.endSession();
+          return errorResponse(
+            res,
+            `${discountError} (product: ${product.name})`,
+            400
+          );
+        }
+        item.discountType = item.discount.type;
+        item.discountValue = item.discount.value;
+        item.discountAmount = calculateDiscount(grossAmount, item.discount);
+      }
+
+      if (
+        item.discountReason &&
+        !DISCOUNT_REASON_CODES.includes(item.discountReason)
+      ) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(res, "Invalid discount reason code.", 400);
+      }
+
+      lineProducts.push(product);
+    }
+
+    const lineAmounts = items.map((item) =>
+      roundCurrency(item.quantity * item.unitPrice - item.discountAmount)
+    );
+
+    let invoiceDiscountAmount = 0;
+    if (saleData.discount) {
+      const invoiceAmount = lineAmounts.reduce(
+        (sum, amount) => sum + amount,
+        0
+      );
+      const discountError = validateDiscount(saleData.discount, invoiceAmount);
+      if (discountError) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(res, discountError, 400);
+      }
+      invoiceDiscountAmount = calculateDiscount(
+        invoiceAmount,
+        saleData.discount
+      );
+      saleData.invoiceDiscountType = saleData.discount.type;
+      saleData.invoiceDiscountValue = saleData.discount.value;
+      saleData.invoiceDiscountAmount = invoiceDiscountAmount;
+    }
+    const invoiceDiscountShares = allocateDiscount(
+      lineAmounts,
+      invoiceDiscountAmount
+    );
+
+    const threshold = req.user.settings?.discountReasonThreshold ?? null;
+
+    for (const [index, item] of items.entries()) {
+      const product = lineProducts[index];
+      const netAmount = roundCurrency(
+        lineAmounts[index] - invoiceDiscountShares[index]
+      );
+      item.invoiceDiscountAmount = invoiceDiscountShares[index];
+
+      // price overrides count as discount too, measured against the list price
+      const listAmount = item.listPrice * item.quantity;
+      const discountPercent = listAmount
+        ? ((listAmount - netAmount) / listAmount) * 100
+        : 0;
+
+      if (
+        threshold !== null &&
+        discountPercent > threshold &&
+        !item.discountReason &&
+        !saleData.discountReason
+      ) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `A discount reason is required for ${product.name}. Discounts above ${threshold}% need a reason code.`,
+          400
+        );
+      }
+
+      const { taxRate, taxInclusive } = resolveTaxConfig(product);
+      const lineTax = calculateLineTax(netAmount, taxRate, taxInclusive);
+      item.taxRate = taxRate;
+      item.taxInclusive = taxInclusive;
+      item.taxableAmount = lineTax.taxableAmount;
+      item.taxAmount = lineTax.taxAmount;
+      item.totalPrice = lineTax.totalAmount;
+    }
+
+    const saleTotal = roundCurrency(
+      items.reduce((sum, item) => sum + item.totalPrice, 0)
+    );
+    const settlement = settlePayments(
+      payments ||
+        (paymentMethod && saleTotal > 0
+          ? [{ method: paymentMethod, amount: saleTotal }]
+          : []),
+      saleTotal,
+      { allowCredit: Boolean(onCredit) }
+    );
+    if (settlement.error) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, settlement.error, 400);
+    }
+
+    // store credit is taken off the customer's balance with the sale
+    const storeCreditAmount = roundCurrency(
+      settlement.payments
+        .filter((payment) => payment.method === "store_credit")
+        .reduce((sum, payment) => sum + payment.amount, 0)
+    );
+    if (
+      storeCreditAmount > 0 &&
+      !(await Customer.spendStoreCredit(customerId, storeCreditAmount, session))
+    ) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Store credit payment (${storeCreditAmount}) exceeds the customer's store credit balance.`,
+        400
+      );
+    }
+
+    saleData.payments = settlement.payments;
+    saleData.amountTendered = settlement.amountTendered;
+    saleData.changeDue = settlement.changeDue;
+    saleData.balanceDue = settlement.balanceDue;
+
+    if (settlement.balanceDue > 0) {
+      if (!saleData.dueDate) {
+        const creditTermsDays = req.user.settings?.creditTermsDays ?? 30;
+        const dueDate = saleData.saleDate
+          ? new Date(saleData.saleDate)
+          : new Date();
+        dueDate.setDate(dueDate.getDate() + creditTermsDays);
+        saleData.dueDate = dueDate;
+      }
+    } else {
+      delete saleData.dueDate;
     }
 
     // second write to database
     const sale = new Sale(saleData);
     await sale.save({ session });
 
-    // looping through the items again to record all stock movements.
+    // looping through the items again to record all stock movements,
+    // each line keeps the cost its stock was taken out at
     for (const item of sale.items) {
-      await Stock.recordMovement(
+      const stock = await Stock.recordMovement(
         item.product,
         "sale",
         item.quantity,
@@ -110,14 +430,37 @@ const createSale = async (req, res, next) => {
         sale._id,
         "Sale",
         req.user._id,
-        session
+        session,
+        { location: sale.location, batches: item.batches }
       );
+      item.unitCost = stock.$locals.movement.unitCost;
+      item.costOfGoodsSold = roundCurrency(item.unitCost * item.quantity);
     }
+    await sale.save({ session });
+
+    // other devices of the shop hear of the sale once it is committed
+    eventBus.publishAfterCommit(session, "sale.created", {
+      sale: sale._id,
+      invoiceNumber: sale.invoiceNumber,
+      location: sale.location,
+      customer: sale.customer,
+      items: sale.items.map((item) => ({
+        product: item.product,
+        quantity: item.quantity,
+      })),
+      totalAmount: sale.totalAmount,
+      paymentStatus: sale.paymentStatus,
+      saleDate: sale.saleDate,
+      createdBy: sale.createdBy,
+    });
 
     await session.commitTransaction();
     session.endSession();
 
-    await sale.populate({ path: "items.product", select: "name sku unit" });
+    await sale.populate([
+      { path: "items.product", select: "name sku unit" },
+      { path: "customer", select: "firstName lastName phone" },
+    ]);
 
     return successResponse(res, "Sale created successfully.", sale, 201);
   } catch (err) {
@@ -136,6 +479,10 @@ const getAllSales = async (req, res, next) => {
     sortBy = "saleDate",
     sortOrder = "desc",
     paymentMethod,
+    paymentStatus,
+    overdue,
+    customer,
+    location,
     startDate,
     endDate,
     search,
@@ -148,8 +495,26 @@ const getAllSales = async (req, res, next) => {
     query.invoiceNumber = { $regex: search, $options: "i" };
   }
 
+  // matches any tender of a split payment, and the single method of older sales
   if (paymentMethod) {
-    query.paymentMethod = paymentMethod;
+    query.$or = [{ "payments.method": paymentMethod }, { paymentMethod }];
+  }
+
+  if (paymentStatus) {
+    query.paymentStatus = paymentStatus;
+  }
+
+  if (overdue === "true") {
+    query.balanceDue = { $gt: 0 };
+    query.dueDate = { $lt: new Date() };
+  }
+
+  if (customer) {
+    query.customer = customer;
+  }
+
+  if (location) {
+    query.location = location;
   }
 
   if (startDate || endDate) {
@@ -170,6 +535,7 @@ const getAllSales = async (req, res, next) => {
   try {
     const sales = await Sale.find(query)
       .populate("items.product", "name sku unit")
+      .populate("customer", "firstName lastName phone")
       .sort(sortOptions)
       .skip(skip)
       .limit(parsedLimit)
@@ -178,8 +544,13 @@ const getAllSales = async (req, res, next) => {
     const total = await Sale.countDocuments(query);
     const totalPages = Math.ceil(total / parsedLimit);
 
+    const now = new Date();
     const data = {
-      items: sales,
+      items: sales.map((sale) => ({
+        ...sale,
+        isDue: sale.balanceDue > 0,
+        isOverdue: sale.balanceDue > 0 && sale.dueDate < now,
+      })),
       pagination: {
         currentPage: parsedPage,
         limit: parsedLimit,
@@ -207,6 +578,8 @@ const getSaleById = async (req, res, next) => {
       createdBy: authenticatedUserId,
     })
       .populate("items.product", "name sku unit")
+      .populate("customer", "firstName lastName phone email")
+      .populate("location", "name")
       .lean();
 
     if (!sale) {
@@ -219,11 +592,17 @@ const getSaleById = async (req, res, next) => {
   }
 };
 
-// DELETE api/sales/sale/cancel/:saleId - Cancel a sale, restock stock and delete sale record
+// DELETE api/sales/sale/cancel/:saleId - Cancel a sale by returning everything still outstanding
+// the sale record is kept, a credit note is issued for the returned lines
 const cancelSale = async (req, res, next) => {
   const { saleId } = req.params;
+  const refundMethod = req.body?.refundMethod;
   const authenticatedUserId = req.user._id;
 
+  if (refundMethod !== undefined && !PAYMENT_METHODS.includes(refundMethod)) {
+    return errorResponse(res, `Invalid refund method: ${refundMethod}.`, 400);
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -238,34 +617,44 @@ const cancelSale = async (req, res, next) => {
       session.endSession();
       return errorResponse(res, "Sale not found.", 404);
     }
-
-    // Restore stock for each item using 'return' movement type
-    for (const item of sale.items) {
-      await Stock.recordMovement(
-        item.product, // product ID
-        "return", // when customer returns items, we use 'return' type
-        item.quantity, // quantity to restore
-        `Cancellation for INV: ${sale.invoiceNumber}`, // notes for the movement
-        sale._id, // sourceDocument
-        "Sale", // sourceModel
-        req.user._id, // movedBy is the user ID
-        session
+    if (refundMethod === "store_credit" && !sale.customer) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Store credit refunds require a sale with a customer.",
+        400
       );
     }
 
-    // Delete the sale record itself within same transaction
-    await Sale.findByIdAndDelete({
-      _id: saleId,
-      createdBy: authenticatedUserId,
-    }).session(session);
+    const lines = sale.items
+      .filter((item) => item.quantity > item.returnedQuantity)
+      .map((item) => ({
+        saleItem: item._id,
+        quantity: item.quantity - item.returnedQuantity,
+      }));
+
+    if (lines.length === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Sale has already been fully returned.", 400);
+    }
+
+    const saleReturn = await SaleReturn.recordReturn(
+      sale,
+      lines,
+      { reason: "Sale cancelled", notes: req.body?.notes, refundMethod },
+      authenticatedUserId,
+      session
+    );
 
     await session.commitTransaction();
     session.endSession();
 
-    return successResponse(
-      res,
-      "Sale cancelled, stock restored, and record deleted successfully."
-    );
+    return successResponse(res, "Sale cancelled and stock restored.", {
+      sale,
+      saleReturn,
+    });
   } catch (err) {
     await session.abortTransaction();
     session.endSession();
@@ -0,0 +1,263 @@
+// controllers/saleReturnController.js
+const mongoose = require("mongoose");
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const Product = require("../models/Product");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { PAYMENT_METHODS } = require("../utils/paymentUtils");
+
+// POST /api/sales/sale/return/:saleId - Return some items of a sale
+// transactional stock updates
+const createSaleReturn = async (req, res, next) => {
+  const { saleId } = req.params;
+  const { items, reason, notes, refundMethod } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return errorResponse(res, "A return must include at least one item.", 400);
+  }
+  if (refundMethod !== undefined && !PAYMENT_METHODS.includes(refundMethod)) {
+    return errorResponse(res, `Invalid refund method: ${refundMethod}.`, 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const sale = await Sale.findOne({
+      _id: saleId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!sale) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Sale not found.", 404);
+    }
+    if (refundMethod === "store_credit" && !sale.customer) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Store credit refunds require a sale with a customer.",
+        400
+      );
+    }
+
+    // quantities requested per sale line, so repeated lines add up
+    const requested = new Map();
+
+    for (const item of items) {
+      if (!item.saleItem && !item.product) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each returned item must reference a sale item or product.",
+          400
+        );
+      }
+      if (typeof item.quantity !== "number" || item.quantity <= 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each returned item must have a positive quantity.",
+          400
+        );
+      }
+
+      // by product the quantity is spread over the product's lines in
+      // order, counting what this return already takes from each
+      const candidateLines = item.saleItem
+        ? [sale.items.id(item.saleItem)].filter(Boolean)
+        : sale.items.filter(
+            (saleItem) =>
+              saleItem.product.toString() === item.product.toString()
+          );
+
+      if (candidateLines.length === 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Item ${item.saleItem || item.product} is not part of this sale.`,
+          400
+        );
+      }
+
+      const requestedOf = (line) => requested.get(line._id.toString()) || 0;
+      const quantity = candidateLines.reduce(
+        (sum, line) => sum + requestedOf(line),
+        item.quantity
+      );
+      const returnable = candidateLines.reduce(
+        (sum, line) => sum + line.quantity - line.returnedQuantity,
+        0
+      );
+
+      if (quantity > returnable) {
+        const product = await Product.findById(candidateLines[0].product, {
+          name: 1,
+        });
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Cannot return ${quantity} of ${product.name}. Only ${returnable} can still be returned.`,
+          400
+        );
+      }
+
+      let remaining = item.quantity;
+      for (const line of candidateLines) {
+        const left = line.quantity - line.returnedQuantity - requestedOf(line);
+        const take = Math.min(left, remaining);
+        if (take > 0) {
+          requested.set(line._id.toString(), requestedOf(line) + take);
+          remaining -= take;
+        }
+      }
+    }
+
+    const lines = [...requested].map(([saleItem, quantity]) => ({
+      saleItem,
+      quantity,
+    }));
+
+    const saleReturn = await SaleReturn.recordReturn(
+      sale,
+      lines,
+      { reason, notes, refundMethod },
+      authenticatedUserId,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await saleReturn.populate([
+      { path: "items.product", select: "name sku unit" },
+      { path: "sale", select: "invoiceNumber totalAmount returnStatus" },
+    ]);
+
+    return successResponse(
+      res,
+      "Sale return recorded successfully.",
+      saleReturn,
+      201
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error creating sale return:", err);
+    next(err);
+  }
+};
+
+// GET /api/sales/returns - Get all sale returns
+const getAllSaleReturns = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "returnDate",
+    sortOrder = "desc",
+    sale,
+    customer,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const query = { createdBy: authenticatedUserId };
+
+  if (search) {
+    query.returnNumber = { $regex: search, $options: "i" };
+  }
+  if (sale) {
+    query.sale = sale;
+  }
+  if (customer) {
+    query.customer = customer;
+  }
+
+  if (startDate || endDate) {
+    query.returnDate = {};
+    if (startDate) query.returnDate.$gte = new Date(startDate);
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.returnDate.$lte = endOfDay;
+    }
+  }
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  try {
+    const saleReturns = await SaleReturn.find(query)
+      .populate("items.product", "name sku unit")
+      .populate("sale", "invoiceNumber")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parsedLimit)
+      .lean();
+
+    const total = await SaleReturn.countDocuments(query);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    const data = {
+      items: saleReturns,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(res, "Sale returns retrieved successfully.", data);
+  } catch (err) {
+    console.error("Error fetching sale returns: ", err);
+    next(err);
+  }
+};
+
+// GET /api/sales/returns/return/:returnId - Get a single sale return
+const getSaleReturnById = async (req, res, next) => {
+  const { returnId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const saleReturn = await SaleReturn.findOne({
+      _id: returnId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("items.product", "name sku unit")
+      .populate("sale", "invoiceNumber totalAmount saleDate returnStatus")
+      .populate("customer", "firstName lastName phone")
+      .lean();
+
+    if (!saleReturn) {
+      return errorResponse(res, "Sale return not found.", 404);
+    }
+    return successResponse(
+      res,
+      "Sale return retrieved successfully.",
+      saleReturn
+    );
+  } catch (err) {
+    console.error("Error fetching sale return:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createSaleReturn,
+  getAllSaleReturns,
+  getSaleReturnById,
+};
@@ -1,10 +1,19 @@
 // controllers/stockController.js
 const mongoose = require("mongoose");
 const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
 const Product = require("../models/Product");
+const StockAlert = require("../models/StockAlert");
 const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { roundCurrency } = require("../utils/taxUtils");
+const {
+  ABC_CLASSES,
+  XYZ_CLASSES,
+  parseClassFilter,
+} = require("../utils/classificationUtils");
 
 // GET /api/stocks - Get all stock levels for the logged-in user's products
+// one item per product, summed over the locations unless a location is given
 const getAllStock = async (req, res, next) => {
   try {
     const authenticatedUserId = req.user._id;
@@ -16,8 +25,15 @@ const getAllStock = async (req, res, next) => {
       search,
       stockStatus,
       category,
+      location,
+      abcClass,
+      xyzClass,
     } = req.query;
 
+    if (location && !mongoose.Types.ObjectId.isValid(location)) {
+      return errorResponse(res, "Invalid location provided.", 400);
+    }
+
     const productQuery = { createdBy: authenticatedUserId };
 
     if (search) {
@@ -31,6 +47,22 @@ const getAllStock = async (req, res, next) => {
       productQuery.category = category;
     }
 
+    // e.g. abcClass=A or abcClass=A,B
+    if (abcClass) {
+      const abcFilter = parseClassFilter(abcClass, ABC_CLASSES);
+      if (!abcFilter) {
+        return errorResponse(res, "abcClass must be A, B or C.", 400);
+      }
+      productQuery["classification.abc"] = abcFilter;
+    }
+    if (xyzClass) {
+      const xyzFilter = parseClassFilter(xyzClass, XYZ_CLASSES);
+      if (!xyzFilter) {
+        return errorResponse(res, "xyzClass must be X, Y or Z.", 400);
+      }
+      productQuery["classification.xyz"] = xyzFilter;
+    }
+
     // Get the list of product IDs that the user is allowed to see.
     const userProductIds = await Product.find(productQuery).distinct("_id");
 
@@ -49,14 +81,44 @@ const getAllStock = async (req, res, next) => {
     }
 
     const stockQuery = { product: { $in: userProductIds } };
+    if (location) {
+      stockQuery.location = new mongoose.Types.ObjectId(location);
+    }
 
     const pipeline = [
       { $match: stockQuery },
 
+      {
+        $lookup: {
+          from: "locations",
+          localField: "location",
+          foreignField: "_id",
+          as: "locationInfo",
+        },
+      },
+      { $unwind: { path: "$locationInfo", preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: "$product",
+          currentStock: { $sum: "$currentStock" },
+          locations: {
+            $push: {
+              location: {
+                _id: "$locationInfo._id",
+                name: "$locationInfo.name",
+              },
+              currentStock: "$currentStock",
+            },
+          },
+          createdAt: { $min: "$createdAt" },
+          updatedAt: { $max: "$updatedAt" },
+        },
+      },
+
       {
         $lookup: {
           from: "products",
-          localField: "product",
+          localField: "_id",
           foreignField: "_id",
           as: "productInfo",
         },
@@ -123,6 +185,7 @@ const getAllStock = async (req, res, next) => {
       items: stocks.map((stock) => ({
         _id: stock._id,
         currentStock: stock.currentStock,
+        locations: stock.locations,
         product: {
           _id: stock.productInfo._id,
           name: stock.productInfo.name,
@@ -131,6 +194,8 @@ const getAllStock = async (req, res, next) => {
           category: {
             name: stock.productInfo.category?.name || "N/A",
           },
+          abcClass: stock.productInfo.classification?.abc || null,
+          xyzClass: stock.productInfo.classification?.xyz || null,
         },
         createdAt: stock.createdAt,
         updatedAt: stock.updatedAt,
@@ -153,8 +218,10 @@ const getAllStock = async (req, res, next) => {
 };
 
 // GET /api/stocks/product/:productId - Get stock for a single, user-owned product
+// the stock of every location unless a location is given
 const getStockByProductId = async (req, res, next) => {
   const { productId } = req.params;
+  const { location } = req.query;
   const authenticatedUserId = req.user._id;
 
   try {
@@ -171,27 +238,144 @@ const getStockByProductId = async (req, res, next) => {
       );
     }
 
-    const stock = await Stock.findOne({ product: productId })
-      .populate("product", "name sku sellingPrice purchasePrice unit category")
+    const stockQuery = { product: productId };
+    if (location) stockQuery.location = location;
+
+    const stocks = await Stock.find(stockQuery)
+      .populate("location", "name type")
       .lean();
 
-    if (!stock) {
+    if (stocks.length === 0) {
       // This case might happen if a product was created but its initial stock record failed.
       return errorResponse(res, "Stock record not found.", 404);
     }
-    return successResponse(res, "Stock level retrieved successfully.", stock);
+
+    return successResponse(res, "Stock level retrieved successfully.", {
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        sellingPrice: product.sellingPrice,
+        purchasePrice: product.purchasePrice,
+        unit: product.unit,
+        category: product.category,
+      },
+      currentStock: stocks.reduce((sum, stock) => sum + stock.currentStock, 0),
+      locations: stocks.map(({ product, ...stock }) => stock),
+    });
   } catch (err) {
     console.error("Error getting stock by product ID:", err);
     next(err);
   }
 };
 
+const MOVEMENT_TYPES = StockMovement.schema.path("movementType").enumValues;
+
+// Builds the movement filter shared by the history endpoints from the query
+// string. Returns { filter } or { error }.
+const buildMovementFilter = (query) => {
+  const {
+    location,
+    movementType,
+    startDate,
+    endDate,
+    sourceModel,
+    sourceDocument,
+  } = query;
+  const filter = {};
+
+  if (location) {
+    if (!mongoose.Types.ObjectId.isValid(location)) {
+      return { error: "Invalid location provided." };
+    }
+    filter.location = location;
+  }
+
+  // comma separated, e.g. movementType=sale,return
+  if (movementType) {
+    const types = movementType.split(",").map((type) => type.trim());
+    const invalidType = types.find((type) => !MOVEMENT_TYPES.includes(type));
+    if (invalidType) {
+      return {
+        error: `Movement type must be one of: ${MOVEMENT_TYPES.join(", ")}.`,
+      };
+    }
+    filter.movementType = { $in: types };
+  }
+
+  if (sourceModel) {
+    filter.sourceModel = sourceModel;
+  }
+  if (sourceDocument) {
+    if (!mongoose.Types.ObjectId.isValid(sourceDocument)) {
+      return { error: "Invalid source document provided." };
+    }
+    filter.sourceDocument = sourceDocument;
+  }
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      filter.date.$lte = endOfDay;
+    }
+  }
+
+  return { filter };
+};
+
+// Returns one page of movements, newest first
+const getMovementPage = async (filter, page, limit) => {
+  const parsedPage = parseInt(page, 10) || 1;
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+
+  const [movements, totalMovements] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ date: -1, _id: -1 })
+      .skip(skip)
+      .limit(parsedLimit)
+      .populate("product", "name sku unit")
+      .populate("location", "name")
+      .populate("movedBy", "firstName lastName")
+      .lean(),
+    StockMovement.countDocuments(filter),
+  ]);
+  const totalPages = Math.ceil(totalMovements / parsedLimit);
+
+  return {
+    history: movements.map((movement) => ({
+      ...movement,
+      movedBy: movement.movedBy
+        ? {
+            name: `${movement.movedBy.firstName} ${movement.movedBy.lastName}`,
+          }
+        : null,
+    })),
+    pagination: {
+      currentPage: parsedPage,
+      limit: parsedLimit,
+      totalItems: totalMovements,
+      totalPages: totalPages,
+      hasNextPage: parsedPage < totalPages,
+      hasPrevPage: parsedPage > 1,
+    },
+  };
+};
+
 // GET /api/stocks/history/:productId - Get stock movement history for a user-owned product
 const getStockMovement = async (req, res, next) => {
   const { productId } = req.params;
   const authenticatedUserId = req.user._id;
   const { page = 1, limit = 10 } = req.query;
 
+  const { filter, error } = buildMovementFilter(req.query);
+  if (error) {
+    return errorResponse(res, error, 400);
+  }
+
   try {
     const product = await Product.findOne({
       _id: productId,
@@ -206,98 +390,170 @@ const getStockMovement = async (req, res, next) => {
       );
     }
 
-    const parsedPage = parseInt(page, 10);
-    const parsedLimit = parseInt(limit, 10);
-    const skip = (parsedPage - 1) * parsedLimit;
+    filter.product = product._id;
+    const data = await getMovementPage(filter, page, limit);
 
-    const aggregation = await Stock.aggregate([
-      { $match: { product: new mongoose.Types.ObjectId(productId) } },
-      {
-        $facet: {
-          paginatedHistory: [
-            { $unwind: "$movementHistory" },
-
-            // mobile fix
-
-            {
-              $addFields: {
-                "movementHistory._id": {
-                  $ifNull: [
-                    "$movementHistory._id",
-                    new mongoose.Types.ObjectId(),
-                  ],
-                },
-              },
-            },
+    return successResponse(
+      res,
+      "Stock movement history retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Error getting stock movement history:", err);
+    next(err);
+  }
+};
 
-            //
+// GET /api/stocks/movements - Get the stock movements of all the user's products
+// e.g. ?sourceModel=Sale&sourceDocument=<saleId> for the movements of one sale
+const getAllStockMovements = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const { page = 1, limit = 10, product } = req.query;
 
-            { $sort: { "movementHistory.date": -1 } },
-            { $skip: skip },
-            { $limit: parsedLimit },
-            {
-              $lookup: {
-                from: "users",
-                localField: "movementHistory.movedBy",
-                foreignField: "_id",
-                as: "movedByUser",
-              },
-            },
-            {
-              $unwind: {
-                path: "$movedByUser",
-                preserveNullAndEmptyArrays: true,
-              },
-            },
-            {
-              $project: {
-                _id: "$movementHistory._id",
-                movementType: "$movementHistory.movementType",
-                quantity: "$movementHistory.quantity",
-                date: "$movementHistory.date",
-                notes: "$movementHistory.notes",
-                movedBy: {
-                  name: {
-                    $concat: [
-                      "$movedByUser.firstName",
-                      " ",
-                      "$movedByUser.lastName",
-                    ],
-                  },
-                },
-              },
-            },
-          ],
-          totalCount: [
-            { $project: { totalMovements: { $size: "$movementHistory" } } },
-          ],
-        },
-      },
-    ]);
+  if (product && !mongoose.Types.ObjectId.isValid(product)) {
+    return errorResponse(res, "Invalid product provided.", 400);
+  }
+  const { filter, error } = buildMovementFilter(req.query);
+  if (error) {
+    return errorResponse(res, error, 400);
+  }
 
-    const history = aggregation[0]?.paginatedHistory || [];
-    const totalMovements = aggregation[0]?.totalCount[0]?.totalMovements || 0;
-    const totalPages = Math.ceil(totalMovements / parsedLimit);
+  try {
+    const productQuery = { createdBy: authenticatedUserId };
+    if (product) productQuery._id = product;
+    const productIds = await Product.distinct("_id", productQuery);
 
-    const data = {
-      history: history,
+    filter.product = { $in: productIds };
+    const data = await getMovementPage(filter, page, limit);
+
+    return successResponse(
+      res,
+      "Stock movements retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Error getting stock movements:", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/batches/expiring - Get lots of batch-tracked products expiring within `days` (default 30), per location
+// already expired lots that are still in stock are included and flagged
+const getExpiringBatches = async (req, res, next) => {
+  const { days = 30, category, location } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const parsedDays = parseInt(days, 10);
+  if (isNaN(parsedDays) || parsedDays < 0) {
+    return errorResponse(res, "Days must be zero or more.", 400);
+  }
+
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + parsedDays * 24 * 60 * 60 * 1000);
+
+  try {
+    const productQuery = { createdBy: authenticatedUserId, trackBatches: true };
+    if (category) productQuery.category = category;
+
+    const products = await Product.find(productQuery)
+      .select("name sku unit purchasePrice")
+      .lean();
+    const productById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    const stockQuery = {
+      product: { $in: products.map((product) => product._id) },
+    };
+    if (location) stockQuery.location = location;
+
+    const stocks = await Stock.find(stockQuery)
+      .select("product location batches")
+      .populate("location", "name")
+      .lean();
+
+    const batches = [];
+    for (const stock of stocks) {
+      for (const batch of stock.batches) {
+        if (batch.quantity <= 0 || !batch.expiryDate) continue;
+        if (batch.expiryDate > cutoff) continue;
+
+        const product = productById.get(stock.product.toString());
+        batches.push({
+          product: {
+            _id: product._id,
+            name: product.name,
+            sku: product.sku,
+            unit: product.unit,
+          },
+          location: stock.location,
+          lotNumber: batch.lotNumber,
+          expiryDate: batch.expiryDate,
+          quantity: batch.quantity,
+          value: roundCurrency(
+            batch.quantity * (batch.unitCost ?? product.purchasePrice ?? 0)
+          ),
+          daysToExpiry: Math.ceil(
+            (batch.expiryDate - now) / (24 * 60 * 60 * 1000)
+          ),
+          isExpired: batch.expiryDate <= now,
+        });
+      }
+    }
+    batches.sort((a, b) => a.expiryDate - b.expiryDate);
+
+    return successResponse(res, "Expiring batches retrieved successfully.", {
+      days: parsedDays,
+      expiredCount: batches.filter((batch) => batch.isExpired).length,
+      expiringCount: batches.filter((batch) => !batch.isExpired).length,
+      items: batches,
+    });
+  } catch (err) {
+    console.error("Error getting expiring batches:", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/alerts - Low and out of stock alerts, newest first
+// ?open=true lists the ones not resolved yet
+const getStockAlerts = async (req, res, next) => {
+  const authenticatedUserId = req.user._id;
+  const { page = 1, limit = 10, alertType, status, open } = req.query;
+
+  const query = { createdBy: authenticatedUserId };
+  if (alertType) query.alertType = alertType;
+  if (status) query.status = status;
+  if (open === "true") query.resolvedAt = null;
+
+  const parsedPage = parseInt(page, 10) || 1;
+  const parsedLimit = parseInt(limit, 10) || 10;
+
+  try {
+    const [alerts, total] = await Promise.all([
+      StockAlert.find(query)
+        .populate("product", "name sku unit")
+        .populate("location", "name")
+        .sort({ createdAt: -1 })
+        .skip((parsedPage - 1) * parsedLimit)
+        .limit(parsedLimit)
+        .lean(),
+      StockAlert.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    return successResponse(res, "Stock alerts retrieved successfully.", {
+      items: alerts,
       pagination: {
         currentPage: parsedPage,
         limit: parsedLimit,
-        totalItems: totalMovements,
-        totalPages: totalPages,
+        totalItems: total,
+        totalPages,
         hasNextPage: parsedPage < totalPages,
         hasPrevPage: parsedPage > 1,
       },
-    };
-
-    return successResponse(
-      res,
-      "Stock movement history retrieved successfully.",
-      data
-    );
+    });
   } catch (err) {
-    console.error("Error getting stock movement history:", err);
+    console.error("Error getting stock alerts:", err);
     next(err);
   }
 };
@@ -306,4 +562,7 @@ module.exports = {
   getAllStock,
   getStockByProductId,
   getStockMovement,
+  getAllStockMovements,
+  getExpiringBatches,
+  getStockAlerts,
 };
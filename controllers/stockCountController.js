@@ -0,0 +1,468 @@
+// controllers/stockCountController.js
+const mongoose = require("mongoose");
+const StockCount = require("../models/StockCount");
+const Adjustment = require("../models/Adjustment");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Stock = require("../models/Stock");
+const CostLayer = require("../models/CostLayer");
+const Location = require("../models/Location");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+const { roundCurrency } = require("../utils/taxUtils");
+
+// Adds variances in units and value to every counted line. Expected
+// quantities of an open blind count are left out.
+const withVariances = (stockCount) => {
+  const hideExpected = stockCount.blind && stockCount.status === "open";
+
+  const items = stockCount.items.map((item) => {
+    const counted = item.countedQuantity !== null;
+    if (hideExpected) {
+      const { expectedQuantity, ...rest } = item;
+      return { ...rest, counted };
+    }
+    const variance = counted ? item.countedQuantity - item.expectedQuantity : 0;
+    return {
+      ...item,
+      counted,
+      variance,
+      varianceValue: roundCurrency(variance * item.unitCost),
+    };
+  });
+
+  const countedItems = items.filter((item) => item.counted);
+  const summary = {
+    totalItems: items.length,
+    countedItems: countedItems.length,
+    uncountedItems: items.length - countedItems.length,
+  };
+  if (!hideExpected) {
+    summary.itemsWithVariance = countedItems.filter(
+      (item) => item.variance !== 0
+    ).length;
+    summary.varianceValue = roundCurrency(
+      countedItems.reduce((sum, item) => sum + item.varianceValue, 0)
+    );
+  }
+
+  return { ...stockCount, items, summary };
+};
+
+// POST /api/stocks/counts/create - Open a stock count and freeze the expected quantities
+const createStockCount = async (req, res, next) => {
+  const { category, location: locationId, blind, notes } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (category && !mongoose.Types.ObjectId.isValid(category)) {
+    return errorResponse(res, "Invalid category provided.", 400);
+  }
+
+  try {
+    if (category) {
+      const categoryDoc = await Category.findOne({
+        _id: category,
+        createdBy: authenticatedUserId,
+      });
+      if (!categoryDoc) {
+        return errorResponse(res, "Category not found.", 404);
+      }
+    }
+
+    const location = await Location.resolve(authenticatedUserId, locationId);
+    if (!location) {
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    const productQuery = { createdBy: authenticatedUserId, isActive: true };
+    if (category) productQuery.category = category;
+
+    const products = await Product.find(productQuery)
+      .select("_id purchasePrice")
+      .lean();
+
+    if (products.length === 0) {
+      return errorResponse(res, "There are no active products to count.", 400);
+    }
+
+    const productIds = products.map((product) => product._id);
+
+    // a product can only be on one open count per location at a time
+    const overlappingCount = await StockCount.findOne({
+      createdBy: authenticatedUserId,
+      location: location._id,
+      status: "open",
+      "items.product": { $in: productIds },
+    })
+      .select("countNumber")
+      .lean();
+
+    if (overlappingCount) {
+      return errorResponse(
+        res,
+        `Some of these products are already being counted on ${overlappingCount.countNumber}.`,
+        400
+      );
+    }
+
+    const stocks = await Stock.find({
+      product: { $in: productIds },
+      location: location._id,
+    })
+      .select("product currentStock")
+      .lean();
+    const stockByProduct = new Map(
+      stocks.map((stock) => [stock.product.toString(), stock.currentStock])
+    );
+
+    const stockCount = await StockCount.create({
+      location: location._id,
+      category,
+      blind: blind === true,
+      notes,
+      items: products.map((product) => ({
+        product: product._id,
+        expectedQuantity: stockByProduct.get(product._id.toString()) || 0,
+        unitCost: product.purchasePrice || 0,
+      })),
+      createdBy: authenticatedUserId,
+    });
+
+    return successResponse(
+      res,
+      "Stock count opened successfully.",
+      withVariances(stockCount.toObject()),
+      201
+    );
+  } catch (err) {
+    console.error("Error creating stock count:", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/counts - Get all stock counts
+const getAllStockCounts = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "startedAt",
+    sortOrder = "desc",
+    status,
+    category,
+    location,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const query = { createdBy: authenticatedUserId };
+
+  if (status) {
+    query.status = status;
+  }
+  if (category) {
+    query.category = category;
+  }
+  if (location) {
+    query.location = location;
+  }
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  try {
+    const stockCounts = await StockCount.find(query)
+      .populate("location", "name")
+      .populate("category", "name")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parsedLimit)
+      .lean();
+
+    const total = await StockCount.countDocuments(query);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    // line items are only returned by the single count endpoint
+    const data = {
+      items: stockCounts.map((stockCount) => {
+        const { items, ...rest } = withVariances(stockCount);
+        return rest;
+      }),
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(res, "Stock counts retrieved successfully.", data);
+  } catch (err) {
+    console.error("Error fetching stock counts: ", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/counts/count/:countId - Get a stock count with its variances
+const getStockCountById = async (req, res, next) => {
+  const { countId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: countId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("location", "name")
+      .populate("category", "name")
+      .populate("items.product", "name sku unit")
+      .lean();
+
+    if (!stockCount) {
+      return errorResponse(res, "Stock count not found.", 404);
+    }
+    return successResponse(
+      res,
+      "Stock count retrieved successfully.",
+      withVariances(stockCount)
+    );
+  } catch (err) {
+    console.error("Error fetching stock count:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/stocks/counts/submit/:countId - Record counted quantities, can be sent several times
+const submitCountedQuantities = async (req, res, next) => {
+  const { countId } = req.params;
+  const { items } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return errorResponse(
+      res,
+      "Counted items must be a non-empty array of product and countedQuantity.",
+      400
+    );
+  }
+
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: countId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!stockCount) {
+      return errorResponse(res, "Stock count not found.", 404);
+    }
+    if (stockCount.status !== "open") {
+      return errorResponse(
+        res,
+        `Stock count is already ${stockCount.status}.`,
+        400
+      );
+    }
+
+    const now = new Date();
+    for (const item of items) {
+      if (!Number.isInteger(item.countedQuantity) || item.countedQuantity < 0) {
+        return errorResponse(
+          res,
+          "Counted quantity must be a whole number of zero or more.",
+          400
+        );
+      }
+
+      const line = stockCount.items.find(
+        (countItem) => countItem.product.toString() === String(item.product)
+      );
+      if (!line) {
+        return errorResponse(
+          res,
+          `Product ${item.product} is not part of this count.`,
+          400
+        );
+      }
+
+      line.countedQuantity = item.countedQuantity;
+      line.countedAt = now;
+      line.countedBy = authenticatedUserId;
+    }
+
+    await stockCount.save();
+    await stockCount.populate("items.product", "name sku unit");
+
+    return successResponse(
+      res,
+      "Counted quantities saved successfully.",
+      withVariances(stockCount.toObject())
+    );
+  } catch (err) {
+    console.error("Error submitting counted quantities:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/stocks/counts/finalise/:countId - Post the variances as stock adjustments
+// transactional, uncounted products are left unchanged
+const finaliseStockCount = async (req, res, next) => {
+  const { countId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: countId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!stockCount) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Stock count not found.", 404);
+    }
+    if (stockCount.status !== "open") {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Stock count is already ${stockCount.status}.`,
+        400
+      );
+    }
+    if (stockCount.items.every((item) => item.countedQuantity === null)) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Nothing has been counted yet. Cancel the count instead.",
+        400
+      );
+    }
+
+    const adjustments = [];
+    for (const item of stockCount.items) {
+      if (item.countedQuantity === null) continue;
+
+      const variance = item.countedQuantity - item.expectedQuantity;
+      if (variance === 0) continue;
+
+      // stock may have been sold since the count was opened
+      if (variance < 0) {
+        const stock = await Stock.findOne({
+          product: item.product,
+          location: stockCount.location,
+        }).session(session);
+        const currentStock = stock ? stock.currentStock : 0;
+        if (currentStock < -variance) {
+          const product = await Product.findById(item.product, { name: 1 });
+          await session.abortTransaction();
+          session.endSession();
+          return errorResponse(
+            res,
+            `Cannot remove ${-variance} of ${
+              product.name
+            }. Only ${currentStock} in stock.`,
+            400
+          );
+        }
+      }
+
+      const adjustment = new Adjustment({
+        product: item.product,
+        location: stockCount.location,
+        direction: variance > 0 ? "increase" : "decrease",
+        quantity: Math.abs(variance),
+        reason: "counting_error",
+        notes: `Stock count ${stockCount.countNumber}`,
+        unitCost: await CostLayer.getCurrentCost(
+          item.product,
+          Math.abs(variance),
+          session
+        ),
+        status: "pending",
+        stockCount: stockCount._id,
+        // finalising the count is the approval
+        reviewedBy: authenticatedUserId,
+        reviewedAt: new Date(),
+        createdBy: authenticatedUserId,
+      });
+      await adjustment.save({ session });
+      await Adjustment.postAdjustment(adjustment, authenticatedUserId, session);
+      adjustments.push(adjustment);
+    }
+
+    stockCount.status = "finalised";
+    stockCount.finalisedAt = new Date();
+    await stockCount.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await stockCount.populate("items.product", "name sku unit");
+
+    return successResponse(res, "Stock count finalised successfully.", {
+      ...withVariances(stockCount.toObject()),
+      adjustments: adjustments.map((adjustment) => ({
+        _id: adjustment._id,
+        adjustmentNumber: adjustment.adjustmentNumber,
+        product: adjustment.product,
+        direction: adjustment.direction,
+        quantity: adjustment.quantity,
+        value: adjustment.value,
+      })),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error finalising stock count:", err);
+    next(err);
+  }
+};
+
+// PATCH /api/stocks/counts/cancel/:countId - Cancel an open count without touching stock
+const cancelStockCount = async (req, res, next) => {
+  const { countId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const stockCount = await StockCount.findOne({
+      _id: countId,
+      createdBy: authenticatedUserId,
+    });
+
+    if (!stockCount) {
+      return errorResponse(res, "Stock count not found.", 404);
+    }
+    if (stockCount.status !== "open") {
+      return errorResponse(
+        res,
+        `Stock count is already ${stockCount.status}.`,
+        400
+      );
+    }
+
+    stockCount.status = "cancelled";
+    await stockCount.save();
+
+    return successResponse(res, "Stock count cancelled successfully.", {
+      _id: stockCount._id,
+      countNumber: stockCount.countNumber,
+      status: stockCount.status,
+    });
+  } catch (err) {
+    console.error("Error cancelling stock count:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createStockCount,
+  getAllStockCounts,
+  getStockCountById,
+  submitCountedQuantities,
+  finaliseStockCount,
+  cancelStockCount,
+};
@@ -0,0 +1,281 @@
+// controllers/stockTransferController.js
+const mongoose = require("mongoose");
+const StockTransfer = require("../models/StockTransfer");
+const Location = require("../models/Location");
+const Product = require("../models/Product");
+const Stock = require("../models/Stock");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+
+// POST /api/stocks/transfers/create - Move stock from one location to another
+// transactional, a transfer_out and a transfer_in movement per line
+const createTransfer = async (req, res, next) => {
+  const { fromLocation, toLocation, items, notes } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!fromLocation || !toLocation) {
+    return errorResponse(
+      res,
+      "Both a from and a to location are required.",
+      400
+    );
+  }
+  if (String(fromLocation) === String(toLocation)) {
+    return errorResponse(
+      res,
+      "Stock can only be transferred to a different location.",
+      400
+    );
+  }
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return errorResponse(
+      res,
+      "A transfer must include at least one item.",
+      400
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const from = await Location.resolve(
+      authenticatedUserId,
+      fromLocation,
+      session
+    );
+    const to = await Location.resolve(authenticatedUserId, toLocation, session);
+    if (!from || !to) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    const seenProducts = new Set();
+    for (const item of items) {
+      if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each transferred item must reference a product.",
+          400
+        );
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each transferred item must have a positive whole quantity.",
+          400
+        );
+      }
+      if (seenProducts.has(String(item.product))) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each product can only be listed once per transfer.",
+          400
+        );
+      }
+      seenProducts.add(String(item.product));
+
+      const product = await Product.findOne({
+        _id: item.product,
+        createdBy: authenticatedUserId,
+      }).session(session);
+      if (!product) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(res, `Product not found: ${item.product}.`, 404);
+      }
+
+      const stock = await Stock.findOne({
+        product: product._id,
+        location: from._id,
+      }).session(session);
+      const available = stock ? stock.currentStock : 0;
+      if (available < item.quantity) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Cannot transfer ${item.quantity} of ${product.name}. Only ${available} in stock at ${from.name}.`,
+          400
+        );
+      }
+
+      // lots move with their expiry date, earliest expiry first unless chosen
+      if (product.trackBatches) {
+        const { batches, error } = Stock.pickBatches(stock, item.quantity, {
+          lotNumber: item.lotNumber,
+          productName: product.name,
+        });
+        if (error) {
+          await session.abortTransaction();
+          session.endSession();
+          return errorResponse(res, error, 400);
+        }
+        item.batches = batches;
+      } else {
+        item.batches = [];
+      }
+    }
+
+    const transfer = new StockTransfer({
+      fromLocation: from._id,
+      toLocation: to._id,
+      items: items.map(({ product, quantity, batches }) => ({
+        product,
+        quantity,
+        batches,
+      })),
+      transferDate: req.body.transferDate,
+      notes,
+      createdBy: authenticatedUserId,
+    });
+    await transfer.save({ session });
+
+    await StockTransfer.postTransfer(
+      transfer,
+      { from, to },
+      authenticatedUserId,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await transfer.populate([
+      { path: "fromLocation", select: "name" },
+      { path: "toLocation", select: "name" },
+      { path: "items.product", select: "name sku unit" },
+    ]);
+
+    return successResponse(
+      res,
+      "Stock transferred successfully.",
+      transfer,
+      201
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error creating stock transfer:", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/transfers - Get all stock transfers
+const getAllTransfers = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "transferDate",
+    sortOrder = "desc",
+    location,
+    product,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const query = { createdBy: authenticatedUserId };
+
+  if (search) {
+    query.transferNumber = { $regex: search, $options: "i" };
+  }
+  // transfers into or out of the location
+  if (location) {
+    query.$or = [{ fromLocation: location }, { toLocation: location }];
+  }
+  if (product) {
+    query["items.product"] = product;
+  }
+
+  if (startDate || endDate) {
+    query.transferDate = {};
+    if (startDate) query.transferDate.$gte = new Date(startDate);
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.transferDate.$lte = endOfDay;
+    }
+  }
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  try {
+    const transfers = await StockTransfer.find(query)
+      .populate("fromLocation", "name")
+      .populate("toLocation", "name")
+      .populate("items.product", "name sku unit")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parsedLimit)
+      .lean();
+
+    const total = await StockTransfer.countDocuments(query);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    const data = {
+      items: transfers,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(
+      res,
+      "Stock transfers retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Error fetching stock transfers: ", err);
+    next(err);
+  }
+};
+
+// GET /api/stocks/transfers/transfer/:transferId - Get a single stock transfer
+const getTransferById = async (req, res, next) => {
+  const { transferId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const transfer = await StockTransfer.findOne({
+      _id: transferId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("fromLocation", "name type address")
+      .populate("toLocation", "name type address")
+      .populate("items.product", "name sku unit")
+      .lean();
+
+    if (!transfer) {
+      return errorResponse(res, "Stock transfer not found.", 404);
+    }
+    return successResponse(
+      res,
+      "Stock transfer retrieved successfully.",
+      transfer
+    );
+  } catch (err) {
+    console.error("Error fetching stock transfer:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createTransfer,
+  getAllTransfers,
+  getTransferById,
+};
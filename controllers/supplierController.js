@@ -1,6 +1,7 @@
 // controllers/supplierController.js
 
 const Supplier = require("../models/Supplier");
+const Purchase = require("../models/Purchase");
 const { successResponse, errorResponse } = require("../utils/responseHandler");
 
 // POST /api/suppliers - Create a new supplier
@@ -137,7 +138,36 @@ const getSupplierById = async (req, res, next) => {
       return errorResponse(res, "Supplier not found.", 404);
     }
 
-    return successResponse(res, "Supplier retrieved successfully.", supplier);
+    // received orders that are not fully paid yet
+    const openPurchases = await Purchase.find({
+      supplier: supplier._id,
+      createdBy: authenticatedUserId,
+      purchaseStatus: { $in: ["partially_received", "received"] },
+      balanceDue: { $gt: 0 },
+    })
+      .select("purchaseNumber totalAmount balanceDue dueDate paymentStatus")
+      .sort({ dueDate: 1 })
+      .lean();
+
+    const now = new Date();
+    const payables = {
+      balanceDue: openPurchases.reduce(
+        (sum, purchase) => sum + purchase.balanceDue,
+        0
+      ),
+      overdueAmount: openPurchases
+        .filter((purchase) => purchase.dueDate < now)
+        .reduce((sum, purchase) => sum + purchase.balanceDue, 0),
+      openPurchases: openPurchases.map((purchase) => ({
+        ...purchase,
+        isOverdue: purchase.dueDate < now,
+      })),
+    };
+
+    return successResponse(res, "Supplier retrieved successfully.", {
+      ...supplier,
+      payables,
+    });
   } catch (err) {
     console.error("Get supplier by ID error:", err);
     next(err);
@@ -163,7 +193,9 @@ const updateSupplier = async (req, res, next) => {
       (!updateData.name || updateData.name === existingSupplier.name) &&
       (!updateData.email || updateData.email === existingSupplier.email) &&
       (!updateData.phone || updateData.phone === existingSupplier.phone) &&
-      (!updateData.notes || updateData.notes === existingSupplier.notes);
+      (!updateData.notes || updateData.notes === existingSupplier.notes) &&
+      (updateData.paymentTermsDays === undefined ||
+        updateData.paymentTermsDays === existingSupplier.paymentTermsDays);
 
     if (isSameData) {
       return successResponse(res, "No changes detected.", existingSupplier);
@@ -0,0 +1,252 @@
+// controllers/supplierPaymentController.js
+const mongoose = require("mongoose");
+const Supplier = require("../models/Supplier");
+const SupplierPayment = require("../models/SupplierPayment");
+const Purchase = require("../models/Purchase");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const SupplierReturn = require("../models/SupplierReturn");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+const {
+  SUPPLIER_PAYMENT_METHODS,
+  buildAllocations,
+} = require("../utils/paymentUtils");
+const { roundCurrency } = require("../utils/taxUtils");
+
+// POST /api/suppliers/supplier/payment/:supplierId - Pay a supplier against received purchase orders
+// without allocations the orders that fall due first are paid first
+const recordSupplierPayment = async (req, res, next) => {
+  const { supplierId } = req.params;
+  const { amount, method, reference, allocations, paymentDate, notes } =
+    req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (typeof amount !== "number" || amount <= 0) {
+    return errorResponse(res, "Payment amount must be a positive number.", 400);
+  }
+  if (!SUPPLIER_PAYMENT_METHODS.includes(method)) {
+    return errorResponse(res, `Invalid payment method: ${method}.`, 400);
+  }
+  if (allocations && (!Array.isArray(allocations) || !allocations.length)) {
+    return errorResponse(
+      res,
+      "Allocations must be a non-empty array of purchase and amount.",
+      400
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const supplier = await Supplier.findOne({
+      _id: supplierId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!supplier) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Supplier not found.", 404);
+    }
+
+    const openPurchases = await Purchase.find({
+      supplier: supplier._id,
+      createdBy: authenticatedUserId,
+      purchaseStatus: { $in: ["partially_received", "received"] },
+      balanceDue: { $gt: 0 },
+    })
+      .sort({ dueDate: 1 })
+      .session(session);
+
+    const outstanding = roundCurrency(
+      openPurchases.reduce((sum, purchase) => sum + purchase.balanceDue, 0)
+    );
+    if (amount > outstanding) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        `Payment (${amount}) exceeds the outstanding balance (${outstanding}).`,
+        400
+      );
+    }
+
+    const { allocations: purchaseAllocations, error } = buildAllocations(
+      openPurchases,
+      amount,
+      allocations,
+      {
+        key: "purchase",
+        numberField: "purchaseNumber",
+        notOpenMessage: (purchaseId) =>
+          `Purchase ${purchaseId} is not an open payable of this supplier.`,
+      }
+    );
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, error, 400);
+    }
+
+    const payment = await SupplierPayment.recordPayment(
+      {
+        supplier: supplier._id,
+        method,
+        amount,
+        reference,
+        paymentDate,
+        notes,
+        createdBy: authenticatedUserId,
+      },
+      purchaseAllocations,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await payment.populate(
+      "allocations.purchase",
+      "purchaseNumber totalAmount balanceDue paymentStatus dueDate"
+    );
+
+    return successResponse(
+      res,
+      "Supplier payment recorded successfully.",
+      payment,
+      201
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Record supplier payment error:", err);
+    next(err);
+  }
+};
+
+// GET /api/suppliers/supplier/ledger/:supplierId - Payables history with running balance
+// a negative balance is money the supplier owes back for returned goods
+const getSupplierLedger = async (req, res, next) => {
+  const { supplierId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const supplier = await Supplier.findOne({
+      _id: supplierId,
+      createdBy: authenticatedUserId,
+    })
+      .select("name contactPerson phone email paymentTermsDays")
+      .lean();
+
+    if (!supplier) {
+      return errorResponse(res, "Supplier not found.", 404);
+    }
+
+    const scope = { supplier: supplier._id, createdBy: authenticatedUserId };
+
+    const [goodsReceipts, purchases, payments, supplierReturns] =
+      await Promise.all([
+        GoodsReceipt.find(scope)
+          .select("receiptNumber receivedDate totalAmount purchase")
+          .populate("purchase", "purchaseNumber")
+          .lean(),
+        // payables that were booked before goods receipts existed
+        Purchase.find({ ...scope, dueDate: { $exists: true } })
+          .select("purchaseNumber receivedDate dueDate totalAmount balanceDue")
+          .lean(),
+        SupplierPayment.find(scope)
+          .select("paymentNumber paymentDate amount method reference")
+          .lean(),
+        SupplierReturn.find(scope)
+          .select("returnNumber returnDate totalAmount reason purchase")
+          .populate("purchase", "purchaseNumber")
+          .lean(),
+      ]);
+
+    const receivedPurchaseIds = new Set(
+      goodsReceipts.map((goodsReceipt) => goodsReceipt.purchase._id.toString())
+    );
+
+    const entries = [
+      ...goodsReceipts.map((goodsReceipt) => ({
+        date: goodsReceipt.receivedDate,
+        type: "goods_receipt",
+        reference: goodsReceipt.receiptNumber,
+        goodsReceipt: goodsReceipt._id,
+        purchaseNumber: goodsReceipt.purchase.purchaseNumber,
+        debit: 0,
+        credit: goodsReceipt.totalAmount,
+      })),
+      ...purchases
+        .filter((purchase) => !receivedPurchaseIds.has(purchase._id.toString()))
+        .map((purchase) => ({
+          date: purchase.receivedDate,
+          type: "purchase",
+          reference: purchase.purchaseNumber,
+          purchase: purchase._id,
+          debit: 0,
+          credit: purchase.totalAmount,
+        })),
+      ...payments.map((payment) => ({
+        date: payment.paymentDate,
+        type: "payment",
+        reference: payment.paymentNumber,
+        supplierPayment: payment._id,
+        method: payment.method,
+        debit: payment.amount,
+        credit: 0,
+      })),
+      ...supplierReturns.map((supplierReturn) => ({
+        date: supplierReturn.returnDate,
+        type: "debit_note",
+        reference: supplierReturn.returnNumber,
+        supplierReturn: supplierReturn._id,
+        purchaseNumber: supplierReturn.purchase.purchaseNumber,
+        reason: supplierReturn.reason,
+        debit: supplierReturn.totalAmount,
+        credit: 0,
+      })),
+    ]
+      .filter((entry) => entry.debit > 0 || entry.credit > 0)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+    for (const entry of entries) {
+      balance = roundCurrency(balance + entry.credit - entry.debit);
+      entry.balance = balance;
+    }
+
+    const now = new Date();
+    const openPurchases = purchases
+      .filter((purchase) => purchase.balanceDue > 0)
+      .map((purchase) => ({
+        _id: purchase._id,
+        purchaseNumber: purchase.purchaseNumber,
+        dueDate: purchase.dueDate,
+        totalAmount: purchase.totalAmount,
+        balanceDue: purchase.balanceDue,
+        isOverdue: purchase.dueDate < now,
+      }));
+
+    const data = {
+      supplier,
+      entries,
+      openPurchases,
+      balance,
+    };
+
+    return successResponse(
+      res,
+      "Supplier ledger retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Supplier ledger error:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  recordSupplierPayment,
+  getSupplierLedger,
+};
@@ -0,0 +1,373 @@
+// controllers/supplierReturnController.js
+const mongoose = require("mongoose");
+const Purchase = require("../models/Purchase");
+const SupplierReturn = require("../models/SupplierReturn");
+const Product = require("../models/Product");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Stock = require("../models/Stock");
+const Location = require("../models/Location");
+const { successResponse, errorResponse } = require("../utils/responseHandler");
+
+const RETURN_REASONS = SupplierReturn.schema.path("reason").enumValues;
+
+// POST /api/purchases/purchase/return/:purchaseId - Send received items back to the supplier
+// transactional stock updates, one debit note per return
+const createSupplierReturn = async (req, res, next) => {
+  const { purchaseId } = req.params;
+  const { items, reason, location: locationId, notes } = req.body;
+  const authenticatedUserId = req.user._id;
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return errorResponse(res, "A return must include at least one item.", 400);
+  }
+  if (!RETURN_REASONS.includes(reason)) {
+    return errorResponse(
+      res,
+      `Return reason must be one of: ${RETURN_REASONS.join(", ")}.`,
+      400
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const purchase = await Purchase.findOne({
+      _id: purchaseId,
+      createdBy: authenticatedUserId,
+    }).session(session);
+
+    if (!purchase) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Purchase not found.", 404);
+    }
+
+    if (!["partially_received", "received"].includes(purchase.purchaseStatus)) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(
+        res,
+        "Only received goods can be returned to the supplier.",
+        400
+      );
+    }
+
+    // goods go back from the purchase's receiving location unless another is given
+    const location = await Location.resolve(
+      authenticatedUserId,
+      locationId || purchase.location,
+      session
+    );
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return errorResponse(res, "Location not found.", 404);
+    }
+
+    // quantities requested per purchase line, so repeated lines add up
+    // (a line can go back from several lots)
+    const requested = new Map();
+    const lines = [];
+
+    for (const item of items) {
+      if (!item.purchaseItem && !item.product) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each returned item must reference a purchase item or product.",
+          400
+        );
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          "Each returned item must have a positive whole quantity.",
+          400
+        );
+      }
+
+      const line = item.purchaseItem
+        ? purchase.items.id(item.purchaseItem)
+        : purchase.items.find(
+            (purchaseItem) =>
+              purchaseItem.product.toString() === item.product.toString()
+          );
+
+      if (!line) {
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Item ${
+            item.purchaseItem || item.product
+          } is not part of this purchase.`,
+          400
+        );
+      }
+
+      const lineId = line._id.toString();
+      const quantity = (requested.get(lineId) || 0) + item.quantity;
+      const returnable =
+        SupplierReturn.getReceivedQuantity(purchase, line) -
+        line.returnedQuantity;
+
+      if (quantity > returnable) {
+        const product = await Product.findById(line.product, { name: 1 });
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Cannot return ${quantity} of ${product.name}. Only ${returnable} received can still be returned.`,
+          400
+        );
+      }
+      requested.set(lineId, quantity);
+      lines.push({
+        purchaseItem: lineId,
+        product: line.product,
+        quantity: item.quantity,
+        lotNumber: item.lotNumber,
+      });
+    }
+
+    // the goods have to be in stock at the location they are sent back from
+    const returnedByProduct = new Map();
+    for (const line of lines) {
+      const productKey = line.product.toString();
+      returnedByProduct.set(
+        productKey,
+        (returnedByProduct.get(productKey) || 0) + line.quantity
+      );
+    }
+    for (const [productKey, quantity] of returnedByProduct) {
+      const stock = await Stock.findOne({
+        product: productKey,
+        location: location._id,
+      }).session(session);
+      const available = stock ? stock.currentStock : 0;
+      if (available < quantity) {
+        const product = await Product.findById(productKey, { name: 1 });
+        await session.abortTransaction();
+        session.endSession();
+        return errorResponse(
+          res,
+          `Cannot return ${quantity} of ${product.name}. Only ${available} in stock at ${location.name}.`,
+          400
+        );
+      }
+    }
+
+    // batch-tracked products go back from the chosen lot, otherwise from the
+    // lots this purchase delivered and then from any lot, earliest expiry first
+    const trackedProducts = await Product.distinct("_id", {
+      _id: { $in: lines.map((line) => line.product) },
+      trackBatches: true,
+    }).session(session);
+
+    if (trackedProducts.length) {
+      const deliveredLots = await GoodsReceipt.distinct("items.lotNumber", {
+        purchase: purchase._id,
+      }).session(session);
+      const stocks = new Map();
+
+      for (const line of lines) {
+        if (!trackedProducts.some((tracked) => tracked.equals(line.product))) {
+          continue;
+        }
+        const productKey = line.product.toString();
+        if (!stocks.has(productKey)) {
+          stocks.set(
+            productKey,
+            await Stock.findOne({
+              product: line.product,
+              location: location._id,
+            }).session(session)
+          );
+        }
+        const stock = stocks.get(productKey);
+        const product = await Product.findById(line.product, { name: 1 });
+        const options = {
+          lotNumber: line.lotNumber,
+          productName: product.name,
+        };
+
+        let picked = Stock.pickBatches(
+          {
+            batches: (stock?.batches || []).filter((batch) =>
+              deliveredLots.includes(batch.lotNumber)
+            ),
+          },
+          line.quantity,
+          options
+        );
+        if (picked.error && !line.lotNumber) {
+          picked = Stock.pickBatches(stock, line.quantity, options);
+        }
+        if (picked.error) {
+          await session.abortTransaction();
+          session.endSession();
+          return errorResponse(res, picked.error, 400);
+        }
+
+        for (const pickedBatch of picked.batches) {
+          stock.batches.find(
+            (batch) => batch.lotNumber === pickedBatch.lotNumber
+          ).quantity -= pickedBatch.quantity;
+        }
+        line.batches = picked.batches;
+      }
+    }
+
+    const supplierReturn = await SupplierReturn.recordReturn(
+      purchase,
+      lines,
+      { location: location._id, reason, notes },
+      authenticatedUserId,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    await supplierReturn.populate([
+      { path: "items.product", select: "name sku unit" },
+      {
+        path: "purchase",
+        select: "purchaseNumber totalAmount balanceDue returnStatus",
+      },
+    ]);
+
+    return successResponse(
+      res,
+      "Supplier return recorded successfully.",
+      supplierReturn,
+      201
+    );
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    console.error("Error creating supplier return:", err);
+    next(err);
+  }
+};
+
+// GET /api/purchases/returns - Get all supplier returns (debit notes)
+const getAllSupplierReturns = async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = "returnDate",
+    sortOrder = "desc",
+    purchase,
+    supplier,
+    reason,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+  const authenticatedUserId = req.user._id;
+
+  const query = { createdBy: authenticatedUserId };
+
+  if (search) {
+    query.returnNumber = { $regex: search, $options: "i" };
+  }
+  if (purchase) {
+    query.purchase = purchase;
+  }
+  if (supplier) {
+    query.supplier = supplier;
+  }
+  if (reason) {
+    query.reason = reason;
+  }
+
+  if (startDate || endDate) {
+    query.returnDate = {};
+    if (startDate) query.returnDate.$gte = new Date(startDate);
+    if (endDate) {
+      const endOfDay = new Date(endDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.returnDate.$lte = endOfDay;
+    }
+  }
+
+  const parsedPage = parseInt(page, 10);
+  const parsedLimit = parseInt(limit, 10) || 10;
+  const skip = (parsedPage - 1) * parsedLimit;
+  const sortOptions = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
+
+  try {
+    const supplierReturns = await SupplierReturn.find(query)
+      .populate("items.product", "name sku unit")
+      .populate("purchase", "purchaseNumber")
+      .populate("supplier", "name")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parsedLimit)
+      .lean();
+
+    const total = await SupplierReturn.countDocuments(query);
+    const totalPages = Math.ceil(total / parsedLimit);
+
+    const data = {
+      items: supplierReturns,
+      pagination: {
+        currentPage: parsedPage,
+        limit: parsedLimit,
+        totalItems: total,
+        totalPages,
+        hasNextPage: parsedPage < totalPages,
+        hasPrevPage: parsedPage > 1,
+      },
+    };
+    return successResponse(
+      res,
+      "Supplier returns retrieved successfully.",
+      data
+    );
+  } catch (err) {
+    console.error("Error fetching supplier returns: ", err);
+    next(err);
+  }
+};
+
+// GET /api/purchases/returns/return/:returnId - Get a single supplier return
+const getSupplierReturnById = async (req, res, next) => {
+  const { returnId } = req.params;
+  const authenticatedUserId = req.user._id;
+
+  try {
+    const supplierReturn = await SupplierReturn.findOne({
+      _id: returnId,
+      createdBy: authenticatedUserId,
+    })
+      .populate("items.product", "name sku unit")
+      .populate("purchase", "purchaseNumber orderDate totalAmount returnStatus")
+      .populate("supplier", "name phone email")
+      .populate("location", "name")
+      .lean();
+
+    if (!supplierReturn) {
+      return errorResponse(res, "Supplier return not found.", 404);
+    }
+    return successResponse(
+      res,
+      "Supplier return retrieved successfully.",
+      supplierReturn
+    );
+  } catch (err) {
+    console.error("Error fetching supplier return:", err);
+    next(err);
+  }
+};
+
+module.exports = {
+  createSupplierReturn,
+  getAllSupplierReturns,
+  getSupplierReturnById,
+};
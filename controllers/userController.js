@@ -1,19 +1,12 @@
 // controllers/userController.js
 const User = require("../models/User");
+const Location = require("../models/Location");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
 const { generateOTP } = require("../utils/optUtils");
 const { successResponse, errorResponse } = require("../utils/responseHandler");
-
-// function for gmail smtp
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+const { sendMail } = require("../utils/mailer");
+const eventBus = require("../utils/eventBus");
 
 // POST /api/users/signup
 const registerUser = async (req, res, next) => {
@@ -61,6 +54,8 @@ const registerUser = async (req, res, next) => {
       password,
     });
     await newUser.save();
+    // stock is kept at the default location until the owner adds others
+    await Location.getDefault(newUser._id);
 
     const { password: _, ...userWithoutPassword } = newUser.toObject();
     return successResponse(
@@ -101,6 +96,7 @@ const loginUser = async (req, res, next) => {
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      eventBus.emit("user.login_failed", { user: user._id, ip: req.ip });
       return errorResponse(res, "Invalid credentials.", 401);
     }
 
@@ -165,13 +161,12 @@ const forgotPassword = async (req, res, next) => {
              <p>Thank you!</p>`;
 
     const mailOptions = {
-      from: `"QuickStock"<${process.env.EMAIL_USER}>`,
       to: email,
       subject: "Password Reset Request",
       html: otp_html,
     };
 
-    const info = await transporter.sendMail(mailOptions);
+    const info = await sendMail(mailOptions);
     console.log("Email sent:", info.response);
 
     const temp_opt_token = jwt.sign({ email }, process.env.JWT_SECRET, {
@@ -459,6 +454,51 @@ const deletePhoneNumber = async (req, res, next) => {
   }
 };
 
+// PATCH /api/users/updateSettings/:userId - Update shop preferences
+const updateSettings = async (req, res, next) => {
+  const allowedSettings = [
+    "discountReasonThreshold",
+    "creditTermsDays",
+    "adjustmentApprovalValue",
+    "largeAdjustmentValue",
+    "costingMethod",
+    "timeZone",
+    "classificationWindowDays",
+    "stockAlertMode",
+    "stockAlertDigestHour",
+    "quietHoursStart",
+    "quietHoursEnd",
+  ];
+
+  const update = {};
+  for (const key of Object.keys(req.body || {})) {
+    if (!allowedSettings.includes(key)) {
+      return errorResponse(res, `Unknown setting: ${key}.`, 400);
+    }
+    update[`settings.${key}`] = req.body[key];
+  }
+
+  if (Object.keys(update).length === 0) {
+    return errorResponse(res, "No settings provided.", 400);
+  }
+
+  try {
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    if (!updatedUser) return errorResponse(res, "User not found.", 404);
+    return successResponse(
+      res,
+      "Settings updated successfully.",
+      updatedUser.settings
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
 // DELETE /api/users/deactivateUser/:userId (Soft Delete)
 const deactivateUser = async (req, res, next) => {
   try {
@@ -490,5 +530,6 @@ module.exports = {
   updateProfileImage,
   addPhoneNumber,
   deletePhoneNumber,
+  updateSettings,
   deactivateUser,
 };
@@ -0,0 +1,166 @@
+// listeners/notifications.js
+const eventBus = require("../utils/eventBus");
+const Notification = require("../models/Notification");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const User = require("../models/User");
+const { roundCurrency } = require("../utils/taxUtils");
+const { toZonedHourString } = require("../utils/dateUtils");
+
+// listeners handle their own errors, a failed notification fails nothing else
+const handle = (handler) => async (payload) => {
+  try {
+    await handler(payload);
+  } catch (err) {
+    console.error("Notification error:", err);
+  }
+};
+
+eventBus.on(
+  "stock.alert",
+  handle(async (alert) => {
+    const product = await Product.findById(alert.product)
+      .select("name sku unit")
+      .lean();
+    if (!product) return;
+
+    const isOut = alert.alertType === "out_of_stock";
+    await Notification.notify(alert.createdBy, {
+      type: alert.alertType,
+      title: isOut
+        ? `${product.name} is out of stock`
+        : `${product.name} is running low`,
+      message: isOut
+        ? `${product.name} (${product.sku}) has run out.`
+        : `${product.name} (${product.sku}) is down to ${alert.stockLevel} ${product.unit}, the minimum is ${alert.minStockLevel}.`,
+      data: {
+        product: alert.product,
+        location: alert.location,
+        stockAlert: alert._id,
+      },
+    });
+  })
+);
+
+eventBus.on(
+  "adjustment.pending",
+  handle(async (adjustment) => {
+    await Notification.notify(adjustment.createdBy, {
+      type: "adjustment_pending",
+      title: `Adjustment ${adjustment.adjustmentNumber} waits for approval`,
+      message: `A stock ${adjustment.direction} of ${
+        adjustment.quantity
+      } worth ${roundCurrency(adjustment.value).toFixed(2)} (${
+        adjustment.reason
+      }) needs your approval.`,
+      data: { adjustment: adjustment._id, product: adjustment.product },
+    });
+  })
+);
+
+// posted adjustments worth more than the owner's largeAdjustmentValue, also
+// when they did not need approval
+eventBus.on(
+  "adjustment.posted",
+  handle(async (adjustment) => {
+    const owner = await User.findById(adjustment.createdBy)
+      .select("settings.largeAdjustmentValue")
+      .lean();
+    const largeValue = owner?.settings?.largeAdjustmentValue || 0;
+    if (largeValue <= 0 || adjustment.value <= largeValue) return;
+
+    await Notification.notify(adjustment.createdBy, {
+      type: "adjustment_large",
+      title: `Large adjustment ${adjustment.adjustmentNumber} posted`,
+      message: `A stock ${adjustment.direction} of ${
+        adjustment.quantity
+      } worth ${roundCurrency(adjustment.value).toFixed(2)} (${
+        adjustment.reason
+      }) was posted.`,
+      data: { adjustment: adjustment._id, product: adjustment.product },
+      dedupeKey: `adjustment_large:${adjustment._id}`,
+    });
+  })
+);
+
+// repeated attempts within the same hour make one notification; the hour is
+// the shop's local hour (settings.timeZone), not UTC
+eventBus.on(
+  "user.login_failed",
+  handle(async ({ user, ip }) => {
+    const owner = await User.findById(user).select("settings.timeZone").lean();
+    const hour = toZonedHourString(
+      new Date(),
+      owner?.settings?.timeZone || "UTC"
+    );
+    await Notification.notify(user, {
+      type: "failed_login",
+      title: "Failed sign-in attempt",
+      message:
+        "Someone entered a wrong password for your account. If it was not you, change your password.",
+      data: { ip },
+      dedupeKey: `failed_login:${hour}`,
+    });
+  })
+);
+
+// Placed orders not fully delivered by their expected date, the order date
+// plus the supplier's lead time. Each purchase is reported once.
+// Returns how many notifications were added.
+exports.notifyOverduePurchases = async (now = new Date()) => {
+  const overdue = await Purchase.aggregate([
+    { $match: { purchaseStatus: { $in: ["ordered", "partially_received"] } } },
+    {
+      $lookup: {
+        from: "suppliers",
+        localField: "supplier",
+        foreignField: "_id",
+        as: "supplier",
+      },
+    },
+    { $unwind: "$supplier" },
+    {
+      $addFields: {
+        expectedDate: {
+          $add: [
+            "$orderDate",
+            {
+              $multiply: [{ $ifNull: ["$supplier.leadTimeDays", 7] }, 86400000],
+            },
+          ],
+        },
+      },
+    },
+    { $match: { expectedDate: { $lt: now } } },
+    {
+      $project: {
+        purchaseNumber: 1,
+        createdBy: 1,
+        expectedDate: 1,
+        "supplier.name": 1,
+      },
+    },
+  ]);
+
+  let notifiedCount = 0;
+  for (const purchase of overdue) {
+    const notification = await Notification.notify(purchase.createdBy, {
+      type: "purchase_overdue",
+      title: `${purchase.purchaseNumber} is overdue`,
+      message: `${purchase.supplier.name} was expected to deliver ${
+        purchase.purchaseNumber
+      } by ${purchase.expectedDate.toISOString().slice(0, 10)}.`,
+      data: { purchase: purchase._id },
+      dedupeKey: `purchase_overdue:${purchase._id}`,
+    });
+    if (notification) notifiedCount++;
+  }
+  return notifiedCount;
+};
+
+exports.startNotificationSchedule = (intervalMs = 60 * 60 * 1000) =>
+  setInterval(() => {
+    exports
+      .notifyOverduePurchases()
+      .catch((err) => console.error("Overdue purchase check error:", err));
+  }, intervalMs);
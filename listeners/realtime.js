@@ -0,0 +1,37 @@
+// listeners/realtime.js
+const eventBus = require("../utils/eventBus");
+const { sendToOwner, countStreams } = require("../utils/realtime");
+const Product = require("../models/Product");
+
+// committed changes pushed to the owner's open event streams
+eventBus.on("stock.changed", async (change) => {
+  try {
+    const product = await Product.findById(change.product)
+      .select("createdBy")
+      .lean();
+    if (!product || !countStreams(product.createdBy)) return;
+
+    sendToOwner(product.createdBy, "stock.changed", {
+      product: change.product,
+      location: change.location,
+      movementType: change.movementType,
+      quantity: change.quantity,
+      previousStock: change.previousStock,
+      currentStock: change.currentStock,
+    });
+  } catch (err) {
+    console.error("Realtime stock event error:", err);
+  }
+});
+
+eventBus.on("sale.created", (sale) => {
+  sendToOwner(sale.createdBy, "sale.created", sale);
+});
+
+eventBus.on("purchase.received", (receipt) => {
+  sendToOwner(receipt.createdBy, "purchase.received", receipt);
+});
+
+eventBus.on("notification.created", (notification) => {
+  sendToOwner(notification.user, "notification.created", notification);
+});
@@ -0,0 +1,25 @@
+// listeners/stockAlerts.js
+const eventBus = require("../utils/eventBus");
+const StockAlert = require("../models/StockAlert");
+
+// low and out of stock alerts from committed stock movements, emailed right
+// away unless the owner gets a daily digest or is in quiet hours
+eventBus.on("stock.changed", async (change) => {
+  try {
+    const alert = await StockAlert.checkStockChange(change);
+    if (alert) eventBus.emit("stock.alert", alert);
+    if (alert?.status === "pending" && alert.delivery === "immediate") {
+      await StockAlert.dispatch(alert.createdBy);
+    }
+  } catch (err) {
+    console.error("Stock alert error:", err);
+  }
+});
+
+// alerts held back by quiet hours and the daily digests go out on a later run
+exports.startStockAlertSchedule = (intervalMs = 60 * 1000) =>
+  setInterval(() => {
+    StockAlert.dispatch().catch((err) =>
+      console.error("Stock alert dispatch error:", err)
+    );
+  }, intervalMs);
@@ -2,6 +2,7 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const { errorResponse } = require("../utils/responseHandler");
+const { redeemStreamTicket } = require("../utils/realtime");
 
 const authenticateUser = async (req, res, next) => {
   try {
@@ -32,6 +33,42 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Event streams are opened with a ticket from POST /api/events/ticket as
+// ?ticket=, since EventSource cannot send the JWT in a header. Requests
+// without a ticket are authenticated by their Authorization header.
+const authenticateStreamTicket = async (req, res, next) => {
+  if (req.query.ticket === undefined) {
+    return authenticateUser(req, res, next);
+  }
+
+  try {
+    const userId =
+      typeof req.query.ticket === "string" &&
+      redeemStreamTicket(req.query.ticket);
+    if (!userId) {
+      return errorResponse(
+        res,
+        "Authentication failed: Invalid or expired ticket.",
+        401
+      );
+    }
+
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return errorResponse(
+        res,
+        "Authentication failed. User not found or inactive.",
+        401
+      );
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 const isAdmin = (req, res, next) => {
   if (req.user && req.user.role === "admin") {
     return next();
@@ -71,6 +108,7 @@ const isSelf = (req, res, next) => {
 
 module.exports = {
   authenticateUser,
+  authenticateStreamTicket,
   isSelf,
   isAdmin,
   isOwner,
@@ -0,0 +1,226 @@
+// models/Adjustment.js
+const mongoose = require("mongoose");
+const Stock = require("./Stock");
+const Product = require("./Product");
+const { roundCurrency } = require("../utils/taxUtils");
+const eventBus = require("../utils/eventBus");
+
+// A manual correction of the stock of one product. Adjustments worth more than
+// the owner's approval value are saved as pending and only move stock once
+// they are approved.
+const adjustmentSchema = new mongoose.Schema(
+  {
+    adjustmentNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    direction: {
+      type: String,
+      enum: ["increase", "decrease"],
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reason: {
+      type: String,
+      enum: ["damage", "theft", "expiry", "counting_error", "internal_use"],
+      required: true,
+    },
+    // cost of the stock from its cost layers: what it would go out at when
+    // the adjustment is made, what it was costed at once it is posted
+    unitCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "posted", "rejected"],
+      default: "posted",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    adjustmentDate: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // batch-tracked products: the lot to adjust (an increase defaults to a
+    // new lot named after the adjustment, a decrease to the earliest expiry)
+    lotNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    expiryDate: {
+      type: Date,
+    },
+    batches: [
+      {
+        _id: false,
+        lotNumber: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    // set when the adjustment posts the variance of a stock count
+    stockCount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockCount",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adjustmentSchema.index({ adjustmentNumber: 1, createdBy: 1 }, { unique: true });
+adjustmentSchema.index({ createdBy: 1, status: 1, adjustmentDate: -1 });
+
+// Pre-save hook to calculate value and auto-generate adjustmentNumber
+adjustmentSchema.pre("save", async function (next) {
+  this.value = roundCurrency(this.unitCost * this.quantity);
+
+  if (this.isNew && !this.adjustmentNumber) {
+    try {
+      const lastAdjustment = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { adjustmentNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastAdjustment && lastAdjustment.adjustmentNumber) {
+        const lastNum = parseInt(
+          lastAdjustment.adjustmentNumber.replace("ADJ-", "")
+        );
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.adjustmentNumber = `ADJ-${String(nextNumber).padStart(6, "0")}`; // e.g., ADJ-000001
+    } catch (error) {
+      console.error("Error generating adjustment number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Books the stock movement of an adjustment and marks it posted.
+adjustmentSchema.statics.postAdjustment = async function (
+  adjustment,
+  movedBy,
+  session
+) {
+  const movementType =
+    adjustment.direction === "decrease" ? "adjustment_out" : "adjustment";
+
+  const product = await Product.findById(adjustment.product, {
+    name: 1,
+    trackBatches: 1,
+  }).session(session);
+
+  if (product?.trackBatches) {
+    if (adjustment.direction === "increase") {
+      adjustment.batches = [
+        {
+          lotNumber: adjustment.lotNumber || adjustment.adjustmentNumber,
+          quantity: adjustment.quantity,
+        },
+      ];
+    } else {
+      const stock = await Stock.findOne({
+        product: adjustment.product,
+        location: adjustment.location,
+      }).session(session);
+      // expired lots can be written off, so they are not excluded here
+      const { batches, error } = Stock.pickBatches(stock, adjustment.quantity, {
+        lotNumber: adjustment.lotNumber,
+        productName: product.name,
+      });
+      if (error) {
+        throw new Error(error);
+      }
+      adjustment.batches = batches;
+    }
+  }
+
+  const notes = [
+    `${adjustment.adjustmentNumber} (${adjustment.reason})`,
+    adjustment.notes,
+  ]
+    .filter(Boolean)
+    .join(": ")
+    .slice(0, 200);
+
+  const stock = await Stock.recordMovement(
+    adjustment.product,
+    movementType,
+    adjustment.quantity,
+    notes,
+    adjustment._id,
+    "Adjustment",
+    movedBy,
+    session,
+    {
+      location: adjustment.location,
+      unitCost: adjustment.unitCost,
+      batches: adjustment.batches.map(({ lotNumber, quantity }) => ({
+        lotNumber,
+        quantity,
+        expiryDate: adjustment.expiryDate,
+        unitCost: adjustment.unitCost,
+      })),
+    }
+  );
+
+  // stock going out is costed from the layers as it is taken, the value
+  // follows in the pre-save hook
+  adjustment.unitCost = stock.$locals.movement.unitCost;
+  adjustment.status = "posted";
+  await adjustment.save({ session });
+  eventBus.publishAfterCommit(session, "adjustment.posted", adjustment);
+
+  return adjustment;
+};
+
+const Adjustment =
+  mongoose.models.Adjustment || mongoose.model("Adjustment", adjustmentSchema);
+module.exports = Adjustment;
@@ -17,6 +17,17 @@ const categorySchema = new mongoose.Schema(
       maxlength: 200,
     },
 
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+
     isActive: {
       type: Boolean,
       default: true,
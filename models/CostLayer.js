@@ -0,0 +1,299 @@
+// models/CostLayer.js
+const mongoose = require("mongoose");
+const Product = require("./Product");
+const User = require("./User");
+
+// Units of a product that came in at one cost (a received purchase line,
+// opening stock, a positive adjustment, a customer return). Stock going out
+// is taken from the layers, so what is left of them is the value of the
+// stock. Layers are per product, transfers between locations do not touch them.
+const costLayerSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // the inbound stock movement that created the layer
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockMovement",
+    },
+    sourceDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sourceModel: {
+      type: String,
+    },
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    remainingQuantity: {
+      type: Number,
+      required: true,
+      min: [0, "Remaining quantity of a cost layer cannot be negative."],
+    },
+    // under weighted average the open layers are all revalued to the
+    // average cost whenever stock goes out
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+costLayerSchema.index({ product: 1, remainingQuantity: 1, receivedDate: 1 });
+
+// the owner's costing method for a product: "fifo" or "weighted_average"
+const getCostingMethod = async (product, session) => {
+  const owner = product
+    ? await User.findById(product.createdBy, {
+        "settings.costingMethod": 1,
+      }).session(session)
+    : null;
+  return owner?.settings?.costingMethod || "fifo";
+};
+
+// Costs a stock movement (before it is saved) and updates the layers: inbound
+// movements add a layer at movement.unitCost, outbound movements are taken from
+// the open layers using the owner's costing method. Stock that has no layer
+// (which should not happen) is costed at the last layer or purchase price.
+// Returns the unit cost to record on the movement.
+costLayerSchema.statics.costMovement = async function (
+  movement,
+  isInbound,
+  session,
+  options = {} // sourceDocuments: layers to take outbound stock from first
+) {
+  const product = await Product.findById(movement.product, {
+    createdBy: 1,
+    purchasePrice: 1,
+    createdAt: 1,
+  }).session(session);
+  const fallbackCost = product?.purchasePrice || 0;
+
+  // the first movement of a product from before costing existed opens a
+  // layer for the stock already on hand, at the purchase price
+  const hasLayers = await this.exists({ product: movement.product }).session(
+    session
+  );
+  if (!hasLayers) {
+    // required here, Stock requires this model
+    const [onHand] = await mongoose
+      .model("Stock")
+      .aggregate([
+        { $match: { product: movement.product } },
+        { $group: { _id: null, quantity: { $sum: "$currentStock" } } },
+      ])
+      .session(session);
+    // the stock record has already been updated by this movement
+    const openingQuantity =
+      (onHand?.quantity || 0) +
+      (isInbound ? -movement.quantity : movement.quantity);
+    if (openingQuantity > 0) {
+      await this.create(
+        [
+          {
+            product: movement.product,
+            sourceModel: "Product",
+            sourceDocument: movement.product,
+            receivedDate: product?.createdAt,
+            quantity: openingQuantity,
+            remainingQuantity: openingQuantity,
+            unitCost: fallbackCost,
+          },
+        ],
+        { session }
+      );
+    }
+  }
+
+  if (isInbound) {
+    const unitCost = movement.unitCost ?? fallbackCost;
+    await this.create(
+      [
+        {
+          product: movement.product,
+          movement: movement._id,
+          sourceDocument: movement.sourceDocument,
+          sourceModel: movement.sourceModel,
+          receivedDate: movement.date,
+          quantity: movement.quantity,
+          remainingQuantity: movement.quantity,
+          unitCost,
+        },
+      ],
+      { session }
+    );
+    return unitCost;
+  }
+
+  const method = await getCostingMethod(product, session);
+
+  const openLayers = await this.find({
+    product: movement.product,
+    remainingQuantity: { $gt: 0 },
+  })
+    .sort({ receivedDate: 1, _id: 1 })
+    .session(session);
+
+  if (method === "weighted_average" && openLayers.length) {
+    const openQuantity = openLayers.reduce(
+      (sum, layer) => sum + layer.remainingQuantity,
+      0
+    );
+    const openValue = openLayers.reduce(
+      (sum, layer) => sum + layer.remainingQuantity * layer.unitCost,
+      0
+    );
+    const averageCost = openValue / openQuantity;
+    await this.updateMany(
+      { _id: { $in: openLayers.map((layer) => layer._id) } },
+      { $set: { unitCost: averageCost } },
+      { session }
+    );
+    openLayers.forEach((layer) => (layer.unitCost = averageCost));
+  }
+
+  // units come out of the layers they went in on where that is known: the
+  // lots moved for a batch-tracked product, the layers of
+  // options.sourceDocuments (the goods receipts a supplier return goes back
+  // against). Whatever is left is taken from the oldest layers. Under
+  // weighted average every layer costs the same, so only quantities move.
+  const takeFrom = [];
+  for (const batch of movement.batches || []) {
+    const lotMovements = await mongoose
+      .model("StockMovement")
+      .distinct("_id", {
+        product: movement.product,
+        "batches.lotNumber": batch.lotNumber,
+      })
+      .session(session);
+    takeFrom.push({
+      quantity: batch.quantity,
+      matches: (layer) =>
+        lotMovements.some((lotMovement) => lotMovement.equals(layer.movement)),
+    });
+  }
+  if (options.sourceDocuments?.length) {
+    takeFrom.push({
+      quantity: movement.quantity,
+      matches: (layer) =>
+        options.sourceDocuments.some((source) =>
+          source.equals(layer.sourceDocument)
+        ),
+    });
+  }
+  takeFrom.push({ quantity: movement.quantity, matches: () => true });
+
+  let remaining = movement.quantity;
+  let totalCost = 0;
+  const takenByLayer = new Map();
+  for (const { quantity, matches } of takeFrom) {
+    let wanted = Math.min(quantity, remaining);
+    for (const layer of openLayers) {
+      if (wanted <= 0) break;
+      if (!matches(layer)) continue;
+      const taken = Math.min(
+        layer.remainingQuantity - (takenByLayer.get(layer) || 0),
+        wanted
+      );
+      if (taken <= 0) continue;
+      takenByLayer.set(layer, (takenByLayer.get(layer) || 0) + taken);
+      totalCost += taken * layer.unitCost;
+      wanted -= taken;
+      remaining -= taken;
+    }
+  }
+  for (const [layer, taken] of takenByLayer) {
+    await this.updateOne(
+      { _id: layer._id },
+      { $inc: { remainingQuantity: -taken } },
+      { session }
+    );
+  }
+  totalCost += remaining * (openLayers.at(-1)?.unitCost ?? fallbackCost);
+
+  return totalCost / movement.quantity;
+};
+
+// The unit cost quantity units of a product would go out at now, without
+// taking them from the layers: the oldest layers under fifo, the average of
+// the open layers under weighted average, the purchase price with no layers.
+costLayerSchema.statics.getCurrentCost = async function (
+  productId,
+  quantity,
+  session
+) {
+  const product = await Product.findById(productId, {
+    createdBy: 1,
+    purchasePrice: 1,
+  }).session(session);
+  const fallbackCost = product?.purchasePrice || 0;
+
+  const openLayers = await this.find({
+    product: productId,
+    remainingQuantity: { $gt: 0 },
+  })
+    .sort({ receivedDate: 1, _id: 1 })
+    .session(session);
+  if (!openLayers.length) return fallbackCost;
+
+  const method = await getCostingMethod(product, session);
+  if (method === "weighted_average") {
+    const openQuantity = openLayers.reduce(
+      (sum, layer) => sum + layer.remainingQuantity,
+      0
+    );
+    const openValue = openLayers.reduce(
+      (sum, layer) => sum + layer.remainingQuantity * layer.unitCost,
+      0
+    );
+    return openValue / openQuantity;
+  }
+
+  let remaining = quantity;
+  let totalCost = 0;
+  for (const layer of openLayers) {
+    if (remaining <= 0) break;
+    const taken = Math.min(layer.remainingQuantity, remaining);
+    totalCost += taken * layer.unitCost;
+    remaining -= taken;
+  }
+  totalCost += remaining * openLayers.at(-1).unitCost;
+
+  return totalCost / quantity;
+};
+
+// value of the open layers per product: { productId: { quantity, value } }
+costLayerSchema.statics.getOpenValues = async function (productIds) {
+  const rows = await this.aggregate([
+    {
+      $match: { product: { $in: productIds }, remainingQuantity: { $gt: 0 } },
+    },
+    {
+      $group: {
+        _id: "$product",
+        quantity: { $sum: "$remainingQuantity" },
+        value: {
+          $sum: { $multiply: ["$remainingQuantity", "$unitCost"] },
+        },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row]));
+};
+
+const CostLayer =
+  mongoose.models.CostLayer || mongoose.model("CostLayer", costLayerSchema);
+module.exports = CostLayer;
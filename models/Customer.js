@@ -0,0 +1,101 @@
+// models/Customer.js
+const mongoose = require("mongoose");
+
+const customerSchema = new mongoose.Schema(
+  {
+    firstName: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 2,
+      maxlength: 30,
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 2,
+      maxlength: 30,
+    },
+    email: {
+      type: String,
+      required: false,
+      lowercase: true,
+      trim: true,
+      match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    },
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          return /^\d{10}$/.test(v);
+        },
+        message: (props) =>
+          `${props.value} is not a valid phone number! Must be exactly 10 digits.`,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    // credit from returns refunded as store credit, spent with the
+    // store_credit tender. Only changed through returns and sales.
+    storeCreditBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// email is optional, so only enforce uniqueness when it is present
+customerSchema.index(
+  { email: 1, createdBy: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: "string" } } }
+);
+customerSchema.index({ phone: 1, createdBy: 1 }, { unique: true });
+
+// Takes amount off the customer's store credit, only if the balance covers it.
+// Returns false when it does not.
+customerSchema.statics.spendStoreCredit = async function (
+  customerId,
+  amount,
+  session
+) {
+  const result = await this.updateOne(
+    { _id: customerId, storeCreditBalance: { $gte: amount } },
+    { $inc: { storeCreditBalance: -amount } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+customerSchema.statics.addStoreCredit = function (customerId, amount, session) {
+  return this.updateOne(
+    { _id: customerId },
+    { $inc: { storeCreditBalance: amount } },
+    { session }
+  );
+};
+
+const Customer =
+  mongoose.models.Customer || mongoose.model("Customer", customerSchema);
+module.exports = Customer;
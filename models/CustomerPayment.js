@@ -0,0 +1,135 @@
+// models/CustomerPayment.js
+const mongoose = require("mongoose");
+const { PAYMENT_METHODS } = require("../utils/paymentUtils");
+const { roundCurrency } = require("../utils/taxUtils");
+
+const allocationSchema = new mongoose.Schema({
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+// A receipt for money collected from a customer against credit sales. The
+// amount is spread over one or more open invoices through allocations.
+const customerPaymentSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    allocations: [allocationSchema],
+    paymentDate: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customerPaymentSchema.index(
+  { receiptNumber: 1, createdBy: 1 },
+  { unique: true }
+);
+customerPaymentSchema.index({ customer: 1, paymentDate: -1 });
+
+// Pre-save hook to auto-generate receiptNumber
+customerPaymentSchema.pre("save", async function (next) {
+  if (this.isNew && !this.receiptNumber) {
+    try {
+      const lastPayment = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { receiptNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastPayment && lastPayment.receiptNumber) {
+        const lastNum = parseInt(lastPayment.receiptNumber.replace("RCT-", ""));
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.receiptNumber = `RCT-${String(nextNumber).padStart(6, "0")}`; // e.g., RCT-000001
+    } catch (error) {
+      console.error("Error generating receipt number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Saves the receipt and applies each allocation to its sale. `allocations`
+// must already be validated: [{ document (sale), amount }].
+customerPaymentSchema.statics.recordPayment = async function (
+  details,
+  allocations,
+  session
+) {
+  const payment = new this({
+    ...details,
+    allocations: allocations.map(({ document, amount }) => ({
+      sale: document._id,
+      amount,
+    })),
+  });
+  await payment.save({ session });
+
+  for (const { document: sale, amount } of allocations) {
+    sale.payments.push({
+      method: payment.method,
+      amount,
+      reference: payment.reference,
+      receipt: payment._id,
+      paidAt: payment.paymentDate,
+    });
+    sale.balanceDue = roundCurrency(sale.balanceDue - amount);
+    await sale.save({ session });
+  }
+
+  return payment;
+};
+
+const CustomerPayment =
+  mongoose.models.CustomerPayment ||
+  mongoose.model("CustomerPayment", customerPaymentSchema);
+module.exports = CustomerPayment;
@@ -0,0 +1,271 @@
+// models/GoodsReceipt.js
+const mongoose = require("mongoose");
+const Stock = require("./Stock");
+const Product = require("./Product");
+const { roundCurrency } = require("../utils/taxUtils");
+const eventBus = require("../utils/eventBus");
+
+const goodsReceiptItemSchema = new mongoose.Schema({
+  purchaseItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  taxableAmount: {
+    type: Number,
+    min: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  totalCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // only for batch-tracked products, defaults to the receipt number
+  lotNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  expiryDate: {
+    type: Date,
+  },
+});
+
+// A goods receipt note (GRN) for one delivery against a purchase order.
+// A purchase can be received in several deliveries.
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    purchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Purchase",
+      required: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    // location the goods were received into
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    items: [goodsReceiptItemSchema],
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    totalAmount: {
+      type: Number,
+      min: 0,
+    },
+    receivedDate: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+goodsReceiptSchema.index({ receiptNumber: 1, createdBy: 1 }, { unique: true });
+goodsReceiptSchema.index({ purchase: 1 });
+goodsReceiptSchema.index({ createdBy: 1, receivedDate: -1 });
+
+// Pre-save hook to calculate totals and auto-generate receiptNumber
+goodsReceiptSchema.pre("save", async function (next) {
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.totalCost, 0);
+  this.totalTax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
+
+  if (this.isNew && !this.receiptNumber) {
+    try {
+      const lastReceipt = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { receiptNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastReceipt && lastReceipt.receiptNumber) {
+        const lastNum = parseInt(lastReceipt.receiptNumber.replace("GRN-", ""));
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.receiptNumber = `GRN-${String(nextNumber).padStart(6, "0")}`; // e.g., GRN-000001
+    } catch (error) {
+      console.error("Error generating goods receipt number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Creates the GRN, books a purchase stock movement per line and updates the
+// received quantities, status and payable of the purchase. `lines` must
+// already be validated against the purchase:
+// [{ purchaseItem, quantity, lotNumber?, expiryDate? }].
+// details: { location, notes }, the location must already be resolved.
+// Batch-tracked products get a lot per line, named after the GRN unless given.
+goodsReceiptSchema.statics.recordReceipt = async function (
+  purchase,
+  lines,
+  details = {},
+  movedBy,
+  session
+) {
+  const trackedProducts = await Product.distinct("_id", {
+    _id: { $in: purchase.items.map((line) => line.product) },
+    trackBatches: true,
+  }).session(session);
+  const isTracked = (productId) =>
+    trackedProducts.some((tracked) => tracked.equals(productId));
+
+  const items = lines.map(
+    ({ purchaseItem, quantity, lotNumber, expiryDate }) => {
+      const line = purchase.items.id(purchaseItem);
+      const batch = isTracked(line.product) ? { lotNumber, expiryDate } : {};
+      // cost and tax of the delivered part of the line
+      const share = quantity / line.quantity;
+      return {
+        purchaseItem: line._id,
+        product: line.product,
+        quantity,
+        unitCost: line.unitCost,
+        taxRate: line.taxRate || 0,
+        taxableAmount: roundCurrency(
+          (line.taxableAmount ?? line.totalCost) * share
+        ),
+        taxAmount: roundCurrency((line.taxAmount || 0) * share),
+        totalCost: roundCurrency(line.totalCost * share),
+        ...batch,
+      };
+    }
+  );
+
+  const goodsReceipt = new this({
+    purchase: purchase._id,
+    supplier: purchase.supplier,
+    location: details.location,
+    items,
+    notes: details.notes,
+    createdBy: purchase.createdBy,
+  });
+  await goodsReceipt.save({ session });
+
+  for (const item of goodsReceipt.items) {
+    let batches;
+    if (isTracked(item.product)) {
+      item.lotNumber = item.lotNumber || goodsReceipt.receiptNumber;
+      batches = [
+        {
+          lotNumber: item.lotNumber,
+          expiryDate: item.expiryDate,
+          quantity: item.quantity,
+          unitCost: item.unitCost,
+        },
+      ];
+    }
+
+    await Stock.recordMovement(
+      item.product,
+      "purchase",
+      item.quantity,
+      `${goodsReceipt.receiptNumber} for PO: ${purchase.purchaseNumber}`,
+      goodsReceipt._id,
+      "GoodsReceipt",
+      movedBy,
+      session,
+      {
+        location: goodsReceipt.location,
+        // stock is carried at its cost before (recoverable) input tax
+        unitCost: (item.taxableAmount ?? item.totalCost) / item.quantity,
+        batches,
+      }
+    );
+
+    purchase.items.id(item.purchaseItem).receivedQuantity += item.quantity;
+  }
+  if (goodsReceipt.isModified()) {
+    await goodsReceipt.save({ session });
+  }
+
+  const fullyReceived = purchase.items.every(
+    (line) => line.receivedQuantity + line.cancelledQuantity >= line.quantity
+  );
+  purchase.purchaseStatus = fullyReceived ? "received" : "partially_received";
+  purchase.receivedDate = goodsReceipt.receivedDate;
+
+  // payment terms run from the first delivery
+  if (!purchase.dueDate) {
+    const dueDate = new Date(goodsReceipt.receivedDate);
+    dueDate.setDate(dueDate.getDate() + (purchase.paymentTermsDays ?? 30));
+    purchase.dueDate = dueDate;
+  }
+  purchase.balanceDue = roundCurrency(
+    (purchase.balanceDue || 0) + goodsReceipt.totalAmount
+  );
+  await purchase.save({ session });
+
+  eventBus.publishAfterCommit(session, "purchase.received", {
+    purchase: purchase._id,
+    purchaseNumber: purchase.purchaseNumber,
+    purchaseStatus: purchase.purchaseStatus,
+    goodsReceipt: goodsReceipt._id,
+    receiptNumber: goodsReceipt.receiptNumber,
+    location: goodsReceipt.location,
+    items: goodsReceipt.items.map((item) => ({
+      product: item.product,
+      quantity: item.quantity,
+    })),
+    totalAmount: goodsReceipt.totalAmount,
+    createdBy: goodsReceipt.createdBy,
+  });
+
+  return goodsReceipt;
+};
+
+const GoodsReceipt =
+  mongoose.models.GoodsReceipt ||
+  mongoose.model("GoodsReceipt", goodsReceiptSchema);
+module.exports = GoodsReceipt;
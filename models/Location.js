@@ -0,0 +1,126 @@
+// models/Location.js
+const mongoose = require("mongoose");
+const Product = require("./Product");
+const Stock = require("./Stock");
+
+// A place stock is kept: the shop floor, a back room, a second branch, ...
+// Every owner has one default location that is used when a document does not
+// name one.
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: ["shop_floor", "back_room", "warehouse", "branch"],
+      default: "shop_floor",
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+locationSchema.index({ name: 1, createdBy: 1 }, { unique: true });
+// one default location per owner
+locationSchema.index(
+  { createdBy: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Returns the owner's default location. The first call creates it ("Main")
+// and moves the stock recorded before locations existed into it. Owners get
+// it when they sign up, so it is only created here outside of transactions: a
+// failed insert would abort the caller's transaction. Inside a transaction
+// use findDefault.
+locationSchema.statics.getDefault = async function (ownerId) {
+  const existing = await this.findOne({ createdBy: ownerId, isDefault: true });
+  if (existing) return existing;
+
+  let location;
+  try {
+    location = await this.create({
+      name: "Main",
+      isDefault: true,
+      createdBy: ownerId,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // a request running at the same time created it first, and moves the stock
+    return this.findOne({ createdBy: ownerId, isDefault: true });
+  }
+
+  const productIds = await Product.distinct("_id", { createdBy: ownerId });
+  await Stock.updateMany(
+    { product: { $in: productIds }, location: null },
+    { $set: { location: location._id } }
+  );
+
+  return location;
+};
+
+// Reads the owner's default location within a transaction. It is never
+// created here, a missing one means the owner was not set up.
+locationSchema.statics.findDefault = async function (ownerId, session = null) {
+  const location = await this.findOne({
+    createdBy: ownerId,
+    isDefault: true,
+  }).session(session);
+  if (!location) {
+    throw new Error(
+      `Owner ${ownerId} has no default location. Run npm run migrate:location-indexes to create it.`
+    );
+  }
+  return location;
+};
+
+// Returns the owner's active location with this ID, or the default location
+// when no ID is given. Returns null when the location cannot be used.
+locationSchema.statics.resolve = async function (
+  ownerId,
+  locationId,
+  session = null
+) {
+  if (!locationId) {
+    return this.findDefault(ownerId, session);
+  }
+  if (!mongoose.Types.ObjectId.isValid(locationId)) {
+    return null;
+  }
+  return this.findOne({
+    _id: locationId,
+    createdBy: ownerId,
+    isActive: true,
+  }).session(session);
+};
+
+const Location =
+  mongoose.models.Location || mongoose.model("Location", locationSchema);
+module.exports = Location;
@@ -0,0 +1,103 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+const eventBus = require("../utils/eventBus");
+
+const NOTIFICATION_TYPES = [
+  "low_stock",
+  "out_of_stock",
+  "purchase_overdue",
+  "adjustment_pending",
+  "adjustment_large",
+  "failed_login",
+];
+
+// An entry in a user's in-app notification feed
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // ids of what the notification is about, e.g. { product, location } or { purchase }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // a user gets one notification per key, e.g. a purchase is reported overdue once
+    dedupeKey: {
+      type: String,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index(
+  { user: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+
+// Adds a notification to the user's feed and publishes "notification.created".
+// With a dedupeKey the user already has, nothing is added and null returned.
+notificationSchema.statics.notify = async function (
+  userId,
+  { type, title, message, data = {}, dedupeKey }
+) {
+  let notification;
+  if (dedupeKey) {
+    try {
+      const result = await this.findOneAndUpdate(
+        { user: userId, dedupeKey },
+        // user and dedupeKey are taken from the filter on insert
+        { $setOnInsert: { type, title, message, data } },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      if (result.lastErrorObject?.updatedExisting) return null;
+      notification = result.value;
+    } catch (err) {
+      // the same key inserted at the same moment
+      if (err.code === 11000) return null;
+      throw err;
+    }
+  } else {
+    notification = await this.create({
+      user: userId,
+      type,
+      title,
+      message,
+      data,
+    });
+  }
+
+  eventBus.emit("notification.created", notification);
+  return notification;
+};
+
+const Notification =
+  mongoose.models.Notification ||
+  mongoose.model("Notification", notificationSchema);
+module.exports = Notification;
@@ -69,16 +69,58 @@ const productSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // null means the category tax settings apply
+    taxRate: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100,
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: null,
+    },
     minStockLevel: {
       type: Number,
       required: true,
       default: 10,
       min: 0,
     },
+    // reorder once stock on hand plus stock on order falls to this level,
+    // minStockLevel when not set
+    reorderPoint: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // fixed quantity ordered once stock falls to the reorder point, null to
+    // order from recent sales
+    reorderQuantity: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // stock is kept in lots with expiry dates, sold earliest expiry first
+    trackBatches: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // ABC (share of sales value) and XYZ (demand variability) class, set by
+    // POST /api/products/classification/recalculate
+    classification: {
+      abc: { type: String, enum: ["A", "B", "C"] },
+      xyz: { type: String, enum: ["X", "Y", "Z"] },
+      salesValue: { type: Number, min: 0 },
+      salesShare: { type: Number, min: 0 },
+      // coefficient of variation of weekly units sold, null when nothing sold
+      demandVariation: { type: Number, min: 0 },
+      windowDays: { type: Number },
+      calculatedAt: { type: Date },
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -1,5 +1,10 @@
 // models/Purchase.js
 const mongoose = require("mongoose");
+const {
+  SUPPLIER_PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  getPaymentStatus,
+} = require("../utils/paymentUtils");
 
 const purchaseItemSchema = new mongoose.Schema({
   product: {
@@ -22,6 +27,70 @@ const purchaseItemSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  taxInclusive: {
+    type: Boolean,
+    default: false,
+  },
+  taxableAmount: {
+    type: Number,
+    min: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // booked through goods receipt notes, outstanding is what is left of quantity
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // left undelivered when the order was closed short
+  cancelledQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // sent back to the supplier on debit notes
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+// part of a supplier payment applied to this purchase order
+const purchasePaymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: SUPPLIER_PAYMENT_METHODS,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  supplierPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SupplierPayment",
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 const purchaseSchema = new mongoose.Schema(
@@ -38,8 +107,24 @@ const purchaseSchema = new mongoose.Schema(
       ref: "Supplier",
       required: true,
     },
+    // where deliveries are received unless a receipt names another location
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
     items: [purchaseItemSchema],
 
+    subTotal: {
+      type: Number,
+      min: 0,
+    },
+
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     totalAmount: {
       type: Number,
       // required: true,
@@ -48,7 +133,8 @@ const purchaseSchema = new mongoose.Schema(
 
     purchaseStatus: {
       type: String,
-      enum: ["ordered", "received", "cancelled"],
+      // drafts come from reorder suggestions and are placed before receiving
+      enum: ["draft", "ordered", "partially_received", "received", "cancelled"],
       default: "ordered",
     },
 
@@ -63,6 +149,54 @@ const purchaseSchema = new mongoose.Schema(
       default: Date.now,
     },
 
+    // date of the last goods receipt
+    receivedDate: {
+      type: Date,
+    },
+
+    // payables: every goods receipt adds the value received to balanceDue
+    paymentTermsDays: {
+      type: Number,
+      min: 0,
+      max: 365,
+    },
+
+    dueDate: {
+      type: Date,
+    },
+
+    payments: [purchasePaymentSchema],
+
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    balanceDue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "unpaid",
+    },
+
+    returnedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    returnStatus: {
+      type: String,
+      enum: ["none", "partially_returned", "returned"],
+      default: "none",
+    },
+
     notes: {
       type: String,
       trim: true,
@@ -82,13 +216,31 @@ const purchaseSchema = new mongoose.Schema(
 
 // for user-specific uniqueness on purchaseNumber
 purchaseSchema.index({ purchaseNumber: 1, createdBy: 1 }, { unique: true });
+purchaseSchema.index({ supplier: 1, balanceDue: 1 });
 
-// Pre-save hook to calculate totalAmount and auto-generate purchaseNumber
+// Pre-save hook to calculate totals and auto-generate purchaseNumber
+// item.totalCost already includes tax, taxableAmount is the amount before tax
 purchaseSchema.pre("save", async function (next) {
   this.totalAmount = (this.items || []).reduce(
     (sum, item) => sum + item.totalCost,
     0
   );
+  this.totalTax = (this.items || []).reduce(
+    (sum, item) => sum + (item.taxAmount || 0),
+    0
+  );
+  this.subTotal = (this.items || []).reduce(
+    (sum, item) => sum + (item.taxableAmount ?? item.totalCost),
+    0
+  );
+  this.amountPaid = this.payments.reduce(
+    (sum, payment) => sum + payment.amount,
+    0
+  );
+  // nothing is owed on an order that has not been received yet
+  if (["partially_received", "received"].includes(this.purchaseStatus)) {
+    this.paymentStatus = getPaymentStatus(this.balanceDue, this.amountPaid);
+  }
 
   if (this.isNew && !this.purchaseNumber) {
     try {
@@ -1,5 +1,14 @@
 // models/Sale.js
 const mongoose = require("mongoose");
+const {
+  DISCOUNT_TYPES,
+  DISCOUNT_REASON_CODES,
+} = require("../utils/discountUtils");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  getPaymentStatus,
+} = require("../utils/paymentUtils");
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -12,16 +21,121 @@ const saleItemSchema = new mongoose.Schema({
     required: true,
     min: 1,
   },
+  // price from the product at the time of sale, unitPrice is what was charged
+  listPrice: {
+    type: Number,
+    min: 0,
+  },
   unitPrice: {
     type: Number,
     required: true,
     min: 0,
   },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+  },
+  discountValue: {
+    type: Number,
+    min: 0,
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // this line's share of the invoice level discount
+  invoiceDiscountAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  discountReason: {
+    type: String,
+    enum: DISCOUNT_REASON_CODES,
+  },
   totalPrice: {
     type: Number,
     required: true,
     min: 0,
   },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  taxInclusive: {
+    type: Boolean,
+    default: false,
+  },
+  taxableAmount: {
+    type: Number,
+    min: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // cost of one unit taken out of stock (FIFO or weighted average, see
+  // CostLayer), costOfGoodsSold is for the whole line
+  unitCost: {
+    type: Number,
+    min: 0,
+  },
+  costOfGoodsSold: {
+    type: Number,
+    min: 0,
+  },
+  // lots the line was taken from, only for batch-tracked products
+  batches: [
+    {
+      _id: false,
+      lotNumber: { type: String, required: true },
+      expiryDate: { type: Date },
+      quantity: { type: Number, required: true, min: 1 },
+      returnedQuantity: { type: Number, default: 0, min: 0 },
+    },
+  ],
+});
+
+// one tender of a (possibly split) payment. amount is what was kept for the
+// sale, for cash the amount handed over is in tendered. Payments collected
+// later against a credit sale point to their receipt.
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  tendered: {
+    type: Number,
+    min: 0,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CustomerPayment",
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
 });
 
 const saleSchema = new mongoose.Schema(
@@ -33,16 +147,96 @@ const saleSchema = new mongoose.Schema(
       trim: true,
       uppercase: true,
     },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: false,
+    },
+    // location the stock was sold from, returns go back there
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
     items: [saleItemSchema],
+    invoiceDiscountType: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+    },
+    invoiceDiscountValue: {
+      type: Number,
+      min: 0,
+    },
+    invoiceDiscountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    discountReason: {
+      type: String,
+      enum: DISCOUNT_REASON_CODES,
+    },
+    // line, invoice and price override discounts together
+    totalDiscount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    subTotal: {
+      type: Number,
+      min: 0,
+    },
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     totalAmount: {
       type: Number,
       // required: true,
       min: 0,
     },
+    returnedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    returnStatus: {
+      type: String,
+      enum: ["none", "partially_returned", "returned"],
+      default: "none",
+    },
+    payments: [paymentSchema],
+    amountTendered: {
+      type: Number,
+      min: 0,
+    },
+    changeDue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    amountPaid: {
+      type: Number,
+      min: 0,
+    },
+    // what the customer still owes on a credit sale
+    balanceDue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "paid",
+    },
+    dueDate: {
+      type: Date,
+    },
+    // single tender of sales recorded before split payments, new sales use payments
     paymentMethod: {
       type: String,
       enum: ["cash", "online"],
-      required: true,
     },
     saleDate: {
       type: Date,
@@ -66,10 +260,41 @@ const saleSchema = new mongoose.Schema(
 
 // Add a compound index for user-specific uniqueness on invoiceNumber
 saleSchema.index({ invoiceNumber: 1, createdBy: 1 }, { unique: true });
+saleSchema.index({ customer: 1, saleDate: -1 });
+saleSchema.index({ createdBy: 1, balanceDue: 1 });
 
-// Pre-save hook to calculate totalAmount and auto-generate invoiceNumber
+// Pre-save hook to calculate totals and auto-generate invoiceNumber
+// item.totalPrice already includes tax, taxableAmount is the amount before tax
 saleSchema.pre("save", async function (next) {
   this.totalAmount = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+  this.totalTax = this.items.reduce(
+    (sum, item) => sum + (item.taxAmount || 0),
+    0
+  );
+  this.subTotal = this.items.reduce(
+    (sum, item) => sum + (item.taxableAmount ?? item.totalPrice),
+    0
+  );
+  this.totalDiscount = this.items.reduce((sum, item) => {
+    const priceOverride = item.listPrice
+      ? Math.max(0, (item.listPrice - item.unitPrice) * item.quantity)
+      : 0;
+    return (
+      sum +
+      priceOverride +
+      (item.discountAmount || 0) +
+      (item.invoiceDiscountAmount || 0)
+    );
+  }, 0);
+  // new sales are always paid through payments, even when there are none;
+  // older sales have no payments array and keep what they were paid
+  if (this.isNew || this.payments.length) {
+    this.amountPaid = this.payments.reduce(
+      (sum, payment) => sum + payment.amount,
+      0
+    );
+  }
+  this.paymentStatus = getPaymentStatus(this.balanceDue, this.amountPaid);
 
   if (this.isNew && !this.invoiceNumber) {
     try {
@@ -0,0 +1,303 @@
+// models/SaleReturn.js
+const mongoose = require("mongoose");
+const Stock = require("./Stock");
+const Product = require("./Product");
+const Customer = require("./Customer");
+const { roundCurrency } = require("../utils/taxUtils");
+const { PAYMENT_METHODS } = require("../utils/paymentUtils");
+
+const saleReturnItemSchema = new mongoose.Schema({
+  saleItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+// A credit note issued against an existing sale. The sale itself is never
+// modified apart from its returned quantities, so revenue history stays intact.
+const saleReturnSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: false,
+    },
+    // returned goods are restocked where they were sold
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    items: [saleReturnItemSchema],
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    totalAmount: {
+      type: Number,
+      min: 0,
+    },
+    // part of the credit note that reduced what the customer still owed,
+    // only the rest is paid back
+    appliedToBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundAmount: {
+      type: Number,
+      min: 0,
+    },
+    // store_credit adds the refund to the customer's store credit balance
+    refundMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    returnDate: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+saleReturnSchema.index({ returnNumber: 1, createdBy: 1 }, { unique: true });
+saleReturnSchema.index({ sale: 1 });
+
+// Pre-save hook to calculate totalAmount and auto-generate returnNumber
+saleReturnSchema.pre("save", async function (next) {
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+  this.totalTax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
+
+  if (this.isNew && !this.returnNumber) {
+    try {
+      const lastReturn = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { returnNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastReturn && lastReturn.returnNumber) {
+        const lastNum = parseInt(lastReturn.returnNumber.replace("CN-", ""));
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.returnNumber = `CN-${String(nextNumber).padStart(6, "0")}`; // e.g., CN-000001
+    } catch (error) {
+      console.error("Error generating return number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Creates the credit note, restocks every returned line and updates the
+// returned quantities on the original sale. On a credit sale the return first
+// reduces the balance due. A store_credit refundMethod puts the refund on the
+// customer's store credit. `lines` must already be validated against the
+// sale: [{ saleItem, quantity }].
+saleReturnSchema.statics.recordReturn = async function (
+  sale,
+  lines,
+  details = {},
+  movedBy,
+  session
+) {
+  // what earlier credit notes already refunded per sale line
+  const earlierReturns = await this.find({ sale: sale._id }, { items: 1 })
+    .session(session)
+    .lean();
+  const refunded = new Map();
+  for (const item of earlierReturns.flatMap((ret) => ret.items)) {
+    const totals = refunded.get(item.saleItem.toString()) || {
+      totalPrice: 0,
+      taxAmount: 0,
+    };
+    totals.totalPrice += item.totalPrice;
+    totals.taxAmount += item.taxAmount || 0;
+    refunded.set(item.saleItem.toString(), totals);
+  }
+
+  const items = lines.map(({ saleItem, quantity }) => {
+    const line = sale.items.id(saleItem);
+    // refund at the price actually charged on the line
+    const unitPrice = line.totalPrice / line.quantity;
+    let totalPrice = roundCurrency(unitPrice * quantity);
+    let taxAmount = roundCurrency(
+      ((line.taxAmount || 0) * quantity) / line.quantity
+    );
+
+    // the last return of a line refunds what is left of it, so rounding on
+    // each return never adds up to more or less than the line was sold for
+    if (line.returnedQuantity + quantity === line.quantity) {
+      const earlier = refunded.get(line._id.toString());
+      if (earlier) {
+        totalPrice = roundCurrency(line.totalPrice - earlier.totalPrice);
+        taxAmount = roundCurrency((line.taxAmount || 0) - earlier.taxAmount);
+      }
+    }
+
+    return {
+      saleItem: line._id,
+      product: line.product,
+      quantity,
+      unitPrice,
+      totalPrice,
+      taxRate: line.taxRate || 0,
+      taxAmount,
+    };
+  });
+
+  const returnTotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+  const appliedToBalance = roundCurrency(
+    Math.min(sale.balanceDue || 0, returnTotal)
+  );
+
+  const saleReturn = new this({
+    sale: sale._id,
+    customer: sale.customer,
+    location: sale.location,
+    items,
+    appliedToBalance,
+    refundAmount: roundCurrency(returnTotal - appliedToBalance),
+    refundMethod: details.refundMethod,
+    reason: details.reason,
+    notes: details.notes,
+    createdBy: sale.createdBy,
+  });
+  await saleReturn.save({ session });
+
+  if (saleReturn.refundMethod === "store_credit" && saleReturn.refundAmount) {
+    await Customer.addStoreCredit(
+      sale.customer,
+      saleReturn.refundAmount,
+      session
+    );
+  }
+
+  const trackedProducts = await Product.distinct("_id", {
+    _id: { $in: saleReturn.items.map((item) => item.product) },
+    trackBatches: true,
+  }).session(session);
+
+  for (const item of saleReturn.items) {
+    const saleLine = sale.items.id(item.saleItem);
+
+    // batch-tracked lines go back into the lots they were sold from
+    const batches = [];
+    let remaining = item.quantity;
+    for (const batch of saleLine.batches || []) {
+      if (remaining <= 0) break;
+      const returned = Math.min(
+        batch.quantity - batch.returnedQuantity,
+        remaining
+      );
+      if (returned <= 0) continue;
+      batch.returnedQuantity += returned;
+      batches.push({
+        lotNumber: batch.lotNumber,
+        expiryDate: batch.expiryDate,
+        quantity: returned,
+      });
+      remaining -= returned;
+    }
+    // sold before tracking was turned on, so there is no lot to go back to
+    const isTracked = trackedProducts.some((tracked) =>
+      tracked.equals(item.product)
+    );
+    if (isTracked && remaining > 0) {
+      batches.push({
+        lotNumber: Stock.OPENING_LOT,
+        quantity: remaining,
+        unitCost: saleLine.unitCost,
+      });
+    }
+
+    await Stock.recordMovement(
+      item.product,
+      "return",
+      item.quantity,
+      `Return ${saleReturn.returnNumber} for INV: ${sale.invoiceNumber}`,
+      saleReturn._id,
+      "SaleReturn",
+      movedBy,
+      session,
+      // back into stock at the cost it went out at
+      { location: sale.location, unitCost: saleLine.unitCost, batches }
+    );
+
+    saleLine.returnedQuantity += item.quantity;
+  }
+
+  sale.returnedAmount = (sale.returnedAmount || 0) + saleReturn.totalAmount;
+  sale.balanceDue = roundCurrency((sale.balanceDue || 0) - appliedToBalance);
+  const fullyReturned = sale.items.every(
+    (line) => line.returnedQuantity >= line.quantity
+  );
+  sale.returnStatus = fullyReturned ? "returned" : "partially_returned";
+  await sale.save({ session });
+
+  return saleReturn;
+};
+
+const SaleReturn =
+  mongoose.models.SaleReturn || mongoose.model("SaleReturn", saleReturnSchema);
+module.exports = SaleReturn;
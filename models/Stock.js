@@ -1,59 +1,51 @@
 // models/Stock.js
 const mongoose = require("mongoose");
+const StockMovement = require("./StockMovement");
+const CostLayer = require("./CostLayer");
+const eventBus = require("../utils/eventBus");
 
-const stockMovementSchema = new mongoose.Schema(
-  {
-    movementType: {
-      type: String,
-      enum: ["purchase", "sale", "adjustment", "return"],
-      required: true,
-      message:
-        "Movement type is required and must be one of 'purchase', 'sale', 'adjustment', 'return'.",
-    },
-    quantity: {
-      type: Number,
-      required: true,
-      min: [1, "Quantity must be at least 1 for a stock movement."],
-    },
-    sourceDocument: {
-      type: mongoose.Schema.Types.ObjectId,
-      required: false,
-    },
-    sourceModel: {
-      type: String,
-      enum: ["Purchase", "Sale", "Adjustment", "Product"],
-      required: false,
-      message:
-        "Source model must be 'Purchase', 'Sale', 'Adjustment' or 'Product' if provided.",
-    },
-    movedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true,
-      message: "The user who performed this movement is required.",
-    },
-    date: {
-      type: Date,
-      default: Date.now,
-    },
-    notes: {
-      type: String,
-      trim: true,
-      maxlength: [200, "Notes cannot exceed 200 characters."],
-    },
+// a lot of a batch-tracked product, quantity is what is left of it
+const batchSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
   },
-  { _id: false }
-);
+  expiryDate: {
+    type: Date,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, "Batch quantity cannot be negative."],
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now,
+  },
+  unitCost: {
+    type: Number,
+    min: 0,
+  },
+});
 
+// stock of one product at one location
 const stockSchema = new mongoose.Schema(
   {
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Product",
       required: true,
-      unique: true,
       message: "Product ID is required for a stock record.",
     },
+    // empty only on records from before locations existed, these are moved
+    // to the owner's default location (see Location.getDefault)
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
     currentStock: {
       type: Number,
       required: true,
@@ -61,13 +53,22 @@ const stockSchema = new mongoose.Schema(
       min: [0, "Current stock cannot be negative."],
       message: "Current stock is required and cannot be negative.",
     },
-    movementHistory: [stockMovementSchema],
+    batches: [batchSchema],
+    // movements are kept in their own collection (StockMovement); records
+    // from before that carry a movementHistory array until
+    // scripts/migrateStockMovements.js has run
   },
   {
     timestamps: true,
   }
 );
 
+stockSchema.index({ product: 1, location: 1 }, { unique: true });
+
+// The single write path for stock: changes the stock of a product at a
+// location, records the change as a StockMovement and keeps the cost layers
+// in step. options.unitCost is the cost of stock coming in, stock going out is
+// costed from the layers. The saved movement is in stock.$locals.movement.
 stockSchema.statics.recordMovement = async function (
   productId,
   type,
@@ -76,35 +77,79 @@ stockSchema.statics.recordMovement = async function (
   sourceDocument = null,
   sourceModel = null,
   movedBy,
-  session // this is active mongoose session for transaction support
+  session, // this is active mongoose session for transaction support
+  options = {} // location (required), unitCost, batches: [{ lotNumber, quantity, expiryDate?, unitCost? }] for batch-tracked products, costSources: documents whose cost layers stock going out is taken from first
 ) {
   if (typeof quantity !== "number" || quantity <= 0) {
     throw new Error("Quantity for stock movement must be a positive number.");
   }
+  if (!options.location) {
+    throw new Error("A location is required for a stock movement.");
+  }
+  const stockQuery = { product: productId, location: options.location };
 
   let updateQuantity;
-  if (type === "sale") {
+  // "return" is stock coming back from a customer, "supplier_return" goes out.
+  // "adjustment" adds stock, "adjustment_out" removes it (damage, theft, ...)
+  // a transfer is a "transfer_out" at one location and a "transfer_in" at the other
+  if (
+    type === "sale" ||
+    type === "supplier_return" ||
+    type === "adjustment_out" ||
+    type === "transfer_out"
+  ) {
     updateQuantity = -quantity;
   } else if (
     type === "purchase" ||
     type === "adjustment" ||
-    type === "return"
+    type === "return" ||
+    type === "transfer_in"
   ) {
     updateQuantity = quantity;
   } else {
     throw new Error(
-      "Invalid movement type provided. Must be 'purchase', 'sale', 'adjustment', or 'return'."
+      "Invalid movement type provided. Must be 'purchase', 'sale', 'adjustment', 'adjustment_out', 'return', 'supplier_return', 'transfer_in' or 'transfer_out'."
     );
   }
 
   const movementEntry = {
+    _id: new mongoose.Types.ObjectId(),
+    product: productId,
+    location: options.location,
     movementType: type,
     quantity: quantity, // Using the original quantity for the movement entry
+    unitCost: options.unitCost,
     notes: notes,
     date: new Date(),
     movedBy: movedBy,
   };
 
+  if (options.batches?.length) {
+    const batchTotal = options.batches.reduce(
+      (sum, batch) => sum + batch.quantity,
+      0
+    );
+    if (batchTotal !== quantity) {
+      throw new Error(
+        `Batch quantities (${batchTotal}) do not match the movement quantity (${quantity}).`
+      );
+    }
+
+    for (const batch of options.batches) {
+      await this.moveBatch(
+        stockQuery,
+        batch,
+        updateQuantity > 0 ? batch.quantity : -batch.quantity,
+        session
+      );
+    }
+
+    movementEntry.batches = options.batches.map(({ lotNumber, quantity }) => ({
+      lotNumber,
+      quantity,
+    }));
+  }
+
   if (sourceDocument) {
     movementEntry.sourceDocument = sourceDocument;
   }
@@ -124,11 +169,8 @@ stockSchema.statics.recordMovement = async function (
   }
 
   const updatedStock = await this.findOneAndUpdate(
-    { product: productId },
-    {
-      $inc: { currentStock: updateQuantity },
-      $push: { movementHistory: movementEntry },
-    },
+    stockQuery,
+    { $inc: { currentStock: updateQuantity } },
     findAndUpdateOptions
   );
 
@@ -142,8 +184,172 @@ stockSchema.statics.recordMovement = async function (
     );
   }
 
+  // transfers only move stock between locations, its cost stays the same
+  if (type !== "transfer_in" && type !== "transfer_out") {
+    movementEntry.unitCost = await CostLayer.costMovement(
+      movementEntry,
+      updateQuantity > 0,
+      session,
+      { sourceDocuments: options.costSources }
+    );
+  }
+
+  movementEntry.stock = updatedStock._id;
+  movementEntry.balanceAfter = updatedStock.currentStock;
+  const [movement] = await StockMovement.create([movementEntry], { session });
+  updatedStock.$locals.movement = movement;
+
+  // stock alerts and other listeners hear of the change once it is committed
+  eventBus.publishAfterCommit(session, "stock.changed", {
+    product: productId,
+    location: options.location,
+    movementType: type,
+    quantity,
+    previousStock: updatedStock.currentStock - updateQuantity,
+    currentStock: updatedStock.currentStock,
+    movement: movement._id,
+  });
+
   return updatedStock;
 };
 
+// Adds to (or takes from) one lot of the stock record matching stockQuery
+// (product and location). A lot that does not exist yet is created when stock
+// comes in.
+stockSchema.statics.moveBatch = async function (
+  stockQuery,
+  batch,
+  change,
+  session
+) {
+  const lotNumber = batch.lotNumber.toUpperCase();
+
+  if (change < 0) {
+    const result = await this.updateOne(
+      {
+        ...stockQuery,
+        batches: { $elemMatch: { lotNumber, quantity: { $gte: -change } } },
+      },
+      { $inc: { "batches.$.quantity": change } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error(
+        `Insufficient stock in batch ${lotNumber} for product ID: ${stockQuery.product}.`
+      );
+    }
+    return;
+  }
+
+  const result = await this.updateOne(
+    { ...stockQuery, "batches.lotNumber": lotNumber },
+    { $inc: { "batches.$.quantity": change } },
+    { session }
+  );
+  if (result.matchedCount === 0) {
+    await this.updateOne(
+      stockQuery,
+      {
+        $push: {
+          batches: {
+            lotNumber,
+            expiryDate: batch.expiryDate,
+            quantity: change,
+            unitCost: batch.unitCost,
+          },
+        },
+      },
+      { session, upsert: true }
+    );
+  }
+};
+
+// Picks the lots to take `quantity` from, earliest expiry first (FEFO), or the
+// chosen lot only. Sales pass excludeExpired so expired lots are never sold.
+// Returns { batches: [{ lotNumber, expiryDate, unitCost, quantity }] } or { error }.
+stockSchema.statics.pickBatches = function (
+  stock,
+  quantity,
+  { lotNumber, excludeExpired = false, productName = "product", asOf } = {}
+) {
+  const now = asOf || new Date();
+  const isExpired = (batch) => batch.expiryDate && batch.expiryDate <= now;
+  const available = (stock?.batches || []).filter(
+    (batch) => batch.quantity > 0
+  );
+
+  if (lotNumber) {
+    const batch = available.find(
+      (candidate) => candidate.lotNumber === lotNumber.toUpperCase()
+    );
+    if (!batch) {
+      return {
+        error: `Batch ${lotNumber} of ${productName} is not in stock.`,
+      };
+    }
+    if (excludeExpired && isExpired(batch)) {
+      return {
+        error: `Batch ${
+          batch.lotNumber
+        } of ${productName} expired on ${batch.expiryDate
+          .toISOString()
+          .slice(0, 10)} and cannot be sold.`,
+      };
+    }
+    if (batch.quantity < quantity) {
+      return {
+        error: `Only ${batch.quantity} of ${productName} left in batch ${batch.lotNumber}.`,
+      };
+    }
+    return {
+      batches: [
+        {
+          lotNumber: batch.lotNumber,
+          expiryDate: batch.expiryDate,
+          unitCost: batch.unitCost,
+          quantity,
+        },
+      ],
+    };
+  }
+
+  // lots without an expiry date go last
+  const candidates = available
+    .filter((batch) => !excludeExpired || !isExpired(batch))
+    .sort(
+      (a, b) =>
+        (a.expiryDate ? a.expiryDate.getTime() : Infinity) -
+          (b.expiryDate ? b.expiryDate.getTime() : Infinity) ||
+        a.receivedDate - b.receivedDate
+    );
+
+  const batches = [];
+  let remaining = quantity;
+  for (const batch of candidates) {
+    if (remaining <= 0) break;
+    const taken = Math.min(batch.quantity, remaining);
+    batches.push({
+      lotNumber: batch.lotNumber,
+      expiryDate: batch.expiryDate,
+      unitCost: batch.unitCost,
+      quantity: taken,
+    });
+    remaining -= taken;
+  }
+
+  if (remaining > 0) {
+    return {
+      error: excludeExpired
+        ? `Insufficient unexpired stock for product: ${productName}.`
+        : `Insufficient stock for product: ${productName}.`,
+    };
+  }
+  return { batches };
+};
+
+// lot holding the stock of a batch-tracked product that came without a lot,
+// such as the stock on hand when tracking was turned on
+stockSchema.statics.OPENING_LOT = "OPENING";
+
 const Stock = mongoose.models.Stock || mongoose.model("Stock", stockSchema);
 module.exports = Stock;
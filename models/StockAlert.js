@@ -0,0 +1,293 @@
+// models/StockAlert.js
+const mongoose = require("mongoose");
+const { sendMail } = require("../utils/mailer");
+const { escapeHtml } = require("../utils/documentRenderer");
+const {
+  startOfZonedDay,
+  toZonedDateString,
+  toZonedTimeString,
+} = require("../utils/dateUtils");
+
+// A product that fell to its minimum stock level or ran out at a location.
+// minStockLevel is set per product, not per location, so the stock of each
+// location is compared with the same level. While an alert is open the same
+// product, location and type raises no other; it is resolved once the stock
+// is back above the level. status tracks the email: pending until it goes out
+// with the owner's next alert email, skipped when the owner turned stock
+// alerts off.
+const stockAlertSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    alertType: {
+      type: String,
+      enum: ["low_stock", "out_of_stock"],
+      required: true,
+    },
+    stockLevel: {
+      type: Number,
+      required: true,
+    },
+    minStockLevel: {
+      type: Number,
+      required: true,
+    },
+    delivery: {
+      type: String,
+      enum: ["immediate", "daily_digest"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "skipped"],
+      default: "pending",
+    },
+    sentAt: {
+      type: Date,
+    },
+    // the dispatch run that claimed the alert while it is being sent
+    dispatchBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockAlertSchema.index({ product: 1, location: 1, resolvedAt: 1 });
+// at most one open alert of a type per product and location; resolvedAt is
+// always stored, so $type matches the open ones
+stockAlertSchema.index(
+  { product: 1, location: 1, alertType: 1 },
+  { unique: true, partialFilterExpression: { resolvedAt: { $type: "null" } } }
+);
+stockAlertSchema.index({ createdBy: 1, status: 1, delivery: 1 });
+
+// Resolves the open alerts a stock change no longer matches and raises one
+// when it took the stock to the minimum level or to zero.
+// change: { product, location, previousStock, currentStock } from the
+// "stock.changed" event. Returns the new alert or null.
+stockAlertSchema.statics.checkStockChange = async function (change) {
+  const { location, previousStock, currentStock } = change;
+  const product = await mongoose
+    .model("Product")
+    .findById(change.product)
+    .select("minStockLevel createdBy")
+    .lean();
+  if (!product) return null;
+  const { minStockLevel } = product;
+
+  const resolvedTypes = [];
+  if (currentStock > 0) resolvedTypes.push("out_of_stock");
+  if (currentStock > minStockLevel) resolvedTypes.push("low_stock");
+  if (resolvedTypes.length) {
+    await this.updateMany(
+      {
+        product: product._id,
+        location,
+        alertType: { $in: resolvedTypes },
+        resolvedAt: null,
+      },
+      { resolvedAt: new Date() }
+    );
+  }
+
+  let alertType = null;
+  if (currentStock <= 0 && previousStock > 0) {
+    alertType = "out_of_stock";
+  } else if (currentStock <= minStockLevel && previousStock > minStockLevel) {
+    alertType = "low_stock";
+  }
+  if (!alertType) return null;
+
+  const owner = await mongoose
+    .model("User")
+    .findById(product.createdBy)
+    .select("settings.stockAlertMode")
+    .lean();
+  const mode = owner?.settings?.stockAlertMode || "immediate";
+
+  try {
+    const result = await this.findOneAndUpdate(
+      { product: product._id, location, alertType, resolvedAt: null },
+      // product, location, alertType and resolvedAt are taken from the
+      // filter on insert
+      {
+        $setOnInsert: {
+          stockLevel: currentStock,
+          minStockLevel,
+          delivery: mode === "daily_digest" ? "daily_digest" : "immediate",
+          status: mode === "off" ? "skipped" : "pending",
+          createdBy: product.createdBy,
+        },
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    // an alert of this type is already open
+    if (result.lastErrorObject?.updatedExisting) return null;
+    return result.value;
+  } catch (err) {
+    // the same alert raised by another stock change at the same moment
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// quiet hours may span midnight, e.g. 22:00 to 07:00
+const isWithinQuietHours = (time, start, end) => {
+  if (!start || !end || start === end) return false;
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+const ALERT_LABELS = {
+  low_stock: "Low stock",
+  out_of_stock: "Out of stock",
+};
+
+const buildAlertEmail = (user, alerts) => {
+  const outOfStockCount = alerts.filter(
+    (alert) => alert.alertType === "out_of_stock"
+  ).length;
+  const subject = outOfStockCount
+    ? `Stock alert: ${outOfStockCount} product(s) out of stock`
+    : `Stock alert: ${alerts.length} product(s) running low`;
+
+  const rows = alerts
+    .map(
+      (alert) => `<tr>
+          <td>${escapeHtml(ALERT_LABELS[alert.alertType])}</td>
+          <td>${escapeHtml(alert.product?.name)} (${escapeHtml(
+        alert.product?.sku
+      )})</td>
+          <td>${escapeHtml(alert.location?.name)}</td>
+          <td>${alert.stockLevel} ${escapeHtml(alert.product?.unit)}</td>
+          <td>${alert.minStockLevel}</td>
+        </tr>`
+    )
+    .join("");
+
+  const html = `<p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>These products need restocking:</p>
+    <table border="1" cellpadding="4" cellspacing="0">
+      <tr><th>Alert</th><th>Product</th><th>Location</th><th>In stock</th><th>Minimum</th></tr>
+      ${rows}
+    </table>
+    <p>Reorder suggestions are ready under Purchases.</p>`;
+
+  return { to: user.email, subject, html };
+};
+
+// a claimed alert still sending after this long was left behind by a run
+// that stopped before it could mark it sent or put it back
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Emails the pending alerts that are due, one email per owner (all owners, or
+// just ownerId): immediate alerts outside the owner's quiet hours, digest
+// alerts once a day from the owner's digest hour on. Alerts are claimed first
+// so that overlapping runs do not send them twice, claims older than
+// SENDING_TIMEOUT_MS go back to pending. Returns how many went out.
+stockAlertSchema.statics.dispatch = async function (
+  ownerId = null,
+  now = new Date()
+) {
+  const staleQuery = {
+    status: "sending",
+    updatedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) },
+  };
+  if (ownerId) staleQuery.createdBy = ownerId;
+  await this.updateMany(staleQuery, {
+    status: "pending",
+    $unset: { dispatchBatch: 1 },
+  });
+
+  const pendingQuery = { status: "pending" };
+  if (ownerId) pendingQuery.createdBy = ownerId;
+  const ownerIds = await this.distinct("createdBy", pendingQuery);
+
+  let sentCount = 0;
+  for (const owner of ownerIds) {
+    const user = await mongoose
+      .model("User")
+      .findById(owner)
+      .select("firstName email settings")
+      .lean();
+    if (!user) continue;
+    const settings = user.settings || {};
+    const timeZone = settings.timeZone || "UTC";
+    const localTime = toZonedTimeString(now, timeZone);
+
+    const deliveries = [];
+    if (
+      !isWithinQuietHours(
+        localTime,
+        settings.quietHoursStart,
+        settings.quietHoursEnd
+      )
+    ) {
+      deliveries.push("immediate");
+    }
+    if (Number(localTime.slice(0, 2)) >= (settings.stockAlertDigestHour ?? 8)) {
+      const sentToday = await this.exists({
+        createdBy: owner,
+        delivery: "daily_digest",
+        sentAt: {
+          $gte: startOfZonedDay(toZonedDateString(now, timeZone), timeZone),
+        },
+      });
+      if (!sentToday) deliveries.push("daily_digest");
+    }
+    if (!deliveries.length) continue;
+
+    const dispatchBatch = new mongoose.Types.ObjectId();
+    await this.updateMany(
+      { createdBy: owner, status: "pending", delivery: { $in: deliveries } },
+      { status: "sending", dispatchBatch }
+    );
+    const alerts = await this.find({ dispatchBatch })
+      .populate("product", "name sku unit")
+      .populate("location", "name")
+      .sort({ createdAt: 1 });
+    if (!alerts.length) continue;
+
+    const alertIds = alerts.map((alert) => alert._id);
+    try {
+      await sendMail(buildAlertEmail(user, alerts));
+    } catch (err) {
+      await this.updateMany(
+        { _id: { $in: alertIds } },
+        { status: "pending", $unset: { dispatchBatch: 1 } }
+      );
+      throw err;
+    }
+    await this.updateMany(
+      { _id: { $in: alertIds } },
+      { status: "sent", sentAt: now, $unset: { dispatchBatch: 1 } }
+    );
+    sentCount += alerts.length;
+  }
+  return sentCount;
+};
+
+const StockAlert =
+  mongoose.models.StockAlert || mongoose.model("StockAlert", stockAlertSchema);
+module.exports = StockAlert;
@@ -0,0 +1,122 @@
+// models/StockCount.js
+const mongoose = require("mongoose");
+
+const stockCountItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Stock.currentStock frozen when the count was opened
+  expectedQuantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // null until the shelf has been counted
+  countedQuantity: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // purchase price when the count was opened, used to value the variance
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  countedAt: {
+    type: Date,
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+// A physical stock count of one location (full or per category). Differences between the
+// counted and the expected quantities are posted as adjustments when the count
+// is finalised.
+const stockCountSchema = new mongoose.Schema(
+  {
+    countNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // location being counted
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    // counts all active products when no category is given
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // expected quantities are hidden from counters until the count is finalised
+    blind: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["open", "finalised", "cancelled"],
+      default: "open",
+    },
+    items: [stockCountItemSchema],
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finalisedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockCountSchema.index({ countNumber: 1, createdBy: 1 }, { unique: true });
+stockCountSchema.index({ createdBy: 1, status: 1 });
+
+// Pre-save hook to auto-generate countNumber
+stockCountSchema.pre("save", async function (next) {
+  if (this.isNew && !this.countNumber) {
+    try {
+      const lastCount = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { countNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastCount && lastCount.countNumber) {
+        const lastNum = parseInt(lastCount.countNumber.replace("SC-", ""));
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.countNumber = `SC-${String(nextNumber).padStart(6, "0")}`; // e.g., SC-000001
+    } catch (error) {
+      console.error("Error generating stock count number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+const StockCount =
+  mongoose.models.StockCount || mongoose.model("StockCount", stockCountSchema);
+module.exports = StockCount;
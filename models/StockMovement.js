@@ -0,0 +1,109 @@
+// models/StockMovement.js
+const mongoose = require("mongoose");
+
+// One change to the stock of a product at a location. Movements are only
+// written by Stock.recordMovement and never changed afterwards.
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stock",
+    },
+    movementType: {
+      type: String,
+      enum: [
+        "purchase",
+        "sale",
+        "adjustment",
+        "adjustment_out",
+        "return",
+        "supplier_return",
+        "transfer_in",
+        "transfer_out",
+      ],
+      required: true,
+      message:
+        "Movement type is required and must be one of 'purchase', 'sale', 'adjustment', 'adjustment_out', 'return', 'supplier_return', 'transfer_in', 'transfer_out'.",
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1 for a stock movement."],
+    },
+    // stock at the location right after the movement
+    balanceAfter: {
+      type: Number,
+    },
+    // cost of one unit moved: what was paid for stock coming in, the cost
+    // taken from the cost layers for stock going out (see CostLayer)
+    unitCost: {
+      type: Number,
+      min: 0,
+    },
+    sourceDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false,
+    },
+    sourceModel: {
+      type: String,
+      enum: [
+        "Purchase",
+        "GoodsReceipt",
+        "Sale",
+        "SaleReturn",
+        "SupplierReturn",
+        "Adjustment",
+        "StockTransfer",
+        "Product",
+      ],
+      required: false,
+      message:
+        "Source model must be 'Purchase', 'GoodsReceipt', 'Sale', 'SaleReturn', 'SupplierReturn', 'Adjustment', 'StockTransfer' or 'Product' if provided.",
+    },
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      message: "The user who performed this movement is required.",
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Notes cannot exceed 200 characters."],
+    },
+    // lots moved, only for products with batch tracking
+    batches: [
+      {
+        _id: false,
+        lotNumber: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockMovementSchema.index({ product: 1, date: -1 });
+stockMovementSchema.index({ location: 1, date: -1 });
+stockMovementSchema.index({ product: 1, movementType: 1, date: -1 });
+stockMovementSchema.index({ sourceModel: 1, sourceDocument: 1 });
+
+const StockMovement =
+  mongoose.models.StockMovement ||
+  mongoose.model("StockMovement", stockMovementSchema);
+module.exports = StockMovement;
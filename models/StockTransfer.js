@@ -0,0 +1,153 @@
+// models/StockTransfer.js
+const mongoose = require("mongoose");
+const Stock = require("./Stock");
+
+const stockTransferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // lots moved, only for products with batch tracking
+  batches: [
+    {
+      _id: false,
+      lotNumber: { type: String, required: true },
+      expiryDate: { type: Date },
+      unitCost: { type: Number, min: 0 },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+});
+
+// Moves stock from one location of the owner to another. Every line is booked
+// as a transfer_out movement at the source and a transfer_in movement at the
+// destination.
+const stockTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    fromLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    toLocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      required: true,
+    },
+    items: [stockTransferItemSchema],
+    transferDate: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockTransferSchema.index(
+  { transferNumber: 1, createdBy: 1 },
+  { unique: true }
+);
+stockTransferSchema.index({ createdBy: 1, transferDate: -1 });
+
+// Pre-save hook to auto-generate transferNumber
+stockTransferSchema.pre("save", async function (next) {
+  if (this.isNew && !this.transferNumber) {
+    try {
+      const lastTransfer = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { transferNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastTransfer && lastTransfer.transferNumber) {
+        const lastNum = parseInt(
+          lastTransfer.transferNumber.replace("TRF-", "")
+        );
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.transferNumber = `TRF-${String(nextNumber).padStart(6, "0")}`; // e.g., TRF-000001
+    } catch (error) {
+      console.error("Error generating transfer number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Books the paired movements of a saved transfer. Stock at the source must
+// already be checked, and the lots picked for batch-tracked lines.
+// locations: { from, to } location documents, used in the movement notes.
+stockTransferSchema.statics.postTransfer = async function (
+  transfer,
+  locations,
+  movedBy,
+  session
+) {
+  for (const item of transfer.items) {
+    // lots keep their expiry date and cost at the destination
+    const batches = item.batches.map(
+      ({ lotNumber, expiryDate, unitCost, quantity }) => ({
+        lotNumber,
+        expiryDate,
+        unitCost,
+        quantity,
+      })
+    );
+
+    await Stock.recordMovement(
+      item.product,
+      "transfer_out",
+      item.quantity,
+      `${transfer.transferNumber} to ${locations.to.name}`,
+      transfer._id,
+      "StockTransfer",
+      movedBy,
+      session,
+      { location: transfer.fromLocation, batches }
+    );
+    await Stock.recordMovement(
+      item.product,
+      "transfer_in",
+      item.quantity,
+      `${transfer.transferNumber} from ${locations.from.name}`,
+      transfer._id,
+      "StockTransfer",
+      movedBy,
+      session,
+      { location: transfer.toLocation, batches }
+    );
+  }
+
+  return transfer;
+};
+
+const StockTransfer =
+  mongoose.models.StockTransfer ||
+  mongoose.model("StockTransfer", stockTransferSchema);
+module.exports = StockTransfer;
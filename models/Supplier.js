@@ -36,6 +36,22 @@ const supplierSchema = new mongoose.Schema(
       default: true,
     },
 
+    // days we get to pay a received purchase order
+    paymentTermsDays: {
+      type: Number,
+      default: 30,
+      min: 0,
+      max: 365,
+    },
+
+    // days from placing an order to the delivery, used for reorder suggestions
+    leadTimeDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+      max: 365,
+    },
+
     notes: {
       type: String,
       trim: true,
@@ -0,0 +1,134 @@
+// models/SupplierPayment.js
+const mongoose = require("mongoose");
+const { SUPPLIER_PAYMENT_METHODS } = require("../utils/paymentUtils");
+const { roundCurrency } = require("../utils/taxUtils");
+
+const allocationSchema = new mongoose.Schema({
+  purchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Purchase",
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+// Money paid to a supplier, spread over one or more received purchase orders.
+const supplierPaymentSchema = new mongoose.Schema(
+  {
+    paymentNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: SUPPLIER_PAYMENT_METHODS,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    allocations: [allocationSchema],
+    paymentDate: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supplierPaymentSchema.index(
+  { paymentNumber: 1, createdBy: 1 },
+  { unique: true }
+);
+supplierPaymentSchema.index({ supplier: 1, paymentDate: -1 });
+
+// Pre-save hook to auto-generate paymentNumber
+supplierPaymentSchema.pre("save", async function (next) {
+  if (this.isNew && !this.paymentNumber) {
+    try {
+      const lastPayment = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { paymentNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastPayment && lastPayment.paymentNumber) {
+        const lastNum = parseInt(lastPayment.paymentNumber.replace("PAY-", ""));
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.paymentNumber = `PAY-${String(nextNumber).padStart(6, "0")}`; // e.g., PAY-000001
+    } catch (error) {
+      console.error("Error generating payment number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Saves the payment and applies each allocation to its purchase order.
+// `allocations` must already be validated: [{ document (purchase), amount }].
+supplierPaymentSchema.statics.recordPayment = async function (
+  details,
+  allocations,
+  session
+) {
+  const payment = new this({
+    ...details,
+    allocations: allocations.map(({ document, amount }) => ({
+      purchase: document._id,
+      amount,
+    })),
+  });
+  await payment.save({ session });
+
+  for (const { document: purchase, amount } of allocations) {
+    purchase.payments.push({
+      method: payment.method,
+      amount,
+      reference: payment.reference,
+      supplierPayment: payment._id,
+      paidAt: payment.paymentDate,
+    });
+    purchase.balanceDue = roundCurrency(purchase.balanceDue - amount);
+    await purchase.save({ session });
+  }
+
+  return payment;
+};
+
+const SupplierPayment =
+  mongoose.models.SupplierPayment ||
+  mongoose.model("SupplierPayment", supplierPaymentSchema);
+module.exports = SupplierPayment;
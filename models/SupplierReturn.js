@@ -0,0 +1,264 @@
+// models/SupplierReturn.js
+const mongoose = require("mongoose");
+const Stock = require("./Stock");
+const GoodsReceipt = require("./GoodsReceipt");
+const { roundCurrency } = require("../utils/taxUtils");
+
+const supplierReturnItemSchema = new mongoose.Schema({
+  purchaseItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  taxableAmount: {
+    type: Number,
+    min: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  totalCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // lots the items were taken from, only for batch-tracked products
+  batches: [
+    {
+      _id: false,
+      lotNumber: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+});
+
+// A debit note for goods sent back to the supplier (damaged, wrong or excess
+// items) against a received purchase order.
+const supplierReturnSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    purchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Purchase",
+      required: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    // location the goods were taken from
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+    },
+    items: [supplierReturnItemSchema],
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    totalAmount: {
+      type: Number,
+      min: 0,
+    },
+    // part of the debit note that reduced what we still owed on the purchase,
+    // the rest is to be refunded by the supplier
+    appliedToBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundAmount: {
+      type: Number,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      enum: ["damaged", "wrong_item", "expired", "excess", "other"],
+      required: true,
+    },
+    returnDate: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+supplierReturnSchema.index({ returnNumber: 1, createdBy: 1 }, { unique: true });
+supplierReturnSchema.index({ purchase: 1 });
+supplierReturnSchema.index({ supplier: 1, returnDate: -1 });
+
+// Pre-save hook to calculate totals and auto-generate returnNumber
+supplierReturnSchema.pre("save", async function (next) {
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.totalCost, 0);
+  this.totalTax = this.items.reduce((sum, item) => sum + item.taxAmount, 0);
+
+  if (this.isNew && !this.returnNumber) {
+    try {
+      const lastReturn = await this.constructor
+        .findOne({ createdBy: this.createdBy }, { returnNumber: 1 })
+        .sort({ createdAt: -1 })
+        .exec();
+
+      let nextNumber = 1;
+      if (lastReturn && lastReturn.returnNumber) {
+        const lastNum = parseInt(lastReturn.returnNumber.replace("DN-", ""));
+        if (!isNaN(lastNum)) {
+          nextNumber = lastNum + 1;
+        }
+      }
+      this.returnNumber = `DN-${String(nextNumber).padStart(6, "0")}`; // e.g., DN-000001
+    } catch (error) {
+      console.error("Error generating debit note number:", error);
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Quantity of a purchase line that actually came in. Orders received in one go
+// before goods receipts existed have no receivedQuantity on their lines.
+supplierReturnSchema.statics.getReceivedQuantity = function (purchase, line) {
+  if (
+    !line.receivedQuantity &&
+    !line.cancelledQuantity &&
+    purchase.purchaseStatus === "received"
+  ) {
+    return line.quantity;
+  }
+  return line.receivedQuantity;
+};
+
+// Creates the debit note, takes every returned line out of stock and updates
+// the returned quantities on the purchase. The return first reduces what is
+// still owed to the supplier. `lines` must already be validated against the
+// purchase: [{ purchaseItem, quantity, batches? }].
+// details: { location, reason, notes }, the location must already be resolved.
+supplierReturnSchema.statics.recordReturn = async function (
+  purchase,
+  lines,
+  details = {},
+  movedBy,
+  session
+) {
+  const items = lines.map(({ purchaseItem, quantity, batches }) => {
+    const line = purchase.items.id(purchaseItem);
+    // credited at the cost actually charged on the line
+    const share = quantity / line.quantity;
+    return {
+      purchaseItem: line._id,
+      product: line.product,
+      quantity,
+      unitCost: line.unitCost,
+      taxRate: line.taxRate || 0,
+      taxableAmount: roundCurrency(
+        (line.taxableAmount ?? line.totalCost) * share
+      ),
+      taxAmount: roundCurrency((line.taxAmount || 0) * share),
+      totalCost: roundCurrency(line.totalCost * share),
+      batches,
+    };
+  });
+
+  const returnTotal = items.reduce((sum, item) => sum + item.totalCost, 0);
+  const appliedToBalance = roundCurrency(
+    Math.min(purchase.balanceDue || 0, returnTotal)
+  );
+
+  const supplierReturn = new this({
+    purchase: purchase._id,
+    supplier: purchase.supplier,
+    location: details.location,
+    items,
+    appliedToBalance,
+    refundAmount: roundCurrency(returnTotal - appliedToBalance),
+    reason: details.reason,
+    notes: details.notes,
+    createdBy: purchase.createdBy,
+  });
+  await supplierReturn.save({ session });
+
+  // the goods go back out of the layers their receipts opened, so they are
+  // costed at what was paid for them on this purchase
+  const receipts = await GoodsReceipt.distinct("_id", {
+    purchase: purchase._id,
+  }).session(session);
+
+  for (const item of supplierReturn.items) {
+    await Stock.recordMovement(
+      item.product,
+      "supplier_return",
+      item.quantity,
+      `Debit note ${supplierReturn.returnNumber} for PO: ${purchase.purchaseNumber}`,
+      supplierReturn._id,
+      "SupplierReturn",
+      movedBy,
+      session,
+      {
+        location: supplierReturn.location,
+        batches: item.batches,
+        costSources: receipts,
+      }
+    );
+
+    purchase.items.id(item.purchaseItem).returnedQuantity += item.quantity;
+  }
+
+  purchase.returnedAmount = roundCurrency(
+    (purchase.returnedAmount || 0) + supplierReturn.totalAmount
+  );
+  purchase.balanceDue = roundCurrency(
+    (purchase.balanceDue || 0) - appliedToBalance
+  );
+  const fullyReturned = purchase.items.every(
+    (line) => line.returnedQuantity >= this.getReceivedQuantity(purchase, line)
+  );
+  purchase.returnStatus = fullyReturned ? "returned" : "partially_returned";
+  await purchase.save({ session });
+
+  return supplierReturn;
+};
+
+const SupplierReturn =
+  mongoose.models.SupplierReturn ||
+  mongoose.model("SupplierReturn", supplierReturnSchema);
+module.exports = SupplierReturn;
@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const { isValidTimeZone } = require("../utils/dateUtils");
 
 const userSchema = new mongoose.Schema(
   {
@@ -51,6 +52,83 @@ const userSchema = new mongoose.Schema(
       default: true,
       required: true,
     },
+    // per-shop preferences, see PATCH /api/users/updateSettings/:userId
+    settings: {
+      // sales discounted by more than this percent of list price need a reason
+      // code, null for no reason codes required
+      discountReasonThreshold: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 100,
+      },
+      // days a customer gets to pay a credit sale when no due date is given
+      creditTermsDays: {
+        type: Number,
+        default: 30,
+        min: 0,
+        max: 365,
+      },
+      // stock adjustments worth more than this wait for approval, 0 posts all
+      adjustmentApprovalValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // posted stock adjustments worth more than this are notified, 0 never
+      largeAdjustmentValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // how stock going out is costed, see models/CostLayer.js
+      costingMethod: {
+        type: String,
+        enum: ["fifo", "weighted_average"],
+        default: "fifo",
+      },
+      // days of sales history the ABC/XYZ classification is computed from
+      classificationWindowDays: {
+        type: Number,
+        default: 90,
+        min: 7,
+        max: 730,
+      },
+      // IANA time zone the shop's days, weeks and months are counted in
+      timeZone: {
+        type: String,
+        default: "UTC",
+        validate: {
+          validator: isValidTimeZone,
+          message:
+            "Time zone must be an IANA time zone such as Asia/Kathmandu.",
+        },
+      },
+      // low and out of stock emails: as it happens, once a day or not at all
+      stockAlertMode: {
+        type: String,
+        enum: ["immediate", "daily_digest", "off"],
+        default: "immediate",
+      },
+      // local hour the daily digest goes out
+      stockAlertDigestHour: {
+        type: Number,
+        default: 8,
+        min: 0,
+        max: 23,
+      },
+      // "HH:MM" local times between which immediate alerts wait, may span midnight
+      quietHoursStart: {
+        type: String,
+        default: null,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Quiet hours must be HH:MM."],
+      },
+      quietHoursEnd: {
+        type: String,
+        default: null,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Quiet hours must be HH:MM."],
+      },
+    },
     otp: {
       type: String,
       required: false,
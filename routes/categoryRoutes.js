@@ -6,6 +6,7 @@ const {
 createCategory,
   getAllCategories,
   getCategoryById,
+  updateCategory,
   deleteCategory,
   activateCategory,
 } = require("../controllers/categoryController");
@@ -21,6 +22,7 @@ router.use(authenticateUser, isOwner);
 router.post("/create", createCategory);
 router.get("/", getAllCategories);
 router.get("/category/:categoryId", getCategoryById); // not using in mobile
+router.patch("/category/update/:categoryId", updateCategory);
 router.delete("/category/deactivate/:categoryId", deleteCategory);
 router.patch("/category/activate/:categoryId", activateCategory);
 
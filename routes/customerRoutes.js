@@ -0,0 +1,34 @@
+// routes/customerRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  deactivateCustomer,
+  activateCustomer,
+} = require("../controllers/customerController");
+const {
+  recordCustomerPayment,
+  getCustomerLedger,
+} = require("../controllers/customerPaymentController");
+
+const {
+  authenticateUser,
+  isOwner,
+} = require("../middlewares/authenticateUser");
+
+router.use(authenticateUser, isOwner);
+
+router.post("/create", createCustomer);
+router.get("/", getAllCustomers);
+router.get("/customer/:customerId", getCustomerById);
+router.patch("/customer/update/:customerId", updateCustomer);
+router.patch("/customer/deactivate/:customerId", deactivateCustomer);
+router.patch("/customer/activate/:customerId", activateCustomer);
+
+router.post("/customer/payment/:customerId", recordCustomerPayment);
+router.get("/customer/ledger/:customerId", getCustomerLedger);
+
+module.exports = router;
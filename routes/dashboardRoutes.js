@@ -1,7 +1,10 @@
 // dashboardRoutes.js
 const express = require("express");
 const router = express.Router();
-const { getDashboardOverview } = require("../controllers/dashboardController");
+const {
+  getDashboardOverview,
+  getSalesAnalytics,
+} = require("../controllers/dashboardController");
 
 const {
   authenticateUser,
@@ -11,5 +14,6 @@ const {
 router.use(authenticateUser, isOwner);
 
 router.get("/overview", getDashboardOverview);
+router.get("/analytics", getSalesAnalytics);
 
 module.exports = router;
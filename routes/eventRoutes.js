@@ -0,0 +1,18 @@
+// routes/eventRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  createStreamTicket,
+  streamEvents,
+} = require("../controllers/eventController");
+
+const {
+  authenticateUser,
+  authenticateStreamTicket,
+} = require("../middlewares/authenticateUser");
+
+// every user streams the events of their own shop
+router.post("/ticket", authenticateUser, createStreamTicket);
+router.get("/stream", authenticateStreamTicket, streamEvents); // ?ticket= for EventSource
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/locationRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  createLocation,
+  getAllLocations,
+  getLocationById,
+  updateLocation,
+  deactivateLocation,
+  activateLocation,
+} = require("../controllers/locationController");
+
+const {
+  authenticateUser,
+  isOwner,
+} = require("../middlewares/authenticateUser");
+
+router.use(authenticateUser, isOwner);
+
+router.post("/create", createLocation);
+router.get("/", getAllLocations);
+router.get("/location/:locationId", getLocationById);
+router.patch("/location/update/:locationId", updateLocation);
+router.patch("/location/deactivate/:locationId", deactivateLocation);
+router.patch("/location/activate/:locationId", activateLocation);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/notificationRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+} = require("../controllers/notificationController");
+
+const { authenticateUser } = require("../middlewares/authenticateUser");
+
+// every user reads their own feed
+router.use(authenticateUser);
+
+router.get("/", getNotifications); // ?unread=true&type=
+router.patch("/read-all", markAllNotificationsRead);
+router.patch("/notification/read/:notificationId", markNotificationRead);
+router.delete("/notification/delete/:notificationId", deleteNotification);
+
+module.exports = router;
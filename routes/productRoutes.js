@@ -9,6 +9,7 @@ const {
   updateProduct,
   deleteProduct,
   activateProduct,
+  recalculateClassification,
 } = require("../controllers/productController");
 
 const {
@@ -24,5 +25,6 @@ router.get("/product/:productId", getProductById);
 router.patch("/product/update/:productId", updateProduct);
 router.delete("/product/deactivate/:productId", deleteProduct);
 router.patch("/product/activate/:productId", activateProduct);
+router.post("/classification/recalculate", recalculateClassification);
 
 module.exports = router;
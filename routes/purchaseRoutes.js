@@ -8,7 +8,24 @@ const {
   updatePurchase,
   cancelPurchase,
   receivePurchase,
+  closePurchase,
+  placePurchase,
+  getReplenishment,
+  createReplenishmentDrafts,
 } = require("../controllers/purchaseController");
+const {
+  createGoodsReceipt,
+  getAllGoodsReceipts,
+  getGoodsReceiptById,
+} = require("../controllers/goodsReceiptController");
+const {
+  createSupplierReturn,
+  getAllSupplierReturns,
+  getSupplierReturnById,
+} = require("../controllers/supplierReturnController");
+const {
+  getPurchaseOrderDocument,
+} = require("../controllers/documentController");
 
 const {
   authenticateUser,
@@ -20,8 +37,22 @@ router.use(authenticateUser, isOwner);
 router.post("/create", createPurchase);
 router.get("/", getAllPurchases);
 router.get("/purchase/:purchaseId", getPurchaseById);
+router.get("/purchase/order/:purchaseId", getPurchaseOrderDocument); // ?format=html|pdf
 router.patch("/purchase/update/:purchaseId", updatePurchase);
+router.patch("/purchase/place/:purchaseId", placePurchase); // draft -> ordered
 router.patch("/purchase/cancel/:purchaseId", cancelPurchase);
-router.patch("/purchase/receive/:purchaseId", receivePurchase);
+router.patch("/purchase/receive/:purchaseId", receivePurchase); // receives everything still outstanding
+router.patch("/purchase/close/:purchaseId", closePurchase);
+
+router.get("/replenishment", getReplenishment); // reorder suggestions by supplier
+router.post("/replenishment/drafts", createReplenishmentDrafts);
+
+router.post("/purchase/receipt/:purchaseId", createGoodsReceipt);
+router.get("/receipts", getAllGoodsReceipts);
+router.get("/receipts/receipt/:receiptId", getGoodsReceiptById);
+
+router.post("/purchase/return/:purchaseId", createSupplierReturn); // debit note, takes the items out of stock
+router.get("/returns", getAllSupplierReturns);
+router.get("/returns/return/:returnId", getSupplierReturnById);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+// routes/reportRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getTaxSummary,
+  getDiscountReport,
+  getReceivablesAging,
+  getAdjustmentReport,
+  getGrossProfitReport,
+  getProductPerformance,
+  getInventoryValuation,
+  getDemandForecast,
+} = require("../controllers/reportController");
+
+const {
+  authenticateUser,
+  isOwner,
+} = require("../middlewares/authenticateUser");
+
+router.use(authenticateUser, isOwner);
+
+router.get("/tax-summary", getTaxSummary);
+router.get("/discounts", getDiscountReport);
+router.get("/receivables-aging", getReceivablesAging);
+router.get("/adjustments", getAdjustmentReport);
+router.get("/gross-profit", getGrossProfitReport);
+router.get("/product-performance", getProductPerformance);
+router.get("/inventory-valuation", getInventoryValuation);
+router.get("/demand-forecast", getDemandForecast);
+
+module.exports = router;
@@ -9,6 +9,14 @@ const {
   cancelSale,
 } = require("../controllers/saleController");
 
+const {
+  createSaleReturn,
+  getAllSaleReturns,
+  getSaleReturnById,
+} = require("../controllers/saleReturnController");
+
+const { getSaleInvoice } = require("../controllers/documentController");
+
 const {
   authenticateUser,
   isOwner,
@@ -19,7 +27,12 @@ router.use(authenticateUser, isOwner);
 router.post("/create", createSale);
 router.get("/", getAllSales);
 router.get("/sale/:saleId", getSaleById);
-router.delete("/sale/cancel/:saleId", cancelSale); // this is if customer returns the product
+router.get("/sale/invoice/:saleId", getSaleInvoice); // ?format=html|pdf
+router.delete("/sale/cancel/:saleId", cancelSale); // returns every outstanding item, sale record is kept
 // for now its there is no time limit
 
+router.post("/sale/return/:saleId", createSaleReturn);
+router.get("/returns", getAllSaleReturns);
+router.get("/returns/return/:returnId", getSaleReturnById);
+
 module.exports = router;
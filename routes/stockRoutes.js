@@ -6,8 +6,34 @@ const {
   getAllStock,
   getStockByProductId,
   getStockMovement,
+  getAllStockMovements,
+  getExpiringBatches,
+  getStockAlerts,
 } = require("../controllers/stockController");
 
+const {
+  createAdjustment,
+  getAllAdjustments,
+  getAdjustmentById,
+  approveAdjustment,
+  rejectAdjustment,
+} = require("../controllers/adjustmentController");
+
+const {
+  createStockCount,
+  getAllStockCounts,
+  getStockCountById,
+  submitCountedQuantities,
+  finaliseStockCount,
+  cancelStockCount,
+} = require("../controllers/stockCountController");
+
+const {
+  createTransfer,
+  getAllTransfers,
+  getTransferById,
+} = require("../controllers/stockTransferController");
+
 const {
   authenticateUser,
   isOwner,
@@ -18,5 +44,28 @@ router.use(authenticateUser, isOwner);
 router.get("/", getAllStock);
 router.get("/product/:productId", getStockByProductId);
 router.get("/history/:productId", getStockMovement);
+router.get("/movements", getAllStockMovements);
+router.get("/batches/expiring", getExpiringBatches);
+router.get("/alerts", getStockAlerts); // low and out of stock alerts
+
+router.post("/adjust", createAdjustment);
+router.get("/adjustments", getAllAdjustments);
+router.get("/adjustments/adjustment/:adjustmentId", getAdjustmentById);
+// Accounts are per shop and only the owner holds one, so the owner approves
+// their own adjustments: pending adjustments are a hold for a second look at
+// costly write-offs before stock moves, not a check by another person.
+router.patch("/adjustments/approve/:adjustmentId", approveAdjustment);
+router.patch("/adjustments/reject/:adjustmentId", rejectAdjustment);
+
+router.post("/counts/create", createStockCount);
+router.get("/counts", getAllStockCounts);
+router.get("/counts/count/:countId", getStockCountById);
+router.patch("/counts/submit/:countId", submitCountedQuantities);
+router.patch("/counts/finalise/:countId", finaliseStockCount); // posts the variances as adjustments
+router.patch("/counts/cancel/:countId", cancelStockCount);
+
+router.post("/transfers/create", createTransfer); // transfer_out + transfer_in movements
+router.get("/transfers", getAllTransfers);
+router.get("/transfers/transfer/:transferId", getTransferById);
 
 module.exports = router;
@@ -9,6 +9,10 @@ const {
   deactivateSupplier,
   activateSupplier,
 } = require("../controllers/supplierController");
+const {
+  recordSupplierPayment,
+  getSupplierLedger,
+} = require("../controllers/supplierPaymentController");
 
 const {
   authenticateUser,
@@ -24,4 +28,7 @@ router.patch("/supplier/update/:supplierId", updateSupplier);
 router.patch("/supplier/deactivate/:supplierId", deactivateSupplier);
 router.patch("/supplier/activate/:supplierId", activateSupplier);
 
+router.post("/supplier/payment/:supplierId", recordSupplierPayment);
+router.get("/supplier/ledger/:supplierId", getSupplierLedger);
+
 module.exports = router;
@@ -17,6 +17,7 @@ const {
   updateProfileImage,
   addPhoneNumber,
   deletePhoneNumber,
+  updateSettings,
   deactivateUser,
 } = require("../controllers/userController");
 
@@ -53,6 +54,7 @@ router.patch(
 );
 router.patch("/addPhoneNumber/:userId", isSelf, addPhoneNumber);
 router.patch("/deletePhoneNumber/:userId", isSelf, deletePhoneNumber);
+router.patch("/updateSettings/:userId", isSelf, updateSettings);
 router.delete("/deactivateUser/:userId", isSelf, deactivateUser);
 
 module.exports = router;
@@ -0,0 +1,87 @@
+// scripts/migrateLocationIndexes.js
+// Sets up databases created before locations existed: stock used to be unique
+// per product and is now unique per product and location, every owner has at
+// most one default location, and every owner gets their default location with
+// the stock recorded before locations existed moved into it. Sales,
+// adjustments and stock counts without a location are set to it, so returns,
+// approvals and finalised counts always know where the stock is. New owners
+// get theirs when they sign up.
+// Usage: npm run migrate:location-indexes
+// Only the old indexes named here are dropped and existing default locations
+// are kept, so the script can be run again.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Stock = require("../models/Stock");
+const Location = require("../models/Location");
+const User = require("../models/User");
+const Sale = require("../models/Sale");
+const Adjustment = require("../models/Adjustment");
+const StockCount = require("../models/StockCount");
+
+// documents that record where stock moved, null matches a missing location
+const LOCATED_MODELS = [Sale, Adjustment, StockCount];
+
+const OLD_INDEXES = [
+  [Stock, "product_1"],
+  [Location, "createdBy_1_isDefault_1"],
+];
+
+const migrateLocationIndexes = async () => {
+  const droppedIndexes = [];
+
+  for (const [Model, indexName] of OLD_INDEXES) {
+    const indexes = await Model.collection.indexes().catch((err) => {
+      // the collection does not exist yet, it gets the new indexes on creation
+      if (err.codeName === "NamespaceNotFound") return [];
+      throw err;
+    });
+    if (indexes.some((index) => index.name === indexName)) {
+      await Model.collection.dropIndex(indexName);
+      droppedIndexes.push(`${Model.collection.name}.${indexName}`);
+    }
+  }
+
+  await Stock.createIndexes();
+  await Location.createIndexes();
+
+  const ownerIds = await User.distinct("_id");
+  let backfilledCount = 0;
+  for (const ownerId of ownerIds) {
+    const defaultLocation = await Location.getDefault(ownerId);
+    for (const Model of LOCATED_MODELS) {
+      const result = await Model.updateMany(
+        { createdBy: ownerId, location: null },
+        { $set: { location: defaultLocation._id } },
+        { timestamps: false }
+      );
+      backfilledCount += result.modifiedCount;
+    }
+  }
+
+  return { droppedIndexes, ownerCount: ownerIds.length, backfilledCount };
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(migrateLocationIndexes)
+    .then(({ droppedIndexes, ownerCount, backfilledCount }) => {
+      console.log(
+        droppedIndexes.length
+          ? `Dropped ${droppedIndexes.join(", ")} and created the new indexes.`
+          : "No old indexes found, the new indexes are in place."
+      );
+      console.log(`${ownerCount} owners have a default location.`);
+      console.log(
+        `Set the default location on ${backfilledCount} sales, adjustments and stock counts.`
+      );
+      return mongoose.disconnect();
+    })
+    .catch(async (err) => {
+      console.error("Location index migration failed:", err);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateLocationIndexes };
@@ -0,0 +1,121 @@
+// scripts/migrateStockMovements.js
+// Moves the movement history embedded in stock records (the old
+// Stock.movementHistory array) into the StockMovement collection.
+// Usage: npm run migrate:stock-movements
+// Every stock record is moved and cleared in one transaction, so the script
+// can be run again after a failure.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const Product = require("../models/Product");
+const Location = require("../models/Location");
+
+const OUTBOUND_TYPES = [
+  "sale",
+  "supplier_return",
+  "adjustment_out",
+  "transfer_out",
+];
+
+// Turns the embedded entries of one stock record into StockMovement documents.
+// The balance after every movement is rebuilt backwards from the current stock.
+const toMovements = (stock, location) => {
+  const entries = [...stock.movementHistory].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  );
+
+  let balance = stock.currentStock;
+  const movements = [];
+  for (let index = entries.length - 1; index >= 0; index--) {
+    const entry = entries[index];
+    movements.unshift({
+      product: stock.product,
+      location,
+      stock: stock._id,
+      movementType: entry.movementType,
+      quantity: entry.quantity,
+      balanceAfter: balance,
+      sourceDocument: entry.sourceDocument,
+      sourceModel: entry.sourceModel,
+      movedBy: entry.movedBy,
+      date: entry.date,
+      notes: entry.notes,
+      batches: entry.batches || [],
+    });
+    balance += OUTBOUND_TYPES.includes(entry.movementType)
+      ? entry.quantity
+      : -entry.quantity;
+  }
+  return movements;
+};
+
+const migrateStockMovements = async () => {
+  // read straight from the collection, movementHistory is no longer in the schema
+  const cursor = Stock.collection.find(
+    { "movementHistory.0": { $exists: true } },
+    {
+      projection: {
+        product: 1,
+        location: 1,
+        currentStock: 1,
+        movementHistory: 1,
+      },
+    }
+  );
+
+  let migratedStocks = 0;
+  let migratedMovements = 0;
+
+  for await (const stock of cursor) {
+    let location = stock.location;
+    // records from before locations existed belong to the default one, which
+    // is created outside the transaction
+    if (!location) {
+      const product = await Product.findById(stock.product, { createdBy: 1 });
+      if (product) {
+        location = (await Location.getDefault(product.createdBy))._id;
+      }
+    }
+
+    // counted once the transaction has committed, withTransaction may run
+    // the callback more than once
+    const movements = toMovements(stock, location);
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await StockMovement.insertMany(movements, { session });
+        await Stock.collection.updateOne(
+          { _id: stock._id },
+          { $unset: { movementHistory: "" } },
+          { session }
+        );
+      });
+      migratedMovements += movements.length;
+      migratedStocks += 1;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  return { migratedStocks, migratedMovements };
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(migrateStockMovements)
+    .then(({ migratedStocks, migratedMovements }) => {
+      console.log(
+        `Moved ${migratedMovements} movements of ${migratedStocks} stock records.`
+      );
+      return mongoose.disconnect();
+    })
+    .catch(async (err) => {
+      console.error("Stock movement migration failed:", err);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateStockMovements };
@@ -1,8 +1,12 @@
 // server.js
 require("dotenv").config();
 const app = require("./app");
+const { startStockAlertSchedule } = require("./listeners/stockAlerts");
+const { startNotificationSchedule } = require("./listeners/notifications");
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+  startStockAlertSchedule();
+  startNotificationSchedule();
 });
@@ -0,0 +1,153 @@
+// tests/classification.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+const productIds = [];
+
+const sell = (product, quantity, saleDate) =>
+  request(app)
+    .post("/api/sales/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      items: [{ product, quantity, unitPrice: 20.0 }],
+      paymentMethod: "cash",
+      saleDate,
+    });
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "classificationtester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Classification Test",
+    lastName: "User",
+    email: "classificationtester@gmail.com",
+    primaryPhone: "9800000118",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000118",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Classification Test Category",
+      description: "Category for classification tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Classification Test Supplier",
+      email: "classification.supplier@example.com",
+      phone: "9876543228",
+    });
+
+  for (const sku of ["CLS001", "CLS002"]) {
+    const productRes = await request(app)
+      .post("/api/products/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        name: `Classification Test Product ${sku}`,
+        sku,
+        category: categoryRes.body.data._id,
+        supplier: supplierRes.body.data._id,
+        unit: "piece",
+        purchasePrice: 10.0,
+        sellingPrice: 20.0,
+        minStockLevel: 5,
+        initialStock: 30,
+      });
+    productIds.push(productRes.body.data.product._id);
+  }
+
+  // 300.00 of the first and 100.00 of the second today
+  await sell(productIds[0], 15);
+  await sell(productIds[1], 5);
+});
+
+afterAll(async () => {
+  await CostLayer.deleteMany({ product: { $in: productIds } });
+  await StockMovement.deleteMany({ product: { $in: productIds } });
+  await Stock.deleteMany({ product: { $in: productIds } });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "classificationtester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("ABC/XYZ classification", () => {
+  test("should classify products and filter by class", async () => {
+    const res = await request(app)
+      .post("/api/products/classification/recalculate")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ windowDays: 7, aShare: 70 });
+
+    expect(res.statusCode).toBe(200);
+    // 300.00 of 400.00 sales value is A, the rest starts past 70% so B.
+    // all sales fall in one week, so demand does not vary
+    expect(res.body.data.matrix).toEqual({ AX: 1, BX: 1 });
+
+    const productsRes = await request(app)
+      .get("/api/products?abcClass=B")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(productsRes.body.data.products.length).toBe(1);
+    expect(productsRes.body.data.products[0].sku).toBe("CLS002");
+    expect(productsRes.body.data.products[0].classification.salesShare).toBe(
+      25
+    );
+
+    const stockRes = await request(app)
+      .get("/api/stocks?abcClass=A&xyzClass=X")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(stockRes.body.data.items.length).toBe(1);
+    expect(stockRes.body.data.items[0].product.abcClass).toBe("A");
+  });
+
+  test("should leave the part week at the start of the window out of demand", async () => {
+    // 20 more of the second 9 days ago, in the 2 days a 9 day window has
+    // beyond its one whole week
+    const saleRes = await sell(
+      productIds[1],
+      20,
+      new Date(Date.now() - 9 * 86400000 + 3600000)
+    );
+    expect(saleRes.statusCode).toBe(201);
+
+    const res = await request(app)
+      .post("/api/products/classification/recalculate")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ windowDays: 9 });
+    expect(res.statusCode).toBe(200);
+
+    // 500.00 of 800.00 sales value counts for ABC, only the last week for XYZ
+    const product = await Product.findById(productIds[1]).lean();
+    expect(product.classification.abc).toBe("A");
+    expect(product.classification.salesValue).toBe(500);
+    expect(product.classification.xyz).toBe("X");
+    expect(product.classification.demandVariation).toBe(0);
+  });
+});
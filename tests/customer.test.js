@@ -0,0 +1,489 @@
+// tests/customer.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Customer = require("../models/Customer");
+const Sale = require("../models/Sale");
+const CustomerPayment = require("../models/CustomerPayment");
+const SaleReturn = require("../models/SaleReturn");
+const Stock = require("../models/Stock");
+
+let authToken;
+let testUserId;
+let activeProductId;
+let testCustomerId;
+let anotherCustomerId;
+let firstCreditSaleId;
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "customertester@gmail.com" });
+  await Category.deleteMany({ name: "Customer Test Category" });
+  await Supplier.deleteMany({ name: "Customer Test Supplier" });
+  await Product.deleteMany({ name: "Customer Test Product" });
+  await Customer.deleteMany({
+    $or: [{ phone: "9123456780" }, { phone: "9123456781" }],
+  });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Customer Test",
+    lastName: "User",
+    email: "customertester@gmail.com",
+    primaryPhone: "9800000105",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000105",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Customer Test Category",
+      description: "Category for customer tests",
+      isActive: true,
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Customer Test Supplier",
+      email: "customer.supplier@example.com",
+      phone: "9876543215",
+      isActive: true,
+    });
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Customer Test Product",
+      sku: "CTP001",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 25.0,
+      minStockLevel: 5,
+      initialStock: 50,
+    });
+  activeProductId = productRes.body.data.product._id;
+});
+
+afterAll(async () => {
+  await Stock.deleteMany({ product: activeProductId });
+  await CustomerPayment.deleteMany({ createdBy: testUserId });
+  await SaleReturn.deleteMany({ createdBy: testUserId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Customer.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ name: "Customer Test Product" });
+  await Supplier.deleteMany({ name: "Customer Test Supplier" });
+  await Category.deleteMany({ name: "Customer Test Category" });
+  await User.deleteMany({ email: "customertester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Customer APIs", () => {
+  test("should create a new customer", async () => {
+    const res = await request(app)
+      .post("/api/customers/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        firstName: "Walk",
+        lastName: "In",
+        email: "walk.in@example.com",
+        phone: "9123456780",
+        notes: "Regular on weekends",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data).toHaveProperty("_id");
+    expect(res.body.data.firstName).toBe("Walk");
+    testCustomerId = res.body.data._id;
+  });
+
+  test("should fail to create customer with duplicate phone", async () => {
+    const res = await request(app)
+      .post("/api/customers/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        firstName: "Other",
+        lastName: "Person",
+        phone: "9123456780",
+      });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe(
+      "Customer with this phone number already exists."
+    );
+  });
+
+  test("should create a customer without an email", async () => {
+    const res = await request(app)
+      .post("/api/customers/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        firstName: "Second",
+        lastName: "Customer",
+        phone: "9123456781",
+      });
+
+    expect(res.statusCode).toBe(201);
+    anotherCustomerId = res.body.data._id;
+  });
+
+  test("should retrieve all customers", async () => {
+    const res = await request(app)
+      .get("/api/customers?search=912345")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(Array.isArray(res.body.data.data)).toBe(true);
+    expect(res.body.data.data.length).toBe(2);
+    expect(res.body.data.pagination).toBeDefined();
+  });
+
+  test("should record a sale against a customer", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: testCustomerId,
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 25.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.customer._id).toBe(testCustomerId);
+  });
+
+  test("should filter sales by customer", async () => {
+    await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 25.0 }],
+        paymentMethod: "cash",
+      });
+
+    const res = await request(app)
+      .get(`/api/sales?customer=${testCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.items.length).toBe(1);
+    expect(res.body.data.items[0].customer._id).toBe(testCustomerId);
+  });
+
+  test("should retrieve customer details with lifetime purchases", async () => {
+    const res = await request(app)
+      .get(`/api/customers/customer/${testCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.lifetimePurchases.totalOrders).toBe(1);
+    expect(res.body.data.lifetimePurchases.totalSpent).toBe(50);
+    expect(res.body.data.lifetimePurchases.totalItems).toBe(2);
+    expect(res.body.data.lastVisit).not.toBeNull();
+    expect(res.body.data.recentSales.length).toBe(1);
+  });
+
+  test("should return 404 when retrieving non-existent customer", async () => {
+    const fakeId = "507f1f77bcf86cd799439011";
+    const res = await request(app)
+      .get(`/api/customers/customer/${fakeId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Customer not found.");
+  });
+
+  test("should fail to update customer with duplicate phone", async () => {
+    const res = await request(app)
+      .patch(`/api/customers/customer/update/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ phone: "9123456780" });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe(
+      "You already have a customer with this phone number."
+    );
+  });
+
+  test("should reject an email that is not a string", async () => {
+    const createRes = await request(app)
+      .post("/api/customers/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        firstName: "Odd",
+        lastName: "Customer",
+        phone: "9123456789",
+        email: { $ne: null },
+      });
+    expect(createRes.statusCode).toBe(400);
+    expect(createRes.body.message).toBe("Customer email must be a string.");
+
+    const updateRes = await request(app)
+      .patch(`/api/customers/customer/update/${testCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ email: ["a@example.com"] });
+    expect(updateRes.statusCode).toBe(400);
+  });
+
+  test("should update an existing customer", async () => {
+    const res = await request(app)
+      .patch(`/api/customers/customer/update/${testCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ lastName: "Regular" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.lastName).toBe("Regular");
+  });
+
+  test("should deactivate a customer and reject new sales for it", async () => {
+    const res = await request(app)
+      .patch(`/api/customers/customer/deactivate/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Customer deactivated successfully.");
+
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: anotherCustomerId,
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 25.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(saleRes.statusCode).toBe(400);
+    expect(saleRes.body.message).toBe("Invalid or inactive customer provided.");
+  });
+
+  test("should activate a customer", async () => {
+    const res = await request(app)
+      .patch(`/api/customers/customer/activate/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Customer activated successfully.");
+
+    const customer = await Customer.findById(anotherCustomerId);
+    expect(customer.isActive).toBe(true);
+  });
+
+  test("should return 400 when activating an already active customer", async () => {
+    const res = await request(app)
+      .patch(`/api/customers/customer/activate/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Customer is already active.");
+  });
+
+  test("should leave part of a credit sale on the customer's account", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: anotherCustomerId,
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 25.0 }],
+        payments: [{ method: "cash", amount: 10 }],
+        onCredit: true,
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.amountPaid).toBe(10);
+    expect(res.body.data.balanceDue).toBe(40);
+    expect(res.body.data.paymentStatus).toBe("partially_paid");
+    expect(res.body.data.dueDate).toBeDefined();
+    firstCreditSaleId = res.body.data._id;
+  });
+
+  test("should record an unpaid credit sale and flag it as due", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: anotherCustomerId,
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 25.0 }],
+        onCredit: true,
+      });
+    expect(saleRes.statusCode).toBe(201);
+    expect(saleRes.body.data.paymentStatus).toBe("unpaid");
+
+    const res = await request(app)
+      .get("/api/sales?paymentStatus=unpaid")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.items.length).toBe(1);
+    expect(res.body.data.items[0].isDue).toBe(true);
+    expect(res.body.data.items[0].isOverdue).toBe(false);
+  });
+
+  test("should refuse a credit sale without a customer", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 25.0 }],
+        onCredit: true,
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Credit sales require a customer.");
+  });
+
+  test("should apply a customer payment to the oldest invoices first", async () => {
+    const res = await request(app)
+      .post(`/api/customers/customer/payment/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ amount: 50, method: "upi", reference: "UPI-5566" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.receiptNumber).toBe("RCT-000001");
+    expect(res.body.data.allocations.length).toBe(2);
+    expect(res.body.data.allocations[0].sale._id).toBe(firstCreditSaleId);
+    expect(res.body.data.allocations[0].amount).toBe(40);
+    expect(res.body.data.allocations[0].sale.paymentStatus).toBe("paid");
+    expect(res.body.data.allocations[1].amount).toBe(10);
+    expect(res.body.data.allocations[1].sale.balanceDue).toBe(15);
+  });
+
+  test("should refuse a payment above the outstanding balance", async () => {
+    const res = await request(app)
+      .post(`/api/customers/customer/payment/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ amount: 100, method: "cash" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Payment (100) exceeds the outstanding balance (15)."
+    );
+  });
+
+  test("should return the receivables ledger with a running balance", async () => {
+    const res = await request(app)
+      .get(`/api/customers/customer/ledger/${anotherCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.entries.map((entry) => entry.type)).toEqual([
+      "invoice",
+      "invoice",
+      "payment",
+    ]);
+    expect(res.body.data.entries.map((entry) => entry.balance)).toEqual([
+      40, 65, 15,
+    ]);
+    expect(res.body.data.balance).toBe(15);
+    expect(res.body.data.openInvoices.length).toBe(1);
+  });
+
+  test("should bucket open invoices in the receivables aging report", async () => {
+    const res = await request(app)
+      .get("/api/reports/receivables-aging")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.totals["0-30"]).toBe(15);
+    expect(res.body.data.totals["90+"]).toBe(0);
+    expect(res.body.data.totals.totalDue).toBe(15);
+    expect(res.body.data.byCustomer[0].customer._id).toBe(anotherCustomerId);
+  });
+
+  test("should work out what was paid on a credit sale from its payments", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: anotherCustomerId,
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 25.0 }],
+        onCredit: true,
+        amountPaid: 20,
+        balanceDue: 0,
+        paymentStatus: "paid",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.amountPaid).toBe(0);
+    expect(res.body.data.balanceDue).toBe(25);
+    expect(res.body.data.paymentStatus).toBe("unpaid");
+  });
+
+  test("should refund a return as store credit and spend it on a sale", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: testCustomerId,
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 25.0 }],
+        paymentMethod: "cash",
+      });
+    const returnRes = await request(app)
+      .post(`/api/sales/sale/return/${saleRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1 }],
+        refundMethod: "store_credit",
+      });
+    expect(returnRes.statusCode).toBe(201);
+    expect(returnRes.body.data.refundAmount).toBe(25);
+    expect((await Customer.findById(testCustomerId)).storeCreditBalance).toBe(
+      25
+    );
+
+    const overspendRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: testCustomerId,
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 25.0 }],
+        payments: [{ method: "store_credit", amount: 50 }],
+      });
+    expect(overspendRes.statusCode).toBe(400);
+    expect(overspendRes.body.message).toBe(
+      "Store credit payment (50) exceeds the customer's store credit balance."
+    );
+
+    const spendRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        customer: testCustomerId,
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 25.0 }],
+        payments: [
+          { method: "store_credit", amount: 25 },
+          { method: "cash", amount: 25 },
+        ],
+      });
+    expect(spendRes.statusCode).toBe(201);
+    expect((await Customer.findById(testCustomerId)).storeCreditBalance).toBe(
+      0
+    );
+  });
+
+  test("should not set store credit through the customer endpoints", async () => {
+    const res = await request(app)
+      .patch(`/api/customers/customer/update/${testCustomerId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ storeCreditBalance: 1000 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.storeCreditBalance).toBe(0);
+  });
+});
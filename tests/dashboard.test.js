@@ -0,0 +1,187 @@
+// tests/dashboard.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+let productId;
+
+const today = new Date().toISOString().slice(0, 10);
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "dashboardtester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Dashboard Test",
+    lastName: "User",
+    email: "dashboardtester@gmail.com",
+    primaryPhone: "9800000110",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000110",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Dashboard Test Category",
+      description: "Category for analytics tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Dashboard Test Supplier",
+      email: "dashboard.supplier@example.com",
+      phone: "9876543220",
+    });
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Dashboard Test Product",
+      sku: "DTP001",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 25.0,
+      minStockLevel: 5,
+      initialStock: 50,
+    });
+  productId = productRes.body.data.product._id;
+
+  for (const quantity of [2, 4]) {
+    await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity, unitPrice: 25.0 }],
+        paymentMethod: "cash",
+      });
+  }
+
+  await request(app)
+    .post("/api/purchases/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      supplier: supplierRes.body.data._id,
+      items: [{ product: productId, quantity: 10, unitCost: 10.0 }],
+      paymentMethod: "cash",
+    });
+});
+
+afterAll(async () => {
+  await CostLayer.deleteMany({ product: productId });
+  await StockMovement.deleteMany({ product: productId });
+  await Stock.deleteMany({ product: productId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "dashboardtester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Dashboard analytics", () => {
+  test("should bucket sales and purchases per day with empty days", async () => {
+    const res = await request(app)
+      .get(
+        `/api/dashboard/analytics?startDate=${daysAgo(
+          6
+        )}&endDate=${today}&timeZone=UTC`
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.series.length).toBe(7);
+    expect(res.body.data.series[0]).toEqual({
+      period: daysAgo(6),
+      revenue: 0,
+      orderCount: 0,
+      unitsSold: 0,
+      averageBasketValue: 0,
+      purchaseSpend: 0,
+    });
+
+    const lastDay = res.body.data.series[6];
+    expect(lastDay.period).toBe(today);
+    expect(lastDay.revenue).toBe(150);
+    expect(lastDay.orderCount).toBe(2);
+    expect(lastDay.unitsSold).toBe(6);
+    expect(lastDay.averageBasketValue).toBe(75);
+    expect(lastDay.purchaseSpend).toBe(100);
+
+    expect(res.body.data.totals.revenue).toBe(150);
+    expect(res.body.data.previous.period).toEqual({
+      startDate: daysAgo(13),
+      endDate: daysAgo(7),
+    });
+    expect(res.body.data.previous.totals.revenue).toBe(0);
+    expect(res.body.data.change.revenue).toBeNull();
+  });
+
+  test("should return 24 hourly buckets for a day", async () => {
+    const res = await request(app)
+      .get(
+        `/api/dashboard/analytics?interval=hour&startDate=${today}&endDate=${today}&timeZone=UTC`
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.series.length).toBe(24);
+    expect(res.body.data.series[0].period).toBe(`${today}T00:00`);
+    expect(res.body.data.totals.orderCount).toBe(2);
+  });
+
+  test("should count days in the shop's time zone", async () => {
+    // Kathmandu is 5:45 ahead of UTC, its days start at 18:15 UTC
+    const res = await request(app)
+      .get(
+        `/api/dashboard/analytics?interval=hour&startDate=${today}&endDate=${today}&timeZone=Asia/Kathmandu`
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.timeZone).toBe("Asia/Kathmandu");
+    expect(res.body.data.series.length).toBe(24);
+    expect(res.body.data.series[0].period).toBe(`${today}T00:00`);
+  });
+
+  test("should reject an unknown time zone or interval", async () => {
+    const timeZoneRes = await request(app)
+      .get("/api/dashboard/analytics?timeZone=Mars/Olympus")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(timeZoneRes.statusCode).toBe(400);
+
+    const intervalRes = await request(app)
+      .get("/api/dashboard/analytics?interval=minute")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(intervalRes.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,170 @@
+// tests/forecast.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+let supplierId;
+let productId;
+
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+const daysAhead = (days) => daysAgo(-days);
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "forecasttester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Forecast Test",
+    lastName: "User",
+    email: "forecasttester@gmail.com",
+    primaryPhone: "9800000112",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000112",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Forecast Test Category",
+      description: "Category for forecast tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Forecast Test Supplier",
+      email: "forecast.supplier@example.com",
+      phone: "9876543222",
+    });
+  supplierId = supplierRes.body.data._id;
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Forecast Test Product",
+      sku: "FTP001",
+      category: categoryRes.body.data._id,
+      supplier: supplierId,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 150,
+    });
+  productId = productRes.body.data.product._id;
+
+  // 14 on the same weekday for the last 8 weeks, 38 left
+  for (let week = 1; week <= 8; week++) {
+    await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity: 14, unitPrice: 20.0 }],
+        paymentMethod: "cash",
+        saleDate: `${daysAgo(week * 7)}T12:00:00Z`,
+      });
+  }
+});
+
+afterAll(async () => {
+  await CostLayer.deleteMany({ product: productId });
+  await StockMovement.deleteMany({ product: productId });
+  await Stock.deleteMany({ product: productId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "forecasttester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Demand forecast", () => {
+  test("should forecast weekly demand and the run-out date", async () => {
+    const res = await request(app)
+      .get("/api/reports/demand-forecast?historyWeeks=8")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    const [item] = res.body.data.items;
+    expect(item.unitsSold).toBe(112);
+    expect(item.currentStock).toBe(38);
+    expect(item.forecast.map((week) => week.units)).toEqual([14, 14, 14, 14]);
+    // both models fit the held-out weeks exactly, the moving average wins
+    expect(item.error.moving_average.mae).toBe(0);
+    expect(item.error.seasonal_smoothing.mae).toBe(0);
+    expect(item.model).toBe("moving_average");
+    // 2 a day: 38 last 19 days
+    expect(item.daysUntilRunOut).toBe(18);
+    expect(item.runOutDate).toBe(daysAhead(18));
+  });
+
+  test("should sell the weekly demand on the weekday it sells on", async () => {
+    const res = await request(app)
+      .get(
+        "/api/reports/demand-forecast?historyWeeks=8&model=seasonal_smoothing"
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    // 14 today, a week from today and then the last 10 two weeks from today
+    expect(res.body.data.items[0].daysUntilRunOut).toBe(14);
+  });
+
+  test("should count placed orders once they are due", async () => {
+    await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        supplier: supplierId,
+        items: [{ product: productId, quantity: 20, unitCost: 10.0 }],
+        paymentMethod: "cash",
+      });
+
+    const res = await request(app)
+      .get("/api/reports/demand-forecast?historyWeeks=8&weeks=6")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    const [item] = res.body.data.items;
+    expect(item.onOrder).toBe(20);
+    // the order arrives after the default 7 days lead time
+    expect(item.daysUntilRunOut).toBe(28);
+  });
+
+  test("should reject invalid forecast options", async () => {
+    const holdoutRes = await request(app)
+      .get("/api/reports/demand-forecast?historyWeeks=4&holdoutWeeks=3")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(holdoutRes.statusCode).toBe(400);
+
+    const modelRes = await request(app)
+      .get("/api/reports/demand-forecast?model=arima")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(modelRes.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,198 @@
+// tests/grossProfit.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+let productId;
+let otherProductId;
+
+const daysAgo = (days) =>
+  new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "grossprofittester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Gross Profit Test",
+    lastName: "User",
+    email: "grossprofittester@gmail.com",
+    primaryPhone: "9800000116",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000116",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Gross Profit Test Category",
+      description: "Category for gross profit tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Gross Profit Test Supplier",
+      email: "grossprofit.supplier@example.com",
+      phone: "9876543226",
+    });
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Gross Profit Test Product",
+      sku: "GPT001",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 10,
+    });
+  productId = productRes.body.data.product._id;
+
+  const otherProductRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Gross Profit Test Product Costly",
+      sku: "GPT002",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 15.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 10,
+    });
+  otherProductId = otherProductRes.body.data.product._id;
+
+  await request(app)
+    .patch(`/api/users/updateSettings/${testUserId}`)
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({ timeZone: "Asia/Kathmandu" });
+
+  // 20:00 UTC is 01:45 the next day in Kathmandu (UTC+05:45)
+  await request(app)
+    .post("/api/sales/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      items: [{ product: productId, quantity: 2, unitPrice: 20.0 }],
+      paymentMethod: "cash",
+      saleDate: `${daysAgo(3)}T20:00:00Z`,
+    });
+  await request(app)
+    .post("/api/sales/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      items: [{ product: otherProductId, quantity: 2, unitPrice: 20.0 }],
+      paymentMethod: "cash",
+    });
+});
+
+afterAll(async () => {
+  const productIds = [productId, otherProductId];
+  await CostLayer.deleteMany({ product: { $in: productIds } });
+  await StockMovement.deleteMany({ product: { $in: productIds } });
+  await Stock.deleteMany({ product: { $in: productIds } });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "grossprofittester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Gross profit report", () => {
+  test("should report gross profit at the cost of each sale", async () => {
+    const res = await request(app)
+      .get("/api/reports/gross-profit?sortBy=margin&sortOrder=asc")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.totals.revenue).toBe(80);
+    expect(res.body.data.totals.grossProfit).toBe(30);
+    // least profitable first: 10.00 on 40.00 before 20.00 on 40.00
+    expect(res.body.data.items.map((row) => row.product.sku)).toEqual([
+      "GPT002",
+      "GPT001",
+    ]);
+    expect(res.body.data.items[0].margin).toBe(25);
+    expect(res.body.data.items[1].margin).toBe(50);
+
+    const invoiceRes = await request(app)
+      .get("/api/reports/gross-profit?groupBy=invoice")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(invoiceRes.body.data.pagination.totalItems).toBe(2);
+    expect(invoiceRes.body.data.items[0].sale.invoiceNumber).toBeDefined();
+
+    const dashboardRes = await request(app)
+      .get("/api/dashboard/overview")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(dashboardRes.body.data.grossProfit).toBe(30);
+  });
+
+  test("should count days in the shop's time zone", async () => {
+    const res = await request(app)
+      .get(
+        `/api/reports/gross-profit?groupBy=day&startDate=${daysAgo(
+          3
+        )}&endDate=${daysAgo(2)}`
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.timeZone).toBe("Asia/Kathmandu");
+    expect(res.body.data.items).toEqual([
+      expect.objectContaining({ period: daysAgo(2), revenue: 40 }),
+    ]);
+
+    const dayBeforeRes = await request(app)
+      .get(
+        `/api/reports/gross-profit?startDate=${daysAgo(3)}&endDate=${daysAgo(
+          3
+        )}`
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(dayBeforeRes.body.data.totals.revenue).toBe(0);
+  });
+
+  test("should reject an unknown grouping", async () => {
+    const res = await request(app)
+      .get("/api/reports/gross-profit?groupBy=supplier")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("should reject dates that are not YYYY-MM-DD", async () => {
+    const res = await request(app)
+      .get("/api/reports/gross-profit?startDate=last-week")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
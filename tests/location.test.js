@@ -0,0 +1,251 @@
+// tests/location.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Location = require("../models/Location");
+const StockTransfer = require("../models/StockTransfer");
+const Sale = require("../models/Sale");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+
+let authToken;
+let testUserId;
+let productId;
+let mainLocationId;
+let backRoomId;
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "locationtester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Location Test",
+    lastName: "User",
+    email: "locationtester@gmail.com",
+    primaryPhone: "9800000108",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000108",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Location Test Category",
+      description: "Category for location tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Location Test Supplier",
+      email: "location.supplier@example.com",
+      phone: "9876543218",
+    });
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Location Test Product",
+      sku: "LTP001",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 15.0,
+      minStockLevel: 5,
+      initialStock: 30,
+    });
+  productId = productRes.body.data.product._id;
+});
+
+afterAll(async () => {
+  await Stock.deleteMany({ product: productId });
+  await StockMovement.deleteMany({ product: productId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await StockTransfer.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "locationtester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Location APIs", () => {
+  test("should create a location next to the default one", async () => {
+    const res = await request(app)
+      .post("/api/locations/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ name: "Back Room", type: "back_room" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.isDefault).toBe(false);
+    backRoomId = res.body.data._id;
+
+    const listRes = await request(app)
+      .get("/api/locations")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.body.data.items.length).toBe(2);
+    const main = listRes.body.data.items.find((location) => location.isDefault);
+    expect(main.name).toBe("Main");
+    expect(main.totalUnits).toBe(30);
+    mainLocationId = main._id;
+  });
+
+  test("should transfer stock between locations", async () => {
+    const res = await request(app)
+      .post("/api/stocks/transfers/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        fromLocation: mainLocationId,
+        toLocation: backRoomId,
+        items: [{ product: productId, quantity: 12 }],
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.transferNumber).toBe("TRF-000001");
+
+    const mainStock = await Stock.findOne({
+      product: productId,
+      location: mainLocationId,
+    });
+    const backRoomStock = await Stock.findOne({
+      product: productId,
+      location: backRoomId,
+    });
+    expect(mainStock.currentStock).toBe(18);
+    expect(backRoomStock.currentStock).toBe(12);
+
+    const movements = await StockMovement.find({
+      sourceModel: "StockTransfer",
+      sourceDocument: res.body.data._id,
+    });
+    expect(movements.length).toBe(2);
+    const transferOut = movements.find(
+      (movement) => movement.movementType === "transfer_out"
+    );
+    expect(transferOut.location.toString()).toBe(mainLocationId);
+    expect(transferOut.balanceAfter).toBe(18);
+  });
+
+  test("should refuse to transfer more than the source holds", async () => {
+    const res = await request(app)
+      .post("/api/stocks/transfers/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        fromLocation: backRoomId,
+        toLocation: mainLocationId,
+        items: [{ product: productId, quantity: 20 }],
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Cannot transfer 20 of Location Test Product. Only 12 in stock at Back Room."
+    );
+  });
+
+  test("should sell from the chosen location", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        location: backRoomId,
+        items: [{ product: productId, quantity: 2, unitPrice: 15.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+
+    const backRoomStock = await Stock.findOne({
+      product: productId,
+      location: backRoomId,
+    });
+    expect(backRoomStock.currentStock).toBe(10);
+  });
+
+  test("should list stock per product or per location", async () => {
+    const totalRes = await request(app)
+      .get("/api/stocks")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(totalRes.statusCode).toBe(200);
+    expect(totalRes.body.data.items.length).toBe(1);
+    expect(totalRes.body.data.items[0].currentStock).toBe(28);
+    expect(totalRes.body.data.items[0].locations.length).toBe(2);
+
+    const backRoomRes = await request(app)
+      .get(`/api/stocks?location=${backRoomId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(backRoomRes.statusCode).toBe(200);
+    expect(backRoomRes.body.data.items[0].currentStock).toBe(10);
+  });
+
+  test("should not deactivate a location that still holds stock", async () => {
+    const res = await request(app)
+      .patch(`/api/locations/location/deactivate/${backRoomId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Transfer the stock out of this location before deactivating it."
+    );
+  });
+
+  test("should move the default to another location", async () => {
+    const res = await request(app)
+      .patch(`/api/locations/location/update/${backRoomId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ isDefault: true, notes: "Deliveries come in here" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.isDefault).toBe(true);
+    expect(res.body.data.notes).toBe("Deliveries come in here");
+
+    const defaults = await Location.find({
+      createdBy: testUserId,
+      isDefault: true,
+    });
+    expect(defaults.map((location) => location._id.toString())).toEqual([
+      backRoomId,
+    ]);
+  });
+
+  test("should create one default location for requests at the same time", async () => {
+    const ownerId = new mongoose.Types.ObjectId();
+    try {
+      const [first, second] = await Promise.all([
+        Location.getDefault(ownerId),
+        Location.getDefault(ownerId),
+      ]);
+      expect(first._id.toString()).toBe(second._id.toString());
+      expect(await Location.countDocuments({ createdBy: ownerId })).toBe(1);
+    } finally {
+      await Location.deleteMany({ createdBy: ownerId });
+    }
+  });
+
+  test("should only read the default location inside transactions", async () => {
+    const ownerId = new mongoose.Types.ObjectId();
+    await expect(Location.findDefault(ownerId)).rejects.toThrow(
+      /has no default location/
+    );
+    expect(await Location.countDocuments({ createdBy: ownerId })).toBe(0);
+  });
+});
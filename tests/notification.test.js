@@ -0,0 +1,242 @@
+// tests/notification.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const Sale = require("../models/Sale");
+const Adjustment = require("../models/Adjustment");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const StockAlert = require("../models/StockAlert");
+const CostLayer = require("../models/CostLayer");
+const Notification = require("../models/Notification");
+const { notifyOverduePurchases } = require("../listeners/notifications");
+
+let authToken;
+let testUserId;
+let supplierId;
+let productId;
+
+// notifications are added after the response
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+const notificationsOfType = (type) =>
+  Notification.countDocuments({ user: testUserId, type });
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "notificationtester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Notification Test",
+    lastName: "User",
+    email: "notificationtester@gmail.com",
+    primaryPhone: "9800000114",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000114",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Notification Test Category",
+      description: "Category for notification tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Notification Test Supplier",
+      email: "notification.supplier@example.com",
+      phone: "9876543224",
+      leadTimeDays: 3,
+    });
+  supplierId = supplierRes.body.data._id;
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Notification Test Product",
+      sku: "NTP001",
+      category: categoryRes.body.data._id,
+      supplier: supplierId,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 30,
+    });
+  productId = productRes.body.data.product._id;
+});
+
+afterAll(async () => {
+  await Notification.deleteMany({ user: testUserId });
+  await StockAlert.deleteMany({ createdBy: testUserId });
+  await CostLayer.deleteMany({ product: productId });
+  await StockMovement.deleteMany({ product: productId });
+  await Stock.deleteMany({ product: productId });
+  await Adjustment.deleteMany({ createdBy: testUserId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "notificationtester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Notifications", () => {
+  test("should notify failed sign-ins once an hour", async () => {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const res = await request(app).post("/api/users/login").send({
+        phoneNumber: "9800000114",
+        password: "Wrong@123",
+      });
+      expect(res.statusCode).toBe(401);
+    }
+
+    await waitFor(async () => (await notificationsOfType("failed_login")) > 0);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(await notificationsOfType("failed_login")).toBe(1);
+  });
+
+  test("should notify low stock and adjustments waiting for approval", async () => {
+    await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ adjustmentApprovalValue: 100 });
+
+    // 25 of 30 lost is worth 250.00, more than the approval value
+    const adjustmentRes = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: productId,
+        direction: "decrease",
+        quantity: 25,
+        reason: "damage",
+      });
+    expect(adjustmentRes.body.data.status).toBe("pending");
+    await waitFor(
+      async () => (await notificationsOfType("adjustment_pending")) > 0
+    );
+    expect(await notificationsOfType("adjustment_pending")).toBe(1);
+
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity: 26, unitPrice: 20.0 }],
+        paymentMethod: "cash",
+      });
+    expect(saleRes.statusCode).toBe(201);
+    await waitFor(async () => (await notificationsOfType("low_stock")) > 0);
+
+    const notification = await Notification.findOne({
+      user: testUserId,
+      type: "low_stock",
+    });
+    expect(notification.title).toBe("Notification Test Product is running low");
+    expect(notification.data.product.toString()).toBe(productId);
+  });
+
+  test("should notify a purchase order overdue for delivery once", async () => {
+    const purchaseRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        supplier: supplierId,
+        items: [{ product: productId, quantity: 10, unitCost: 10.0 }],
+        paymentMethod: "cash",
+      });
+    // ordered 5 days ago from a supplier that delivers in 3
+    await Purchase.updateOne(
+      { _id: purchaseRes.body.data._id },
+      { orderDate: new Date(Date.now() - 5 * 86400000) }
+    );
+
+    await notifyOverduePurchases();
+    await notifyOverduePurchases();
+    expect(await notificationsOfType("purchase_overdue")).toBe(1);
+  });
+
+  test("should list, read and delete notifications", async () => {
+    const listRes = await request(app)
+      .get("/api/notifications?unread=true")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(listRes.statusCode).toBe(200);
+    expect(listRes.body.data.unreadCount).toBe(4);
+    expect(listRes.body.data.items[0].type).toBe("purchase_overdue");
+
+    const [first, second] = listRes.body.data.items;
+    const readRes = await request(app)
+      .patch(`/api/notifications/notification/read/${first._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(readRes.statusCode).toBe(200);
+    expect(readRes.body.data.readAt).toBeTruthy();
+
+    const readAllRes = await request(app)
+      .patch("/api/notifications/read-all")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(readAllRes.body.data.updatedCount).toBe(3);
+
+    const deleteRes = await request(app)
+      .delete(`/api/notifications/notification/delete/${second._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(deleteRes.statusCode).toBe(200);
+
+    const afterRes = await request(app)
+      .get("/api/notifications")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(afterRes.body.data.unreadCount).toBe(0);
+    expect(afterRes.body.data.pagination.totalItems).toBe(3);
+  });
+
+  test("should notify posted adjustments above the large adjustment value", async () => {
+    await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ adjustmentApprovalValue: 0, largeAdjustmentValue: 50 });
+
+    // 1 found is worth 10.00, 10 found 100.00; neither waits for approval
+    for (const quantity of [1, 10]) {
+      const res = await request(app)
+        .post("/api/stocks/adjust")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          product: productId,
+          direction: "increase",
+          quantity,
+          reason: "counting_error",
+        });
+      expect(res.body.data.status).toBe("posted");
+    }
+
+    await waitFor(
+      async () => (await notificationsOfType("adjustment_large")) > 0
+    );
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(await notificationsOfType("adjustment_large")).toBe(1);
+  });
+});
@@ -0,0 +1,136 @@
+// tests/productPerformance.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+const productIds = [];
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "performancetester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Performance Test",
+    lastName: "User",
+    email: "performancetester@gmail.com",
+    primaryPhone: "9800000117",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000117",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Performance Test Category",
+      description: "Category for product performance tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Performance Test Supplier",
+      email: "performance.supplier@example.com",
+      phone: "9876543227",
+    });
+
+  // 20 of each at 10.00, 15 of the first sold and 5 of the second
+  for (const [sku, sold] of [
+    ["PRF001", 15],
+    ["PRF002", 5],
+  ]) {
+    const productRes = await request(app)
+      .post("/api/products/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        name: `Performance Test Product ${sku}`,
+        sku,
+        category: categoryRes.body.data._id,
+        supplier: supplierRes.body.data._id,
+        unit: "piece",
+        purchasePrice: 10.0,
+        sellingPrice: 20.0,
+        minStockLevel: 5,
+        initialStock: 20,
+      });
+    const productId = productRes.body.data.product._id;
+    productIds.push(productId);
+
+    await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity: sold, unitPrice: 20.0 }],
+        paymentMethod: "cash",
+      });
+  }
+});
+
+afterAll(async () => {
+  await CostLayer.deleteMany({ product: { $in: productIds } });
+  await StockMovement.deleteMany({ product: { $in: productIds } });
+  await Stock.deleteMany({ product: { $in: productIds } });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "performancetester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Product performance report", () => {
+  test("should rank products and flag slow movers", async () => {
+    const res = await request(app)
+      .get("/api/reports/product-performance")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    const [fastRow, slowRow] = res.body.data.items;
+    expect(fastRow.product.sku).toBe("PRF001");
+    expect(fastRow.unitsSold).toBe(15);
+    expect(fastRow.unitsSoldRank).toBe(1);
+    // 5 left, selling 0.5 a day over the last 30 days
+    expect(fastRow.daysOfCover).toBe(10);
+    expect(fastRow.status).toBe("selling");
+
+    expect(slowRow.product.sku).toBe("PRF002");
+    expect(slowRow.daysOfCover).toBe(90);
+    expect(slowRow.status).toBe("slow_mover");
+    expect(res.body.data.summary.slowMoverCount).toBe(1);
+    expect(res.body.data.summary.deadStockCount).toBe(0);
+
+    const slowRes = await request(app)
+      .get("/api/reports/product-performance?status=slow_mover")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(slowRes.body.data.items.length).toBe(1);
+    expect(slowRes.body.data.items[0].stockValue).toBe(150);
+  });
+
+  test("should reject dates that are not YYYY-MM-DD", async () => {
+    const res = await request(app)
+      .get("/api/reports/product-performance?endDate=yesterday")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
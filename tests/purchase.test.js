@@ -7,7 +7,11 @@ const Category = require("../models/Category");
 const Supplier = require("../models/Supplier");
 const Product = require("../models/Product");
 const Purchase = require("../models/Purchase");
+const SupplierPayment = require("../models/SupplierPayment");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const SupplierReturn = require("../models/SupplierReturn");
 const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
 
 let authToken;
 let testUserId;
@@ -38,6 +42,8 @@ beforeAll(async () => {
       { purchaseNumber: "PO-003" },
       { purchaseNumber: "PO-004" },
       { purchaseNumber: "PO-005" },
+      { purchaseNumber: "PO-006" },
+      { purchaseNumber: "PO-007" },
     ],
   });
 
@@ -109,6 +115,7 @@ afterAll(async () => {
 
   if (productIdsToCleanup.length > 0) {
     await Stock.deleteMany({ product: { $in: productIdsToCleanup } });
+    await StockMovement.deleteMany({ product: { $in: productIdsToCleanup } });
   }
 
   await User.deleteMany({ email: "purchasetester@gmail.com" });
@@ -117,8 +124,16 @@ afterAll(async () => {
   });
   await Category.deleteMany({ name: "Purchase Test Category" });
   await Purchase.deleteMany({
-    $or: [{ purchaseNumber: "PO-001" }, { purchaseNumber: "PO-005" }],
+    $or: [
+      { purchaseNumber: "PO-001" },
+      { purchaseNumber: "PO-005" },
+      { purchaseNumber: "PO-006" },
+      { purchaseNumber: "PO-007" },
+    ],
   });
+  await SupplierPayment.deleteMany({ createdBy: testUserId });
+  await GoodsReceipt.deleteMany({ createdBy: testUserId });
+  await SupplierReturn.deleteMany({ createdBy: testUserId });
   await Product.deleteMany({
     $or: [
       { name: "Purchase Test Product Active" },
@@ -186,6 +201,26 @@ describe("Purchase APIs", () => {
     expect(res.body.data.purchaseNumber).toBe("PO-001");
   });
 
+  test("Should render a purchase order as HTML and PDF", async () => {
+    const htmlRes = await request(app)
+      .get(`/api/purchases/purchase/order/${testPurchaseId.toString()}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(htmlRes.statusCode).toBe(200);
+    expect(htmlRes.headers["content-type"]).toMatch(/text\/html/);
+    expect(htmlRes.text).toContain("PO-001");
+    expect(htmlRes.text).toContain("Purchase Test Supplier Active");
+
+    const pdfRes = await request(app)
+      .get(`/api/purchases/purchase/order/${testPurchaseId.toString()}?format=pdf`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .responseType("blob");
+
+    expect(pdfRes.statusCode).toBe(200);
+    expect(pdfRes.headers["content-type"]).toBe("application/pdf");
+    expect(pdfRes.body.subarray(0, 4).toString()).toBe("%PDF");
+  });
+
   test("Should cancel a purchase successfully", async () => {
     const newPurchaseRes = await request(app)
       .post("/api/purchases/create")
@@ -210,4 +245,177 @@ describe("Purchase APIs", () => {
     const cancelledPurchase = await Purchase.findById(purchaseToCancelId);
     expect(cancelledPurchase.purchaseStatus).toBe("cancelled");
   });
+
+  test("Should track the payable of a received purchase and pay part of it", async () => {
+    const createRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        purchaseNumber: "PO-006",
+        supplier: activeSupplierId,
+        items: [{ product: activeProductId, quantity: 10, unitCost: 10.0 }],
+        paymentMethod: "online",
+        paymentTermsDays: 15,
+      });
+    expect(createRes.statusCode).toBe(201);
+    const purchaseId = createRes.body.data._id;
+
+    const receiveRes = await request(app)
+      .patch(`/api/purchases/purchase/receive/${purchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(receiveRes.statusCode).toBe(200);
+    expect(receiveRes.body.data.balanceDue).toBe(100);
+    expect(receiveRes.body.data.paymentStatus).toBe("unpaid");
+    const receivedDate = new Date(receiveRes.body.data.receivedDate);
+    const dueDate = new Date(receiveRes.body.data.dueDate);
+    expect(Math.round((dueDate - receivedDate) / 86400000)).toBe(15);
+
+    const paymentRes = await request(app)
+      .post(`/api/suppliers/supplier/payment/${activeSupplierId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        amount: 60,
+        method: "bank_transfer",
+        reference: "NEFT-001",
+        allocations: [{ purchase: purchaseId, amount: 60 }],
+      });
+
+    expect(paymentRes.statusCode).toBe(201);
+    expect(paymentRes.body.data.paymentNumber).toBe("PAY-000001");
+    expect(paymentRes.body.data.allocations[0].purchase.balanceDue).toBe(40);
+    expect(paymentRes.body.data.allocations[0].purchase.paymentStatus).toBe(
+      "partially_paid"
+    );
+
+    const supplierRes = await request(app)
+      .get(`/api/suppliers/supplier/${activeSupplierId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(supplierRes.statusCode).toBe(200);
+    expect(supplierRes.body.data.payables.balanceDue).toBe(40);
+    expect(supplierRes.body.data.payables.overdueAmount).toBe(0);
+    expect(supplierRes.body.data.payables.openPurchases.length).toBe(1);
+  });
+
+  test("Should refuse a supplier payment above what is owed", async () => {
+    const res = await request(app)
+      .post(`/api/suppliers/supplier/payment/${activeSupplierId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ amount: 500, method: "cash" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Payment (500) exceeds the outstanding balance (40)."
+    );
+  });
+
+  test("Should receive a purchase in part and close it short", async () => {
+    const createRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        purchaseNumber: "PO-007",
+        supplier: activeSupplierId,
+        items: [{ product: activeProductId, quantity: 10, unitCost: 10.0 }],
+      });
+    expect(createRes.statusCode).toBe(201);
+    const purchaseId = createRes.body.data._id;
+    const purchaseItemId = createRes.body.data.items[0]._id;
+
+    const receiptRes = await request(app)
+      .post(`/api/purchases/purchase/receipt/${purchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ items: [{ purchaseItem: purchaseItemId, quantity: 4 }] });
+
+    expect(receiptRes.statusCode).toBe(201);
+    expect(receiptRes.body.data.receiptNumber).toBe("GRN-000002");
+    expect(receiptRes.body.data.totalAmount).toBe(40);
+    expect(receiptRes.body.data.purchase.purchaseStatus).toBe(
+      "partially_received"
+    );
+    expect(receiptRes.body.data.purchase.items[0].receivedQuantity).toBe(4);
+    expect(receiptRes.body.data.purchase.balanceDue).toBe(40);
+
+    const overReceiveRes = await request(app)
+      .post(`/api/purchases/purchase/receipt/${purchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ items: [{ product: activeProductId, quantity: 7 }] });
+
+    expect(overReceiveRes.statusCode).toBe(400);
+    expect(overReceiveRes.body.message).toBe(
+      "Cannot receive 7 of Purchase Test Product Active. Only 6 is outstanding."
+    );
+
+    const closeRes = await request(app)
+      .patch(`/api/purchases/purchase/close/${purchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(closeRes.statusCode).toBe(200);
+    expect(closeRes.body.data.purchaseStatus).toBe("received");
+    expect(closeRes.body.data.items[0].cancelledQuantity).toBe(6);
+    expect(closeRes.body.data.balanceDue).toBe(40);
+
+    const receiptsRes = await request(app)
+      .get(`/api/purchases/receipts?purchase=${purchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(receiptsRes.statusCode).toBe(200);
+    expect(receiptsRes.body.data.items.length).toBe(1);
+  });
+
+  test("Should return damaged goods to the supplier on a debit note", async () => {
+    const purchase = await Purchase.findOne({
+      purchaseNumber: "PO-007",
+      createdBy: testUserId,
+    });
+    const stockBefore = await Stock.findOne({ product: activeProductId });
+
+    const returnRes = await request(app)
+      .post(`/api/purchases/purchase/return/${purchase._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1 }],
+        reason: "damaged",
+      });
+
+    expect(returnRes.statusCode).toBe(201);
+    expect(returnRes.body.data.returnNumber).toBe("DN-000001");
+    expect(returnRes.body.data.totalAmount).toBe(10);
+    expect(returnRes.body.data.appliedToBalance).toBe(10);
+    expect(returnRes.body.data.purchase.balanceDue).toBe(30);
+    expect(returnRes.body.data.purchase.returnStatus).toBe(
+      "partially_returned"
+    );
+
+    const stockAfter = await Stock.findOne({ product: activeProductId });
+    expect(stockAfter.currentStock).toBe(stockBefore.currentStock - 1);
+    const movement = await StockMovement.findOne({
+      sourceModel: "SupplierReturn",
+      sourceDocument: returnRes.body.data._id,
+    });
+    expect(movement.movementType).toBe("supplier_return");
+    expect(movement.quantity).toBe(1);
+
+    const overReturnRes = await request(app)
+      .post(`/api/purchases/purchase/return/${purchase._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 4 }],
+        reason: "wrong_item",
+      });
+
+    expect(overReturnRes.statusCode).toBe(400);
+    expect(overReturnRes.body.message).toBe(
+      "Cannot return 4 of Purchase Test Product Active. Only 3 received can still be returned."
+    );
+
+    const ledgerRes = await request(app)
+      .get(`/api/suppliers/supplier/ledger/${activeSupplierId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(ledgerRes.statusCode).toBe(200);
+    expect(ledgerRes.body.data.entries.at(-1).type).toBe("debit_note");
+    expect(ledgerRes.body.data.balance).toBe(70);
+  });
 });
@@ -0,0 +1,264 @@
+// tests/realtime.test.js
+const http = require("http");
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const StockAlert = require("../models/StockAlert");
+const CostLayer = require("../models/CostLayer");
+const Notification = require("../models/Notification");
+
+let server;
+let baseUrl;
+let authToken;
+let testUserId;
+let supplierId;
+let productId;
+
+// Opens the event stream and collects the events it receives.
+// Resolves once the stream is open.
+const openStream = (path) =>
+  new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get(`${baseUrl}${path}`, (res) => {
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        const messages = buffer.split("\n\n");
+        buffer = messages.pop();
+        for (const message of messages) {
+          const event = message.match(/^event: (.+)$/m);
+          const data = message.match(/^data: (.+)$/m);
+          if (event && data) {
+            events.push({ event: event[1], data: JSON.parse(data[1]) });
+          }
+        }
+      });
+      resolve({ res, events, close: () => req.destroy() });
+    });
+    req.on("error", reject);
+  });
+
+// EventSource clients open the stream with a single-use ticket
+const getTicket = async () => {
+  const res = await request(app)
+    .post("/api/events/ticket")
+    .set("Authorization", `Bearer ${authToken}`);
+  return res.body.data.ticket;
+};
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+beforeAll(async () => {
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await User.deleteMany({ email: "realtimetester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Realtime Test",
+    lastName: "User",
+    email: "realtimetester@gmail.com",
+    primaryPhone: "9800000115",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000115",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Realtime Test Category",
+      description: "Category for realtime tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Realtime Test Supplier",
+      email: "realtime.supplier@example.com",
+      phone: "9876543225",
+    });
+  supplierId = supplierRes.body.data._id;
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Realtime Test Product",
+      sku: "RTT001",
+      category: categoryRes.body.data._id,
+      supplier: supplierId,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 20,
+    });
+  productId = productRes.body.data.product._id;
+});
+
+afterAll(async () => {
+  await Notification.deleteMany({ user: testUserId });
+  await StockAlert.deleteMany({ createdBy: testUserId });
+  await CostLayer.deleteMany({ product: productId });
+  await StockMovement.deleteMany({ product: productId });
+  await Stock.deleteMany({ product: productId });
+  await GoodsReceipt.deleteMany({ createdBy: testUserId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "realtimetester@gmail.com" });
+
+  await new Promise((resolve) => server.close(resolve));
+  await mongoose.connection.close();
+});
+
+describe("Real-time events", () => {
+  test("should refuse a stream without a valid token or ticket", async () => {
+    const missingRes = await request(app).get("/api/events/stream");
+    expect(missingRes.statusCode).toBe(401);
+
+    const invalidRes = await request(app).get(
+      "/api/events/stream?ticket=not-a-ticket"
+    );
+    expect(invalidRes.statusCode).toBe(401);
+
+    // the JWT is no longer accepted in the URL
+    const tokenRes = await request(app).get(
+      `/api/events/stream?token=${authToken}`
+    );
+    expect(tokenRes.statusCode).toBe(401);
+  });
+
+  test("should open one stream per ticket", async () => {
+    const ticketRes = await request(app)
+      .post("/api/events/ticket")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(ticketRes.statusCode).toBe(201);
+    const { ticket } = ticketRes.body.data;
+
+    const stream = await openStream(`/api/events/stream?ticket=${ticket}`);
+    expect(stream.res.statusCode).toBe(200);
+    stream.close();
+
+    const reusedRes = await request(app).get(
+      `/api/events/stream?ticket=${ticket}`
+    );
+    expect(reusedRes.statusCode).toBe(401);
+  });
+
+  test("should push a sale and its stock change to the owner's devices", async () => {
+    // a POS tablet with a ticket, a back-office screen with the header
+    const tablet = await openStream(
+      `/api/events/stream?ticket=${await getTicket()}`
+    );
+    expect(tablet.res.statusCode).toBe(200);
+    expect(tablet.res.headers["content-type"]).toMatch(/text\/event-stream/);
+
+    const screen = await new Promise((resolve) => {
+      const req = http.get(
+        `${baseUrl}/api/events/stream`,
+        { headers: { Authorization: `Bearer ${authToken}` } },
+        (res) => resolve({ res, close: () => req.destroy() })
+      );
+    });
+    expect(screen.res.statusCode).toBe(200);
+    screen.close();
+
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity: 4, unitPrice: 20.0 }],
+        paymentMethod: "cash",
+      });
+    expect(saleRes.statusCode).toBe(201);
+
+    await waitFor(
+      () =>
+        tablet.events.some(({ event }) => event === "sale.created") &&
+        tablet.events.some(({ event }) => event === "stock.changed")
+    );
+    tablet.close();
+
+    const sale = tablet.events.find(({ event }) => event === "sale.created");
+    expect(sale.data.invoiceNumber).toBe(saleRes.body.data.invoiceNumber);
+    expect(sale.data.items[0].quantity).toBe(4);
+
+    const stock = tablet.events.find(({ event }) => event === "stock.changed");
+    expect(stock.data.product).toBe(productId);
+    expect(stock.data.movementType).toBe("sale");
+    expect(stock.data.currentStock).toBe(16);
+  });
+
+  test("should push received purchases and new notifications", async () => {
+    const stream = await openStream(
+      `/api/events/stream?ticket=${await getTicket()}`
+    );
+
+    const purchaseRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        supplier: supplierId,
+        items: [{ product: productId, quantity: 10, unitCost: 10.0 }],
+        paymentMethod: "cash",
+      });
+    const receiveRes = await request(app)
+      .patch(`/api/purchases/purchase/receive/${purchaseRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(receiveRes.statusCode).toBe(200);
+
+    // a failed sign-in adds a notification
+    await request(app).post("/api/users/login").send({
+      phoneNumber: "9800000115",
+      password: "Wrong@123",
+    });
+
+    await waitFor(
+      () =>
+        stream.events.some(({ event }) => event === "purchase.received") &&
+        stream.events.some(({ event }) => event === "notification.created")
+    );
+    stream.close();
+
+    const received = stream.events.find(
+      ({ event }) => event === "purchase.received"
+    );
+    expect(received.data.purchase).toBe(purchaseRes.body.data._id);
+    expect(received.data.purchaseStatus).toBe("received");
+    expect(received.data.items[0].quantity).toBe(10);
+
+    const notification = stream.events.find(
+      ({ event }) => event === "notification.created"
+    );
+    expect(notification.data.type).toBe("failed_login");
+  });
+});
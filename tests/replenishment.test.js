@@ -0,0 +1,191 @@
+// tests/replenishment.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+let supplierId;
+let sellingProductId;
+let idleProductId;
+let draftPurchaseId;
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "replenishmenttester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Replenishment Test",
+    lastName: "User",
+    email: "replenishmenttester@gmail.com",
+    primaryPhone: "9800000111",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000111",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Replenishment Test Category",
+      description: "Category for reorder tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Replenishment Test Supplier",
+      email: "replenishment.supplier@example.com",
+      phone: "9876543221",
+      leadTimeDays: 5,
+    });
+  supplierId = supplierRes.body.data._id;
+
+  const createProduct = async (name, sku, extra) => {
+    const res = await request(app)
+      .post("/api/products/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        name,
+        sku,
+        category: categoryRes.body.data._id,
+        supplier: supplierId,
+        unit: "piece",
+        purchasePrice: 10.0,
+        sellingPrice: 20.0,
+        minStockLevel: 5,
+        initialStock: 20,
+        ...extra,
+      });
+    return res.body.data.product._id;
+  };
+  sellingProductId = await createProduct(
+    "Replenishment Selling Product",
+    "RTP001",
+    { reorderQuantity: 12 }
+  );
+  idleProductId = await createProduct("Replenishment Idle Product", "RTP002");
+
+  // 2 left of the selling product, 18 sold in the last 30 days
+  await request(app)
+    .post("/api/sales/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      items: [{ product: sellingProductId, quantity: 18, unitPrice: 20.0 }],
+      paymentMethod: "cash",
+    });
+});
+
+afterAll(async () => {
+  const productIds = [sellingProductId, idleProductId];
+  await CostLayer.deleteMany({ product: { $in: productIds } });
+  await StockMovement.deleteMany({ product: { $in: productIds } });
+  await Stock.deleteMany({ product: { $in: productIds } });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "replenishmenttester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Replenishment", () => {
+  test("should suggest reordering low stock from recent sales", async () => {
+    const res = await request(app)
+      .get("/api/purchases/replenishment")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.productCount).toBe(1);
+    const [group] = res.body.data.suppliers;
+    expect(group.supplier.name).toBe("Replenishment Test Supplier");
+
+    const [item] = group.items;
+    expect(item.product.sku).toBe("RTP001");
+    expect(item.onHand).toBe(2);
+    expect(item.reorderPoint).toBe(5);
+    expect(item.averageDailySales).toBe(0.6);
+    // one reorder quantity of 12 lifts 2 above the reorder point of 5
+    expect(item.suggestedQuantity).toBe(12);
+    expect(item.unitCost).toBe(10);
+    expect(group.estimatedCost).toBe(120);
+
+    // without a reorder quantity: 5 + 0.6 a day over 5 days lead time and
+    // 30 days cover - 2 = 24
+    await request(app)
+      .patch(`/api/products/product/update/${sellingProductId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ reorderQuantity: null });
+    const salesRes = await request(app)
+      .get("/api/purchases/replenishment")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(salesRes.body.data.suppliers[0].items[0].suggestedQuantity).toBe(24);
+  });
+
+  test("should draft a purchase order per supplier", async () => {
+    const res = await request(app)
+      .post("/api/purchases/replenishment/drafts")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.length).toBe(1);
+    const [draft] = res.body.data;
+    expect(draft.purchaseStatus).toBe("draft");
+    expect(draft.items.length).toBe(1);
+    expect(draft.items[0].quantity).toBe(24);
+    draftPurchaseId = draft._id;
+
+    // the draft now counts as on order
+    const suggestionsRes = await request(app)
+      .get("/api/purchases/replenishment")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(suggestionsRes.body.data.productCount).toBe(0);
+  });
+
+  test("should place a draft before it can be received", async () => {
+    const receiveRes = await request(app)
+      .patch(`/api/purchases/purchase/receive/${draftPurchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(receiveRes.statusCode).toBe(400);
+
+    const placeRes = await request(app)
+      .patch(`/api/purchases/purchase/place/${draftPurchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(placeRes.statusCode).toBe(200);
+    expect(placeRes.body.data.purchaseStatus).toBe("ordered");
+
+    const placeAgainRes = await request(app)
+      .patch(`/api/purchases/purchase/place/${draftPurchaseId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(placeAgainRes.statusCode).toBe(400);
+  });
+
+  test("should reject invalid suggestion options", async () => {
+    const res = await request(app)
+      .get("/api/purchases/replenishment?velocityDays=0")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
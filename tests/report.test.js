@@ -0,0 +1,233 @@
+// tests/report.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const Sale = require("../models/Sale");
+const SaleReturn = require("../models/SaleReturn");
+const Stock = require("../models/Stock");
+const { toZonedDateString } = require("../utils/dateUtils");
+
+let authToken;
+let testUserId;
+let categoryId;
+let supplierId;
+let exclusiveProductId;
+let inclusiveProductId;
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "reporttester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Report Test",
+    lastName: "User",
+    email: "reporttester@gmail.com",
+    primaryPhone: "9800000106",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000106",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Report Test Category",
+      description: "Category taxed at 18%",
+      taxRate: 18,
+      taxInclusive: false,
+    });
+  categoryId = categoryRes.body.data._id;
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Report Test Supplier",
+      email: "report.supplier@example.com",
+      phone: "9876543216",
+    });
+  supplierId = supplierRes.body.data._id;
+
+  const exclusiveRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Report Test Product Exclusive",
+      sku: "RTP001",
+      category: categoryId,
+      supplier: supplierId,
+      unit: "piece",
+      purchasePrice: 50.0,
+      sellingPrice: 100.0,
+      minStockLevel: 5,
+      initialStock: 100,
+    });
+  exclusiveProductId = exclusiveRes.body.data.product._id;
+
+  // product level override: 5% tax already included in the price
+  const inclusiveRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Report Test Product Inclusive",
+      sku: "RTP002",
+      category: categoryId,
+      supplier: supplierId,
+      unit: "piece",
+      purchasePrice: 50.0,
+      sellingPrice: 105.0,
+      minStockLevel: 5,
+      initialStock: 100,
+      taxRate: 5,
+      taxInclusive: true,
+    });
+  inclusiveProductId = inclusiveRes.body.data.product._id;
+});
+
+afterAll(async () => {
+  await Stock.deleteMany({
+    product: { $in: [exclusiveProductId, inclusiveProductId] },
+  });
+  await SaleReturn.deleteMany({ createdBy: testUserId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "reporttester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Report APIs", () => {
+  test("should store per-line tax on a sale", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          { product: exclusiveProductId, quantity: 2, unitPrice: 100 },
+          { product: inclusiveProductId, quantity: 1, unitPrice: 105 },
+        ],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+    const [exclusiveLine, inclusiveLine] = res.body.data.items;
+    expect(exclusiveLine.taxRate).toBe(18);
+    expect(exclusiveLine.taxAmount).toBe(36);
+    expect(exclusiveLine.totalPrice).toBe(236);
+    expect(inclusiveLine.taxRate).toBe(5);
+    expect(inclusiveLine.taxableAmount).toBe(100);
+    expect(inclusiveLine.taxAmount).toBe(5);
+    expect(inclusiveLine.totalPrice).toBe(105);
+    expect(res.body.data.subTotal).toBe(300);
+    expect(res.body.data.totalTax).toBe(41);
+    expect(res.body.data.totalAmount).toBe(341);
+  });
+
+  test("should store input tax on a purchase", async () => {
+    const createRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        supplier: supplierId,
+        items: [{ product: exclusiveProductId, quantity: 10, unitCost: 50 }],
+        paymentMethod: "cash",
+      });
+
+    expect(createRes.statusCode).toBe(201);
+    expect(createRes.body.data.totalTax).toBe(90);
+    expect(createRes.body.data.totalAmount).toBe(590);
+
+    const receiveRes = await request(app)
+      .patch(`/api/purchases/purchase/receive/${createRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(receiveRes.statusCode).toBe(200);
+  });
+
+  test("should summarise output, returned and input tax by rate", async () => {
+    const res = await request(app)
+      .get("/api/reports/tax-summary")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.outputTax.byRate.map((r) => r.taxRate)).toEqual([
+      5, 18,
+    ]);
+    expect(res.body.data.outputTax.taxAmount).toBe(41);
+    expect(res.body.data.inputTax.taxAmount).toBe(90);
+    expect(res.body.data.netTaxPayable).toBe(-49);
+  });
+
+  test("should reject an inverted date range", async () => {
+    const res = await request(app)
+      .get("/api/reports/tax-summary?startDate=2025-02-01&endDate=2025-01-01")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("startDate must be before endDate.");
+  });
+
+  test("should reject tax summary dates that are not YYYY-MM-DD", async () => {
+    const res = await request(app)
+      .get("/api/reports/tax-summary?startDate=01/02/2025")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "startDate and endDate must be dates in YYYY-MM-DD format."
+    );
+  });
+
+  test("should report discounts per product, day and reason", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          {
+            product: exclusiveProductId,
+            quantity: 1,
+            unitPrice: 80,
+            discountReason: "loyalty",
+          },
+        ],
+        paymentMethod: "cash",
+      });
+    expect(saleRes.statusCode).toBe(201);
+
+    // 14 hours ahead of UTC, so most of the day its date is not the UTC one
+    await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ timeZone: "Pacific/Kiritimati" });
+
+    const res = await request(app)
+      .get("/api/reports/discounts")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.timeZone).toBe("Pacific/Kiritimati");
+    expect(res.body.data.totals.totalDiscount).toBe(20);
+    expect(res.body.data.byProduct.length).toBe(1);
+    expect(res.body.data.byProduct[0].product.sku).toBe("RTP001");
+    expect(res.body.data.byProduct[0].priceOverrideDiscount).toBe(20);
+    expect(res.body.data.byDay.at(-1).date).toBe(
+      toZonedDateString(new Date(), "Pacific/Kiritimati")
+    );
+    expect(res.body.data.byReason[0].reason).toBe("loyalty");
+  });
+});
@@ -8,6 +8,7 @@ const Supplier = require("../models/Supplier");
 const Product = require("../models/Product");
 const Sale = require("../models/Sale");
 const Stock = require("../models/Stock");
+const SaleReturn = require("../models/SaleReturn");
 
 let authToken;
 let testUserId;
@@ -17,6 +18,8 @@ let activeProductId;
 
 let saleId;
 let saleToCancelId;
+let saleReturnId;
+let invoiceNumber;
 
 beforeAll(async () => {
   await User.deleteMany({ email: "saletester@gmail.com" });
@@ -109,6 +112,7 @@ afterAll(async () => {
     await Stock.deleteMany({ product: { $in: productIdsToCleanup } });
   }
 
+  await SaleReturn.deleteMany({ createdBy: testUserId });
   await User.deleteMany({ email: "saletester@gmail.com" });
   await Category.deleteMany({ name: "Sale Test Category" });
   await Supplier.deleteMany({ name: "Sale Test Supplier" });
@@ -237,20 +241,92 @@ describe("Sale APIs", () => {
       .set("Authorization", `Bearer ${authToken}`)
       .send({
         items: [{ product: activeProductId, quantity: 1, unitPrice: 10.0 }],
-        paymentMethod: "online",
+        payments: [{ method: "card", amount: 10, reference: "AUTH-1234" }],
       });
 
     const res = await request(app)
-      .get("/api/sales?paymentMethod=Card")
+      .get("/api/sales?paymentMethod=card")
       .set("Authorization", `Bearer ${authToken}`);
 
     expect(res.statusCode).toBe(200);
     expect(res.body.success).toBe(true);
-    expect(res.body.data.items.every((s) => s.paymentMethod === "online")).toBe(
-      true
+    expect(res.body.data.items.length).toBeGreaterThanOrEqual(1);
+    expect(
+      res.body.data.items.every((s) =>
+        s.payments.some((payment) => payment.method === "card")
+      )
+    ).toBe(true);
+  });
+
+  test("Should split a payment across tenders and give change in cash", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 20.0 }],
+        payments: [
+          { method: "upi", amount: 25, reference: "UPI-998877" },
+          { method: "cash", amount: 20 },
+        ],
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.totalAmount).toBe(40);
+    expect(res.body.data.amountTendered).toBe(45);
+    expect(res.body.data.changeDue).toBe(5);
+    const [upi, cash] = res.body.data.payments;
+    expect(upi.amount).toBe(25);
+    expect(upi.reference).toBe("UPI-998877");
+    expect(cash.tendered).toBe(20);
+    expect(cash.amount).toBe(15);
+  });
+
+  test("Should refuse payments that do not cover the total", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 2, unitPrice: 20.0 }],
+        payments: [
+          { method: "card", amount: 30 },
+          { method: "cash", amount: 5 },
+        ],
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Payments (35) do not cover the sale total (40)."
     );
   });
 
+  test("Should refuse to overpay with a non-cash tender", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 20.0 }],
+        payments: [{ method: "card", amount: 50 }],
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Only cash payments can exceed the sale total."
+    );
+  });
+
+  test("Should refuse store credit without a customer", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 20.0 }],
+        payments: [{ method: "store_credit", amount: 20 }],
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Store credit payments require a customer.");
+  });
+
   test("Should retrieve a single sale by ID successfully", async () => {
     const res = await request(app)
       .get(`/api/sales/sale/${saleId.toString()}`)
@@ -262,7 +338,42 @@ describe("Sale APIs", () => {
     expect(res.body.data.invoiceNumber).toBe(`${invoiceNumber}`);
   });
 
-  test("Should cancel a sale, restore stock, and delete sale record", async () => {
+  test("Should render a sale invoice as HTML", async () => {
+    const res = await request(app)
+      .get(`/api/sales/sale/invoice/${saleId.toString()}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/html/);
+    expect(res.text).toContain(invoiceNumber);
+    expect(res.text).toContain("Sale Test Product Active");
+    expect(res.text).toContain("saletester@gmail.com");
+  });
+
+  test("Should render a sale invoice as PDF", async () => {
+    const res = await request(app)
+      .get(`/api/sales/sale/invoice/${saleId.toString()}?format=pdf`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .responseType("blob");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.headers["content-disposition"]).toContain(
+      `${invoiceNumber}.pdf`
+    );
+    expect(res.body.subarray(0, 4).toString()).toBe("%PDF");
+  });
+
+  test("Should reject an unknown invoice format", async () => {
+    const res = await request(app)
+      .get(`/api/sales/sale/invoice/${saleId.toString()}?format=docx`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Format must be 'html' or 'pdf'.");
+  });
+
+  test("Should cancel a sale, restore stock, and keep the sale record", async () => {
     const initialStockBeforeCancel = (
       await Stock.findOne({ product: activeProductId })
     ).currentStock;
@@ -292,14 +403,277 @@ describe("Sale APIs", () => {
 
     expect(res.statusCode).toBe(200);
     expect(res.body.success).toBe(true);
-    expect(res.body.message).toBe(
-      "Sale cancelled, stock restored, and record deleted successfully."
-    );
+    expect(res.body.message).toBe("Sale cancelled and stock restored.");
 
     const cancelledSale = await Sale.findById(saleToCancelId);
-    expect(cancelledSale).toBeNull();
+    expect(cancelledSale).not.toBeNull();
+    expect(cancelledSale.returnStatus).toBe("returned");
+    expect(cancelledSale.items[0].returnedQuantity).toBe(quantityToReturn);
 
     const finalStock = await Stock.findOne({ product: activeProductId });
     expect(finalStock.currentStock).toBe(initialStockBeforeCancel);
   });
+
+  test("Should refuse to cancel a sale that was already fully returned", async () => {
+    const res = await request(app)
+      .delete(`/api/sales/sale/cancel/${saleToCancelId.toString()}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Sale has already been fully returned.");
+  });
+
+  test("Should return part of a sale and issue a credit note", async () => {
+    const stockBeforeReturn = (
+      await Stock.findOne({ product: activeProductId })
+    ).currentStock;
+
+    const res = await request(app)
+      .post(`/api/sales/sale/return/${saleId.toString()}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 3 }],
+        reason: "Damaged packaging",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.returnNumber).toMatch(/^CN-/);
+    expect(res.body.data.totalAmount).toBe(60);
+    saleReturnId = res.body.data._id;
+
+    const sale = await Sale.findById(saleId);
+    expect(sale.items[0].returnedQuantity).toBe(3);
+    expect(sale.returnStatus).toBe("partially_returned");
+    expect(sale.returnedAmount).toBe(60);
+    expect(sale.totalAmount).toBe(200);
+
+    const updatedStock = await Stock.findOne({ product: activeProductId });
+    expect(updatedStock.currentStock).toBe(stockBeforeReturn + 3);
+  });
+
+  test("Should refuse to return more than was sold", async () => {
+    const res = await request(app)
+      .post(`/api/sales/sale/return/${saleId.toString()}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 8 }],
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Cannot return 8 of Sale Test Product Active. Only 7 can still be returned."
+    );
+  });
+
+  test("Should list sale returns for a sale", async () => {
+    const res = await request(app)
+      .get(`/api/sales/returns?sale=${saleId.toString()}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.items.length).toBe(1);
+    expect(res.body.data.items[0]._id).toBe(saleReturnId);
+  });
+
+  test("Should retrieve a sale return by ID", async () => {
+    const res = await request(app)
+      .get(`/api/sales/returns/return/${saleReturnId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.sale.invoiceNumber).toBe(invoiceNumber);
+    expect(res.body.data.items[0].quantity).toBe(3);
+  });
+
+  test("Should return from a later line of the same product once the first is returned", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          { product: activeProductId, quantity: 2, unitPrice: 20.0 },
+          { product: activeProductId, quantity: 3, unitPrice: 20.0 },
+        ],
+        paymentMethod: "cash",
+      });
+    const twoLineSaleId = saleRes.body.data._id;
+
+    for (const quantity of [2, 3]) {
+      const res = await request(app)
+        .post(`/api/sales/sale/return/${twoLineSaleId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ items: [{ product: activeProductId, quantity }] });
+      expect(res.statusCode).toBe(201);
+    }
+
+    const sale = await Sale.findById(twoLineSaleId);
+    expect(sale.items.map((item) => item.returnedQuantity)).toEqual([2, 3]);
+    expect(sale.returnStatus).toBe("returned");
+  });
+
+  test("Should spread a return by product over the lines of that product", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          { product: activeProductId, quantity: 2, unitPrice: 20.0 },
+          { product: activeProductId, quantity: 3, unitPrice: 20.0 },
+        ],
+        paymentMethod: "cash",
+      });
+    const twoLineSaleId = saleRes.body.data._id;
+
+    const res = await request(app)
+      .post(`/api/sales/sale/return/${twoLineSaleId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ items: [{ product: activeProductId, quantity: 4 }] });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.refundAmount).toBe(80);
+
+    const sale = await Sale.findById(twoLineSaleId);
+    expect(sale.items.map((item) => item.returnedQuantity)).toEqual([2, 2]);
+    expect(sale.returnStatus).toBe("partially_returned");
+  });
+
+  test("Should refund what is left of a line on its last return", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        // 3 for 10.00, so a single unit does not round evenly
+        items: [
+          {
+            product: activeProductId,
+            quantity: 3,
+            unitPrice: 10.0,
+            discount: { type: "fixed", value: 20 },
+          },
+        ],
+        paymentMethod: "cash",
+      });
+    expect(saleRes.statusCode).toBe(201);
+    const roundingSaleId = saleRes.body.data._id;
+
+    const refunds = [];
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app)
+        .post(`/api/sales/sale/return/${roundingSaleId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ items: [{ product: activeProductId, quantity: 1 }] });
+      expect(res.statusCode).toBe(201);
+      refunds.push(res.body.data.refundAmount);
+    }
+
+    expect(refunds).toEqual([3.33, 3.33, 3.34]);
+  });
+
+  test("Should ignore returned quantities sent with a new sale", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          {
+            product: activeProductId,
+            quantity: 1,
+            unitPrice: 20.0,
+            returnedQuantity: 1,
+          },
+        ],
+        paymentMethod: "cash",
+        returnedAmount: 20,
+        returnStatus: "returned",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.items[0].returnedQuantity).toBe(0);
+    expect(res.body.data.returnedAmount).toBe(0);
+    expect(res.body.data.returnStatus).toBe("none");
+  });
+
+  test("Should apply line and invoice discounts and keep the list price", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          {
+            product: activeProductId,
+            quantity: 2,
+            unitPrice: 20.0,
+            discount: { type: "percentage", value: 5 },
+          },
+        ],
+        discount: { type: "fixed", value: 1 },
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+    const [line] = res.body.data.items;
+    expect(line.listPrice).toBe(20);
+    expect(line.discountAmount).toBe(2);
+    expect(line.invoiceDiscountAmount).toBe(1);
+    expect(line.totalPrice).toBe(37);
+    expect(res.body.data.totalDiscount).toBe(3);
+    expect(res.body.data.totalAmount).toBe(37);
+  });
+
+  test("Should require a reason code for a discount above the threshold", async () => {
+    const settingsRes = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ discountReasonThreshold: 10 });
+    expect(settingsRes.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 10.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "A discount reason is required for Sale Test Product Active. Discounts above 10% need a reason code."
+    );
+  });
+
+  test("Should accept a large discount when a reason code is given", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          {
+            product: activeProductId,
+            quantity: 1,
+            unitPrice: 10.0,
+            discountReason: "damaged_item",
+          },
+        ],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.items[0].discountReason).toBe("damaged_item");
+    expect(res.body.data.totalDiscount).toBe(10);
+  });
+
+  test("Should reject an unknown discount reason code", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: activeProductId, quantity: 1, unitPrice: 20.0 }],
+        discountReason: "because",
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid discount reason code.");
+  });
 });
@@ -0,0 +1,394 @@
+// tests/stock.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Adjustment = require("../models/Adjustment");
+const StockCount = require("../models/StockCount");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const SaleReturn = require("../models/SaleReturn");
+
+let authToken;
+let testUserId;
+let productId;
+let categoryId;
+let supplierId;
+let batchProductId;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "stocktester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Stock Test",
+    lastName: "User",
+    email: "stocktester@gmail.com",
+    primaryPhone: "9800000107",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000107",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Stock Test Category",
+      description: "Category for stock tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Stock Test Supplier",
+      email: "stock.supplier@example.com",
+      phone: "9876543217",
+    });
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Stock Test Product",
+      sku: "STP001",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 20.0,
+      sellingPrice: 30.0,
+      minStockLevel: 5,
+      initialStock: 50,
+    });
+  productId = productRes.body.data.product._id;
+  categoryId = categoryRes.body.data._id;
+  supplierId = supplierRes.body.data._id;
+});
+
+afterAll(async () => {
+  await Stock.deleteMany({ product: { $in: [productId, batchProductId] } });
+  await StockMovement.deleteMany({
+    product: { $in: [productId, batchProductId] },
+  });
+  await SaleReturn.deleteMany({ createdBy: testUserId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Adjustment.deleteMany({ createdBy: testUserId });
+  await StockCount.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "stocktester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Stock APIs", () => {
+  test("should write off damaged stock straight away", async () => {
+    const res = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: productId,
+        direction: "decrease",
+        quantity: 3,
+        reason: "damage",
+        notes: "Dropped carton",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.adjustmentNumber).toBe("ADJ-000001");
+    expect(res.body.data.status).toBe("posted");
+    expect(res.body.data.value).toBe(60);
+
+    const stock = await Stock.findOne({ product: productId });
+    expect(stock.currentStock).toBe(47);
+
+    const historyRes = await request(app)
+      .get(`/api/stocks/history/${productId}?movementType=adjustment_out`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(historyRes.statusCode).toBe(200);
+    expect(historyRes.body.data.history.length).toBe(1);
+    expect(historyRes.body.data.history[0].quantity).toBe(3);
+    expect(historyRes.body.data.history[0].balanceAfter).toBe(47);
+    expect(historyRes.body.data.history[0].sourceDocument).toBe(
+      res.body.data._id
+    );
+  });
+
+  test("should refuse to remove more than is in stock", async () => {
+    const res = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: productId,
+        direction: "decrease",
+        quantity: 100,
+        reason: "theft",
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(
+      "Cannot remove 100 of Stock Test Product. Only 47 in stock."
+    );
+  });
+
+  test("should hold large adjustments until they are approved", async () => {
+    const settingsRes = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ adjustmentApprovalValue: 100 });
+    expect(settingsRes.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: productId,
+        direction: "increase",
+        quantity: 10,
+        reason: "counting_error",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.status).toBe("pending");
+    let stock = await Stock.findOne({ product: productId });
+    expect(stock.currentStock).toBe(47);
+
+    const approveRes = await request(app)
+      .patch(`/api/stocks/adjustments/approve/${res.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(approveRes.statusCode).toBe(200);
+    expect(approveRes.body.data.status).toBe("posted");
+    stock = await Stock.findOne({ product: productId });
+    expect(stock.currentStock).toBe(57);
+  });
+
+  test("should report adjustments by reason and value", async () => {
+    const res = await request(app)
+      .get("/api/reports/adjustments")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.totals.increaseValue).toBe(200);
+    expect(res.body.data.totals.decreaseValue).toBe(60);
+    expect(res.body.data.totals.netValue).toBe(140);
+    expect(res.body.data.byReason.length).toBe(2);
+    expect(res.body.data.byProduct[0].product.sku).toBe("STP001");
+    expect(res.body.data.pendingCount).toBe(0);
+
+    // nothing was adjusted before today in the shop's time zone
+    const yesterday = new Date(Date.now() - 86400000)
+      .toISOString()
+      .slice(0, 10);
+    const earlierRes = await request(app)
+      .get(
+        `/api/reports/adjustments?startDate=${yesterday}&endDate=${yesterday}`
+      )
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(earlierRes.body.data.totals.increaseValue).toBe(0);
+  });
+
+  test("should post the variances of a blind stock count", async () => {
+    const openRes = await request(app)
+      .post("/api/stocks/counts/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ blind: true });
+
+    expect(openRes.statusCode).toBe(201);
+    expect(openRes.body.data.countNumber).toBe("SC-000001");
+    expect(openRes.body.data.items.length).toBe(1);
+    expect(openRes.body.data.items[0].expectedQuantity).toBeUndefined();
+    const countId = openRes.body.data._id;
+
+    const overlapRes = await request(app)
+      .post("/api/stocks/counts/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+    expect(overlapRes.statusCode).toBe(400);
+
+    const submitRes = await request(app)
+      .patch(`/api/stocks/counts/submit/${countId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ items: [{ product: productId, countedQuantity: 55 }] });
+
+    expect(submitRes.statusCode).toBe(200);
+    expect(submitRes.body.data.summary.countedItems).toBe(1);
+    expect(submitRes.body.data.items[0].variance).toBeUndefined();
+
+    const finaliseRes = await request(app)
+      .patch(`/api/stocks/counts/finalise/${countId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(finaliseRes.statusCode).toBe(200);
+    expect(finaliseRes.body.data.status).toBe("finalised");
+    expect(finaliseRes.body.data.items[0].expectedQuantity).toBe(57);
+    expect(finaliseRes.body.data.items[0].variance).toBe(-2);
+    expect(finaliseRes.body.data.summary.varianceValue).toBe(-40);
+    expect(finaliseRes.body.data.adjustments.length).toBe(1);
+    expect(finaliseRes.body.data.adjustments[0].direction).toBe("decrease");
+
+    const stock = await Stock.findOne({ product: productId });
+    expect(stock.currentStock).toBe(55);
+  });
+
+  test("should sell the earliest expiring lot first", async () => {
+    const productRes = await request(app)
+      .post("/api/products/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        name: "Batch Test Product",
+        sku: "BTP001",
+        category: categoryId,
+        supplier: supplierId,
+        unit: "piece",
+        purchasePrice: 20.0,
+        sellingPrice: 30.0,
+        minStockLevel: 5,
+        initialStock: 10,
+        trackBatches: true,
+        initialExpiryDate: new Date(Date.now() + 365 * DAY),
+      });
+    expect(productRes.statusCode).toBe(201);
+    batchProductId = productRes.body.data.product._id;
+
+    const lots = [
+      { lotNumber: "LOT-A", quantity: 5, expiryDate: Date.now() + 10 * DAY },
+      { lotNumber: "LOT-X", quantity: 2, expiryDate: Date.now() - DAY },
+    ];
+    for (const lot of lots) {
+      const res = await request(app)
+        .post("/api/stocks/adjust")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          product: batchProductId,
+          direction: "increase",
+          reason: "counting_error",
+          quantity: lot.quantity,
+          lotNumber: lot.lotNumber,
+          expiryDate: new Date(lot.expiryDate),
+        });
+      expect(res.body.data.status).toBe("posted");
+    }
+
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: batchProductId, quantity: 4, unitPrice: 30.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(saleRes.statusCode).toBe(201);
+    expect(saleRes.body.data.items[0].batches).toEqual([
+      expect.objectContaining({ lotNumber: "LOT-A", quantity: 4 }),
+    ]);
+
+    const stock = await Stock.findOne({ product: batchProductId });
+    expect(stock.currentStock).toBe(13);
+    const lotQuantities = Object.fromEntries(
+      stock.batches.map((batch) => [batch.lotNumber, batch.quantity])
+    );
+    expect(lotQuantities).toEqual({ OPENING: 10, "LOT-A": 1, "LOT-X": 2 });
+  });
+
+  test("should refuse to sell an expired lot", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [
+          {
+            product: batchProductId,
+            quantity: 1,
+            unitPrice: 30.0,
+            lotNumber: "LOT-X",
+          },
+        ],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(
+      /^Batch LOT-X of Batch Test Product expired on .* and cannot be sold\.$/
+    );
+  });
+
+  test("should list expired and expiring lots", async () => {
+    const res = await request(app)
+      .get("/api/stocks/batches/expiring?days=30")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.expiredCount).toBe(1);
+    expect(res.body.data.expiringCount).toBe(1);
+    expect(res.body.data.items.map((batch) => batch.lotNumber)).toEqual([
+      "LOT-X",
+      "LOT-A",
+    ]);
+    expect(res.body.data.items[0].isExpired).toBe(true);
+
+    const writeOffRes = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: batchProductId,
+        direction: "decrease",
+        reason: "expiry",
+        quantity: 2,
+        lotNumber: "LOT-X",
+      });
+    expect(writeOffRes.body.data.status).toBe("posted");
+    expect(writeOffRes.body.data.batches).toEqual([
+      { lotNumber: "LOT-X", quantity: 2 },
+    ]);
+  });
+
+  test("should return units sold before tracking into the opening lot", async () => {
+    const saleRes = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity: 2, unitPrice: 30.0 }],
+        paymentMethod: "cash",
+      });
+    expect(saleRes.statusCode).toBe(201);
+
+    const updateRes = await request(app)
+      .patch(`/api/products/product/update/${productId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ trackBatches: true });
+    expect(updateRes.statusCode).toBe(200);
+    const stockBefore = await Stock.findOne({ product: productId });
+
+    const returnRes = await request(app)
+      .post(`/api/sales/sale/return/${saleRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ items: [{ product: productId, quantity: 2 }] });
+    expect(returnRes.statusCode).toBe(201);
+
+    const stock = await Stock.findOne({ product: productId });
+    expect(stock.currentStock).toBe(stockBefore.currentStock + 2);
+    const openingLot = (lots) =>
+      lots.find((batch) => batch.lotNumber === "OPENING").quantity;
+    expect(openingLot(stock.batches)).toBe(openingLot(stockBefore.batches) + 2);
+    expect(stock.batches.reduce((sum, batch) => sum + batch.quantity, 0)).toBe(
+      stock.currentStock
+    );
+  });
+});
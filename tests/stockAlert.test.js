@@ -0,0 +1,215 @@
+// tests/stockAlert.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const mailer = require("../utils/mailer");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Sale = require("../models/Sale");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const StockAlert = require("../models/StockAlert");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+let productId;
+
+// alerts are raised after the response, once the transaction has committed
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+const sell = (quantity) =>
+  request(app)
+    .post("/api/sales/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      items: [{ product: productId, quantity, unitPrice: 20.0 }],
+      paymentMethod: "cash",
+    });
+
+beforeAll(async () => {
+  mailer.useMemoryTransport();
+  await User.deleteMany({ email: "stockalerttester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Stock Alert Test",
+    lastName: "User",
+    email: "stockalerttester@gmail.com",
+    primaryPhone: "9800000113",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000113",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Stock Alert Test Category",
+      description: "Category for stock alert tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Stock Alert Test Supplier",
+      email: "stockalert.supplier@example.com",
+      phone: "9876543223",
+    });
+
+  const productRes = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Stock Alert Test Product",
+      sku: "SAT001",
+      category: categoryRes.body.data._id,
+      supplier: supplierRes.body.data._id,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 8,
+    });
+  productId = productRes.body.data.product._id;
+});
+
+afterAll(async () => {
+  await StockAlert.deleteMany({ createdBy: testUserId });
+  await CostLayer.deleteMany({ product: productId });
+  await StockMovement.deleteMany({ product: productId });
+  await Stock.deleteMany({ product: productId });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "stockalerttester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Stock alerts", () => {
+  test("should email the owner when stock falls to the minimum", async () => {
+    const res = await sell(4);
+    expect(res.statusCode).toBe(201);
+
+    await waitFor(() => mailer.outbox.length === 1);
+    expect(mailer.outbox.length).toBe(1);
+    expect(mailer.outbox[0].to).toBe("stockalerttester@gmail.com");
+    expect(mailer.outbox[0].subject).toMatch(/running low/);
+    expect(mailer.outbox[0].html).toContain("SAT001");
+
+    const alertsRes = await request(app)
+      .get("/api/stocks/alerts?open=true")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(alertsRes.statusCode).toBe(200);
+    expect(alertsRes.body.data.items.length).toBe(1);
+    expect(alertsRes.body.data.items[0].alertType).toBe("low_stock");
+    expect(alertsRes.body.data.items[0].stockLevel).toBe(4);
+    expect(alertsRes.body.data.items[0].status).toBe("sent");
+  });
+
+  test("should not alert again while the alert is open", async () => {
+    const res = await sell(1);
+    expect(res.statusCode).toBe(201);
+
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(await StockAlert.countDocuments({ createdBy: testUserId })).toBe(1);
+    expect(mailer.outbox.length).toBe(1);
+  });
+
+  test("should raise one alert for stock changes at the same moment", async () => {
+    const location = new mongoose.Types.ObjectId();
+    const change = {
+      product: productId,
+      location,
+      previousStock: 6,
+      currentStock: 4,
+    };
+    const alerts = await Promise.all([
+      StockAlert.checkStockChange(change),
+      StockAlert.checkStockChange(change),
+    ]);
+
+    expect(alerts.filter(Boolean).length).toBe(1);
+    expect(await StockAlert.countDocuments({ location })).toBe(1);
+    await StockAlert.deleteMany({ location });
+  });
+
+  test("should hold out of stock alerts for the daily digest", async () => {
+    const settingsRes = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ stockAlertMode: "daily_digest", stockAlertDigestHour: 0 });
+    expect(settingsRes.statusCode).toBe(200);
+
+    const res = await sell(3);
+    expect(res.statusCode).toBe(201);
+
+    await waitFor(() =>
+      StockAlert.exists({ createdBy: testUserId, alertType: "out_of_stock" })
+    );
+    const alert = await StockAlert.findOne({
+      createdBy: testUserId,
+      alertType: "out_of_stock",
+    });
+    expect(alert.delivery).toBe("daily_digest");
+    expect(alert.status).toBe("pending");
+    expect(mailer.outbox.length).toBe(1);
+
+    // the scheduled run sends the digest once a day
+    expect(await StockAlert.dispatch(testUserId)).toBe(1);
+    expect(mailer.outbox.length).toBe(2);
+    expect(mailer.outbox[1].subject).toMatch(/out of stock/);
+    expect(await StockAlert.dispatch(testUserId)).toBe(0);
+  });
+
+  test("should send alerts again that a stopped run left sending", async () => {
+    // claimed an hour ago by a run that never finished
+    await StockAlert.updateOne(
+      { createdBy: testUserId, alertType: "out_of_stock" },
+      {
+        $set: {
+          status: "sending",
+          dispatchBatch: new mongoose.Types.ObjectId(),
+          updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+        },
+        $unset: { sentAt: 1 },
+      },
+      { timestamps: false }
+    );
+
+    expect(await StockAlert.dispatch(testUserId)).toBe(1);
+    expect(mailer.outbox.length).toBe(3);
+    const alert = await StockAlert.findOne({
+      createdBy: testUserId,
+      alertType: "out_of_stock",
+    });
+    expect(alert.status).toBe("sent");
+  });
+
+  test("should reject quiet hours that are not HH:MM", async () => {
+    const res = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ quietHoursStart: "25:00" });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
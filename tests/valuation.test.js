@@ -0,0 +1,336 @@
+// tests/valuation.test.js
+const request = require("supertest");
+const app = require("../app");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Purchase = require("../models/Purchase");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const SupplierReturn = require("../models/SupplierReturn");
+const Sale = require("../models/Sale");
+const Adjustment = require("../models/Adjustment");
+const Location = require("../models/Location");
+const Stock = require("../models/Stock");
+const StockMovement = require("../models/StockMovement");
+const CostLayer = require("../models/CostLayer");
+
+let authToken;
+let testUserId;
+let fifoProductId;
+let averageProductId;
+let categoryId;
+let supplierId;
+
+const createProduct = async (name, sku, categoryId, supplierId) => {
+  const res = await request(app)
+    .post("/api/products/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name,
+      sku,
+      category: categoryId,
+      supplier: supplierId,
+      unit: "piece",
+      purchasePrice: 10.0,
+      sellingPrice: 20.0,
+      minStockLevel: 5,
+      initialStock: 10,
+    });
+  return res.body.data.product._id;
+};
+
+beforeAll(async () => {
+  await User.deleteMany({ email: "valuationtester@gmail.com" });
+
+  const userRes = await request(app).post("/api/users/signup").send({
+    firstName: "Valuation Test",
+    lastName: "User",
+    email: "valuationtester@gmail.com",
+    primaryPhone: "9800000109",
+    password: "Test@123",
+    role: "shop_owner",
+  });
+  testUserId = userRes.body.data._id;
+
+  const loginRes = await request(app).post("/api/users/login").send({
+    phoneNumber: "9800000109",
+    password: "Test@123",
+  });
+  authToken = loginRes.body.data.token;
+
+  const categoryRes = await request(app)
+    .post("/api/categories/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Valuation Test Category",
+      description: "Category for costing tests",
+    });
+
+  const supplierRes = await request(app)
+    .post("/api/suppliers/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      name: "Valuation Test Supplier",
+      email: "valuation.supplier@example.com",
+      phone: "9876543219",
+    });
+  supplierId = supplierRes.body.data._id;
+  categoryId = categoryRes.body.data._id;
+
+  // opening stock of both products: 10 at 10.00
+  fifoProductId = await createProduct(
+    "Valuation FIFO Product",
+    "VTP001",
+    categoryRes.body.data._id,
+    supplierId
+  );
+  averageProductId = await createProduct(
+    "Valuation Average Product",
+    "VTP002",
+    categoryRes.body.data._id,
+    supplierId
+  );
+
+  // then 10 more of each at 14.00
+  const purchaseRes = await request(app)
+    .post("/api/purchases/create")
+    .set("Authorization", `Bearer ${authToken}`)
+    .send({
+      supplier: supplierId,
+      items: [
+        { product: fifoProductId, quantity: 10, unitCost: 14.0 },
+        { product: averageProductId, quantity: 10, unitCost: 14.0 },
+      ],
+      paymentMethod: "cash",
+    });
+  await request(app)
+    .patch(`/api/purchases/purchase/receive/${purchaseRes.body.data._id}`)
+    .set("Authorization", `Bearer ${authToken}`);
+});
+
+afterAll(async () => {
+  const productIds = await Product.distinct("_id", { createdBy: testUserId });
+  await CostLayer.deleteMany({ product: { $in: productIds } });
+  await StockMovement.deleteMany({ product: { $in: productIds } });
+  await Stock.deleteMany({ product: { $in: productIds } });
+  await Sale.deleteMany({ createdBy: testUserId });
+  await Adjustment.deleteMany({ createdBy: testUserId });
+  await SupplierReturn.deleteMany({ createdBy: testUserId });
+  await GoodsReceipt.deleteMany({ createdBy: testUserId });
+  await Purchase.deleteMany({ createdBy: testUserId });
+  await Location.deleteMany({ createdBy: testUserId });
+  await Product.deleteMany({ createdBy: testUserId });
+  await Supplier.deleteMany({ createdBy: testUserId });
+  await Category.deleteMany({ createdBy: testUserId });
+  await User.deleteMany({ email: "valuationtester@gmail.com" });
+
+  await mongoose.connection.close();
+});
+
+describe("Inventory costing", () => {
+  test("should cost a sale from the oldest layers first (FIFO)", async () => {
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: fifoProductId, quantity: 15, unitPrice: 20.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+    // 10 at 10.00 and 5 at 14.00
+    expect(res.body.data.items[0].costOfGoodsSold).toBe(170);
+
+    const movement = await StockMovement.findOne({
+      sourceModel: "Sale",
+      sourceDocument: res.body.data._id,
+    });
+    expect(movement.unitCost).toBeCloseTo(11.33, 2);
+  });
+
+  test("should cost a sale at the average cost (weighted average)", async () => {
+    const settingsRes = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ costingMethod: "weighted_average" });
+    expect(settingsRes.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post("/api/sales/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: averageProductId, quantity: 5, unitPrice: 20.0 }],
+        paymentMethod: "cash",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.items[0].unitCost).toBe(12);
+    expect(res.body.data.items[0].costOfGoodsSold).toBe(60);
+  });
+
+  test("should reject an unknown costing method", async () => {
+    const res = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ costingMethod: "lifo" });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("should value the stock on hand and reconcile the period", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const res = await request(app)
+      .get(`/api/reports/inventory-valuation?startDate=${today}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.costingMethod).toBe("weighted_average");
+    // 5 left at 14.00 and 15 at the average of 12.00
+    expect(res.body.data.totals).toEqual({ quantity: 20, value: 250 });
+    expect(res.body.data.items[0].value).toBe(180);
+
+    const { reconciliation } = res.body.data;
+    expect(reconciliation.openingValue).toBe(0);
+    expect(reconciliation.closingValue).toBe(250);
+    const byType = Object.fromEntries(
+      reconciliation.movements.map((row) => [row.movementType, row.value])
+    );
+    expect(byType).toEqual({ adjustment: 200, purchase: 280, sale: -230 });
+
+    const dashboardRes = await request(app)
+      .get("/api/dashboard/overview")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(dashboardRes.body.data.inventoryPurchaseValue).toBe(250);
+  });
+
+  test("should value nothing before the first movement", async () => {
+    const yesterday = new Date(Date.now() - 86400000)
+      .toISOString()
+      .slice(0, 10);
+    const res = await request(app)
+      .get(`/api/reports/inventory-valuation?asOf=${yesterday}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.items).toEqual([]);
+    expect(res.body.data.totals.value).toBe(0);
+  });
+
+  test("should reject a date that is not YYYY-MM-DD", async () => {
+    const res = await request(app)
+      .get("/api/reports/inventory-valuation?asOf=yesterday")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("should value an adjustment at the cost of the stock, not the purchase price", async () => {
+    const res = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: averageProductId,
+        direction: "decrease",
+        quantity: 2,
+        reason: "damage",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.status).toBe("posted");
+    // the average cost of 12.00, the purchase price is 10.00
+    expect(res.body.data.unitCost).toBe(12);
+    expect(res.body.data.value).toBe(24);
+  });
+
+  test("should cost a supplier return at what was paid on its purchase", async () => {
+    const settingsRes = await request(app)
+      .patch(`/api/users/updateSettings/${testUserId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ costingMethod: "fifo" });
+    expect(settingsRes.statusCode).toBe(200);
+
+    // 10 opening at 10.00, then 10 at 14.00
+    const productId = await createProduct(
+      "Valuation Return Product",
+      "VTP003",
+      categoryId,
+      supplierId
+    );
+    const purchaseRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        supplier: supplierId,
+        items: [{ product: productId, quantity: 10, unitCost: 14.0 }],
+        paymentMethod: "cash",
+      });
+    await request(app)
+      .patch(`/api/purchases/purchase/receive/${purchaseRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    const res = await request(app)
+      .post(`/api/purchases/purchase/return/${purchaseRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        items: [{ product: productId, quantity: 4 }],
+        reason: "damaged",
+      });
+
+    expect(res.statusCode).toBe(201);
+    const movement = await StockMovement.findOne({
+      sourceModel: "SupplierReturn",
+      sourceDocument: res.body.data._id,
+    });
+    // not the oldest layer at 10.00
+    expect(movement.unitCost).toBe(14);
+  });
+
+  test("should cost batch-tracked stock from the lots that were moved", async () => {
+    const productRes = await request(app)
+      .post("/api/products/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        name: "Valuation Batch Product",
+        sku: "VTP004",
+        category: categoryId,
+        supplier: supplierId,
+        unit: "piece",
+        purchasePrice: 10.0,
+        sellingPrice: 20.0,
+        minStockLevel: 5,
+        initialStock: 10,
+        trackBatches: true,
+      });
+    const productId = productRes.body.data.product._id;
+
+    const purchaseRes = await request(app)
+      .post("/api/purchases/create")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        supplier: supplierId,
+        items: [{ product: productId, quantity: 10, unitCost: 14.0 }],
+        paymentMethod: "cash",
+      });
+    await request(app)
+      .patch(`/api/purchases/purchase/receive/${purchaseRes.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ items: [{ product: productId, lotNumber: "LOT-B" }] });
+
+    const res = await request(app)
+      .post("/api/stocks/adjust")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        product: productId,
+        direction: "decrease",
+        quantity: 2,
+        reason: "damage",
+        lotNumber: "LOT-B",
+      });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.unitCost).toBe(14);
+    expect(res.body.data.value).toBe(28);
+  });
+});
@@ -0,0 +1,74 @@
+// utils/classificationUtils.js
+const { roundCurrency } = require("./taxUtils");
+
+exports.ABC_CLASSES = ["A", "B", "C"];
+exports.XYZ_CLASSES = ["X", "Y", "Z"];
+
+// defaults: A is the top 80% of sales value, B the next 15%, C the rest.
+// X sells steadily (weekly demand varies by at most 50% of its mean), Y varies
+// by up to 100%, Z is erratic or does not sell.
+exports.DEFAULT_THRESHOLDS = {
+  aShare: 80,
+  bShare: 95,
+  xVariation: 0.5,
+  yVariation: 1,
+};
+
+// products: [{ _id, salesValue, weeklyUnits: [n, ...] }]
+// returns Map(productId -> { abc, xyz, salesValue, salesShare, demandVariation })
+exports.classifyProducts = (products, thresholds) => {
+  const { aShare, bShare, xVariation, yVariation } = {
+    ...exports.DEFAULT_THRESHOLDS,
+    ...thresholds,
+  };
+  const totalValue = products.reduce((sum, row) => sum + row.salesValue, 0);
+
+  const result = new Map();
+  let cumulativeShare = 0;
+  const byValue = [...products].sort((a, b) => b.salesValue - a.salesValue);
+
+  for (const row of byValue) {
+    const salesShare = totalValue ? (row.salesValue / totalValue) * 100 : 0;
+
+    // a product is in the class its sales value starts in
+    let abc = "C";
+    if (row.salesValue > 0 && cumulativeShare < aShare) abc = "A";
+    else if (row.salesValue > 0 && cumulativeShare < bShare) abc = "B";
+    cumulativeShare += salesShare;
+
+    // coefficient of variation of the weekly units, weeks without sales count
+    const weeks = row.weeklyUnits.length;
+    const mean = row.weeklyUnits.reduce((sum, units) => sum + units, 0) / weeks;
+    let demandVariation = null;
+    let xyz = "Z";
+    if (mean > 0) {
+      const variance =
+        row.weeklyUnits.reduce((sum, units) => sum + (units - mean) ** 2, 0) /
+        weeks;
+      demandVariation = Math.round((Math.sqrt(variance) / mean) * 100) / 100;
+      if (demandVariation <= xVariation) xyz = "X";
+      else if (demandVariation <= yVariation) xyz = "Y";
+    }
+
+    result.set(row._id.toString(), {
+      abc,
+      xyz,
+      salesValue: roundCurrency(row.salesValue),
+      salesShare: roundCurrency(salesShare),
+      demandVariation,
+    });
+  }
+  return result;
+};
+
+// "A,B" -> { $in: ["A", "B"] } for a class filter, null when a class is unknown
+exports.parseClassFilter = (value, classes) => {
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim().toUpperCase())
+    .filter(Boolean);
+  if (!values.length || values.some((item) => !classes.includes(item))) {
+    return null;
+  }
+  return { $in: values };
+};
@@ -0,0 +1,103 @@
+// utils/dateUtils.js
+// Calendar helpers for a shop's time zone (an IANA name like "Asia/Kathmandu").
+// Calendar dates are handled as "YYYY-MM-DD" strings so that no step depends on
+// the time zone of the server.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// "2024-02-30" matches the pattern but is not a date
+exports.isValidDateString = (dateString) => {
+  if (!DATE_PATTERN.test(dateString)) return false;
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(dateString);
+};
+
+// local date and time parts of an instant in the time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+};
+
+// milliseconds the time zone is ahead of UTC at that instant
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// the instant local midnight of the date begins in the time zone
+exports.startOfZonedDay = (dateString, timeZone) => {
+  const midnightUtc = new Date(`${dateString}T00:00:00Z`).getTime();
+  // the offset at midnight UTC can differ from the one at local midnight
+  // around a daylight saving change, so it is checked once more
+  const firstGuess = midnightUtc - getOffset(new Date(midnightUtc), timeZone);
+  return new Date(midnightUtc - getOffset(new Date(firstGuess), timeZone));
+};
+
+// "YYYY-MM-DD" of the instant in the time zone
+exports.toZonedDateString = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// "YYYY-MM-DDTHH:00" of the instant in the time zone
+exports.toZonedHourString = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+};
+
+// "HH:MM" of the instant in the time zone
+exports.toZonedTimeString = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.hour}:${parts.minute}`;
+};
+
+exports.addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// whole days from one date to the other
+exports.daysBetween = (fromDateString, toDateString) =>
+  Math.round(
+    (new Date(`${toDateString}T00:00:00Z`) -
+      new Date(`${fromDateString}T00:00:00Z`)) /
+      86400000
+  );
+
+// ISO 8601 week of a date, "2024-W01" (matches Mongo's "%G-W%V")
+exports.toIsoWeekString = (dateString) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const weekday = date.getUTCDay() || 7;
+  // the Thursday of the week decides which year the week belongs to
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
@@ -0,0 +1,58 @@
+// utils/discountUtils.js
+const { roundCurrency } = require("./taxUtils");
+
+exports.DISCOUNT_TYPES = ["percentage", "fixed"];
+
+exports.DISCOUNT_REASON_CODES = [
+  "loyalty",
+  "promotion",
+  "damaged_item",
+  "price_match",
+  "bulk_purchase",
+  "staff",
+  "manager_override",
+  "other",
+];
+
+// returns an error message for an invalid { type, value } discount, or null
+exports.validateDiscount = (discount, baseAmount) => {
+  if (!exports.DISCOUNT_TYPES.includes(discount.type)) {
+    return "Discount type must be 'percentage' or 'fixed'.";
+  }
+  if (typeof discount.value !== "number" || discount.value < 0) {
+    return "Discount value must be a non-negative number.";
+  }
+  if (discount.type === "percentage" && discount.value > 100) {
+    return "Percentage discount cannot exceed 100.";
+  }
+  if (discount.type === "fixed" && discount.value > baseAmount) {
+    return "Fixed discount cannot exceed the amount it applies to.";
+  }
+  return null;
+};
+
+exports.calculateDiscount = (baseAmount, discount) => {
+  if (!discount) return 0;
+  const amount =
+    discount.type === "percentage"
+      ? (baseAmount * discount.value) / 100
+      : discount.value;
+  return roundCurrency(Math.min(amount, baseAmount));
+};
+
+// spreads an invoice discount over the lines in proportion to their amounts,
+// the last line takes the rounding difference so the shares add up exactly
+exports.allocateDiscount = (lineAmounts, discountAmount) => {
+  const total = lineAmounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discountAmount || !total) return lineAmounts.map(() => 0);
+
+  let allocated = 0;
+  return lineAmounts.map((amount, index) => {
+    if (index === lineAmounts.length - 1) {
+      return roundCurrency(discountAmount - allocated);
+    }
+    const share = roundCurrency((discountAmount * amount) / total);
+    allocated += share;
+    return share;
+  });
+};
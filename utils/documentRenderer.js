@@ -0,0 +1,375 @@
+// utils/documentRenderer.js
+// Builds printable documents (sale invoices, purchase orders) and renders
+// them as HTML or PDF. Everything is generated locally, no external services.
+const PDFDocument = require("pdfkit");
+const { roundCurrency } = require("./taxUtils");
+
+const formatMoney = (value) => roundCurrency(value || 0).toFixed(2);
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : "";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+exports.escapeHtml = escapeHtml;
+
+const ownerLines = (owner) =>
+  [
+    `${owner.firstName} ${owner.lastName}`,
+    owner.email,
+    [owner.primaryPhone, owner.secondaryPhone].filter(Boolean).join(", "),
+  ].filter(Boolean);
+
+const itemLine = (item, extra = {}) => ({
+  name: item.product?.name || "N/A",
+  sku: item.product?.sku || "",
+  unit: item.product?.unit || "",
+  quantity: item.quantity,
+  taxRate: item.taxRate || 0,
+  ...extra,
+});
+
+// sale and its populated product/customer -> document
+exports.buildSaleDocument = (sale, owner) => {
+  const customer = sale.customer;
+
+  const totals = [
+    { label: "Subtotal", value: sale.subTotal ?? sale.totalAmount },
+    { label: "Tax", value: sale.totalTax || 0 },
+    { label: "Total", value: sale.totalAmount, bold: true },
+  ];
+  if (sale.totalDiscount > 0) {
+    totals.push({ label: "Discount included", value: sale.totalDiscount });
+  }
+  if (sale.returnedAmount > 0) {
+    totals.push({ label: "Returned", value: sale.returnedAmount });
+  }
+  (sale.payments || []).forEach((payment) => {
+    totals.push({
+      label: `Paid (${payment.method})`,
+      value: payment.tendered ?? payment.amount,
+    });
+  });
+  if (sale.changeDue > 0) {
+    totals.push({ label: "Change", value: sale.changeDue });
+  }
+  if (sale.balanceDue > 0) {
+    totals.push({ label: "Balance due", value: sale.balanceDue, bold: true });
+  }
+
+  return {
+    title: "Invoice",
+    number: sale.invoiceNumber,
+    meta: [
+      { label: "Invoice No.", value: sale.invoiceNumber },
+      { label: "Date", value: formatDate(sale.saleDate) },
+      ...(sale.dueDate
+        ? [{ label: "Due Date", value: formatDate(sale.dueDate) }]
+        : []),
+      {
+        label: "Payment",
+        value: sale.payments?.length
+          ? sale.payments.map((payment) => payment.method).join(" + ")
+          : sale.paymentMethod || "on account",
+      },
+    ],
+    from: { heading: "From", lines: ownerLines(owner) },
+    to: {
+      heading: "Bill To",
+      lines: customer
+        ? [
+            `${customer.firstName} ${customer.lastName}`,
+            customer.email,
+            customer.phone,
+          ].filter(Boolean)
+        : ["Walk-in customer"],
+    },
+    showDiscount: sale.items.some(
+      (item) => (item.discountAmount || 0) + (item.invoiceDiscountAmount || 0)
+    ),
+    items: sale.items.map((item) =>
+      itemLine(item, {
+        unitPrice: item.unitPrice,
+        discount:
+          (item.discountAmount || 0) + (item.invoiceDiscountAmount || 0),
+        amount: item.totalPrice,
+      })
+    ),
+    totals,
+    notes: sale.notes,
+  };
+};
+
+// purchase and its populated product/supplier -> document
+exports.buildPurchaseDocument = (purchase, owner) => {
+  const supplier = purchase.supplier;
+
+  const meta = [
+    { label: "PO No.", value: purchase.purchaseNumber },
+    { label: "Order Date", value: formatDate(purchase.orderDate) },
+    { label: "Status", value: purchase.purchaseStatus },
+  ];
+  if (purchase.receivedDate) {
+    meta.push({
+      label: "Received",
+      value: formatDate(purchase.receivedDate),
+    });
+  }
+
+  return {
+    title: "Purchase Order",
+    number: purchase.purchaseNumber,
+    meta,
+    from: { heading: "Buyer", lines: ownerLines(owner) },
+    to: {
+      heading: "Supplier",
+      lines: supplier
+        ? [supplier.name, supplier.email, supplier.phone].filter(Boolean)
+        : ["N/A"],
+    },
+    showDiscount: false,
+    items: purchase.items.map((item) =>
+      itemLine(item, { unitPrice: item.unitCost, amount: item.totalCost })
+    ),
+    totals: [
+      { label: "Subtotal", value: purchase.subTotal ?? purchase.totalAmount },
+      { label: "Tax", value: purchase.totalTax || 0 },
+      { label: "Total", value: purchase.totalAmount, bold: true },
+    ],
+    notes: purchase.notes,
+  };
+};
+
+exports.renderHtml = (doc) => {
+  const discountHead = doc.showDiscount ? '<th class="num">Discount</th>' : "";
+
+  const rows = doc.items
+    .map(
+      (item, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(item.name)}<br /><small>${escapeHtml(
+        item.sku
+      )}</small></td>
+          <td>${escapeHtml(item.unit)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${formatMoney(item.unitPrice)}</td>
+          ${
+            doc.showDiscount
+              ? `<td class="num">${formatMoney(item.discount)}</td>`
+              : ""
+          }
+          <td class="num">${item.taxRate}%</td>
+          <td class="num">${formatMoney(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const totals = doc.totals
+    .map(
+      (row) => `
+        <tr${row.bold ? ' class="grand"' : ""}>
+          <td>${escapeHtml(row.label)}</td>
+          <td class="num">${formatMoney(row.value)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const meta = doc.meta
+    .map(
+      (row) =>
+        `<div><strong>${escapeHtml(row.label)}:</strong> ${escapeHtml(
+          row.value
+        )}</div>`
+    )
+    .join("");
+
+  const party = (block) => `
+      <div class="party">
+        <h3>${escapeHtml(block.heading)}</h3>
+        ${block.lines.map((line) => `<div>${escapeHtml(line)}</div>`).join("")}
+      </div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(doc.title)} ${escapeHtml(doc.number)}</title>
+    <style>
+      body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+      h1 { margin: 0 0 8px; }
+      h3 { margin: 0 0 4px; font-size: 14px; text-transform: uppercase; color: #555; }
+      .header, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+      th { background: #f3f3f3; }
+      .num { text-align: right; }
+      .totals { width: 300px; margin: 16px 0 0 auto; }
+      .grand td { font-weight: bold; border-top: 2px solid #222; }
+      .notes { margin-top: 24px; }
+      @media print { body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <div class="header">
+      <h1>${escapeHtml(doc.title)}</h1>
+      <div>${meta}</div>
+    </div>
+    <div class="parties">${party(doc.from)}${party(doc.to)}</div>
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Item</th>
+          <th>Unit</th>
+          <th class="num">Qty</th>
+          <th class="num">Unit Price</th>
+          ${discountHead}
+          <th class="num">Tax</th>
+          <th class="num">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <table class="totals">${totals}
+    </table>
+    ${
+      doc.notes
+        ? `<div class="notes"><h3>Notes</h3><div>${escapeHtml(
+            doc.notes
+          )}</div></div>`
+        : ""
+    }
+  </body>
+</html>
+`;
+};
+
+// resolves with the PDF as a Buffer
+exports.renderPdf = (doc) =>
+  new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    const left = pdf.page.margins.left;
+    const width = pdf.page.width - left - pdf.page.margins.right;
+    const bottom = pdf.page.height - pdf.page.margins.bottom;
+
+    // header
+    pdf.font("Helvetica-Bold").fontSize(20).text(doc.title, left, 50);
+    pdf.font("Helvetica").fontSize(10);
+    doc.meta.forEach((row, index) => {
+      pdf.text(`${row.label}: ${row.value ?? ""}`, left, 50 + index * 14, {
+        width,
+        align: "right",
+      });
+    });
+
+    // parties
+    const partyTop = 120;
+    [doc.from, doc.to].forEach((block, index) => {
+      const x = left + index * (width / 2);
+      pdf
+        .font("Helvetica-Bold")
+        .text(block.heading.toUpperCase(), x, partyTop, { width: width / 2 });
+      pdf.font("Helvetica");
+      block.lines.forEach((line) => pdf.text(line, { width: width / 2 }));
+    });
+
+    // line items
+    const columns = [
+      { key: "index", label: "#", width: 20 },
+      { key: "name", label: "Item", width: doc.showDiscount ? 165 : 215 },
+      { key: "unit", label: "Unit", width: 45 },
+      { key: "quantity", label: "Qty", width: 40, align: "right" },
+      { key: "unitPrice", label: "Unit Price", width: 60, align: "right" },
+      ...(doc.showDiscount
+        ? [{ key: "discount", label: "Discount", width: 50, align: "right" }]
+        : []),
+      { key: "taxRate", label: "Tax", width: 40, align: "right" },
+      { key: "amount", label: "Amount", width: 75, align: "right" },
+    ];
+
+    const drawRow = (values, y, font) => {
+      pdf.font(font);
+      let x = left;
+      let rowHeight = 0;
+      columns.forEach((column) => {
+        const options = { width: column.width - 4, align: column.align };
+        pdf.text(values[column.key], x, y, options);
+        rowHeight = Math.max(
+          rowHeight,
+          pdf.heightOfString(values[column.key], options)
+        );
+        x += column.width;
+      });
+      const nextY = y + rowHeight + 6;
+      pdf
+        .moveTo(left, nextY - 3)
+        .lineTo(left + width, nextY - 3)
+        .strokeColor("#dddddd")
+        .stroke();
+      return nextY;
+    };
+
+    const header = Object.fromEntries(
+      columns.map((column) => [column.key, column.label])
+    );
+
+    let y = drawRow(header, 210, "Helvetica-Bold");
+    doc.items.forEach((item, index) => {
+      if (y > bottom - 40) {
+        pdf.addPage();
+        y = drawRow(header, pdf.page.margins.top, "Helvetica-Bold");
+      }
+      y = drawRow(
+        {
+          index: String(index + 1),
+          name: item.sku ? `${item.name}\n${item.sku}` : item.name,
+          unit: item.unit,
+          quantity: String(item.quantity),
+          unitPrice: formatMoney(item.unitPrice),
+          discount: formatMoney(item.discount),
+          taxRate: `${item.taxRate}%`,
+          amount: formatMoney(item.amount),
+        },
+        y,
+        "Helvetica"
+      );
+    });
+
+    // totals
+    if (y > bottom - doc.totals.length * 16 - 60) {
+      pdf.addPage();
+      y = pdf.page.margins.top;
+    }
+    y += 10;
+    doc.totals.forEach((row) => {
+      pdf.font(row.bold ? "Helvetica-Bold" : "Helvetica");
+      pdf.text(row.label, left + width - 220, y, { width: 120 });
+      pdf.text(formatMoney(row.value), left + width - 100, y, {
+        width: 96,
+        align: "right",
+      });
+      y += 16;
+    });
+
+    if (doc.notes) {
+      pdf
+        .font("Helvetica-Bold")
+        .text("Notes", left, y + 20)
+        .font("Helvetica")
+        .text(doc.notes, { width });
+    }
+
+    pdf.end();
+  });
@@ -0,0 +1,31 @@
+// utils/eventBus.js
+const { EventEmitter } = require("events");
+
+// In-process events about changes to the shop's data, e.g. "stock.changed"
+// from Stock.recordMovement. Listeners run after the response is on its way
+// and handle their own errors.
+const eventBus = new EventEmitter();
+
+// Publishes once the session's transaction has committed and drops the event
+// when it is aborted; without a transaction it is published right away.
+eventBus.publishAfterCommit = (session, event, payload) => {
+  if (!session || !session.inTransaction()) {
+    setImmediate(() => eventBus.emit(event, payload));
+    return;
+  }
+
+  if (!session.$pendingEvents) {
+    session.$pendingEvents = [];
+    session.once("ended", () => {
+      const pending = session.$pendingEvents;
+      session.$pendingEvents = null;
+      if (!session.transaction.isCommitted) return;
+      for (const [pendingEvent, pendingPayload] of pending) {
+        eventBus.emit(pendingEvent, pendingPayload);
+      }
+    });
+  }
+  session.$pendingEvents.push([event, payload]);
+};
+
+module.exports = eventBus;
@@ -0,0 +1,99 @@
+// utils/forecastUtils.js
+// Unit demand forecasts from a product's daily sales history (oldest day first).
+// Both models forecast per day so that weeks and run-out dates can be read off
+// the same series.
+
+exports.FORECAST_MODELS = ["moving_average", "seasonal_smoothing"];
+
+const SEASON_LENGTH = 7;
+
+// the average of the last `window` days, flat over the horizon
+const movingAverage = (history, horizon, { window = 28 } = {}) => {
+  const recent = history.slice(-window);
+  const level = recent.length
+    ? recent.reduce((sum, units) => sum + units, 0) / recent.length
+    : 0;
+  return Array(horizon).fill(level);
+};
+
+// exponential smoothing of the level with an additive day-of-week pattern
+// (alpha smooths the level, gamma the weekday effects); needs two weeks of
+// history and falls back to the moving average below that
+const seasonalSmoothing = (
+  history,
+  horizon,
+  { alpha = 0.3, gamma = 0.1 } = {}
+) => {
+  if (history.length < SEASON_LENGTH * 2) {
+    return movingAverage(history, horizon);
+  }
+
+  const firstWeek = history.slice(0, SEASON_LENGTH);
+  let level = firstWeek.reduce((sum, units) => sum + units, 0) / SEASON_LENGTH;
+  const seasonal = firstWeek.map((units) => units - level);
+
+  for (let day = SEASON_LENGTH; day < history.length; day++) {
+    const index = day % SEASON_LENGTH;
+    const units = history[day];
+    level = alpha * (units - seasonal[index]) + (1 - alpha) * level;
+    seasonal[index] = gamma * (units - level) + (1 - gamma) * seasonal[index];
+  }
+
+  return Array.from({ length: horizon }, (_, step) =>
+    Math.max(level + seasonal[(history.length + step) % SEASON_LENGTH], 0)
+  );
+};
+
+exports.forecastDaily = (model, history, horizon) =>
+  model === "seasonal_smoothing"
+    ? seasonalSmoothing(history, horizon)
+    : movingAverage(history, horizon);
+
+// daily values -> sums per 7 days
+exports.toWeeklyTotals = (daily) => {
+  const weeks = [];
+  for (let start = 0; start < daily.length; start += 7) {
+    weeks.push(
+      daily.slice(start, start + 7).reduce((sum, units) => sum + units, 0)
+    );
+  }
+  return weeks;
+};
+
+// Forecast error on held-out history: the model is fitted without the last
+// `holdoutDays` and its forecast for them is compared week by week.
+// mae is in units per week, wape the absolute error as % of the units sold
+// (null when nothing sold in the held-out weeks).
+exports.evaluateModel = (model, history, holdoutDays) => {
+  const training = history.slice(0, history.length - holdoutDays);
+  const actual = exports.toWeeklyTotals(history.slice(-holdoutDays));
+  const forecast = exports.toWeeklyTotals(
+    exports.forecastDaily(model, training, holdoutDays)
+  );
+
+  const absoluteError = actual.reduce(
+    (sum, units, week) => sum + Math.abs(forecast[week] - units),
+    0
+  );
+  const actualTotal = actual.reduce((sum, units) => sum + units, 0);
+  return {
+    mae: Math.round((absoluteError / actual.length) * 100) / 100,
+    wape: actualTotal
+      ? Math.round((absoluteError / actualTotal) * 10000) / 100
+      : null,
+  };
+};
+
+// First day the stock runs out: each day receives what arrives that day
+// (arrivals: Map(dayIndex -> units)) and sells the forecast. Returns the day
+// index from 0 (today), or null when the stock lasts through the forecast.
+exports.findRunOutDay = (stock, dailyForecast, arrivals) => {
+  let remaining = stock;
+  if (remaining <= 0 && !arrivals.get(0)) return 0;
+  for (let day = 0; day < dailyForecast.length; day++) {
+    remaining += arrivals.get(day) || 0;
+    remaining -= dailyForecast[day];
+    if (remaining <= 0) return day;
+  }
+  return null;
+};
@@ -0,0 +1,51 @@
+// utils/mailer.js
+const nodemailer = require("nodemailer");
+
+// Outgoing email goes through the transport picked by MAIL_TRANSPORT: "smtp"
+// (the Gmail account in EMAIL_USER / EMAIL_PASS) or "memory", which keeps the
+// messages in `outbox` instead of sending them, for local development. Tests
+// (NODE_ENV=test) default to "memory", everything else to "smtp".
+// setTransport() plugs in anything with a nodemailer-style sendMail(message).
+
+exports.outbox = [];
+
+const memoryTransport = {
+  sendMail: async (message) => {
+    exports.outbox.push({ ...message, sentAt: new Date() });
+    return { response: "Stored in the local outbox." };
+  },
+};
+
+const createSmtpTransport = () =>
+  nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+let transport = null;
+
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+exports.useMemoryTransport = () => {
+  exports.outbox.length = 0;
+  transport = memoryTransport;
+};
+
+exports.sendMail = (message) => {
+  if (!transport) {
+    const transportName =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "test" ? "memory" : "smtp");
+    transport =
+      transportName === "memory" ? memoryTransport : createSmtpTransport();
+  }
+  return transport.sendMail({
+    from: `"QuickStock"<${process.env.EMAIL_USER}>`,
+    ...message,
+  });
+};
@@ -0,0 +1,168 @@
+// utils/paymentUtils.js
+const { roundCurrency } = require("./taxUtils");
+
+// "online" is kept for sales recorded before split payments existed
+exports.PAYMENT_METHODS = [
+  "cash",
+  "card",
+  "upi",
+  "bank_transfer",
+  "store_credit",
+  "online",
+];
+
+// returns an error message for an invalid payments array, or null
+exports.validatePayments = (payments) => {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return "At least one payment is required.";
+  }
+  for (const payment of payments) {
+    if (!payment || !exports.PAYMENT_METHODS.includes(payment.method)) {
+      return `Invalid payment method: ${payment?.method}.`;
+    }
+    if (typeof payment.amount !== "number" || payment.amount <= 0) {
+      return "Each payment must have a positive amount.";
+    }
+  }
+  return null;
+};
+
+// ways we pay suppliers, "online" is the old purchase paymentMethod value
+exports.SUPPLIER_PAYMENT_METHODS = [
+  "cash",
+  "bank_transfer",
+  "upi",
+  "card",
+  "cheque",
+  "online",
+];
+
+exports.PAYMENT_STATUSES = ["paid", "partially_paid", "unpaid"];
+
+exports.getPaymentStatus = (balanceDue, amountPaid) => {
+  if (!balanceDue) return "paid";
+  return amountPaid > 0 ? "partially_paid" : "unpaid";
+};
+
+// Checks that the payments cover the total and works out the change. Only cash
+// can be overpaid, the change is taken off the cash payments so every stored
+// amount is what was actually kept for the sale. With allowCredit a shortfall
+// is left as balanceDue instead of being refused.
+exports.settlePayments = (payments, totalAmount, { allowCredit } = {}) => {
+  const total = roundCurrency(totalAmount);
+  const amountTendered = roundCurrency(
+    payments.reduce((sum, payment) => sum + payment.amount, 0)
+  );
+
+  if (amountTendered < total) {
+    if (allowCredit) {
+      return {
+        payments: payments.map(({ method, amount, reference }) => ({
+          method,
+          amount,
+          reference,
+        })),
+        amountTendered,
+        changeDue: 0,
+        balanceDue: roundCurrency(total - amountTendered),
+      };
+    }
+    return {
+      error: `Payments (${amountTendered}) do not cover the sale total (${total}).`,
+    };
+  }
+
+  const changeDue = roundCurrency(amountTendered - total);
+  const cashTendered = payments
+    .filter((payment) => payment.method === "cash")
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  if (changeDue > cashTendered) {
+    return {
+      error: "Only cash payments can exceed the sale total.",
+    };
+  }
+
+  let remainingChange = changeDue;
+  const settled = payments
+    .slice()
+    .reverse()
+    .map((payment) => {
+      const entry = {
+        method: payment.method,
+        amount: payment.amount,
+        reference: payment.reference,
+      };
+      if (payment.method === "cash") {
+        const change = Math.min(remainingChange, payment.amount);
+        entry.tendered = payment.amount;
+        entry.amount = roundCurrency(payment.amount - change);
+        remainingChange = roundCurrency(remainingChange - change);
+      }
+      return entry;
+    })
+    .reverse()
+    // cash that went back entirely as change is not a payment
+    .filter((payment) => payment.amount > 0);
+
+  return { payments: settled, amountTendered, changeDue, balanceDue: 0 };
+};
+
+// Matches requested allocations ([{ [key]: id, amount }]) to the open documents,
+// or settles the oldest documents first when none are requested. Documents
+// must be sorted oldest first and carry balanceDue.
+// Returns { allocations: [{ document, amount }] } or { error }.
+exports.buildAllocations = (
+  openDocuments,
+  amount,
+  requested,
+  { key, numberField, notOpenMessage }
+) => {
+  const allocations = [];
+
+  if (!requested) {
+    let remaining = amount;
+    for (const document of openDocuments) {
+      if (remaining <= 0) break;
+      const applied = roundCurrency(Math.min(document.balanceDue, remaining));
+      allocations.push({ document, amount: applied });
+      remaining = roundCurrency(remaining - applied);
+    }
+    return { allocations };
+  }
+
+  for (const allocation of requested) {
+    const document = openDocuments.find(
+      (openDocument) => openDocument._id.toString() === String(allocation[key])
+    );
+    if (!document) {
+      return { error: notOpenMessage(allocation[key]) };
+    }
+    if (typeof allocation.amount !== "number" || allocation.amount <= 0) {
+      return {
+        error: `Invalid allocation amount for ${document[numberField]}.`,
+      };
+    }
+    const alreadyAllocated = allocations
+      .filter((entry) => entry.document === document)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const remaining = roundCurrency(document.balanceDue - alreadyAllocated);
+    if (allocation.amount > remaining) {
+      return {
+        error: `Cannot apply ${allocation.amount} to ${document[numberField]}. Only ${remaining} is outstanding.`,
+      };
+    }
+    allocations.push({ document, amount: allocation.amount });
+  }
+
+  const allocatedTotal = roundCurrency(
+    allocations.reduce((sum, entry) => sum + entry.amount, 0)
+  );
+  if (allocatedTotal !== roundCurrency(amount)) {
+    return {
+      error: `Allocations (${allocatedTotal}) must add up to the payment amount (${amount}).`,
+    };
+  }
+
+  return { allocations };
+};
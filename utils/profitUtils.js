@@ -0,0 +1,79 @@
+// utils/profitUtils.js
+const { roundCurrency } = require("./taxUtils");
+
+// Aggregation stages that turn sales into one document per sale line with the
+// part that was not returned: soldQuantity, revenue (before tax) and cost.
+// Lines record their cost when the stock goes out (see models/CostLayer.js);
+// lines sold before costing existed fall back to the product's purchase price
+// and are counted as uncosted.
+exports.saleLineProfitStages = (match) => [
+  { $match: match },
+  { $unwind: "$items" },
+  {
+    $lookup: {
+      from: "products",
+      localField: "items.product",
+      foreignField: "_id",
+      as: "product",
+    },
+  },
+  { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      soldQuantity: {
+        $subtract: [
+          "$items.quantity",
+          { $ifNull: ["$items.returnedQuantity", 0] },
+        ],
+      },
+      isCosted: { $gt: ["$items.unitCost", null] },
+    },
+  },
+  { $match: { soldQuantity: { $gt: 0 } } },
+  {
+    $addFields: {
+      revenue: {
+        $multiply: [
+          { $ifNull: ["$items.taxableAmount", "$items.totalPrice"] },
+          { $divide: ["$soldQuantity", "$items.quantity"] },
+        ],
+      },
+      cost: {
+        $multiply: [
+          "$soldQuantity",
+          {
+            $ifNull: [
+              "$items.unitCost",
+              { $ifNull: ["$product.purchasePrice", 0] },
+            ],
+          },
+        ],
+      },
+    },
+  },
+];
+
+// $group accumulators for the documents from saleLineProfitStages
+exports.profitTotals = {
+  quantity: { $sum: "$soldQuantity" },
+  revenue: { $sum: "$revenue" },
+  cost: { $sum: "$cost" },
+  lineCount: { $sum: 1 },
+  uncostedLineCount: { $sum: { $cond: ["$isCosted", 0, 1] } },
+};
+
+// gross profit and margin (% of revenue) of a grouped row
+exports.formatProfit = (row) => {
+  const grossProfit = row.revenue - row.cost;
+  return {
+    quantity: row.quantity,
+    revenue: roundCurrency(row.revenue),
+    cost: roundCurrency(row.cost),
+    grossProfit: roundCurrency(grossProfit),
+    margin: row.revenue
+      ? roundCurrency((grossProfit / row.revenue) * 100)
+      : null,
+    lineCount: row.lineCount,
+    uncostedLineCount: row.uncostedLineCount,
+  };
+};
@@ -0,0 +1,63 @@
+// utils/realtime.js
+// Open server-sent event streams, by the owner whose data they show. Every
+// device of an owner (POS tablets, back-office screens) gets the same events.
+const crypto = require("crypto");
+
+const streams = new Map(); // ownerId -> Set(res)
+const tickets = new Map(); // ticket -> { userId, expiresAt }
+
+const TICKET_TTL_MS = 30 * 1000;
+
+// Registers a response as an event stream of the owner.
+// Returns a function that unregisters it.
+exports.addStream = (ownerId, res) => {
+  const key = ownerId.toString();
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+
+  return () => {
+    const ownerStreams = streams.get(key);
+    if (!ownerStreams) return;
+    ownerStreams.delete(res);
+    if (ownerStreams.size === 0) streams.delete(key);
+  };
+};
+
+exports.countStreams = (ownerId) => streams.get(ownerId.toString())?.size || 0;
+
+// Writes one event to every open stream of the owner.
+// Returns how many streams it was written to.
+exports.sendToOwner = (ownerId, event, data) => {
+  const ownerStreams = ownerId && streams.get(ownerId.toString());
+  if (!ownerStreams) return 0;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of ownerStreams) {
+    res.write(message);
+  }
+  return ownerStreams.size;
+};
+
+// EventSource cannot send an Authorization header, so a stream is opened with
+// a ticket in the URL instead of the JWT. Tickets expire after 30 seconds and
+// open one stream only, so one read from a log cannot be used again.
+exports.issueStreamTicket = (userId) => {
+  const now = Date.now();
+  for (const [ticket, entry] of tickets) {
+    if (entry.expiresAt <= now) tickets.delete(ticket);
+  }
+
+  const ticket = crypto.randomBytes(24).toString("hex");
+  const expiresAt = now + TICKET_TTL_MS;
+  tickets.set(ticket, { userId: userId.toString(), expiresAt });
+  return { ticket, expiresAt: new Date(expiresAt) };
+};
+
+// Returns the id of the user the ticket was issued to, or null when it is
+// unknown, expired or already used.
+exports.redeemStreamTicket = (ticket) => {
+  const entry = tickets.get(ticket);
+  if (!entry) return null;
+  tickets.delete(ticket);
+  return entry.expiresAt > Date.now() ? entry.userId : null;
+};
@@ -0,0 +1,31 @@
+// utils/replenishmentUtils.js
+
+// A product is due for reordering once what is on hand plus what is already on
+// order has fallen to its reorder point. A product with a reorder quantity is
+// ordered in that fixed quantity, as many times as it takes to lift it above
+// the reorder point. Otherwise the suggested quantity brings it back up to the
+// reorder point plus the sales expected while the order is on its way
+// (leadTimeDays) and for the period it should cover after that (coverDays).
+exports.suggestReorder = ({
+  onHand,
+  onOrder,
+  reorderPoint,
+  reorderQuantity,
+  averageDailySales,
+  leadTimeDays,
+  coverDays,
+}) => {
+  const available = onHand + onOrder;
+  if (available > reorderPoint) return 0;
+
+  if (reorderQuantity) {
+    const lots = Math.floor((reorderPoint - available) / reorderQuantity) + 1;
+    return lots * reorderQuantity;
+  }
+
+  // the rate is a fraction, so 0.6 a day over 35 days must not round up to 22
+  const expectedSales = Math.ceil(
+    averageDailySales * (leadTimeDays + coverDays) - 1e-9
+  );
+  return Math.max(reorderPoint + expectedSales - available, 1);
+};
@@ -0,0 +1,49 @@
+// utils/taxUtils.js
+
+// rounds a money value to 2 decimal places
+exports.roundCurrency = (value) => {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+};
+
+// product level settings win, otherwise the category rate applies
+exports.resolveTaxConfig = (product, category) => {
+  const source = category || product.category || {};
+
+  const taxRate =
+    product.taxRate !== null && product.taxRate !== undefined
+      ? product.taxRate
+      : source.taxRate || 0;
+  const taxInclusive =
+    product.taxInclusive !== null && product.taxInclusive !== undefined
+      ? product.taxInclusive
+      : Boolean(source.taxInclusive);
+
+  return { taxRate, taxInclusive };
+};
+
+// splits a line amount into its taxable part and tax.
+// inclusive: amount already contains the tax, exclusive: tax is added on top
+exports.calculateLineTax = (amount, taxRate = 0, taxInclusive = false) => {
+  if (!taxRate) {
+    const total = exports.roundCurrency(amount);
+    return { taxableAmount: total, taxAmount: 0, totalAmount: total };
+  }
+
+  if (taxInclusive) {
+    const totalAmount = exports.roundCurrency(amount);
+    const taxableAmount = exports.roundCurrency(amount / (1 + taxRate / 100));
+    return {
+      taxableAmount,
+      taxAmount: exports.roundCurrency(totalAmount - taxableAmount),
+      totalAmount,
+    };
+  }
+
+  const taxableAmount = exports.roundCurrency(amount);
+  const taxAmount = exports.roundCurrency((amount * taxRate) / 100);
+  return {
+    taxableAmount,
+    taxAmount,
+    totalAmount: exports.roundCurrency(taxableAmount + taxAmount),
+  };
+};